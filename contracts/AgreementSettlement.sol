@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+import "./IArbitrationPanel.sol";
+import "./Tenancies.sol";
+import "./PlatformFees.sol";
+
+// Fin des accords actifs et répartition du dépôt : clôture, retenues, résiliation et litiges, de leur
+// ouverture à leur résolution.
+// Le dépôt d'une colocation est rendu à chaque co-locataire (voir Tenancies).
+// Exécutée dans le contexte de RealEstateRental (DELEGATECALL) : crédite directement les soldes à
+// retirer et émet ses events, redéclarés à l'identique ci-dessous pour que les logs se décodent avec
+// l'ABI de RealEstateRental, qui les déclare aussi.
+// _sender est l'appelant vu par RealEstateRental, qui peut être relayé par son forwarder.
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library AgreementSettlement {
+    uint256 internal constant MOVE_OUT_CLAIM_WINDOW = 3 days; // Après endDate, seul le landlord peut clôturer
+    uint256 internal constant DEDUCTION_CHALLENGE_WINDOW = 7 days; // Délai du tenant pour contester les retenues
+
+    event AgreementCompleted(uint256 indexed agreementId);
+    event AgreementTerminated(uint256 indexed agreementId, address terminatedBy);
+    event DisputeResolved(uint256 indexed disputeId, uint256 landlordAmount, uint256 tenantAmount);
+    event DisputeCreated(uint256 indexed disputeId, uint256 indexed agreementId, address initiator);
+    event DeductionsChallenged(uint256 indexed agreementId, uint256 indexed disputeId);
+    event DeductionsClaimed(uint256 indexed agreementId, uint256 amount, bytes32 itemsHash, uint256 challengeDeadline);
+    event DeductionsSettled(uint256 indexed agreementId, uint256 landlordAmount, uint256 tenantAmount);
+    event SecurityDepositReturned(uint256 indexed agreementId, address tenant, uint256 amount);
+    event PayoutCredited(uint256 indexed agreementId, address indexed account, address indexed token, uint256 amount);
+
+    function complete(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(uint256 => RealEstateRental.Property) storage properties,
+        mapping(uint256 => RealEstateRental.Tenancy) storage tenancies,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        address _sender
+    ) public {
+        require(_sender == agreement.tenant || _sender == agreement.landlord, "Not authorized");
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        require(block.timestamp >= agreement.endDate, "Agreement not yet expired");
+        // Le landlord a MOVE_OUT_CLAIM_WINDOW pour réclamer des retenues avant que le tenant puisse clôturer
+        require(
+            _sender == agreement.landlord || block.timestamp >= agreement.endDate + MOVE_OUT_CLAIM_WINDOW,
+            "Move-out claim window open"
+        );
+
+        agreement.status = RealEstateRental.AgreementStatus.COMPLETED;
+        releaseProperty(properties, agreement);
+        emit AgreementCompleted(agreement.agreementId);
+        splitDeposit(agreement, tenancies, balances, _feeSchedule, 0);
+    }
+
+    // À la sortie, le landlord clôture l'accord en réclamant une partie du dépôt ; le reste attend la fenêtre de contestation
+    function claimDeductions(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(uint256 => RealEstateRental.Property) storage properties,
+        RealEstateRental.DeductionClaim storage claim,
+        address _sender,
+        uint256 _amount,
+        bytes32 _itemsHash
+    ) public {
+        require(_sender == agreement.landlord, "Only landlord can claim deductions");
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        require(block.timestamp >= agreement.endDate, "Agreement not yet expired");
+        require(_amount > 0 && _amount <= agreement.securityDeposit, "Invalid deduction amount");
+
+        agreement.status = RealEstateRental.AgreementStatus.COMPLETED;
+        releaseProperty(properties, agreement);
+        claim.amount = _amount;
+        claim.itemsHash = _itemsHash;
+        claim.challengeDeadline = block.timestamp + DEDUCTION_CHALLENGE_WINDOW;
+        claim.status = RealEstateRental.DeductionStatus.CLAIMED;
+
+        emit AgreementCompleted(agreement.agreementId);
+        emit DeductionsClaimed(agreement.agreementId, _amount, _itemsHash, claim.challengeDeadline);
+    }
+
+    // Le tenant accepte les retenues pendant la fenêtre de contestation ; après, n'importe qui
+    // applique la répartition non contestée (_finalize)
+    function settleDeductions(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.DeductionClaim storage claim,
+        mapping(uint256 => RealEstateRental.Tenancy) storage tenancies,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        address _sender,
+        bool _finalize
+    ) public {
+        if (_finalize) {
+            require(block.timestamp > claim.challengeDeadline, "Challenge window open");
+        } else {
+            require(agreement.tenant == _sender, "Not the tenant");
+            require(block.timestamp <= claim.challengeDeadline, "Challenge window over");
+        }
+        require(claim.status == RealEstateRental.DeductionStatus.CLAIMED, "No deductions to settle");
+        claim.status = RealEstateRental.DeductionStatus.SETTLED;
+
+        splitDeposit(agreement, tenancies, balances, _feeSchedule, claim.amount);
+        emit DeductionsSettled(agreement.agreementId, claim.amount, agreement.securityDeposit - claim.amount);
+    }
+
+    // Un accord COMPLETED a déjà rendu son dépôt : on conteste les retenues via challengeDeductions
+    function createDispute(
+        RealEstateRental.Dispute storage dispute,
+        uint256 _disputeId,
+        RealEstateRental.RentalAgreement storage agreement,
+        address _sender,
+        string memory _reason,
+        address _panel
+    ) public {
+        require(_sender == agreement.tenant || _sender == agreement.landlord, "Not authorized");
+        // Plus de litige sur un accord COMPLETED (permis à l'origine) : son dépôt a déjà été rendu ou réparti,
+        // une résolution le paierait deux fois. Les retenues se contestent avec challengeDeductions
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Invalid agreement status");
+        _openDispute(dispute, _disputeId, agreement, _sender, _reason, _panel);
+    }
+
+    // Le tenant conteste les retenues : un litige s'ouvre et l'arbitre tranche la répartition du dépôt
+    function challengeDeductions(
+        RealEstateRental.Dispute storage dispute,
+        uint256 _disputeId,
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.DeductionClaim storage claim,
+        address _sender,
+        string memory _reason,
+        address _panel
+    ) public {
+        require(agreement.tenant == _sender, "Not the tenant");
+        require(claim.status == RealEstateRental.DeductionStatus.CLAIMED, "No deductions to settle");
+        require(block.timestamp <= claim.challengeDeadline, "Challenge window over");
+
+        claim.status = RealEstateRental.DeductionStatus.CHALLENGED;
+        _openDispute(dispute, _disputeId, agreement, _sender, _reason, _panel);
+        emit DeductionsChallenged(agreement.agreementId, _disputeId);
+    }
+
+    // Le landlord qui résilie rend le dépôt ; le tenant qui résilie l'abandonne au landlord
+    function terminate(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(uint256 => RealEstateRental.Property) storage properties,
+        mapping(uint256 => RealEstateRental.Tenancy) storage tenancies,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        address _sender
+    ) public {
+        require(_sender == agreement.tenant || _sender == agreement.landlord, "Not authorized");
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+
+        agreement.status = RealEstateRental.AgreementStatus.TERMINATED;
+        releaseProperty(properties, agreement);
+        splitDeposit(agreement, tenancies, balances, _feeSchedule, _sender == agreement.landlord ? 0 : agreement.securityDeposit);
+        emit AgreementTerminated(agreement.agreementId, _sender);
+    }
+
+    // L'arbitre répartit librement le dépôt : _landlordAmount au landlord, le reste au tenant.
+    // RealEstateRental vérifie que l'appelant est l'arbitre
+    function resolveDispute(
+        RealEstateRental.Dispute storage dispute,
+        mapping(uint256 => RealEstateRental.RentalAgreement) storage agreements,
+        mapping(uint256 => RealEstateRental.Property) storage properties,
+        mapping(uint256 => RealEstateRental.DeductionClaim) storage claims,
+        mapping(uint256 => RealEstateRental.Tenancy) storage tenancies,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        uint256 _landlordAmount
+    ) public {
+        require(dispute.status == RealEstateRental.DisputeStatus.OPEN, "Dispute not open");
+        RealEstateRental.RentalAgreement storage agreement = agreements[dispute.agreementId];
+        require(_landlordAmount <= agreement.securityDeposit, "Split exceeds deposit");
+
+        dispute.status = RealEstateRental.DisputeStatus.RESOLVED;
+        agreement.status = RealEstateRental.AgreementStatus.COMPLETED;
+        RealEstateRental.DeductionClaim storage claim = claims[dispute.agreementId];
+        if (claim.status == RealEstateRental.DeductionStatus.CHALLENGED) {
+            // Retenues contestées : la propriété a été libérée à la sortie et peut déjà être relouée
+            claim.status = RealEstateRental.DeductionStatus.SETTLED;
+        } else {
+            releaseProperty(properties, agreement);
+        }
+        splitDeposit(agreement, tenancies, balances, _feeSchedule, _landlordAmount);
+        emit DisputeResolved(dispute.disputeId, _landlordAmount, agreement.securityDeposit - _landlordAmount);
+    }
+
+    // Crédite _landlordAmount du dépôt au landlord, moins la commission sur dépôt, et le reste au tenant,
+    // ou aux co-locataires [UPDATED]
+    function splitDeposit(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(uint256 => RealEstateRental.Tenancy) storage tenancies,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        uint256 _landlordAmount
+    ) public {
+        uint256 tenantAmount = agreement.securityDeposit - _landlordAmount;
+        (, , uint256 depositBps) = PlatformFees.rates(_feeSchedule, agreement);
+        uint256 platformFee = PlatformFees.feeOn(_landlordAmount, depositBps);
+        _credit(balances, agreement, _feeSchedule, platformFee);
+        _credit(balances, agreement, agreement.landlord, _landlordAmount - platformFee);
+        RealEstateRental.Tenancy storage tenancy = tenancies[agreement.agreementId];
+        if (tenancy.members.length > 0) {
+            Tenancies.splitDeposit(agreement, tenancy, balances, _landlordAmount);
+            return;
+        }
+        _credit(balances, agreement, agreement.tenant, tenantAmount);
+        if (tenantAmount > 0) { // Conditionnel pour l'event
+            emit SecurityDepositReturned(agreement.agreementId, agreement.tenant, tenantAmount);
+        }
+    }
+
+    // Avec un panel branché, ses arbitres sont tirés dès l'ouverture
+    function _openDispute(
+        RealEstateRental.Dispute storage dispute,
+        uint256 _disputeId,
+        RealEstateRental.RentalAgreement storage agreement,
+        address _sender,
+        string memory _reason,
+        address _panel
+    ) private {
+        dispute.disputeId = _disputeId;
+        dispute.agreementId = agreement.agreementId;
+        dispute.initiator = _sender;
+        dispute.reason = _reason;
+        dispute.status = RealEstateRental.DisputeStatus.OPEN;
+        dispute.createdAt = block.timestamp;
+        agreement.status = RealEstateRental.AgreementStatus.DISPUTED;
+
+        emit DisputeCreated(_disputeId, agreement.agreementId, _sender);
+        if (_panel != address(0)) {
+            IArbitrationPanel(_panel).assignPanel(_disputeId);
+        }
+    }
+
+    // Une location au mois bloque l'annonce à la réservation : on la remet en ligne à la sortie.
+    // Une location à la journée ne la bloque pas (calendrier), et le landlord a pu la retirer entre-temps
+    function releaseProperty(
+        mapping(uint256 => RealEstateRental.Property) storage properties,
+        RealEstateRental.RentalAgreement storage agreement
+    ) internal {
+        if (agreement.unit == RealEstateRental.RentUnit.MONTHLY) {
+            properties[agreement.propertyId].isAvailable = true;
+        }
+    }
+
+    // Même crédit que RealEstateRental._payout, dans le token de l'accord
+    function _credit(
+        mapping(address => mapping(address => uint256)) storage balances,
+        RealEstateRental.RentalAgreement storage agreement,
+        address _to,
+        uint256 _amount
+    ) private {
+        if (_amount == 0) return;
+        balances[_to][agreement.paymentToken] += _amount;
+        emit PayoutCredited(agreement.agreementId, _to, agreement.paymentToken, _amount);
+    }
+}
@@ -0,0 +1,249 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./IArbitrationPanel.sol";
+import "./RealEstateRental.sol";
+
+// Panel d'arbitres pour les litiges de RealEstateRental : chaque litige reçoit N arbitres du
+// registre, les parties déposent des preuves (hashes) puis les arbitres votent la part du dépôt
+// du landlord. La majorité exécute la répartition ; sans majorité à l'échéance, l'owner tranche.
+contract ArbitrationPanel is Ownable, IArbitrationPanel {
+    enum AssignmentMode {
+        ROUND_ROBIN, // Les arbitres se succèdent dans l'ordre du registre
+        RANDOM       // Départ tiré de block.prevrandao : influençable par le proposeur du bloc
+    }
+
+    enum CaseStatus {
+        NONE,     // Aucun panel (litige ouvert avant le branchement du panel)
+        OPEN,     // Preuves puis votes
+        DECIDED,  // Majorité atteinte, répartition exécutée
+        FALLBACK  // Tranché par l'owner après l'échéance des votes
+    }
+
+    struct Case {
+        uint256 disputeId;
+        address[] arbiters;
+        uint256 evidenceDeadline; // Fin du dépôt des preuves, début des votes
+        uint256 votingDeadline;
+        uint256 votesCast;
+        CaseStatus status;
+    }
+
+    struct Evidence {
+        address party;
+        bytes32 evidenceHash; // keccak256 du document, stocké hors chaîne
+        uint256 submittedAt;
+    }
+
+    struct Vote {
+        bool cast;
+        uint256 landlordAmount;
+    }
+
+    RealEstateRental public immutable rental;
+
+    uint256 public panelSize = 3; // Impair pour éviter les égalités
+    uint256 public evidencePeriod = 3 days;
+    uint256 public votingPeriod = 4 days;
+    AssignmentMode public assignmentMode = AssignmentMode.ROUND_ROBIN;
+
+    address[] private arbiters;
+    mapping(address => bool) public isArbiter;
+    mapping(address => uint256) private arbiterIndex;
+    uint256 private nextArbiter; // Curseur du round-robin
+
+    mapping(uint256 => Case) private cases; // Par disputeId
+    mapping(uint256 => Evidence[]) private evidence;
+    mapping(uint256 => mapping(address => Vote)) private votes;
+    mapping(uint256 => mapping(uint256 => uint256)) private tallies; // disputeId => landlordAmount => voix
+    mapping(uint256 => mapping(address => bool)) private assigned;
+    mapping(address => uint256[]) private assignedDisputes;
+
+    event ArbiterAdded(address indexed arbiter);
+    event ArbiterRemoved(address indexed arbiter);
+    event PanelConfigUpdated(uint256 panelSize, uint256 evidencePeriod, uint256 votingPeriod, AssignmentMode mode);
+    event PanelAssigned(uint256 indexed disputeId, address[] arbiters, uint256 evidenceDeadline, uint256 votingDeadline);
+    event EvidenceSubmitted(uint256 indexed disputeId, address indexed party, bytes32 evidenceHash);
+    event VoteCast(uint256 indexed disputeId, address indexed arbiter, uint256 landlordAmount);
+    event CaseDecided(uint256 indexed disputeId, uint256 landlordAmount, uint256 votes);
+    event FallbackResolved(uint256 indexed disputeId, uint256 landlordAmount);
+
+    constructor(RealEstateRental _rental) {
+        rental = _rental;
+    }
+
+    modifier onlyRental() {
+        require(msg.sender == address(rental), "Only the rental contract");
+        _;
+    }
+
+    // Registry Functions
+    function addArbiter(address _arbiter) external onlyOwner {
+        require(_arbiter != address(0), "Invalid arbiter");
+        require(!isArbiter[_arbiter], "Already an arbiter");
+        isArbiter[_arbiter] = true;
+        arbiterIndex[_arbiter] = arbiters.length;
+        arbiters.push(_arbiter);
+        emit ArbiterAdded(_arbiter);
+    }
+
+    // Un arbitre retiré ne vote plus, y compris sur les litiges qui lui étaient déjà assignés
+    function removeArbiter(address _arbiter) external onlyOwner {
+        require(isArbiter[_arbiter], "Not an arbiter");
+        uint256 index = arbiterIndex[_arbiter];
+        address last = arbiters[arbiters.length - 1];
+        arbiters[index] = last;
+        arbiterIndex[last] = index;
+        arbiters.pop();
+        delete arbiterIndex[_arbiter];
+        isArbiter[_arbiter] = false;
+        emit ArbiterRemoved(_arbiter);
+    }
+
+    // S'applique aux litiges futurs ; les panels déjà formés gardent leurs échéances
+    function setPanelConfig(
+        uint256 _panelSize,
+        uint256 _evidencePeriod,
+        uint256 _votingPeriod,
+        AssignmentMode _mode
+    ) external onlyOwner {
+        require(_panelSize % 2 == 1, "Panel size must be odd");
+        require(_evidencePeriod >= 1 days && _evidencePeriod <= 30 days, "Evidence period out of range");
+        require(_votingPeriod >= 1 days && _votingPeriod <= 30 days, "Voting period out of range");
+        panelSize = _panelSize;
+        evidencePeriod = _evidencePeriod;
+        votingPeriod = _votingPeriod;
+        assignmentMode = _mode;
+        emit PanelConfigUpdated(_panelSize, _evidencePeriod, _votingPeriod, _mode);
+    }
+
+    // Assignment : jusqu'à panelSize arbitres du registre, hors parties de l'accord (landlord, tenant et co-tenants)
+    function assignPanel(uint256 _disputeId) external override onlyRental {
+        RealEstateRental.RentalAgreement memory agreement = _agreementOf(_disputeId);
+        RealEstateRental.CoTenant[] memory members = rental.getTenancy(agreement.agreementId).members;
+        Case storage c = cases[_disputeId];
+        c.disputeId = _disputeId;
+        c.evidenceDeadline = block.timestamp + evidencePeriod;
+        c.votingDeadline = c.evidenceDeadline + votingPeriod;
+        c.status = CaseStatus.OPEN;
+
+        uint256 count = arbiters.length;
+        if (count > 0) {
+            uint256 start = assignmentMode == AssignmentMode.RANDOM
+                ? uint256(keccak256(abi.encode(block.prevrandao, _disputeId))) % count
+                : nextArbiter % count;
+            uint256 i;
+            for (; i < count && c.arbiters.length < panelSize; i++) {
+                address arbiter = arbiters[(start + i) % count];
+                if (_isParty(agreement, members, arbiter)) continue;
+                c.arbiters.push(arbiter);
+                assigned[_disputeId][arbiter] = true;
+                assignedDisputes[arbiter].push(_disputeId);
+            }
+            if (assignmentMode == AssignmentMode.ROUND_ROBIN) {
+                nextArbiter = (start + i) % count;
+            }
+        }
+
+        emit PanelAssigned(_disputeId, c.arbiters, c.evidenceDeadline, c.votingDeadline);
+    }
+
+    // Evidence Functions
+    function submitEvidence(uint256 _disputeId, bytes32 _evidenceHash) external {
+        Case storage c = cases[_disputeId];
+        require(c.status == CaseStatus.OPEN, "Case not open");
+        require(block.timestamp <= c.evidenceDeadline, "Evidence period over");
+        require(_evidenceHash != bytes32(0), "Empty evidence hash");
+        RealEstateRental.RentalAgreement memory agreement = _agreementOf(_disputeId);
+        require(
+            _isParty(agreement, rental.getTenancy(agreement.agreementId).members, msg.sender), "Not a party"
+        );
+
+        evidence[_disputeId].push(Evidence({
+            party: msg.sender,
+            evidenceHash: _evidenceHash,
+            submittedAt: block.timestamp
+        }));
+        emit EvidenceSubmitted(_disputeId, msg.sender, _evidenceHash);
+    }
+
+    // Voting Functions
+    // Chaque arbitre vote la part du dépôt revenant au landlord ; une majorité stricte du panel
+    // sur le même montant exécute la répartition
+    function castVote(uint256 _disputeId, uint256 _landlordAmount) external {
+        Case storage c = cases[_disputeId];
+        require(c.status == CaseStatus.OPEN, "Case not open");
+        require(assigned[_disputeId][msg.sender] && isArbiter[msg.sender], "Not an assigned arbiter");
+        require(block.timestamp > c.evidenceDeadline, "Evidence period open");
+        require(block.timestamp <= c.votingDeadline, "Voting closed");
+        require(!votes[_disputeId][msg.sender].cast, "Already voted");
+        require(_landlordAmount <= _agreementOf(_disputeId).securityDeposit, "Split exceeds deposit");
+
+        votes[_disputeId][msg.sender] = Vote({ cast: true, landlordAmount: _landlordAmount });
+        c.votesCast++;
+        uint256 tally = ++tallies[_disputeId][_landlordAmount];
+        emit VoteCast(_disputeId, msg.sender, _landlordAmount);
+
+        if (tally * 2 > c.arbiters.length) {
+            c.status = CaseStatus.DECIDED;
+            emit CaseDecided(_disputeId, _landlordAmount, tally);
+            rental.resolveDispute(_disputeId, _landlordAmount);
+        }
+    }
+
+    // Fallback : panel vide, litige sans panel ou votes clos sans majorité
+    function fallbackResolve(uint256 _disputeId, uint256 _landlordAmount) external onlyOwner {
+        Case storage c = cases[_disputeId];
+        require(c.status == CaseStatus.OPEN || c.status == CaseStatus.NONE, "Case already decided");
+        rental.getDispute(_disputeId); // Revert si le litige n'existe pas
+        require(
+            c.status == CaseStatus.NONE || c.arbiters.length == 0 || block.timestamp > c.votingDeadline,
+            "Voting still open"
+        );
+
+        c.disputeId = _disputeId;
+        c.status = CaseStatus.FALLBACK;
+        emit FallbackResolved(_disputeId, _landlordAmount);
+        rental.resolveDispute(_disputeId, _landlordAmount);
+    }
+
+    function _agreementOf(uint256 _disputeId) internal view returns (RealEstateRental.RentalAgreement memory) {
+        return rental.getRentalAgreement(rental.getDispute(_disputeId).agreementId);
+    }
+
+    // Landlord, tenant ou co-tenant (members est vide sans colocation)
+    function _isParty(
+        RealEstateRental.RentalAgreement memory _agreement,
+        RealEstateRental.CoTenant[] memory _members,
+        address _account
+    ) internal pure returns (bool) {
+        if (_account == _agreement.landlord || _account == _agreement.tenant) return true;
+        for (uint256 i = 0; i < _members.length; i++) {
+            if (_members[i].account == _account) return true;
+        }
+        return false;
+    }
+
+    // View Functions
+    function getArbiters() external view returns (address[] memory) {
+        return arbiters;
+    }
+
+    function getCase(uint256 _disputeId) external view returns (Case memory) {
+        return cases[_disputeId];
+    }
+
+    function getEvidence(uint256 _disputeId) external view returns (Evidence[] memory) {
+        return evidence[_disputeId];
+    }
+
+    function getVote(uint256 _disputeId, address _arbiter) external view returns (Vote memory) {
+        return votes[_disputeId][_arbiter];
+    }
+
+    // Tous les litiges assignés, y compris clos : le client filtre sur le statut du case
+    function getAssignedDisputes(address _arbiter) external view returns (uint256[] memory) {
+        return assignedDisputes[_arbiter];
+    }
+}
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+
+// Calendrier d'une propriété : intervalles [startDate, endDate) des accords qui occupent le bien.
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library BookingCalendar {
+    struct Interval {
+        uint256 agreementId;
+        uint256 startDate;
+        uint256 endDate;
+    }
+
+    // Un accord occupe ses dates jusqu'à sa clôture, sa résiliation ou son annulation
+    function _occupies(RealEstateRental.RentalAgreement storage a) private view returns (bool) {
+        return a.status == RealEstateRental.AgreementStatus.PENDING_RESERVATION
+            || a.status == RealEstateRental.AgreementStatus.ACTIVE
+            || a.status == RealEstateRental.AgreementStatus.DISPUTED;
+    }
+
+    function _overlaps(RealEstateRental.RentalAgreement storage a, uint256 _startDate, uint256 _endDate)
+        private
+        view
+        returns (bool)
+    {
+        return _startDate < a.endDate && a.startDate < _endDate;
+    }
+
+    // Inscrit l'accord au calendrier, déjà enregistré avec ses dates ; revert s'il chevauche une réservation.
+    // Les accords qui n'occupent plus leurs dates sont retirés au passage.
+    function book(
+        uint256[] storage bookings,
+        mapping(uint256 => RealEstateRental.RentalAgreement) storage agreements,
+        uint256 _agreementId
+    ) public {
+        RealEstateRental.RentalAgreement storage booked = agreements[_agreementId];
+        uint256 i = 0;
+        while (i < bookings.length) {
+            RealEstateRental.RentalAgreement storage a = agreements[bookings[i]];
+            if (!_occupies(a)) {
+                bookings[i] = bookings[bookings.length - 1];
+                bookings.pop();
+                continue;
+            }
+            require(!_overlaps(a, booked.startDate, booked.endDate), "Dates overlap an existing booking");
+            i++;
+        }
+        bookings.push(_agreementId);
+    }
+
+    function isFree(
+        uint256[] storage bookings,
+        mapping(uint256 => RealEstateRental.RentalAgreement) storage agreements,
+        uint256 _startDate,
+        uint256 _endDate
+    ) public view returns (bool) {
+        return !hasOverlap(bookings, agreements, _startDate, _endDate);
+    }
+
+    // Version internal de isFree, compilée dans les bibliothèques qui l'appellent (LeaseAmendments)
+    function hasOverlap(
+        uint256[] storage bookings,
+        mapping(uint256 => RealEstateRental.RentalAgreement) storage agreements,
+        uint256 _startDate,
+        uint256 _endDate
+    ) internal view returns (bool) {
+        for (uint256 i = 0; i < bookings.length; i++) {
+            RealEstateRental.RentalAgreement storage a = agreements[bookings[i]];
+            if (_occupies(a) && _overlaps(a, _startDate, _endDate)) return true;
+        }
+        return false;
+    }
+
+    // Intervalles réservés, dans l'ordre d'inscription (non triés)
+    function intervals(
+        uint256[] storage bookings,
+        mapping(uint256 => RealEstateRental.RentalAgreement) storage agreements
+    ) public view returns (Interval[] memory result) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < bookings.length; i++) {
+            if (_occupies(agreements[bookings[i]])) count++;
+        }
+        result = new Interval[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < bookings.length; i++) {
+            RealEstateRental.RentalAgreement storage a = agreements[bookings[i]];
+            if (_occupies(a)) {
+                result[j++] = Interval(a.agreementId, a.startDate, a.endDate);
+            }
+        }
+    }
+}
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Dates du calendrier grégorien (UTC) pour les échéances mensuelles.
+// Conversions jour <-> date d'après l'algorithme de Fliegel & Van Flandern, comme BokkyPooBahsDateTimeLibrary.
+library DateTime {
+    uint256 private constant SECONDS_PER_DAY = 1 days;
+    int256 private constant OFFSET19700101 = 2440588;
+
+    function _daysFromDate(uint256 _year, uint256 _month, uint256 _day) private pure returns (uint256) {
+        int256 y = int256(_year);
+        int256 m = int256(_month);
+        int256 d = int256(_day);
+        int256 days_ = d - 32075 + (1461 * (y + 4800 + (m - 14) / 12)) / 4
+            + (367 * (m - 2 - ((m - 14) / 12) * 12)) / 12
+            - (3 * ((y + 4900 + (m - 14) / 12) / 100)) / 4
+            - OFFSET19700101;
+        return uint256(days_);
+    }
+
+    function _daysToDate(uint256 _days) private pure returns (uint256 year, uint256 month, uint256 day) {
+        int256 l = int256(_days) + 68569 + OFFSET19700101;
+        int256 n = (4 * l) / 146097;
+        l = l - (146097 * n + 3) / 4;
+        int256 y = (4000 * (l + 1)) / 1461001;
+        l = l - (1461 * y) / 4 + 31;
+        int256 m = (80 * l) / 2447;
+        int256 d = l - (2447 * m) / 80;
+        l = m / 11;
+        m = m + 2 - 12 * l;
+        y = 100 * (n - 49) + y + l;
+        return (uint256(y), uint256(m), uint256(d));
+    }
+
+    function daysInMonth(uint256 _year, uint256 _month) internal pure returns (uint256) {
+        if (_month == 2) {
+            bool leap = (_year % 4 == 0 && _year % 100 != 0) || _year % 400 == 0;
+            return leap ? 29 : 28;
+        }
+        return _month == 4 || _month == 6 || _month == 9 || _month == 11 ? 30 : 31;
+    }
+
+    // Même jour du mois _months mois plus tard, ramené au dernier jour d'un mois plus court
+    // (31 janvier + 1 mois = 28 ou 29 février) ; l'heure du jour est conservée
+    function addMonths(uint256 _timestamp, uint256 _months) internal pure returns (uint256) {
+        (uint256 year, uint256 month, uint256 day) = _daysToDate(_timestamp / SECONDS_PER_DAY);
+        month += _months;
+        year += (month - 1) / 12;
+        month = ((month - 1) % 12) + 1;
+        uint256 monthDays = daysInMonth(year, month);
+        if (day > monthDays) day = monthDays;
+        return _daysFromDate(year, month, day) * SECONDS_PER_DAY + (_timestamp % SECONDS_PER_DAY);
+    }
+
+    // Nombre de mois entiers entre _from et _to : le plus grand n tel que addMonths(_from, n) <= _to
+    function monthsBetween(uint256 _from, uint256 _to) internal pure returns (uint256 months) {
+        if (_to <= _from) return 0;
+        (uint256 fromYear, uint256 fromMonth, ) = _daysToDate(_from / SECONDS_PER_DAY);
+        (uint256 toYear, uint256 toMonth, ) = _daysToDate(_to / SECONDS_PER_DAY);
+        months = (toYear * 12 + toMonth) - (fromYear * 12 + fromMonth);
+        if (months > 0 && addMonths(_from, months) > _to) months--;
+    }
+}
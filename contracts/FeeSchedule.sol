@@ -0,0 +1,241 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./RealEstateRental.sol";
+import "./IFeeSchedule.sol";
+import "./Roles.sol";
+
+// Commissions de RealEstateRental, en points de base : sur le loyer, sur les pénalités de retard et sur
+// la part du dépôt versée au landlord. Un taux par défaut, remplaçable par unité de loyer (mois ou jour)
+// puis par propriété ; le taux le plus précis l'emporte. Tout changement de taux attend FEE_CHANGE_DELAY
+// pour que les tenants voient les nouveaux taux (getRates) avant qu'ils s'appliquent.
+// RealEstateRental crédite les commissions au solde de ce contrat ; distribute() les retire et les
+// répartit entre les destinataires de la trésorerie, qui les retirent ici avec withdraw().
+// Le fee manager fixe les taux, le trésorier la trésorerie (rôles de RentalRoles, ou l'owner de
+// RealEstateRental sans RentalRoles branché).
+// Contrat séparé pour garder RealEstateRental sous la limite de 24 Ko.
+contract FeeSchedule is IFeeSchedule, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BPS = 10_000; // 100 %
+    uint256 public constant MAX_FEE_BPS = 1_000; // 10 % par taux
+    uint256 public constant FEE_CHANGE_DELAY = 7 days;
+    uint256 public constant MAX_RECIPIENTS = 10;
+
+    enum FeeScope {
+        DEFAULT,  // Clé 0
+        UNIT,     // Clé = RentUnit
+        PROPERTY  // Clé = propertyId
+    }
+
+    struct FeeRates {
+        uint256 rentBps;
+        uint256 lateFeeBps;
+        uint256 depositBps;
+        bool set; // Faux : pas de taux à ce niveau, le niveau suivant s'applique (toujours vrai pour DEFAULT)
+    }
+
+    // Taux en vigueur et changement programmé, appliqué sans transaction à effectiveAt
+    struct FeeChange {
+        FeeRates current;
+        FeeRates pending;
+        uint256 effectiveAt; // 0 = aucun changement programmé
+    }
+
+    RealEstateRental public immutable rental;
+
+    mapping(FeeScope => mapping(uint256 => FeeChange)) private changes;
+    address[] private recipients; // Le premier reçoit les arrondis
+    uint256[] private shares; // En points de base, somme = BPS
+    // Soldes à retirer par compte puis par token (pull payments)
+    mapping(address => mapping(address => uint256)) private withdrawableBalances;
+
+    event FeeRatesScheduled(
+        FeeScope indexed scope, uint256 indexed key, uint256 rentBps, uint256 lateFeeBps, uint256 depositBps, bool set, uint256 effectiveAt
+    );
+    event FeeChangeCancelled(FeeScope indexed scope, uint256 indexed key);
+    event TreasuryUpdated(address[] recipients, uint256[] shares);
+    event FeesDistributed(address indexed token, uint256 amount);
+    event Withdrawal(address indexed account, address indexed token, uint256 amount);
+
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
+        _;
+    }
+
+    // Taux de loyer par défaut en vigueur dès le déploiement ; _treasury reçoit d'abord toutes les commissions
+    constructor(RealEstateRental _rental, uint256 _rentBps, address _treasury) {
+        require(_rentBps <= MAX_FEE_BPS, "Fee too high");
+        rental = _rental;
+        changes[FeeScope.DEFAULT][0].current = FeeRates(_rentBps, 0, 0, true);
+        address[] memory treasury = new address[](1);
+        uint256[] memory split = new uint256[](1);
+        treasury[0] = _treasury;
+        split[0] = BPS;
+        _setTreasury(treasury, split);
+    }
+
+    // Seul RealEstateRental envoie de l'ETH, quand distribute() retire les commissions
+    receive() external payable {
+        require(msg.sender == address(rental), "Only the rental pays in");
+    }
+
+    // Fee manager Functions
+    // Remplace les taux d'un niveau dans FEE_CHANGE_DELAY ; un changement encore programmé est remplacé
+    function scheduleRates(FeeScope _scope, uint256 _key, uint256 _rentBps, uint256 _lateFeeBps, uint256 _depositBps)
+        external
+        onlyRole(Roles.FEE_MANAGER)
+    {
+        require(_rentBps <= MAX_FEE_BPS && _lateFeeBps <= MAX_FEE_BPS && _depositBps <= MAX_FEE_BPS, "Fee too high");
+        _schedule(_scope, _key, FeeRates(_rentBps, _lateFeeBps, _depositBps, true));
+    }
+
+    // Supprime dans FEE_CHANGE_DELAY les taux d'une unité ou d'une propriété, qui reprend ceux du niveau suivant
+    function scheduleRemoval(FeeScope _scope, uint256 _key) external onlyRole(Roles.FEE_MANAGER) {
+        require(_scope != FeeScope.DEFAULT, "Default rates cannot be removed");
+        _schedule(_scope, _key, FeeRates(0, 0, 0, false));
+    }
+
+    function cancelFeeChange(FeeScope _scope, uint256 _key) external onlyRole(Roles.FEE_MANAGER) {
+        FeeChange storage change = _change(_scope, _key);
+        require(change.effectiveAt != 0, "No fee change scheduled");
+        delete change.pending;
+        change.effectiveAt = 0;
+        emit FeeChangeCancelled(_scope, _key);
+    }
+
+    // Treasurer Functions
+    // Les commissions pas encore distribuées suivront la nouvelle répartition
+    function setTreasury(address[] calldata _recipients, uint256[] calldata _shares) external onlyRole(Roles.TREASURER) {
+        _setTreasury(_recipients, _shares);
+    }
+
+    // N'importe qui répartit les commissions créditées dans un token (address(0) = ETH)
+    function distribute(address _token) external nonReentrant returns (uint256 amount) {
+        amount = rental.getWithdrawableBalance(address(this), _token);
+        require(amount > 0, "No platform fees to distribute");
+        rental.withdraw(_token);
+
+        uint256 rest = amount;
+        for (uint256 i = 1; i < recipients.length; i++) {
+            uint256 part = (amount * shares[i]) / BPS;
+            withdrawableBalances[recipients[i]][_token] += part;
+            rest -= part;
+        }
+        withdrawableBalances[recipients[0]][_token] += rest;
+        emit FeesDistributed(_token, amount);
+    }
+
+    function withdraw(address _token) external nonReentrant {
+        uint256 amount = withdrawableBalances[msg.sender][_token];
+        require(amount > 0, "Nothing to withdraw");
+        withdrawableBalances[msg.sender][_token] = 0;
+        if (_token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(_token).safeTransfer(msg.sender, amount);
+        }
+        emit Withdrawal(msg.sender, _token, amount);
+    }
+
+    // View Functions
+    // Taux appliqués à une propriété : les siens, sinon ceux de son unité, sinon ceux par défaut
+    function ratesFor(uint256 _propertyId, uint8 _unit)
+        external
+        view
+        returns (uint256 rentBps, uint256 lateFeeBps, uint256 depositBps)
+    {
+        FeeRates memory rates = _current(changes[FeeScope.PROPERTY][_propertyId]);
+        if (!rates.set) rates = _current(changes[FeeScope.UNIT][_unit]);
+        if (!rates.set) rates = _current(changes[FeeScope.DEFAULT][0]);
+        return (rates.rentBps, rates.lateFeeBps, rates.depositBps);
+    }
+
+    // Taux en vigueur d'un niveau et changement à venir (effectiveAt = 0 s'il n'y en a pas)
+    function getRates(FeeScope _scope, uint256 _key)
+        external
+        view
+        returns (FeeRates memory current, FeeRates memory pending, uint256 effectiveAt)
+    {
+        FeeChange storage change = changes[_scope][_key];
+        if (change.effectiveAt != 0 && block.timestamp >= change.effectiveAt) {
+            return (change.pending, pending, 0);
+        }
+        return (change.current, change.pending, change.effectiveAt);
+    }
+
+    function getTreasury() external view returns (address[] memory, uint256[] memory) {
+        return (recipients, shares);
+    }
+
+    function getWithdrawableBalance(address _account, address _token) external view returns (uint256) { // address(0) = ETH
+        return withdrawableBalances[_account][_token];
+    }
+
+    // Commissions créditées par RealEstateRental, pas encore distribuées
+    function getUndistributed(address _token) external view returns (uint256) {
+        return rental.getWithdrawableBalance(address(this), _token);
+    }
+
+    // Le changement échu devient le taux en vigueur avant d'en programmer ou d'en annuler un autre
+    function _change(FeeScope _scope, uint256 _key) private returns (FeeChange storage change) {
+        require(
+            _scope == FeeScope.DEFAULT ? _key == 0 : _scope == FeeScope.UNIT ? _key <= uint256(RealEstateRental.RentUnit.DAILY) : _key > 0,
+            "Invalid fee scope key"
+        );
+        change = changes[_scope][_key];
+        if (change.effectiveAt != 0 && block.timestamp >= change.effectiveAt) {
+            change.current = change.pending;
+            delete change.pending;
+            change.effectiveAt = 0;
+        }
+    }
+
+    function _schedule(FeeScope _scope, uint256 _key, FeeRates memory _rates) private {
+        FeeChange storage change = _change(_scope, _key);
+        change.pending = _rates;
+        change.effectiveAt = block.timestamp + FEE_CHANGE_DELAY;
+        emit FeeRatesScheduled(
+            _scope, _key, _rates.rentBps, _rates.lateFeeBps, _rates.depositBps, _rates.set, change.effectiveAt
+        );
+    }
+
+    function _current(FeeChange storage change) private view returns (FeeRates memory) {
+        if (change.effectiveAt != 0 && block.timestamp >= change.effectiveAt) return change.pending;
+        return change.current;
+    }
+
+    function _setTreasury(address[] memory _recipients, uint256[] memory _shares) private {
+        require(
+            _recipients.length > 0 && _recipients.length <= MAX_RECIPIENTS && _recipients.length == _shares.length,
+            "Invalid treasury"
+        );
+        uint256 total;
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            require(_recipients[i] != address(0), "Invalid treasury");
+            for (uint256 j = 0; j < i; j++) {
+                require(_recipients[j] != _recipients[i], "Invalid treasury");
+            }
+            require(_shares[i] > 0, "Invalid shares");
+            total += _shares[i];
+        }
+        require(total == BPS, "Invalid shares");
+        recipients = _recipients;
+        shares = _shares;
+        emit TreasuryUpdated(_recipients, _shares);
+    }
+
+    // Rôles de RentalRoles, lus sur RealEstateRental ; sans registre branché, son owner les tient tous
+    function _checkRole(bytes32 _role) private view {
+        address roles = rental.rentalRoles();
+        if (roles == address(0)) {
+            require(msg.sender == rental.owner(), "Ownable: caller is not the owner");
+        } else {
+            require(RentalRoles(roles).hasRole(_role, msg.sender), "Missing role");
+        }
+    }
+}
@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Appelé par RealEstateRental à l'ouverture de chaque litige quand un panel est branché
+interface IArbitrationPanel {
+    function assignPanel(uint256 _disputeId) external;
+}
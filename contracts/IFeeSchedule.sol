@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Lu par RealEstateRental (via Tenancies et AgreementSettlement) à chaque loyer, pénalité ou dépôt encaissé
+interface IFeeSchedule {
+    function ratesFor(uint256 _propertyId, uint8 _unit)
+        external
+        view
+        returns (uint256 rentBps, uint256 lateFeeBps, uint256 depositBps);
+}
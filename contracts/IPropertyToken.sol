@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Appelé par RealEstateRental (via PropertyRegistry) à chaque mise en location
+interface IPropertyToken {
+    function mint(address _to, uint256 _propertyId) external;
+}
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+import "./BookingCalendar.sol";
+
+// Avenants d'un accord actif : prolongation, renouvellement et révision du loyer, proposés par une partie
+// et acceptés par l'autre. Renvoie les montants à encaisser et à rembourser ; le contrat principal
+// déplace les fonds et émet les events (ceux d'une bibliothèque n'apparaissent pas dans son ABI).
+// _sender est l'appelant vu par RealEstateRental, qui peut être relayé par son forwarder.
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library LeaseAmendments {
+    // Remplace la proposition en attente. Un tenant qui augmente le dépôt en verse le complément
+    // dès la proposition ; celui de la proposition remplacée lui est rendu
+    function propose(
+        RealEstateRental.Amendment storage m,
+        RealEstateRental.RentalAgreement storage a,
+        address _sender,
+        uint256 _endDate,
+        uint256 _rentAmount,
+        uint256 _securityDeposit
+    ) public returns (uint256 collect, uint256 refund) {
+        require(_sender == a.tenant || _sender == a.landlord, "Not authorized");
+        require(a.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        require(_endDate >= a.endDate && _endDate > block.timestamp, "Invalid end date");
+        require(_rentAmount > 0, "Rent must be greater than zero");
+
+        refund = m.escrow;
+        if (_sender == a.tenant && _securityDeposit > a.securityDeposit) {
+            collect = _securityDeposit - a.securityDeposit;
+        }
+        m.endDate = _endDate;
+        m.rentAmount = _rentAmount;
+        m.securityDeposit = _securityDeposit;
+        m.proposedBy = _sender;
+        m.escrow = collect;
+    }
+
+    // L'autre partie accepte : nouveaux termes appliqués aux périodes non payées, dépôt ajusté.
+    // Le complément de dépôt est dû par le tenant qui accepte ; une baisse lui est remboursée
+    function accept(
+        RealEstateRental.Amendment storage m,
+        RealEstateRental.RentalAgreement storage a,
+        RealEstateRental.Tenancy storage tenancy,
+        address _sender,
+        uint256[] storage bookings,
+        mapping(uint256 => RealEstateRental.RentalAgreement) storage agreements
+    ) public returns (uint256 collect, uint256 refund) {
+        require(m.proposedBy != address(0), "No amendment proposed");
+        require(a.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        require(_sender == (m.proposedBy == a.tenant ? a.landlord : a.tenant), "Not the counterparty");
+        require(m.endDate > block.timestamp, "Amendment expired");
+        // Les parts d'une échéance de colocation sont calculées sur le loyer : il ne change pas en cours d'échéance
+        require(m.rentAmount == a.rentAmount || tenancy.round.shares == 0, "Co-tenant rent round open");
+        if (a.unit == RealEstateRental.RentUnit.DAILY && m.endDate > a.endDate) {
+            require(!BookingCalendar.hasOverlap(bookings, agreements, a.endDate, m.endDate), "Dates overlap an existing booking");
+        }
+
+        if (m.securityDeposit > a.securityDeposit) {
+            uint256 topUp = m.securityDeposit - a.securityDeposit;
+            collect = topUp - m.escrow; // 0 quand le tenant l'a versé en proposant
+            a.totalPaid += topUp;
+        } else {
+            refund = a.securityDeposit - m.securityDeposit;
+            a.totalPaid -= refund;
+        }
+        a.endDate = m.endDate;
+        a.rentAmount = m.rentAmount;
+        a.securityDeposit = m.securityDeposit;
+        delete m.proposedBy;
+        delete m.escrow;
+    }
+
+    // Retrait par l'auteur ou refus par l'autre partie, y compris après la fin de l'accord
+    // pour que le complément versé ne reste pas bloqué
+    function reject(RealEstateRental.Amendment storage m, RealEstateRental.RentalAgreement storage a, address _sender)
+        public
+        returns (uint256 refund)
+    {
+        require(m.proposedBy != address(0), "No amendment proposed");
+        require(_sender == a.tenant || _sender == a.landlord, "Not authorized");
+        refund = m.escrow;
+        delete m.proposedBy;
+        delete m.escrow;
+    }
+}
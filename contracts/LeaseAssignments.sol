@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+
+// Cession de bail : le tenant d'un accord actif propose un repreneur, le landlord l'approuve.
+// Le repreneur reprend l'accord tel quel : loyers restants, arriérés, pénalités et position sur le
+// dépôt, qui lui sera rendu. Le règlement entre l'ancien tenant et le repreneur se fait hors contrat.
+// Exécutée dans le contexte de RealEstateRental (voir AgreementSettlement pour les events redéclarés).
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library LeaseAssignments {
+    event LeaseAssignmentProposed(uint256 indexed agreementId, address indexed tenant, address indexed newTenant);
+    event LeaseAssignmentCancelled(uint256 indexed agreementId, address cancelledBy);
+    event LeaseAssigned(uint256 indexed agreementId, address indexed previousTenant, address indexed tenant);
+    event PayoutCredited(uint256 indexed agreementId, address indexed account, address indexed token, uint256 amount);
+
+    // Remplace la proposition en attente
+    function propose(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(uint256 => address) storage pending,
+        address _sender,
+        address _newTenant
+    ) public {
+        require(_sender == agreement.tenant, "Not the tenant");
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        require(
+            _newTenant != address(0) && _newTenant != agreement.tenant && _newTenant != agreement.landlord,
+            "Invalid new tenant"
+        );
+        pending[agreement.agreementId] = _newTenant;
+        emit LeaseAssignmentProposed(agreement.agreementId, _sender, _newTenant);
+    }
+
+    // _newTenant confirme le repreneur approuvé, au cas où le tenant aurait changé sa proposition entre-temps.
+    // Un avenant proposé par l'ancien tenant tombe et son complément de dépôt lui est rendu ; un avenant
+    // proposé par le landlord attend la réponse du repreneur
+    function approve(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(uint256 => address) storage pending,
+        RealEstateRental.Amendment storage amendment,
+        mapping(address => uint256[]) storage tenantAgreements,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _sender,
+        address _newTenant
+    ) public {
+        uint256 agreementId = agreement.agreementId;
+        require(_sender == agreement.landlord, "Not the landlord");
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        require(pending[agreementId] != address(0), "No assignment proposed");
+        require(pending[agreementId] == _newTenant, "Assignment proposal changed");
+        delete pending[agreementId];
+
+        address previousTenant = agreement.tenant;
+        if (amendment.proposedBy == previousTenant) {
+            if (amendment.escrow > 0) {
+                balances[previousTenant][agreement.paymentToken] += amendment.escrow;
+                emit PayoutCredited(agreementId, previousTenant, agreement.paymentToken, amendment.escrow);
+            }
+            delete amendment.proposedBy;
+            delete amendment.escrow;
+        }
+        agreement.tenant = payable(_newTenant);
+
+        uint256[] storage previousIds = tenantAgreements[previousTenant];
+        for (uint256 i = 0; i < previousIds.length; i++) {
+            if (previousIds[i] == agreementId) {
+                previousIds[i] = previousIds[previousIds.length - 1];
+                previousIds.pop();
+                break;
+            }
+        }
+        tenantAgreements[_newTenant].push(agreementId);
+        emit LeaseAssigned(agreementId, previousTenant, _newTenant);
+    }
+
+    // Retrait par le tenant ou refus par le landlord
+    function cancel(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(uint256 => address) storage pending,
+        address _sender
+    ) public {
+        require(_sender == agreement.tenant || _sender == agreement.landlord, "Not authorized");
+        require(pending[agreement.agreementId] != address(0), "No assignment proposed");
+        delete pending[agreement.agreementId];
+        emit LeaseAssignmentCancelled(agreement.agreementId, _sender);
+    }
+}
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./RealEstateRental.sol";
+
+// Sous-location d'un accord actif de RealEstateRental : le tenant principal propose à un sous-locataire
+// un loyer par période (dans l'unité et le token de l'accord) pour un nombre de périodes ; le
+// sous-locataire accepte puis paie ici, et chaque paiement est crédité au tenant principal, qui le
+// retire avec withdraw(). Le tenant principal reste seul tenu envers le landlord.
+// Contrat séparé pour garder RealEstateRental sous la limite de 24 Ko ; il ne modifie pas l'accord.
+contract LeaseSublets is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    enum SubletStatus {
+        OFFERED, // En attente du sous-locataire
+        ACTIVE,
+        ENDED    // Refusée, retirée ou terminée par l'une des parties
+    }
+
+    struct Sublet {
+        uint256 subletId;
+        uint256 agreementId;
+        address tenant;        // Tenant principal à la proposition, qui encaisse
+        address subtenant;
+        uint256 rentAmount;    // Par période de l'accord (mois ou jour)
+        address paymentToken;  // Celui de l'accord, address(0) = ETH
+        uint256 periods;       // Périodes sous-louées
+        uint256 paidPeriods;
+        SubletStatus status;
+    }
+
+    RealEstateRental public immutable rental;
+
+    uint256 public subletCounter;
+    mapping(uint256 => Sublet) private sublets;
+    mapping(uint256 => uint256[]) private agreementSublets;
+    // Soldes à retirer par compte puis par token (pull payments)
+    mapping(address => mapping(address => uint256)) private withdrawableBalances;
+
+    event SubletOffered(uint256 indexed subletId, uint256 indexed agreementId, address subtenant, uint256 rentAmount, uint256 periods);
+    event SubletAccepted(uint256 indexed subletId);
+    event SubletRentPaid(uint256 indexed subletId, uint256 indexed agreementId, uint256 periods, uint256 amount);
+    event SubletEnded(uint256 indexed subletId, address endedBy);
+    event Withdrawal(address indexed account, address indexed token, uint256 amount);
+
+    constructor(RealEstateRental _rental) {
+        rental = _rental;
+    }
+
+    function offerSublet(uint256 _agreementId, address _subtenant, uint256 _rentAmount, uint256 _periods)
+        external
+        returns (uint256)
+    {
+        RealEstateRental.RentalAgreement memory agreement = rental.getRentalAgreement(_agreementId);
+        require(agreement.tenant == msg.sender, "Not the tenant");
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        require(
+            _subtenant != address(0) && _subtenant != msg.sender && _subtenant != agreement.landlord,
+            "Invalid subtenant"
+        );
+        require(_rentAmount > 0, "Rent must be greater than 0");
+        require(_periods > 0, "Periods must be greater than 0");
+
+        subletCounter++;
+        sublets[subletCounter] = Sublet({
+            subletId: subletCounter,
+            agreementId: _agreementId,
+            tenant: msg.sender,
+            subtenant: _subtenant,
+            rentAmount: _rentAmount,
+            paymentToken: agreement.paymentToken,
+            periods: _periods,
+            paidPeriods: 0,
+            status: SubletStatus.OFFERED
+        });
+        agreementSublets[_agreementId].push(subletCounter);
+        emit SubletOffered(subletCounter, _agreementId, _subtenant, _rentAmount, _periods);
+        return subletCounter;
+    }
+
+    function acceptSublet(uint256 _subletId) external {
+        Sublet storage sublet = _sublet(_subletId);
+        require(sublet.subtenant == msg.sender, "Not the subtenant");
+        require(sublet.status == SubletStatus.OFFERED, "Sublet not offered");
+        _checkLease(sublet);
+        sublet.status = SubletStatus.ACTIVE;
+        emit SubletAccepted(_subletId);
+    }
+
+    // Paie _periods périodes au tenant principal, tant qu'il tient toujours l'accord actif
+    function paySubletRent(uint256 _subletId, uint256 _periods) external payable nonReentrant {
+        Sublet storage sublet = _sublet(_subletId);
+        require(sublet.subtenant == msg.sender, "Not the subtenant");
+        require(sublet.status == SubletStatus.ACTIVE, "Sublet not active");
+        require(_periods > 0, "Periods must be greater than 0");
+        require(sublet.paidPeriods + _periods <= sublet.periods, "Overpayment: Sublet fully paid");
+        _checkLease(sublet);
+        // La pause d'urgence de RealEstateRental bloque aussi les loyers de sous-location
+        address roles = rental.rentalRoles();
+        require(roles == address(0) || !RentalRoles(roles).paused(), "Pausable: paused");
+
+        uint256 amount = sublet.rentAmount * _periods;
+        if (sublet.paymentToken == address(0)) {
+            require(msg.value == amount, "Incorrect sublet rent amount");
+        } else {
+            require(msg.value == 0, "ETH sent for a token payment");
+            IERC20(sublet.paymentToken).safeTransferFrom(msg.sender, address(this), amount);
+        }
+        sublet.paidPeriods += _periods;
+        withdrawableBalances[sublet.tenant][sublet.paymentToken] += amount;
+        emit SubletRentPaid(_subletId, sublet.agreementId, _periods, amount);
+    }
+
+    // Retrait de l'offre, refus ou fin anticipée par l'une des parties ; les périodes payées restent acquises
+    function endSublet(uint256 _subletId) external {
+        Sublet storage sublet = _sublet(_subletId);
+        require(msg.sender == sublet.tenant || msg.sender == sublet.subtenant, "Not authorized");
+        require(sublet.status != SubletStatus.ENDED, "Sublet already ended");
+        sublet.status = SubletStatus.ENDED;
+        emit SubletEnded(_subletId, msg.sender);
+    }
+
+    function withdraw(address _token) external nonReentrant {
+        uint256 amount = withdrawableBalances[msg.sender][_token];
+        require(amount > 0, "Nothing to withdraw");
+        withdrawableBalances[msg.sender][_token] = 0;
+        if (_token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(_token).safeTransfer(msg.sender, amount);
+        }
+        emit Withdrawal(msg.sender, _token, amount);
+    }
+
+    // View Functions
+    function getSublet(uint256 _subletId) external view returns (Sublet memory) {
+        return _sublet(_subletId);
+    }
+
+    function getAgreementSublets(uint256 _agreementId) external view returns (uint256[] memory) {
+        return agreementSublets[_agreementId];
+    }
+
+    function getWithdrawableBalance(address _account, address _token) external view returns (uint256) {
+        return withdrawableBalances[_account][_token];
+    }
+
+    function _sublet(uint256 _subletId) internal view returns (Sublet storage sublet) {
+        sublet = sublets[_subletId];
+        require(sublet.subletId != 0, "Sublet does not exist");
+    }
+
+    // Une sous-location ne vaut que tant que son tenant principal tient l'accord actif
+    // (une cession de bail ou la fin de l'accord l'arrête)
+    function _checkLease(Sublet storage sublet) internal view {
+        RealEstateRental.RentalAgreement memory agreement = rental.getRentalAgreement(sublet.agreementId);
+        require(
+            agreement.status == RealEstateRental.AgreementStatus.ACTIVE && agreement.tenant == sublet.tenant,
+            "Primary lease not held"
+        );
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+import "./IFeeSchedule.sol";
+
+// Commissions de la plateforme, en points de base, partagées par Tenancies et AgreementSettlement.
+// Les taux viennent du FeeSchedule branché sur RealEstateRental ; sans FeeSchedule, aucune commission.
+// Bibliothèque interne : recopiée dans chaque bibliothèque qui l'utilise, sans coût pour RealEstateRental
+library PlatformFees {
+    uint256 internal constant BPS = 10_000;
+    uint256 internal constant MAX_FEE_BPS = 1_000; // Comme FeeSchedule.MAX_FEE_BPS
+
+    function rates(address _feeSchedule, RealEstateRental.RentalAgreement storage agreement)
+        internal
+        view
+        returns (uint256 rentBps, uint256 lateFeeBps, uint256 depositBps)
+    {
+        if (_feeSchedule == address(0)) return (0, 0, 0);
+        (rentBps, lateFeeBps, depositBps) = IFeeSchedule(_feeSchedule).ratesFor(agreement.propertyId, uint8(agreement.unit));
+        // Le owner peut brancher un autre FeeSchedule sans délai : ses taux restent plafonnés
+        // (au-delà de BPS, payRent et le règlement du dépôt reverteraient)
+        return (_cap(rentBps), _cap(lateFeeBps), _cap(depositBps));
+    }
+
+    function _cap(uint256 _bps) private pure returns (uint256) {
+        return _bps > MAX_FEE_BPS ? MAX_FEE_BPS : _bps;
+    }
+
+    // Arrondi à l'inférieur, comme le devis du SDK
+    function feeOn(uint256 _amount, uint256 _bps) internal pure returns (uint256) {
+        return (_amount * _bps) / BPS;
+    }
+}
@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+import "./IPropertyToken.sol";
+
+// Fiches des propriétés : création, mise à jour et changement de détenteur, avec leurs chaînes en storage,
+// et l'accord créé à la réservation aux conditions de l'annonce.
+// RealEstateRental garde le compteur et les events ; l'index par landlord suit le token ERC-721.
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library PropertyRegistry {
+    function list(
+        RealEstateRental.Property storage property,
+        uint256 _propertyId,
+        address _owner,
+        string memory _propertyAddress,
+        string memory _description,
+        uint256 _rentBaseAmount,
+        uint256 _securityDeposit,
+        RealEstateRental.RentUnit _unit,
+        address _paymentToken,
+        address _propertyToken,
+        uint256[] storage _ownerProperties
+    ) public {
+        require(_rentBaseAmount > 0, "Rent must be greater than 0");
+        require(_propertyToken != address(0), "Property token not set");
+        // Pas d'exigence sur _securityDeposit : un dépôt de 0 est permis
+        property.id = _propertyId;
+        property.owner = payable(_owner);
+        property.propertyAddress = _propertyAddress;
+        property.description = _description;
+        property.rentBaseAmount = _rentBaseAmount;
+        property.unit = _unit;
+        property.paymentToken = _paymentToken;
+        property.securityDeposit = _securityDeposit;
+        property.isAvailable = true;
+        property.isActive = true;
+        _ownerProperties.push(_propertyId);
+        IPropertyToken(_propertyToken).mint(_owner, _propertyId);
+    }
+
+    // Le token de paiement ne change pas : les accords et dépôts en cours y sont libellés
+    function update(
+        RealEstateRental.Property storage property,
+        string memory _propertyAddress,
+        string memory _description,
+        uint256 _rentBaseAmount,
+        uint256 _securityDeposit,
+        bool _isAvailable,
+        RealEstateRental.RentUnit _unit
+    ) public {
+        require(property.isActive, "Property is not active");
+        property.propertyAddress = _propertyAddress;
+        property.description = _description;
+        property.rentBaseAmount = _rentBaseAmount;
+        property.securityDeposit = _securityDeposit;
+        property.isAvailable = _isAvailable;
+        property.unit = _unit;
+    }
+
+    // Le nouveau détenteur reprend l'annonce et, dans les accords en cours (réservés, actifs ou en
+    // litige), les loyers à venir, les retenues et la restitution du dépôt. Ce qui a déjà été crédité
+    // à l'ancien détenteur lui reste, et ses propositions d'avenant en attente tombent.
+    function transfer(
+        RealEstateRental.Property storage property,
+        uint256[] storage _bookings,
+        mapping(uint256 => RealEstateRental.RentalAgreement) storage agreements,
+        mapping(uint256 => RealEstateRental.Amendment) storage amendments,
+        mapping(uint256 => RealEstateRental.Tenancy) storage tenancies,
+        uint256[] storage _fromProperties,
+        uint256[] storage _toProperties,
+        address _from,
+        address _to
+    ) public {
+        property.owner = payable(_to);
+        for (uint256 i = 0; i < _bookings.length; i++) {
+            RealEstateRental.RentalAgreement storage agreement = agreements[_bookings[i]];
+            if (agreement.status != RealEstateRental.AgreementStatus.PENDING_RESERVATION
+                && agreement.status != RealEstateRental.AgreementStatus.ACTIVE
+                && agreement.status != RealEstateRental.AgreementStatus.DISPUTED) {
+                continue;
+            }
+            require(agreement.tenant != _to, "New owner is a tenant of the property");
+            // Les co-tenants aussi, invités ou déjà entrés : le landlord ne peut pas être sa propre partie
+            RealEstateRental.CoTenant[] storage members = tenancies[agreement.agreementId].members;
+            for (uint256 j = 1; j < members.length; j++) {
+                require(members[j].account != _to, "New owner is a tenant of the property");
+            }
+            agreement.landlord = payable(_to);
+            if (amendments[agreement.agreementId].proposedBy == _from) {
+                delete amendments[agreement.agreementId]; // Proposée par le landlord : aucun séquestre
+            }
+        }
+        for (uint256 i = 0; i < _fromProperties.length; i++) {
+            if (_fromProperties[i] == property.id) {
+                _fromProperties[i] = _fromProperties[_fromProperties.length - 1];
+                _fromProperties.pop();
+                break;
+            }
+        }
+        _toProperties.push(property.id);
+    }
+
+    // Accord en séquestre (PENDING_RESERVATION) aux conditions de l'annonce ; renvoie le paiement initial
+    // (premier loyer + dépôt) que RealEstateRental encaisse ensuite
+    function reserve(
+        RealEstateRental.Property storage property,
+        RealEstateRental.RentalAgreement storage agreement,
+        uint256 _agreementId,
+        address _tenant,
+        uint256 _startDate,
+        uint256 _endDate,
+        uint256 _handoverDeadline,
+        uint256 _paidThroughDate
+    ) public returns (uint256 initialPayment) {
+        require(property.isAvailable, "Property not available");
+        require(property.isActive, "Property not active");
+        require(_tenant != property.owner, "Owner cannot rent own property");
+
+        // Le premier paiement est toujours une période de loyer (un mois ou un jour), plus le dépôt
+        initialPayment = property.rentBaseAmount + property.securityDeposit;
+        agreement.agreementId = _agreementId;
+        agreement.propertyId = property.id;
+        agreement.tenant = payable(_tenant);
+        agreement.landlord = property.owner;
+        agreement.rentAmount = property.rentBaseAmount; // Montant de base (par mois ou par jour)
+        agreement.unit = property.unit;
+        agreement.paymentToken = property.paymentToken;
+        agreement.securityDeposit = property.securityDeposit;
+        agreement.startDate = _startDate; // Date de début de l'Escrow
+        agreement.endDate = _endDate;
+        agreement.handoverDeadline = _handoverDeadline;
+        agreement.paidThroughDate = _paidThroughDate;
+        agreement.status = RealEstateRental.AgreementStatus.PENDING_RESERVATION; // Statut de séquestre
+        agreement.totalPaid = initialPayment; // Le montant total payé au contrat (pour le moment)
+    }
+
+    // Propriétés actives et disponibles, par id croissant
+    function available(mapping(uint256 => RealEstateRental.Property) storage properties, uint256 _propertyCounter)
+        public
+        view
+        returns (uint256[] memory)
+    {
+        uint256 availableCount = 0;
+        for (uint256 i = 1; i <= _propertyCounter; i++) {
+            if (properties[i].isAvailable && properties[i].isActive) {
+                availableCount++;
+            }
+        }
+
+        uint256[] memory availableProperties = new uint256[](availableCount);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= _propertyCounter; i++) {
+            if (properties[i].isAvailable && properties[i].isActive) {
+                availableProperties[index] = i;
+                index++;
+            }
+        }
+        return availableProperties;
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "./IPropertyToken.sol";
+import "./RealEstateRental.sol";
+
+// Titre ERC-721 de chaque propriété de RealEstateRental, tokenId = propertyId.
+// Frappé par listProperty ; chaque transfert est signalé à RealEstateRental (onPropertyTransfer),
+// qui donne au nouveau détenteur l'annonce et les accords en cours de la propriété.
+contract PropertyToken is ERC721, IPropertyToken {
+    RealEstateRental public immutable rental;
+
+    constructor(RealEstateRental _rental) ERC721("RealEstateRental Property", "RERP") {
+        rental = _rental;
+    }
+
+    function mint(address _to, uint256 _propertyId) external {
+        require(msg.sender == address(rental), "Only the rental contract");
+        _mint(_to, _propertyId);
+    }
+
+    // Pas de burn : une propriété retirée (delistProperty) garde son détenteur
+    function _afterTokenTransfer(address _from, address _to, uint256 _firstTokenId, uint256 _batchSize)
+        internal
+        override
+    {
+        super._afterTokenTransfer(_from, _to, _firstTokenId, _batchSize);
+        if (_from != address(0)) {
+            rental.onPropertyTransfer(_firstTokenId, _from, _to);
+        }
+    }
+}
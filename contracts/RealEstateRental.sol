@@ -4,8 +4,22 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./IArbitrationPanel.sol";
+import "./RentSchedule.sol";
+import "./BookingCalendar.sol";
+import "./LeaseAmendments.sol";
+import "./PropertyRegistry.sol";
+import "./RentalApplications.sol";
+import "./AgreementSettlement.sol";
+import "./LeaseAssignments.sol";
+import "./Tenancies.sol";
+import "./Roles.sol";
+import "./RentalRoles.sol";
 
 contract RealEstateRental is ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
     
     // Enums
     enum RentUnit {
@@ -18,7 +32,23 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         ACTIVE,
         COMPLETED,
         TERMINATED,
-        DISPUTED
+        DISPUTED,
+        CANCELLED // Réservation annulée, refusée ou expirée avant la remise des clés [NEW]
+    }
+    
+    enum ApplicationStatus { // [NEW]
+        PENDING,   // En attente de la décision du landlord
+        ACCEPTED,  // Le candidat peut financer la réservation avant reserveDeadline
+        DECLINED,
+        WITHDRAWN, // Retirée par le candidat
+        FUNDED     // Réservation financée
+    }
+    
+    enum DeductionStatus { // [NEW]
+        NONE,
+        CLAIMED,    // Retenues réclamées, le tenant peut accepter ou contester jusqu'à challengeDeadline
+        CHALLENGED, // Contestées : un litige tranche la répartition du dépôt
+        SETTLED
     }
     
     enum DisputeStatus {
@@ -35,9 +65,11 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         string description;
         uint256 rentBaseAmount; // Montant de base du loyer (par mois ou par jour) [NEW]
         RentUnit unit;          // Unité de loyer (MONTHLY ou DAILY)
+        address paymentToken;   // Token ERC-20 du loyer et du dépôt, address(0) = ETH [NEW]
         uint256 securityDeposit;
         bool isAvailable;
         bool isActive;
+        bytes32 metadataHash;   // keccak256 du document JSON de la fiche (schemas/property-metadata.schema.json) [NEW]
     }
     
     struct RentalAgreement {
@@ -47,14 +79,104 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         address payable landlord;
         uint256 rentAmount;      // Montant de base stocké (par mois ou par jour)
         RentUnit unit;           // Unité de loyer de l'accord [NEW]
+        address paymentToken;    // Copié depuis la propriété, address(0) = ETH
         uint256 securityDeposit;
         uint256 startDate;
         uint256 endDate;
-        uint256 lastPaymentDate;
+        uint256 handoverDeadline; // Au-delà, une réservation non activée peut expirer [NEW]
+        uint256 paidThroughDate;  // Fin de la dernière période payée : prochaine échéance [UPDATED]
         AgreementStatus status;
         uint256 totalPaid;
     }
     
+    // Candidature d'un tenant, examinée par le landlord avant tout séquestre [NEW]
+    struct Application {
+        uint256 applicationId;
+        uint256 propertyId;
+        address applicant;
+        uint256 durationInMonths;
+        uint256 additionalDays;
+        bytes32 messageHash;      // Hash d'un message hors chaîne (dossier, présentation), optionnel
+        ApplicationStatus status;
+        uint256 createdAt;
+        uint256 reserveDeadline;  // Fixé à l'acceptation
+    }
+    
+    // Retenues sur le dépôt réclamées par le landlord à la sortie [NEW]
+    struct DeductionClaim {
+        uint256 amount;            // Part du dépôt réclamée par le landlord
+        bytes32 itemsHash;         // Hash de la liste détaillée (dégâts, ménage...) stockée hors chaîne
+        uint256 challengeDeadline;
+        DeductionStatus status;
+    }
+    
+    // Pénalités de retard fixées par le landlord, figées dans chaque accord à la réservation [NEW]
+    struct LateFeePolicy {
+        uint256 gracePeriod;        // Délai après l'échéance avant qu'une période soit en retard
+        uint256 lateFeeFlat;        // Pénalité fixe par période payée en retard
+        uint256 lateFeePercentage;  // Pénalité en % du loyer, cumulée avec la part fixe
+        uint256 maxMissedPeriods;   // Au-delà, le landlord peut résilier ; 0 = jamais
+    }
+    
+    // Situation de paiement d'un accord, calculée par RentSchedule [NEW]
+    struct PaymentStatus {
+        uint256 nextDueDate;        // 0 quand toute la durée est payée
+        uint256 amountDue;          // Montant exact du prochain payRent (loyer + pénalité)
+        uint256 lateFee;
+        uint256 daysOverdue;
+        uint256 missedPeriods;      // Échéances dépassées de plus que le délai de grâce
+        uint256 arrears;            // Loyers et pénalités des périodes manquées
+        bool arrearsTerminable;
+    }
+    
+    // Remise du landlord sur les périodes payées d'avance, figée dans chaque accord à la réservation [NEW]
+    struct PrepaymentDiscount {
+        uint256 minPeriods;         // Nombre minimal de périodes dans un même payRent
+        uint256 percentage;         // Remise en % du loyer des périodes pas encore échues ; 0 = aucune
+    }
+    
+    // Détail d'un payRent, calculé par RentSchedule [NEW]
+    struct RentQuote {
+        uint256 rent;               // Loyer brut des périodes payées
+        uint256 lateFee;            // Pénalités des périodes en retard
+        uint256 discount;           // Remise de prépaiement, déduite du loyer
+        uint256 paidThroughDate;    // Nouvelle date payée après ce paiement
+    }
+    
+    // Avenant proposé sur un accord actif, en attente de l'autre partie (voir LeaseAmendments) [NEW]
+    struct Amendment {
+        uint256 endDate;            // Nouvelle fin, au plus tôt la fin actuelle
+        uint256 rentAmount;         // Nouveau loyer des périodes non payées
+        uint256 securityDeposit;    // Nouveau dépôt : complément versé ou excédent remboursé au tenant
+        address proposedBy;         // address(0) = aucune proposition en attente
+        uint256 escrow;             // Complément de dépôt déjà versé par le tenant qui a proposé
+    }
+    
+    // Membre d'une colocation ; le tenant de l'accord est le premier (voir Tenancies) [NEW]
+    struct CoTenant {
+        address account;
+        uint256 rentShare;          // Part du loyer en points de base (10 000 = 100 %)
+        uint256 depositShare;       // Part du dépôt en points de base
+        bool joined;                // Part du premier loyer et du dépôt versée
+        bool sharePaid;             // Part de l'échéance en cours versée
+        uint256 roundPaid;          // Montant de cette part, rendu si l'accord se termine avant la dernière part
+        uint256 deduction;          // Retenue attribuée sur sa part du dépôt
+    }
+    
+    // Échéance en cours de paiement par les co-locataires : payée à l'arrivée de la dernière part [NEW]
+    struct RentRound {
+        uint256 units;              // Périodes payées par chaque part ; 0 = aucune part reçue
+        uint256 shares;             // Parts reçues
+        uint256 rent;               // Loyers reçus, remise déduite
+        uint256 lateFee;
+        uint256 discount;
+    }
+    
+    struct Tenancy { // [NEW]
+        CoTenant[] members;         // Vide = un seul tenant
+        RentRound round;
+    }
+    
     struct Dispute {
         uint256 disputeId;
         uint256 agreementId;
@@ -68,77 +190,177 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
     uint256 public propertyCounter;
     uint256 public agreementCounter;
     uint256 public disputeCounter;
-    uint256 public platformFeePercentage = 2;
-    // 2% platform fee
-    uint256 public accumulatedPlatformFees;
+    uint256 public applicationCounter; // [NEW]
+    uint256 public constant APPLICATION_RESERVE_WINDOW = RentalApplications.RESERVE_WINDOW; // Délai pour financer une candidature acceptée [UPDATED]
+    uint256 public constant MOVE_OUT_CLAIM_WINDOW = AgreementSettlement.MOVE_OUT_CLAIM_WINDOW; // Après endDate, seul le landlord peut clôturer [UPDATED]
+    uint256 public constant DEDUCTION_CHALLENGE_WINDOW = AgreementSettlement.DEDUCTION_CHALLENGE_WINDOW; // Délai du tenant pour contester les retenues [UPDATED]
+    uint256 public handoverWindow = 7 days; // Délai de remise des clés après la réservation [NEW]
+    address public arbitrationPanel; // Panel d'arbitres ; address(0) = le rôle arbitre tranche seul [UPDATED]
+    address public trustedForwarder; // Relaye les appels signés hors chaîne (EIP-712), voir RentalForwarder [NEW]
+    address public propertyToken; // Titres ERC-721 des propriétés (PropertyToken), fixé une seule fois [NEW]
+    address public rentalRoles; // Rôles d'administration (RentalRoles) ; address(0) = l'owner les tient tous [NEW]
+    // Taux des commissions et trésorerie (FeeSchedule), crédité des commissions comme un compte ;
+    // address(0) = aucune commission [NEW]
+    address public feeSchedule;
+    mapping(address => bool) public allowedPaymentTokens; // Stablecoins acceptés pour les loyers
+    // Soldes à retirer par compte puis par token (pull payments) [NEW]
+    mapping(address => mapping(address => uint256)) private withdrawableBalances;
 
     
-    mapping(uint256 => Property) public properties;
-    mapping(uint256 => RentalAgreement) public rentalAgreements;
-    mapping(uint256 => Dispute) public disputes;
-    mapping(address => uint256[]) public landlordProperties;
-    mapping(address => uint256[]) public tenantAgreements;
+    // Lus via getProperty, getRentalAgreement, getDispute... (pas de getters publics en double)
+    mapping(uint256 => Property) internal properties;
+    mapping(uint256 => RentalAgreement) internal rentalAgreements;
+    mapping(uint256 => Dispute) internal disputes;
+    mapping(address => uint256[]) internal landlordProperties; // Suit les transferts du token de chaque propriété [UPDATED]
+    mapping(address => uint256[]) internal tenantAgreements;
+    mapping(uint256 => DeductionClaim) internal deductionClaims; // Par accord [NEW]
+    mapping(uint256 => Application) private applications; // [NEW]
+    mapping(uint256 => uint256[]) private propertyApplications;
+    mapping(address => uint256[]) private tenantApplications;
+    mapping(uint256 => bool) public applicationRequired; // Par propriété : réservation sur candidature acceptée uniquement
+    mapping(uint256 => LateFeePolicy) internal lateFeePolicies; // Par propriété [NEW]
+    mapping(uint256 => LateFeePolicy) internal agreementLateFees; // Par accord, copiée à la réservation [NEW]
+    mapping(uint256 => PrepaymentDiscount) internal prepaymentDiscounts; // Par propriété [NEW]
+    mapping(uint256 => PrepaymentDiscount) internal agreementDiscounts; // Par accord, copiée à la réservation [NEW]
+    mapping(uint256 => uint256[]) internal propertyBookings; // Par propriété : accords qui occupent des dates [NEW]
+    mapping(uint256 => Amendment) internal amendments; // Par accord : avenant en attente [NEW]
+    mapping(uint256 => address) public pendingAssignments; // Par accord : repreneur proposé par le tenant, address(0) = aucun [NEW]
+    mapping(uint256 => Tenancy) internal tenancies; // Par accord : co-locataires et échéance partagée en cours [NEW]
     
     // Events : an event is a special way for your smart contract to communicate with the outside world
     //When you “emit” an event, it’s like writing a log entry to the blockchain.
-    event PropertyListed(uint256 indexed propertyId, address indexed owner, uint256 rentBaseAmount, RentUnit unit); // Mise à jour de l'event [UPDATED]
+    event PropertyListed(uint256 indexed propertyId, address indexed owner, uint256 rentBaseAmount, RentUnit unit, address paymentToken); // Mise à jour de l'event [UPDATED]
     event PropertyDelisted(uint256 indexed propertyId);
+    event PropertyMetadataUpdated(uint256 indexed propertyId, bytes32 metadataHash); // [NEW]
     event AgreementCreated(uint256 indexed agreementId, uint256 indexed propertyId, address tenant, address landlord);
     event AgreementActivated(uint256 indexed agreementId); // Nouveau event [NEW]
     event RentPaid(uint256 indexed agreementId, uint256 amount, uint256 timestamp);
     event AgreementCompleted(uint256 indexed agreementId);
     event AgreementTerminated(uint256 indexed agreementId, address terminatedBy);
+    event ApplicationRequiredUpdated(uint256 indexed propertyId, bool required); // [NEW]
+    event ApplicationSubmitted(uint256 indexed applicationId, uint256 indexed propertyId, address applicant, bytes32 messageHash); // [NEW]
+    event ApplicationAccepted(uint256 indexed applicationId, uint256 reserveDeadline); // [NEW]
+    event ApplicationDeclined(uint256 indexed applicationId); // [NEW]
+    event ApplicationWithdrawn(uint256 indexed applicationId); // [NEW]
     event DisputeCreated(uint256 indexed disputeId, uint256 indexed agreementId, address initiator);
-    event DisputeResolved(uint256 indexed disputeId, bool favorLandlord);
+    event DisputeResolved(uint256 indexed disputeId, uint256 landlordAmount, uint256 tenantAmount); // Répartition du dépôt [UPDATED]
+    event DeductionsClaimed(uint256 indexed agreementId, uint256 amount, bytes32 itemsHash, uint256 challengeDeadline); // [NEW]
+    event DeductionsChallenged(uint256 indexed agreementId, uint256 indexed disputeId); // [NEW]
+    event DeductionsSettled(uint256 indexed agreementId, uint256 landlordAmount, uint256 tenantAmount); // [NEW]
     event SecurityDepositReturned(uint256 indexed agreementId, address tenant, uint256 amount);
+    event PaymentTokenAllowed(address indexed token, bool allowed);
+    event ReservationCancelled(uint256 indexed agreementId, uint256 refund); // [NEW]
+    event ReservationRejected(uint256 indexed agreementId, uint256 refund); // [NEW]
+    event ReservationExpired(uint256 indexed agreementId, uint256 refund); // [NEW]
+    event HandoverWindowUpdated(uint256 handoverWindow); // [NEW]
+    event ArbitrationPanelUpdated(address arbitrationPanel); // [NEW]
+    event TrustedForwarderUpdated(address forwarder); // [NEW]
+    event PropertyTokenSet(address propertyToken); // [NEW]
+    event RentalRolesUpdated(address rentalRoles); // [NEW]
+    event FeeScheduleUpdated(address feeSchedule); // [NEW]
+    event PropertyTransferred(uint256 indexed propertyId, address indexed from, address indexed to); // [NEW]
+    event LateFeePolicyUpdated(uint256 indexed propertyId, uint256 gracePeriod, uint256 lateFeeFlat, uint256 lateFeePercentage, uint256 maxMissedPeriods); // [NEW]
+    event LateFeePaid(uint256 indexed agreementId, uint256 amount); // [NEW]
+    event PrepaymentDiscountUpdated(uint256 indexed propertyId, uint256 minPeriods, uint256 percentage); // [NEW]
+    event PrepaymentDiscountApplied(uint256 indexed agreementId, uint256 amount); // [NEW]
+    event AmendmentProposed(uint256 indexed agreementId, address proposedBy, uint256 endDate, uint256 rentAmount, uint256 securityDeposit); // [NEW]
+    event AmendmentRejected(uint256 indexed agreementId, address rejectedBy); // [NEW]
+    event AgreementAmended(uint256 indexed agreementId, uint256 endDate, uint256 rentAmount, uint256 securityDeposit); // [NEW]
+    event ArrearsApplied(uint256 indexed agreementId, uint256 arrears, uint256 fromDeposit); // [NEW]
+    event PayoutCredited(uint256 indexed agreementId, address indexed account, address indexed token, uint256 amount); // [NEW]
+    event Withdrawal(address indexed account, address indexed token, uint256 amount); // [NEW]
+    event LeaseAssignmentProposed(uint256 indexed agreementId, address indexed tenant, address indexed newTenant); // [NEW]
+    event LeaseAssignmentCancelled(uint256 indexed agreementId, address cancelledBy); // [NEW]
+    event LeaseAssigned(uint256 indexed agreementId, address indexed previousTenant, address indexed tenant); // [NEW]
+    event CoTenantsSet(uint256 indexed agreementId, address[] coTenants, uint256[] rentShares, uint256[] depositShares); // [NEW]
+    event CoTenantJoined(uint256 indexed agreementId, address indexed coTenant, uint256 amount); // [NEW]
+    event RentSharePaid(uint256 indexed agreementId, address indexed coTenant, uint256 units, uint256 amount); // [NEW]
+    event DeductionsAllocated(uint256 indexed agreementId, uint256[] amounts); // [NEW]
+    // Certains events sont émis par les bibliothèques (AgreementSettlement, LeaseAssignments, Tenancies) qui les redéclarent [UPDATED]
 
     constructor(){}
     
     // Modifiers
     modifier onlyPropertyOwner(uint256 _propertyId) {
-        require(properties[_propertyId].owner == msg.sender, "Not property owner");
+        _checkPropertyOwner(_propertyId);
         _;
     }
     
     modifier propertyExists(uint256 _propertyId) {
-        require(_propertyId > 0 && properties[_propertyId].id == _propertyId, "Property does not exist");
-        // Correction: utiliser l'ID pour vérifier l'existence
+        _checkPropertyExists(_propertyId);
         _;
     }
     
     modifier agreementExists(uint256 _agreementId) {
-        require(_agreementId > 0 && rentalAgreements[_agreementId].agreementId == _agreementId, "Agreement does not exist");
-        // Correction: utiliser l'ID pour vérifier l'existence
+        _checkAgreementExists(_agreementId);
         _;
     }
     
+    modifier whenNotPaused() { // [NEW]
+        _checkNotPaused();
+        _;
+    }
+    
+    // Vérifications des modifiers dans des fonctions : un modifier est recopié à chaque usage [UPDATED]
+    function _checkPropertyOwner(uint256 _propertyId) internal view {
+        require(properties[_propertyId].owner == _msgSender(), "Not property owner");
+    }
+    
+    function _checkPropertyExists(uint256 _propertyId) internal view {
+        // Correction: utiliser l'ID pour vérifier l'existence
+        require(_propertyId > 0 && properties[_propertyId].id == _propertyId, "Property does not exist");
+    }
+    
+    function _checkAgreementExists(uint256 _agreementId) internal view {
+        // Correction: utiliser l'ID pour vérifier l'existence
+        require(_agreementId > 0 && rentalAgreements[_agreementId].agreementId == _agreementId, "Agreement does not exist");
+    }
+    
+    // Rôles tenus dans RentalRoles ; sans registre branché, l'owner les tient tous [NEW]
+    function _checkRole(bytes32 _role) internal view {
+        if (rentalRoles == address(0)) {
+            _checkOwner();
+        } else {
+            require(RentalRoles(rentalRoles).hasRole(_role, _msgSender()), "Missing role");
+        }
+    }
+    
+    // La pause d'urgence est tenue par RentalRoles (rôle pauser) : elle bloque annonces, réservations
+    // et paiements, pas les remboursements, clôtures, litiges ni retraits [NEW]
+    function _checkNotPaused() internal view {
+        require(rentalRoles == address(0) || !RentalRoles(rentalRoles).paused(), "Pausable: paused");
+    }
+    
+    // Appels relayés (ERC-2771) : le forwarder de confiance ajoute l'adresse du signataire
+    // à la fin du calldata, lue ici à la place de msg.sender [NEW]
+    function _msgSender() internal view override returns (address) {
+        if (msg.sender == trustedForwarder && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
     // Property Management Functions
     function listProperty( // this function creates a new property owned by the msg.sender(landloard)
         string memory _propertyAddress,
         string memory _description,
         uint256 _rentBaseAmount,
         uint256 _securityDeposit,
-        RentUnit _unit // Nouveau paramètre pour l'unité [NEW]
-    ) external returns (uint256) {
-        require(_rentBaseAmount > 0, "Rent must be greater than 0");
-        // Suppression de l'exigence `require(_securityDeposit > 0, ...)` pour permettre $0 de dépôt. [UPDATED]
+        RentUnit _unit, // Nouveau paramètre pour l'unité [NEW]
+        address _paymentToken // address(0) pour un loyer en ETH
+    ) external whenNotPaused returns (uint256) {
+        address sender = _msgSender();
+        require(_paymentToken == address(0) || allowedPaymentTokens[_paymentToken], "Payment token not allowed");
         
         propertyCounter++;
-        properties[propertyCounter] = Property({
-            id: propertyCounter,
-            owner: payable(msg.sender),
-            propertyAddress: _propertyAddress,
-            description: _description,
-            rentBaseAmount: _rentBaseAmount,
-            unit: _unit, // Stockage de la nouvelle unité [NEW]
-            securityDeposit: _securityDeposit,
-            isAvailable: true,
-            isActive: true
-        });
-        
-        landlordProperties[msg.sender].push(propertyCounter);
+        // Fiche écrite par PropertyRegistry, avec la vérification du loyer, l'index du landlord
+        // et la frappe du token ERC-721 [UPDATED]
+        PropertyRegistry.list(
+            properties[propertyCounter], propertyCounter, sender, _propertyAddress, _description, _rentBaseAmount, _securityDeposit, _unit, _paymentToken,
+            propertyToken, landlordProperties[sender]
+        );
         
-        emit PropertyListed(propertyCounter, msg.sender, _rentBaseAmount, _unit); // Mise à jour de l'event [UPDATED]
+        emit PropertyListed(propertyCounter, sender, _rentBaseAmount, _unit, _paymentToken); // Mise à jour de l'event [UPDATED]
         return propertyCounter;
     }
     
@@ -151,15 +373,30 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         bool _isAvailable,
         RentUnit _unit // Ajouté [NEW]
     ) external propertyExists(_propertyId) onlyPropertyOwner(_propertyId) {
-        Property storage property = properties[_propertyId];
-        require(property.isActive, "Property is not active");
-        
-        property.propertyAddress = _propertyAddress;
-        property.description = _description;
-        property.rentBaseAmount = _rentBaseAmount; // Renommé [UPDATED]
-        property.securityDeposit = _securityDeposit;
-        property.isAvailable = _isAvailable;
-        property.unit = _unit; // Ajouté [NEW]
+        PropertyRegistry.update( // [UPDATED]
+            properties[_propertyId], _propertyAddress, _description, _rentBaseAmount, _securityDeposit, _isAvailable, _unit
+        );
+    }
+    
+    // Fiche détaillée hors chaîne (photos, surface, pièces...) adressée par son hash ;
+    // bytes32(0) la retire [NEW]
+    function setPropertyMetadata(uint256 _propertyId, bytes32 _metadataHash)
+        external
+        propertyExists(_propertyId)
+        onlyPropertyOwner(_propertyId)
+    {
+        properties[_propertyId].metadataHash = _metadataHash;
+        emit PropertyMetadataUpdated(_propertyId, _metadataHash);
+    }
+    
+    // Appelé par PropertyToken à chaque transfert : le propriétaire est le détenteur du token [NEW]
+    function onPropertyTransfer(uint256 _propertyId, address _from, address _to) external {
+        require(msg.sender == propertyToken, "Only the property token");
+        PropertyRegistry.transfer(
+            properties[_propertyId], propertyBookings[_propertyId], rentalAgreements, amendments, tenancies,
+            landlordProperties[_from], landlordProperties[_to], _from, _to
+        );
+        emit PropertyTransferred(_propertyId, _from, _to);
     }
     
     function delistProperty(uint256 _propertyId) 
@@ -172,208 +409,350 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         emit PropertyDelisted(_propertyId);
     }
     
+    // Pénalités de retard des réservations futures ; les accords en cours gardent les leurs [NEW]
+    function setLateFeePolicy(
+        uint256 _propertyId,
+        uint256 _gracePeriod,
+        uint256 _lateFeeFlat,
+        uint256 _lateFeePercentage,
+        uint256 _maxMissedPeriods
+    ) external propertyExists(_propertyId) onlyPropertyOwner(_propertyId) {
+        require(_gracePeriod <= 30 days, "Grace period too long");
+        require(_lateFeePercentage <= 20, "Late fee percentage too high");
+        lateFeePolicies[_propertyId] = LateFeePolicy(_gracePeriod, _lateFeeFlat, _lateFeePercentage, _maxMissedPeriods);
+        emit LateFeePolicyUpdated(_propertyId, _gracePeriod, _lateFeeFlat, _lateFeePercentage, _maxMissedPeriods);
+    }
+    
+    // Remise sur le loyer payé d'avance, pour les réservations futures [NEW]
+    function setPrepaymentDiscount(uint256 _propertyId, uint256 _minPeriods, uint256 _percentage)
+        external
+        propertyExists(_propertyId)
+        onlyPropertyOwner(_propertyId)
+    {
+        require(_percentage <= 50, "Prepayment discount too high");
+        prepaymentDiscounts[_propertyId] = PrepaymentDiscount(_minPeriods, _percentage);
+        emit PrepaymentDiscountUpdated(_propertyId, _minPeriods, _percentage);
+    }
+    
+    // Le landlord choisit d'examiner les candidatures avant toute réservation [NEW]
+    function setApplicationRequired(uint256 _propertyId, bool _required)
+        external
+        propertyExists(_propertyId)
+        onlyPropertyOwner(_propertyId)
+    {
+        applicationRequired[_propertyId] = _required;
+        emit ApplicationRequiredUpdated(_propertyId, _required);
+    }
+    
+    // Application Functions [NEW]
+    // Vérifications et écritures dans RentalApplications [UPDATED]
+    function applyForProperty(
+        uint256 _propertyId,
+        uint256 _durationInMonths,
+        uint256 _optionalAdditionalDays,
+        bytes32 _messageHash
+    ) external propertyExists(_propertyId) returns (uint256) {
+        address sender = _msgSender();
+        applicationCounter++;
+        RentalApplications.submit(
+            applications, applicationCounter, properties[_propertyId], sender, _durationInMonths, _optionalAdditionalDays,
+            _messageHash, propertyApplications[_propertyId], tenantApplications[sender]
+        );
+        emit ApplicationSubmitted(applicationCounter, _propertyId, sender, _messageHash);
+        return applicationCounter;
+    }
+    
+    function acceptApplication(uint256 _applicationId) external {
+        uint256 reserveDeadline = RentalApplications.decide(applications, properties, _applicationId, _msgSender(), true);
+        emit ApplicationAccepted(_applicationId, reserveDeadline);
+    }
+    
+    function declineApplication(uint256 _applicationId) external {
+        RentalApplications.decide(applications, properties, _applicationId, _msgSender(), false);
+        emit ApplicationDeclined(_applicationId);
+    }
+    
+    function withdrawApplication(uint256 _applicationId) external {
+        RentalApplications.withdraw(applications[_applicationId], _msgSender());
+        emit ApplicationWithdrawn(_applicationId);
+    }
+    
+    // Seul le candidat accepté finance la réservation, avec la durée demandée, avant la date limite
+    function reserveFromApplication(uint256 _applicationId) external payable nonReentrant returns (uint256) {
+        Application storage application = applications[_applicationId];
+        RentalApplications.fund(application, _msgSender());
+        return _reserve(
+            application.propertyId, block.timestamp, _termEnd(application.durationInMonths, application.additionalDays)
+        );
+    }
+    
     // Rental Agreement Functions
     function reserveProperty(
         uint256 _propertyId,
         uint256 _durationInMonths,
         uint256 _optionalAdditionalDays // Permet une durée précise en jours, même pour les mois [NEW]
     ) external payable propertyExists(_propertyId) nonReentrant returns (uint256) {
-        Property storage property = properties[_propertyId];
-        require(property.isAvailable, "Property not available");
-        require(property.isActive, "Property not active");
-        require(msg.sender != property.owner, "Owner cannot rent own property");
+        require(!applicationRequired[_propertyId], "Application required");
+        return _reserve(_propertyId, block.timestamp, _termEnd(_durationInMonths, _optionalAdditionalDays));
+    }
+    
+    // Réservation datée d'une location journalière : plusieurs séjours futurs par propriété,
+    // à condition qu'ils ne se chevauchent pas. Dates à minuit UTC, fin exclue [NEW]
+    function reserveDates(
+        uint256 _propertyId,
+        uint256 _startDate,
+        uint256 _endDate
+    ) external payable propertyExists(_propertyId) nonReentrant returns (uint256) {
+        require(!applicationRequired[_propertyId], "Application required");
+        require(properties[_propertyId].unit == RentUnit.DAILY, "Calendar bookings are for daily rentals");
+        require(_startDate % 1 days == 0 && _endDate % 1 days == 0, "Dates must be whole days");
+        require(_startDate >= block.timestamp - (block.timestamp % 1 days), "Start date in the past");
+        require(_endDate > _startDate, "Invalid date range");
+        return _reserve(_propertyId, _startDate, _endDate);
+    }
+    
+    // Calcul de la date de fin en mois civils puis en jours additionnels [UPDATED]
+    function _termEnd(uint256 _durationInMonths, uint256 _optionalAdditionalDays) internal view returns (uint256) {
         require(_durationInMonths > 0 || _optionalAdditionalDays > 0, "Duration must be at least 1 day or 1 month"); // Ajustement [UPDATED]
-
-        uint256 firstPaymentAmount;
-        
-        // Calcul du premier paiement (Le premier loyer + le dépôt)
+        return RentSchedule.dueDate(uint8(RentUnit.MONTHLY), block.timestamp, _durationInMonths) + (_optionalAdditionalDays * 1 days);
+    }
+    
+    function _reserve(
+        uint256 _propertyId,
+        uint256 _startDate,
+        uint256 _endDate
+    ) internal returns (uint256) {
+        _checkNotPaused(); // Toutes les réservations passent par ici [NEW]
+        address sender = _msgSender();
+        Property storage property = properties[_propertyId];
+        agreementCounter++;
+        uint256 totalInitialPayment = PropertyRegistry.reserve(
+            property,
+            rentalAgreements[agreementCounter],
+            agreementCounter,
+            sender,
+            _startDate,
+            _endDate,
+            _startDate + handoverWindow,
+            RentSchedule.dueDate(uint8(property.unit), _startDate, 1) // Le premier loyer couvre la première période
+        ); // [UPDATED]
+        _collectPayment(property.paymentToken, totalInitialPayment, "Payment mismatch: initial funds required for reservation");
+        agreementLateFees[agreementCounter] = lateFeePolicies[_propertyId];
+        agreementDiscounts[agreementCounter] = prepaymentDiscounts[_propertyId];
+        // Une location mensuelle occupe le bien ; une location journalière n'occupe que ses dates [UPDATED]
+        BookingCalendar.book(propertyBookings[_propertyId], rentalAgreements, agreementCounter);
         if (property.unit == RentUnit.MONTHLY) {
-            // Pour les locations mensuelles, le 1er paiement est toujours 1 mois de loyer.
-            firstPaymentAmount = property.rentBaseAmount;
-        } else if (property.unit == RentUnit.DAILY) {
-            // Pour les locations journalières, le 1er paiement est 1 jour de loyer.
-            firstPaymentAmount = property.rentBaseAmount; 
+            property.isAvailable = false;
         }
-
-        // Le montant initial requis (Dépôt + 1er Loyer)
-        uint256 totalInitialPayment = firstPaymentAmount + property.securityDeposit;
-        require(msg.value == totalInitialPayment, "Payment mismatch: initial funds required for reservation");
-
-        agreementCounter++;
-        uint256 startDate = block.timestamp;
-        
-        // Calcul de la date de fin en utilisant les mois et les jours additionnels [UPDATED]
-        uint256 endDate = startDate + (_durationInMonths * 30 days) + (_optionalAdditionalDays * 1 days);
+        tenantAgreements[sender].push(agreementCounter);
         
-        rentalAgreements[agreementCounter] = RentalAgreement({
-            agreementId: agreementCounter,
-            propertyId: _propertyId,
-            tenant: payable(msg.sender),
-            landlord: property.owner,
-            rentAmount: property.rentBaseAmount, // Stocke le montant de base (par mois ou par jour)
-            unit: property.unit, // Stocke l'unité de loyer
-            securityDeposit: property.securityDeposit,
-            startDate: startDate, // Date de début de l'Escrow
-            endDate: endDate,
-            lastPaymentDate: 0, // Pas de paiement transféré au Landlord
-            status: AgreementStatus.PENDING_RESERVATION, // Statut de séquestre
-            totalPaid: msg.value // Le montant total payé au contrat (pour le moment)
-        });
-        property.isAvailable = false;
-        tenantAgreements[msg.sender].push(agreementCounter);
-        
-        // NOTE IMPORTANTE : AUCUN TRANSFERT AU PROPRIÉTAIRE ICI. L'Éther (msg.value) reste dans le contrat RealEstateRental.
-        emit AgreementCreated(agreementCounter, _propertyId, msg.sender, property.owner);
+        // NOTE IMPORTANTE : AUCUN TRANSFERT AU PROPRIÉTAIRE ICI. Les fonds (ETH ou token) restent dans le contrat RealEstateRental.
+        emit AgreementCreated(agreementCounter, _propertyId, sender, property.owner);
         
         return agreementCounter;
     }
 
 
+    // Sorties d'une réservation non activée : remboursement intégral (loyer + dépôt) au tenant [NEW]
+    function cancelReservation(uint256 _agreementId) external agreementExists(_agreementId) {
+        RentalAgreement storage agreement = rentalAgreements[_agreementId];
+        require(agreement.tenant == _msgSender(), "Only tenant can cancel reservation");
+        emit ReservationCancelled(_agreementId, _refundReservation(agreement));
+    }
+
+    function rejectReservation(uint256 _agreementId) external agreementExists(_agreementId) {
+        RentalAgreement storage agreement = rentalAgreements[_agreementId];
+        require(agreement.landlord == _msgSender(), "Only landlord can reject reservation");
+        emit ReservationRejected(_agreementId, _refundReservation(agreement));
+    }
+
+    // N'importe qui peut faire expirer une réservation dont les clés n'ont pas été remises à temps
+    function expireReservation(uint256 _agreementId) external agreementExists(_agreementId) {
+        RentalAgreement storage agreement = rentalAgreements[_agreementId];
+        require(block.timestamp > agreement.handoverDeadline, "Handover window not over");
+        emit ReservationExpired(_agreementId, _refundReservation(agreement));
+    }
+
+    function _refundReservation(RentalAgreement storage agreement) internal returns (uint256 refund) {
+        require(agreement.status == AgreementStatus.PENDING_RESERVATION, "Agreement is not in PENDING_RESERVATION status");
+        agreement.status = AgreementStatus.CANCELLED;
+        AgreementSettlement.releaseProperty(properties, agreement); // [UPDATED]
+        // Premier loyer + dépôt encaissés à la réservation, rendus aux co-locataires qui en ont versé une part [UPDATED]
+        refund = Tenancies.refundReservation(agreement, tenancies[agreement.agreementId], withdrawableBalances);
+    }
+
+    // Remise des clés par le tenant ou un co-locataire : le premier loyer (moins la commission) est crédité
+    // au landlord, le dépôt reste dans le contrat. Vérifications et crédit dans Tenancies [UPDATED]
     function activateAgreement(uint256 _agreementId) 
         external 
         agreementExists(_agreementId) 
         nonReentrant 
     {
-        RentalAgreement storage agreement = rentalAgreements[_agreementId];
-        require(agreement.tenant == msg.sender, "Only tenant can activate agreement");
-        require(agreement.status == AgreementStatus.PENDING_RESERVATION, "Agreement is not in PENDING_RESERVATION status");
-        
-        // Calcul du premier loyer payé lors de la réservation
-        uint256 firstRentAmount;
-        if (agreement.unit == RentUnit.MONTHLY) {
-            firstRentAmount = agreement.rentAmount;
-        } else if (agreement.unit == RentUnit.DAILY) {
-            firstRentAmount = agreement.rentAmount; // Correspond au montant initial de 1 jour de loyer
-        }
-        
-        // Mise à jour du statut
-        agreement.status = AgreementStatus.ACTIVE;
-        
-        // Calcul de la commission
-        uint256 platformFee = (firstRentAmount * platformFeePercentage) / 100;
-        uint256 landlordAmount = firstRentAmount - platformFee;
-        accumulatedPlatformFees += platformFee;
-        
-        // Transfert du premier loyer (net de frais) au propriétaire. 
-        // Le Dépôt de garantie reste dans le contrat.
-        agreement.landlord.transfer(landlordAmount);
-        
-        // Mise à jour de la date du dernier paiement (le premier paiement)
-        agreement.lastPaymentDate = block.timestamp;
-        
-        // Mettre à jour totalPaid pour refléter uniquement les loyers (ou ajuster la sémantique si nécessaire)
-        // Pour cet exemple, nous considérons le premier loyer comme payé au Landlord.
-        emit RentPaid(_agreementId, firstRentAmount, block.timestamp);
-        emit AgreementActivated(_agreementId); // Utilisation d'un événement plus sémantique pour l'activation [UPDATED]
+        Tenancies.activate(
+            rentalAgreements[_agreementId], tenancies[_agreementId], withdrawableBalances, feeSchedule, _msgSender()
+        );
     }
     
     function payRent( // Fonction générique pour le loyer mensuel ou journalier [UPDATED]
         uint256 _agreementId,
-        uint256 _amountInUnits // Le nombre de mois ou de jours payés. 1 pour loyer mensuel, 1 pour loyer journalier. [NEW]
+        uint256 _amountInUnits // Le nombre de mois ou de jours payés, jusqu'à la fin de l'accord [UPDATED]
     ) external 
         payable 
         agreementExists(_agreementId) 
         nonReentrant 
+        whenNotPaused // [NEW]
     {
         RentalAgreement storage agreement = rentalAgreements[_agreementId];
-        require(agreement.tenant == msg.sender, "Not the tenant");
-        require(agreement.status == AgreementStatus.ACTIVE, "Agreement not active");
-        require(block.timestamp <= agreement.endDate, "Agreement expired");
-        require(_amountInUnits > 0, "Amount must be greater than zero"); // Montant doit être > 0 [NEW]
-        
-        uint256 expectedPayment;
-
-        if (agreement.unit == RentUnit.MONTHLY) {
-            // Loyer mensuel : on s'attend à ce que _amountInUnits soit 1 pour un mois complet
-            require(_amountInUnits == 1, "Monthly rent payment must be for 1 month");
-            expectedPayment = agreement.rentAmount;
-            
-            // Vérification du temps minimum écoulé (25 jours pour le loyer mensuel) [NEW]
-            require(
-                block.timestamp >= agreement.lastPaymentDate + 25 days,
-                "Too soon for next monthly payment"
-            );
-
-        } else if (agreement.unit == RentUnit.DAILY) {
-            // Loyer journalier : on impose un paiement d'une seule journée par transaction. [MODIFIED]
-            require(_amountInUnits == 1, "Daily rent payment must be for 1 day only"); // Nouvelle restriction
-            expectedPayment = agreement.rentAmount * _amountInUnits; // Qui est simplement agreement.rentAmount
-            
-            // Vérification du temps minimum écoulé (1 jour pour le loyer journalier) [NEW]
-             require(
-                block.timestamp >= agreement.lastPaymentDate + 1 days,
-                "Too soon for next daily payment"
-            );
-        }
-
-        require(msg.value == expectedPayment, "Incorrect rent amount for the specified period");
-
-        // ---------------------------------------------------------
-        // 2. NOUVELLE SÉCURITÉ : Vérification du Plafond Total
-        // ---------------------------------------------------------
-        
-        // Calcul de la durée totale du contrat
-        uint256 contractDuration = agreement.endDate - agreement.startDate;
-        uint256 maxTotalRent;
-
-        if (agreement.unit == RentUnit.MONTHLY) {
-            // Combien de mois au total dans le contrat ?
-            // On divise par 30 days car c'est l'unité utilisée dans reserveProperty
-            uint256 totalMonths = contractDuration / 30 days;
-            maxTotalRent = totalMonths * agreement.rentAmount;
-        } else {
-            // Combien de jours au total ?
-            uint256 totalDays = contractDuration / 1 days;
-            maxTotalRent = totalDays * agreement.rentAmount;
-        }
-
-        // Le montant maximum que le contrat doit recevoir au total (Loyers + Caution)
-        // On inclut la caution car agreement.totalPaid l'inclut déjà (payée à la réservation).
-        uint256 maxPayableAmount = maxTotalRent + agreement.securityDeposit;
-
-        require(
-            agreement.totalPaid + msg.value <= maxPayableAmount, 
-            "Overpayment: Contract duration fully paid"
+        // Plafond de la durée, pénalités de retard et remise de prépaiement : voir RentSchedule [UPDATED]
+        RentQuote memory quote = RentSchedule.rentPayment(
+            agreement, agreementLateFees[_agreementId], agreementDiscounts[_agreementId], _amountInUnits
+        );
+        // Vérification du payeur et crédit au landlord (moins la commission) dans Tenancies, qui ne paie
+        // les périodes d'une colocation qu'à l'arrivée de la dernière part [UPDATED]
+        _collectPayment(
+            agreement.paymentToken,
+            Tenancies.payRent(
+                agreement, tenancies[_agreementId], withdrawableBalances, feeSchedule, _msgSender(), _amountInUnits, quote
+            ),
+            "Incorrect rent amount for the specified period"
         );
-        // ---------------------------------------------------------
-        
-        agreement.lastPaymentDate = block.timestamp;
-        agreement.totalPaid += msg.value;
-        
-        // Transfer rent to landlord (minus platform fee)
-        uint256 platformFee = (msg.value * platformFeePercentage) / 100;
-        uint256 landlordAmount = msg.value - platformFee;
-        accumulatedPlatformFees += platformFee;
-        
-        agreement.landlord.transfer(landlordAmount);
-        
-        emit RentPaid(_agreementId, msg.value, block.timestamp);
     }
     
     
+    // Clôture, retenues, résiliation et litiges : vérifications et répartition du dépôt dans AgreementSettlement [UPDATED]
     function completeAgreement(uint256 _agreementId) 
         external 
         agreementExists(_agreementId) 
         nonReentrant 
+    {
+        AgreementSettlement.complete(
+            rentalAgreements[_agreementId], properties, tenancies, withdrawableBalances, feeSchedule, _msgSender()
+        );
+    }
+    
+    // Lease Amendment Functions [NEW]
+    // Prolongation, renouvellement ou révision du loyer d'un accord actif : une partie propose, l'autre accepte
+    function proposeAmendment(uint256 _agreementId, uint256 _endDate, uint256 _rentAmount, uint256 _securityDeposit)
+        external
+        payable
+        agreementExists(_agreementId)
+        nonReentrant
+        whenNotPaused // Complément de dépôt éventuel [NEW]
     {
         RentalAgreement storage agreement = rentalAgreements[_agreementId];
-        require(
-            msg.sender == agreement.tenant || msg.sender == agreement.landlord,
-            "Not authorized"
+        // Les parts du dépôt d'une colocation sont fixées à la réservation [NEW]
+        require(_securityDeposit == agreement.securityDeposit || tenancies[_agreementId].members.length == 0, "Deposit shared by co-tenants");
+        (uint256 collect, uint256 refund) = LeaseAmendments.propose(
+            amendments[_agreementId], agreement, _msgSender(), _endDate, _rentAmount, _securityDeposit
         );
-        require(agreement.status == AgreementStatus.ACTIVE, "Agreement not active");
-        require(block.timestamp >= agreement.endDate, "Agreement not yet expired");
-        
-        agreement.status = AgreementStatus.COMPLETED;
-        properties[agreement.propertyId].isAvailable = true;
-        // Return security deposit to tenant
-        // Ce transfert est $0 si securityDeposit était $0.
-        agreement.tenant.transfer(agreement.securityDeposit); 
-        
-        emit AgreementCompleted(_agreementId); // Événement pour la FIN réelle du contrat.
-        if (agreement.securityDeposit > 0) { // Conditionnel pour l'event
-            emit SecurityDepositReturned(_agreementId, agreement.tenant, agreement.securityDeposit);
+        _settleAmendment(agreement, collect, refund);
+        emit AmendmentProposed(_agreementId, _msgSender(), _endDate, _rentAmount, _securityDeposit);
+    }
+    
+    function acceptAmendment(uint256 _agreementId) external payable agreementExists(_agreementId) nonReentrant whenNotPaused {
+        RentalAgreement storage agreement = rentalAgreements[_agreementId];
+        (uint256 collect, uint256 refund) = LeaseAmendments.accept(
+            amendments[_agreementId], agreement, tenancies[_agreementId], _msgSender(), propertyBookings[agreement.propertyId], rentalAgreements
+        );
+        _settleAmendment(agreement, collect, refund);
+        emit AgreementAmended(_agreementId, agreement.endDate, agreement.rentAmount, agreement.securityDeposit);
+    }
+    
+    function rejectAmendment(uint256 _agreementId) external agreementExists(_agreementId) nonReentrant {
+        RentalAgreement storage agreement = rentalAgreements[_agreementId];
+        _settleAmendment(agreement, 0, LeaseAmendments.reject(amendments[_agreementId], agreement, _msgSender()));
+        emit AmendmentRejected(_agreementId, _msgSender());
+    }
+    
+    // Encaisse le complément de dépôt et crédite au tenant ce qui lui revient
+    function _settleAmendment(RentalAgreement storage agreement, uint256 _collect, uint256 _refund) internal {
+        _collectPayment(agreement.paymentToken, _collect, "Incorrect deposit top-up");
+        _payout(agreement.agreementId, agreement.paymentToken, agreement.tenant, _refund);
+    }
+    
+    // Lease Assignment Functions [NEW]
+    // Le tenant propose un repreneur, le landlord l'approuve : voir LeaseAssignments
+    function proposeAssignment(uint256 _agreementId, address _newTenant) external agreementExists(_agreementId) {
+        require(tenancies[_agreementId].members.length == 0, "Agreement has co-tenants"); // [NEW]
+        LeaseAssignments.propose(rentalAgreements[_agreementId], pendingAssignments, _msgSender(), _newTenant);
+    }
+    
+    function approveAssignment(uint256 _agreementId, address _newTenant) external agreementExists(_agreementId) {
+        LeaseAssignments.approve(
+            rentalAgreements[_agreementId], pendingAssignments, amendments[_agreementId], tenantAgreements,
+            withdrawableBalances, _msgSender(), _newTenant
+        );
+    }
+    
+    function cancelAssignment(uint256 _agreementId) external agreementExists(_agreementId) {
+        LeaseAssignments.cancel(rentalAgreements[_agreementId], pendingAssignments, _msgSender());
+    }
+    
+    // Co-tenancy Functions [NEW]
+    // Le tenant d'une réservation partage le loyer et le dépôt avec des co-locataires : voir Tenancies
+    function setCoTenants(
+        uint256 _agreementId,
+        address[] memory _coTenants,
+        uint256[] memory _rentShares,
+        uint256[] memory _depositShares
+    ) external agreementExists(_agreementId) {
+        Tenancies.set(rentalAgreements[_agreementId], tenancies[_agreementId], _msgSender(), _coTenants, _rentShares, _depositShares);
+    }
+    
+    // Le co-locataire verse sa part du premier loyer et du dépôt
+    function joinAgreement(uint256 _agreementId) external payable agreementExists(_agreementId) nonReentrant whenNotPaused {
+        RentalAgreement storage agreement = rentalAgreements[_agreementId];
+        address sender = _msgSender();
+        _collectPayment(
+            agreement.paymentToken,
+            Tenancies.join(agreement, tenancies[_agreementId], tenantAgreements[sender], withdrawableBalances, sender),
+            "Incorrect co-tenant share"
+        );
+    }
+    
+    // Retenues par co-locataire : le landlord pendant la fenêtre de contestation, l'arbitre pendant un litige
+    function allocateDeductions(uint256 _agreementId, uint256[] memory _amounts) external agreementExists(_agreementId) {
+        if (deductionClaims[_agreementId].status != DeductionStatus.CLAIMED) {
+            _checkArbiter();
         }
+        Tenancies.allocateDeductions(
+            rentalAgreements[_agreementId], tenancies[_agreementId], deductionClaims[_agreementId], _msgSender(), _amounts
+        );
+    }
+    
+    // Deposit Deduction Functions [NEW]
+    // À la sortie, le landlord clôture l'accord en réclamant une partie du dépôt ; le reste attend la fenêtre de contestation
+    function claimDeductions(uint256 _agreementId, uint256 _amount, bytes32 _itemsHash)
+        external
+        agreementExists(_agreementId)
+    {
+        AgreementSettlement.claimDeductions(
+            rentalAgreements[_agreementId], properties, deductionClaims[_agreementId], _msgSender(), _amount, _itemsHash
+        );
+    }
+    
+    function acceptDeductions(uint256 _agreementId) external agreementExists(_agreementId) nonReentrant {
+        AgreementSettlement.settleDeductions(
+            rentalAgreements[_agreementId], deductionClaims[_agreementId], tenancies, withdrawableBalances, feeSchedule,
+            _msgSender(), false
+        );
+    }
+    
+    // Après la fenêtre de contestation, n'importe qui applique la répartition non contestée
+    function finalizeDeductions(uint256 _agreementId) external agreementExists(_agreementId) nonReentrant {
+        AgreementSettlement.settleDeductions(
+            rentalAgreements[_agreementId], deductionClaims[_agreementId], tenancies, withdrawableBalances, feeSchedule,
+            _msgSender(), true
+        );
+    }
+    
+    // Le tenant conteste : un litige s'ouvre et l'arbitre tranche la répartition du dépôt
+    function challengeDeductions(uint256 _agreementId, string memory _reason) external agreementExists(_agreementId) {
+        disputeCounter++;
+        AgreementSettlement.challengeDeductions(
+            disputes[disputeCounter], disputeCounter, rentalAgreements[_agreementId], deductionClaims[_agreementId], _msgSender(),
+            _reason, arbitrationPanel
+        );
     }
     
     function terminateAgreement(uint256 _agreementId) 
@@ -381,83 +760,59 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         agreementExists(_agreementId) 
         nonReentrant 
     {
-        RentalAgreement storage agreement = rentalAgreements[_agreementId];
-        require(
-            msg.sender == agreement.tenant || msg.sender == agreement.landlord,
-            "Not authorized"
+        AgreementSettlement.terminate(
+            rentalAgreements[_agreementId], properties, tenancies, withdrawableBalances, feeSchedule, _msgSender()
         );
+    }
+
+    // Au-delà de maxMissedPeriods périodes manquées, le landlord résilie et le dépôt couvre les arriérés [NEW]
+    function terminateForArrears(uint256 _agreementId) external agreementExists(_agreementId) nonReentrant {
+        RentalAgreement storage agreement = rentalAgreements[_agreementId];
+        require(agreement.landlord == _msgSender(), "Not the landlord");
         require(agreement.status == AgreementStatus.ACTIVE, "Agreement not active");
+        PaymentStatus memory payment = RentSchedule.paymentStatus(agreement, agreementLateFees[_agreementId]);
+        require(payment.arrearsTerminable, "Arrears threshold not reached");
         
         agreement.status = AgreementStatus.TERMINATED;
-        properties[agreement.propertyId].isAvailable = true;
-        // Si tenant terminates, landlord keeps security deposit ($0 si dépôt nul)
-        // Si landlord terminates, return security deposit to tenant ($0 si dépôt nul)
-        if (msg.sender == agreement.landlord) {
-            agreement.tenant.transfer(agreement.securityDeposit);
-             if (agreement.securityDeposit > 0) { // Conditionnel pour l'event
-                emit SecurityDepositReturned(_agreementId, agreement.tenant, agreement.securityDeposit);
-            }
-        } else {
-            agreement.landlord.transfer(agreement.securityDeposit); // Transfert $0 si dépôt nul
-        }
+        AgreementSettlement.releaseProperty(properties, agreement); // [UPDATED]
+        uint256 fromDeposit = payment.arrears < agreement.securityDeposit ? payment.arrears : agreement.securityDeposit;
+        AgreementSettlement.splitDeposit(agreement, tenancies, withdrawableBalances, feeSchedule, fromDeposit);
         
-        emit AgreementTerminated(_agreementId, msg.sender);
+        emit ArrearsApplied(_agreementId, payment.arrears, fromDeposit);
+        emit AgreementTerminated(_agreementId, _msgSender());
     }
 
     // Dispute Management Functions
+    // Vérifications, ouverture et affectation au panel dans AgreementSettlement [UPDATED]
     function createDispute(uint256 _agreementId, string memory _reason) 
         external 
         agreementExists(_agreementId) 
     {
-        RentalAgreement storage agreement = rentalAgreements[_agreementId];
-        require(
-            msg.sender == agreement.tenant || msg.sender == agreement.landlord,
-            "Not authorized"
-        );
-        require(
-            agreement.status == AgreementStatus.ACTIVE || 
-            agreement.status == AgreementStatus.COMPLETED,
-            "Invalid agreement status"
-        );
         disputeCounter++;
-        
-        disputes[disputeCounter] = Dispute({
-            disputeId: disputeCounter,
-            agreementId: _agreementId,
-            initiator: msg.sender,
-            reason: _reason,
-            status: DisputeStatus.OPEN,
-            createdAt: block.timestamp
-        });
-        agreement.status = AgreementStatus.DISPUTED;
-        
-        emit DisputeCreated(disputeCounter, _agreementId, msg.sender);
+        AgreementSettlement.createDispute(
+            disputes[disputeCounter], disputeCounter, rentalAgreements[_agreementId], _msgSender(), _reason, arbitrationPanel
+        );
     }
     
+    // L'arbitre répartit librement le dépôt : _landlordAmount au landlord, le reste au tenant [UPDATED]
+    // Avec un panel branché, seul le panel (vote majoritaire ou fallback de son owner) tranche
     function resolveDispute(
         uint256 _disputeId,
-        bool _favorLandlord
-    ) external onlyOwner nonReentrant {
-        Dispute storage dispute = disputes[_disputeId];
-        require(dispute.status == DisputeStatus.OPEN, "Dispute not open");
-        
-        RentalAgreement storage agreement = rentalAgreements[dispute.agreementId];
-        
-        dispute.status = DisputeStatus.RESOLVED;
-        agreement.status = AgreementStatus.COMPLETED;
-        properties[agreement.propertyId].isAvailable = true;
-        // Handle security deposit based on resolution
-        // Transfert $0 si le dépôt est nul.
-        if (_favorLandlord) {
-            agreement.landlord.transfer(agreement.securityDeposit);
+        uint256 _landlordAmount
+    ) external nonReentrant {
+        _checkArbiter();
+        AgreementSettlement.resolveDispute(
+            disputes[_disputeId], rentalAgreements, properties, deductionClaims, tenancies, withdrawableBalances, feeSchedule,
+            _landlordAmount
+        );
+    }
+    
+    function _checkArbiter() internal view { // [UPDATED]
+        if (arbitrationPanel == address(0)) {
+            _checkRole(Roles.ARBITER);
         } else {
-            agreement.tenant.transfer(agreement.securityDeposit);
-            if (agreement.securityDeposit > 0) { // Conditionnel pour l'event
-                emit SecurityDepositReturned(dispute.agreementId, agreement.tenant, agreement.securityDeposit);
-            }
+            require(msg.sender == arbitrationPanel, "Not the arbitration panel");
         }
-        
-        emit DisputeResolved(_disputeId, _favorLandlord);
     }
     
     // View Functions
@@ -479,6 +834,52 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         return rentalAgreements[_agreementId];
     }
     
+    function getPaymentStatus(uint256 _agreementId) // [NEW]
+        external
+        view
+        agreementExists(_agreementId)
+        returns (PaymentStatus memory)
+    {
+        return RentSchedule.paymentStatus(rentalAgreements[_agreementId], agreementLateFees[_agreementId]);
+    }
+    
+    // Montant exact d'un payRent de _amountInUnits périodes ; revert comme payRent au-delà de la durée [NEW]
+    function quoteRent(uint256 _agreementId, uint256 _amountInUnits)
+        external
+        view
+        agreementExists(_agreementId)
+        returns (RentQuote memory)
+    {
+        return RentSchedule.rentPayment(
+            rentalAgreements[_agreementId], agreementLateFees[_agreementId], agreementDiscounts[_agreementId], _amountInUnits
+        );
+    }
+    
+    function getPrepaymentDiscount(uint256 _propertyId) external view propertyExists(_propertyId) returns (PrepaymentDiscount memory) { // [NEW]
+        return prepaymentDiscounts[_propertyId];
+    }
+    
+    function getAmendment(uint256 _agreementId) external view agreementExists(_agreementId) returns (Amendment memory) { // [NEW]
+        return amendments[_agreementId];
+    }
+    
+    function getLateFeePolicy(uint256 _propertyId) external view propertyExists(_propertyId) returns (LateFeePolicy memory) { // [NEW]
+        return lateFeePolicies[_propertyId];
+    }
+    
+    function getTenancy(uint256 _agreementId) external view agreementExists(_agreementId) returns (Tenancy memory) { // [NEW]
+        return tenancies[_agreementId];
+    }
+    
+    function getDeductionClaim(uint256 _agreementId) // [NEW]
+        external
+        view
+        agreementExists(_agreementId)
+        returns (DeductionClaim memory)
+    {
+        return deductionClaims[_agreementId];
+    }
+    
     function getDispute(uint256 _disputeId) 
         external 
         view 
@@ -488,6 +889,24 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         return disputes[_disputeId];
     }
     
+    function getWithdrawableBalance(address _account, address _token) external view returns (uint256) { // address(0) = ETH
+        return withdrawableBalances[_account][_token];
+    }
+    
+    function getApplication(uint256 _applicationId) external view returns (Application memory) { // [NEW]
+        require(_applicationId > 0 && _applicationId <= applicationCounter, "Application does not exist");
+        return applications[_applicationId];
+    }
+    
+    // Candidatures ouvertes (PENDING ou ACCEPTED non financées) [NEW]
+    function getPendingApplicationsForProperty(uint256 _propertyId) external view returns (Application[] memory) {
+        return RentalApplications.open(applications, propertyApplications[_propertyId]);
+    }
+    
+    function getPendingApplicationsForTenant(address _tenant) external view returns (Application[] memory) {
+        return RentalApplications.open(applications, tenantApplications[_tenant]);
+    }
+    
     function getLandlordProperties(address _landlord) 
         external 
         view 
@@ -504,41 +923,116 @@ contract RealEstateRental is ReentrancyGuard, Ownable {
         return tenantAgreements[_tenant];
     }
     
+    // Accords qui occupent des dates de la propriété, dans l'ordre d'inscription [NEW]
+    function getBookedIntervals(uint256 _propertyId)
+        external
+        view
+        propertyExists(_propertyId)
+        returns (BookingCalendar.Interval[] memory)
+    {
+        return BookingCalendar.intervals(propertyBookings[_propertyId], rentalAgreements);
+    }
+    
+    // Disponibilité d'une propriété sur [_startDate, _endDate) [NEW]
+    function isAvailableFor(uint256 _propertyId, uint256 _startDate, uint256 _endDate)
+        external
+        view
+        propertyExists(_propertyId)
+        returns (bool)
+    {
+        Property storage property = properties[_propertyId];
+        return property.isActive && property.isAvailable && _endDate > _startDate
+            && BookingCalendar.isFree(propertyBookings[_propertyId], rentalAgreements, _startDate, _endDate);
+    }
+    
     function getAvailableProperties() external view returns (uint256[] memory) {
-        uint256 availableCount = 0;
-        // Count available properties
-        for (uint256 i = 1; i <= propertyCounter; i++) {
-            if (properties[i].isAvailable && properties[i].isActive) {
-                availableCount++;
-            }
-        }
-        
-        // Create array of available property IDs
-        uint256[] memory availableProperties = new uint256[](availableCount);
-        uint256 index = 0;
-        
-        for (uint256 i = 1; i <= propertyCounter; i++) {
-            if (properties[i].isAvailable && properties[i].isActive) {
-                availableProperties[index] = i;
-                index++;
-            }
-        }
-        
-        return availableProperties;// this arry contains the ids of available properties
+        return PropertyRegistry.available(properties, propertyCounter); // this arry contains the ids of available properties
     }
 
     // Admin Functions
-    function setPlatformFee(uint256 _newFeePercentage) external onlyOwner {
-        require(_newFeePercentage <= 10, "Fee too high");
-        // Max 10%
-        platformFeePercentage = _newFeePercentage;
+    // L'arbitrage relève d'un rôle de RentalRoles, les commissions du FeeSchedule (fee manager et trésorier) ;
+    // l'owner garde le branchement des contrats satellites [UPDATED]
+    function setArbitrationPanel(address _arbitrationPanel) external onlyOwner { // [NEW]
+        // Les litiges déjà ouverts passent aussi par le panel, via son fallbackResolve
+        arbitrationPanel = _arbitrationPanel;
+        emit ArbitrationPanelUpdated(_arbitrationPanel);
+    }
+    
+    // Forwarder des méta-transactions signées ; address(0) désactive les appels relayés [NEW]
+    function setTrustedForwarder(address _forwarder) external onlyOwner {
+        trustedForwarder = _forwarder;
+        emit TrustedForwarderUpdated(_forwarder);
+    }
+    
+    // Branché au déploiement, avant la première annonce ; ne change plus ensuite [NEW]
+    function setPropertyToken(address _propertyToken) external onlyOwner {
+        require(propertyToken == address(0), "Property token already set");
+        propertyToken = _propertyToken;
+        emit PropertyTokenSet(_propertyToken);
+    }
+    
+    // Registre des rôles ; address(0) rend tous les rôles à l'owner [NEW]
+    function setRentalRoles(address _rentalRoles) external onlyOwner {
+        rentalRoles = _rentalRoles;
+        emit RentalRolesUpdated(_rentalRoles);
     }
     
-    function withdrawPlatformFees() external onlyOwner nonReentrant {
-        uint256 amount = accumulatedPlatformFees;
-        require(amount > 0, "No platform fees to withdraw");
-        accumulatedPlatformFees = 0;
-        payable(owner()).transfer(amount);
+    // Les commissions déjà créditées restent au solde de l'ancien FeeSchedule ; address(0) les suspend [NEW]
+    function setFeeSchedule(address _feeSchedule) external onlyOwner {
+        feeSchedule = _feeSchedule;
+        emit FeeScheduleUpdated(_feeSchedule);
+    }
+    
+    function setHandoverWindow(uint256 _handoverWindow) external onlyOwner {
+        require(_handoverWindow >= 1 days && _handoverWindow <= 90 days, "Handover window out of range");
+        // S'applique aux réservations futures ; les délais déjà fixés restent inchangés
+        handoverWindow = _handoverWindow;
+        emit HandoverWindowUpdated(_handoverWindow);
+    }
+    
+    function setPaymentTokenAllowed(address _token, bool _allowed) external onlyOwner {
+        require(_token != address(0), "ETH is always allowed");
+        allowedPaymentTokens[_token] = _allowed;
+        emit PaymentTokenAllowed(_token, _allowed);
+    }
+    
+    // Retire les loyers et dépôts crédités à l'appelant dans un token (address(0) = ETH) [NEW]
+    function withdraw(address _token) external nonReentrant {
+        address sender = _msgSender();
+        uint256 amount = withdrawableBalances[sender][_token];
+        require(amount > 0, "Nothing to withdraw");
+        withdrawableBalances[sender][_token] = 0;
+        _sendFunds(_token, sender, amount);
+        emit Withdrawal(sender, _token, amount);
+    }
+
+    // Internal payment helpers [NEW]
+    // Encaisse un paiement : msg.value pour l'ETH, transferFrom (après approve) pour un token
+    function _collectPayment(address _token, uint256 _amount, string memory _mismatchError) internal {
+        if (_token == address(0)) {
+            require(msg.value == _amount, _mismatchError);
+        } else {
+            require(msg.value == 0, "ETH sent for a token payment");
+            IERC20(_token).safeTransferFrom(_msgSender(), address(this), _amount);
+        }
+    }
+
+    // Crédite un paiement au lieu de le pousser : un destinataire qui revert ne bloque plus
+    // le paiement du loyer ni la résolution d'un litige [UPDATED]
+    function _payout(uint256 _agreementId, address _token, address _to, uint256 _amount) internal {
+        if (_amount == 0) return;
+        withdrawableBalances[_to][_token] += _amount;
+        emit PayoutCredited(_agreementId, _to, _token, _amount);
+    }
+
+    // call plutôt que transfer pour que les portefeuilles smart-contract puissent retirer
+    function _sendFunds(address _token, address _to, uint256 _amount) internal {
+        if (_token == address(0)) {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
     }
 
     
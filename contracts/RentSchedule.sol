@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+import "./DateTime.sol";
+
+// Échéancier des loyers : échéances, retards, pénalités et arriérés d'un accord.
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library RentSchedule {
+    // Échéance de la période _index (0 = début de l'accord) : le même jour de chaque mois civil,
+    // ramené à la fin des mois plus courts (MONTHLY), ou chaque jour (DAILY) [UPDATED]
+    // _unit est un RentUnit : un enum en paramètre d'une fonction publique de bibliothèque ne se décode pas dans l'ABI
+    function dueDate(uint8 _unit, uint256 _startDate, uint256 _index) public pure returns (uint256) {
+        return _unit == uint8(RealEstateRental.RentUnit.MONTHLY) ? DateTime.addMonths(_startDate, _index) : _startDate + _index * 1 days;
+    }
+
+    // Périodes entières écoulées entre le début de l'accord et _timestamp
+    function _periodsUntil(RealEstateRental.RentalAgreement storage a, uint256 _timestamp) private view returns (uint256) {
+        if (_timestamp <= a.startDate) return 0;
+        return a.unit == RealEstateRental.RentUnit.MONTHLY
+            ? DateTime.monthsBetween(a.startDate, _timestamp)
+            : (_timestamp - a.startDate) / 1 days;
+    }
+
+    // Périodes payées : celles qui se terminent au plus tard à la date payée [UPDATED]
+    function _paidPeriods(RealEstateRental.RentalAgreement storage a) private view returns (uint256) {
+        return _periodsUntil(a, a.paidThroughDate);
+    }
+
+    // Nombre de périodes dont l'échéance est dépassée de plus que le délai de grâce
+    function _latePeriods(RealEstateRental.RentalAgreement storage a, uint256 _gracePeriod) private view returns (uint256) {
+        if (block.timestamp <= a.startDate + _gracePeriod) return 0;
+        return _periodsUntil(a, block.timestamp - _gracePeriod - 1) + 1;
+    }
+
+    function _lateFee(RealEstateRental.RentalAgreement storage a, RealEstateRental.LateFeePolicy storage p)
+        private
+        view
+        returns (uint256)
+    {
+        return p.lateFeeFlat + (a.rentAmount * p.lateFeePercentage) / 100;
+    }
+
+    function paymentStatus(RealEstateRental.RentalAgreement storage a, RealEstateRental.LateFeePolicy storage p)
+        public
+        view
+        returns (RealEstateRental.PaymentStatus memory s)
+    {
+        uint256 totalPeriods = _periodsUntil(a, a.endDate);
+        uint256 paid = _paidPeriods(a);
+        if (paid >= totalPeriods) return s; // Tout est payé : aucune échéance
+
+        s.nextDueDate = a.paidThroughDate;
+        s.amountDue = a.rentAmount;
+        if (block.timestamp > s.nextDueDate) {
+            s.daysOverdue = (block.timestamp - s.nextDueDate) / 1 days;
+        }
+        // Chaque échéance dépassée de plus que le délai de grâce est une période manquée
+        if (block.timestamp > s.nextDueDate + p.gracePeriod) {
+            uint256 late = _latePeriods(a, p.gracePeriod);
+            s.missedPeriods = (late < totalPeriods ? late : totalPeriods) - paid;
+            s.lateFee = _lateFee(a, p);
+            s.amountDue += s.lateFee;
+            s.arrears = s.missedPeriods * (a.rentAmount + s.lateFee);
+        }
+        s.arrearsTerminable = p.maxMissedPeriods > 0 && s.missedPeriods > p.maxMissedPeriods;
+    }
+
+    // Vérifie un payRent de _amountInUnits périodes et en calcule le détail [UPDATED]
+    function rentPayment(
+        RealEstateRental.RentalAgreement storage a,
+        RealEstateRental.LateFeePolicy storage p,
+        RealEstateRental.PrepaymentDiscount storage d,
+        uint256 _amountInUnits
+    ) public view returns (RealEstateRental.RentQuote memory q) {
+        require(block.timestamp <= a.endDate, "Agreement expired");
+        require(_amountInUnits > 0, "Amount must be greater than zero");
+
+        uint256 paid = _paidPeriods(a);
+        q.rent = a.rentAmount * _amountInUnits;
+        q.paidThroughDate = dueDate(uint8(a.unit), a.startDate, paid + _amountInUnits);
+
+        // Plafond : loyers de toute la durée + caution, au tarif plein (la remise ne libère pas de périodes)
+        uint256 maxTotalRent = _periodsUntil(a, a.endDate) * a.rentAmount;
+        uint256 maxPayableAmount = maxTotalRent + a.securityDeposit;
+        require(
+            (paid + _amountInUnits) * a.rentAmount + a.securityDeposit <= maxPayableAmount,
+            "Overpayment: Contract duration fully paid"
+        );
+
+        // Une pénalité par période réglée après son échéance et le délai de grâce
+        uint256 late = _latePeriods(a, p.gracePeriod);
+        if (late > paid) {
+            uint256 lateCovered = late - paid < _amountInUnits ? late - paid : _amountInUnits;
+            q.lateFee = lateCovered * _lateFee(a, p);
+        }
+
+        // Remise sur les périodes pas encore échues, à partir de d.minPeriods périodes payées ensemble
+        if (d.percentage > 0 && _amountInUnits >= d.minPeriods) {
+            // Première période non échue : son début est strictement dans le futur
+            uint256 firstFuture = block.timestamp < a.startDate ? 0 : _periodsUntil(a, block.timestamp) + 1;
+            if (paid + _amountInUnits > firstFuture) {
+                uint256 prepaid = paid + _amountInUnits - (firstFuture > paid ? firstFuture : paid);
+                q.discount = (prepaid * a.rentAmount * d.percentage) / 100;
+            }
+        }
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+
+// Candidatures des tenants : dépôt, décision du landlord, retrait et financement de la réservation.
+// Vérifie et écrit les candidatures, et sélectionne les candidatures ouvertes pour les vues ;
+// RealEstateRental garde le compteur et émet les events (ceux d'une bibliothèque n'apparaissent pas dans son ABI).
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library RentalApplications {
+    uint256 internal constant RESERVE_WINDOW = 3 days; // Délai pour financer une candidature acceptée
+
+    function submit(
+        mapping(uint256 => RealEstateRental.Application) storage applications,
+        uint256 _applicationId,
+        RealEstateRental.Property storage property,
+        address _applicant,
+        uint256 _durationInMonths,
+        uint256 _additionalDays,
+        bytes32 _messageHash,
+        uint256[] storage _propertyApplications,
+        uint256[] storage _tenantApplications
+    ) public {
+        require(property.isActive, "Property not active");
+        require(_applicant != property.owner, "Owner cannot rent own property");
+        require(_durationInMonths > 0 || _additionalDays > 0, "Duration must be at least 1 day or 1 month");
+
+        applications[_applicationId] = RealEstateRental.Application({
+            applicationId: _applicationId,
+            propertyId: property.id,
+            applicant: _applicant,
+            durationInMonths: _durationInMonths,
+            additionalDays: _additionalDays,
+            messageHash: _messageHash,
+            status: RealEstateRental.ApplicationStatus.PENDING,
+            createdAt: block.timestamp,
+            reserveDeadline: 0
+        });
+        _propertyApplications.push(_applicationId);
+        _tenantApplications.push(_applicationId);
+    }
+
+    // Le landlord accepte (le candidat a alors RESERVE_WINDOW pour financer) ou refuse.
+    // Renvoie la date limite de financement, 0 en cas de refus
+    function decide(
+        mapping(uint256 => RealEstateRental.Application) storage applications,
+        mapping(uint256 => RealEstateRental.Property) storage properties,
+        uint256 _applicationId,
+        address _sender,
+        bool _accept
+    ) public returns (uint256 reserveDeadline) {
+        RealEstateRental.Application storage application = applications[_applicationId];
+        require(application.applicationId != 0, "Application does not exist");
+        require(properties[application.propertyId].owner == _sender, "Not property owner");
+        require(application.status == RealEstateRental.ApplicationStatus.PENDING, "Application not pending");
+        if (_accept) {
+            application.status = RealEstateRental.ApplicationStatus.ACCEPTED;
+            reserveDeadline = block.timestamp + RESERVE_WINDOW;
+            application.reserveDeadline = reserveDeadline;
+        } else {
+            application.status = RealEstateRental.ApplicationStatus.DECLINED;
+        }
+    }
+
+    function withdraw(RealEstateRental.Application storage application, address _sender) public {
+        require(application.applicant == _sender, "Not the applicant");
+        require(
+            application.status == RealEstateRental.ApplicationStatus.PENDING
+                || application.status == RealEstateRental.ApplicationStatus.ACCEPTED,
+            "Application not open"
+        );
+        application.status = RealEstateRental.ApplicationStatus.WITHDRAWN;
+    }
+
+    // Seul le candidat accepté finance la réservation, avant la date limite
+    function fund(RealEstateRental.Application storage application, address _sender) public {
+        require(application.applicant == _sender, "Not the applicant");
+        require(application.status == RealEstateRental.ApplicationStatus.ACCEPTED, "Application not accepted");
+        require(block.timestamp <= application.reserveDeadline, "Application reserve deadline passed");
+        application.status = RealEstateRental.ApplicationStatus.FUNDED;
+    }
+
+    // Candidatures ouvertes (PENDING ou ACCEPTED non financées) parmi _ids, dans leur ordre
+    function open(
+        mapping(uint256 => RealEstateRental.Application) storage applications,
+        uint256[] storage _ids
+    ) public view returns (RealEstateRental.Application[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (_isOpen(applications[_ids[i]])) count++;
+        }
+
+        RealEstateRental.Application[] memory result = new RealEstateRental.Application[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (_isOpen(applications[_ids[i]])) {
+                result[index] = applications[_ids[i]];
+                index++;
+            }
+        }
+        return result;
+    }
+
+    function _isOpen(RealEstateRental.Application storage _application) private view returns (bool) {
+        return _application.status == RealEstateRental.ApplicationStatus.PENDING
+            || (_application.status == RealEstateRental.ApplicationStatus.ACCEPTED
+                && block.timestamp <= _application.reserveDeadline);
+    }
+}
@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./RealEstateRental.sol";
+
+// Méta-transactions pour RealEstateRental : un relayer soumet et paie le gas de messages signés
+// hors chaîne (EIP-712). RealEstateRental fait confiance à ce forwarder (setTrustedForwarder) et lit
+// le signataire à la fin du calldata (ERC-2771).
+// - ForwardRequest : n'importe quel appel à RealEstateRental (activateAgreement, payRent, createDispute...),
+//   nonce séquentiel par signataire
+// - ListingOffer : termes d'une propriété signés par le landlord ; le tenant qui l'accepte applique les
+//   termes (updateProperty au nom du landlord), réserve et rétablit l'annonce dans la même transaction
+contract RentalForwarder is EIP712 {
+    struct ForwardRequest {
+        address from;
+        uint256 value; // ETH transmis à RealEstateRental, fourni par le relayer
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data; // Appel encodé, sans l'adresse du signataire
+    }
+
+    struct ListingOffer {
+        uint256 propertyId;
+        uint256 rentBaseAmount;
+        uint256 securityDeposit;
+        uint256 durationInMonths;
+        uint256 additionalDays;
+        address tenant; // address(0) = offre ouverte à tout tenant
+        uint256 nonce; // Usage unique, sans ordre : plusieurs offres peuvent coexister
+        uint256 deadline;
+    }
+
+    bytes32 private constant FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+    bytes32 private constant LISTING_OFFER_TYPEHASH = keccak256(
+        "ListingOffer(uint256 propertyId,uint256 rentBaseAmount,uint256 securityDeposit,uint256 durationInMonths,uint256 additionalDays,address tenant,uint256 nonce,uint256 deadline)"
+    );
+
+    RealEstateRental public immutable rental;
+
+    mapping(address => uint256) private nonces;
+    mapping(address => mapping(uint256 => bool)) public offerNonceUsed; // Par landlord
+
+    event RequestExecuted(address indexed from, uint256 nonce);
+    event OfferAccepted(
+        address indexed landlord, uint256 nonce, uint256 indexed propertyId, uint256 indexed agreementId, address tenant
+    );
+    event OfferCancelled(address indexed landlord, uint256 nonce);
+
+    constructor(RealEstateRental _rental) EIP712("RealEstateRental Forwarder", "1") {
+        rental = _rental;
+    }
+
+    function getNonce(address _from) external view returns (uint256) {
+        return nonces[_from];
+    }
+
+    // Vrai si la requête peut être exécutée maintenant : signature, nonce et échéance
+    function verify(ForwardRequest calldata _req, bytes calldata _signature) public view returns (bool) {
+        return block.timestamp <= _req.deadline
+            && _req.nonce == nonces[_req.from]
+            && _signedBy(_hashRequest(_req), _signature, _req.from);
+    }
+
+    function execute(ForwardRequest calldata _req, bytes calldata _signature) external payable returns (bytes memory) {
+        require(block.timestamp <= _req.deadline, "Request expired");
+        require(_req.nonce == nonces[_req.from], "Invalid nonce");
+        require(_signedBy(_hashRequest(_req), _signature, _req.from), "Invalid signature");
+        require(msg.value == _req.value, "Value mismatch");
+        nonces[_req.from]++;
+
+        bytes memory result = _call(_req.from, _req.value, _req.gas, _req.data);
+        // Le relayer ne doit pas pouvoir faire échouer l'appel en limitant le gas de la transaction (cf. EIP-150)
+        require(gasleft() > _req.gas / 63, "Insufficient gas");
+        emit RequestExecuted(_req.from, _req.nonce);
+        return result;
+    }
+
+    // Le tenant (msg.sender) accepte l'offre et finance la réservation comme avec reserveProperty
+    function acceptOffer(ListingOffer calldata _offer, bytes calldata _signature) external payable returns (uint256 agreementId) {
+        RealEstateRental.Property memory property = rental.getProperty(_offer.propertyId);
+        address landlord = property.owner;
+        require(block.timestamp <= _offer.deadline, "Offer expired");
+        require(_offer.tenant == address(0) || _offer.tenant == msg.sender, "Offer reserved for another tenant");
+        require(!offerNonceUsed[landlord][_offer.nonce], "Offer already used");
+        require(_signedBy(_hashOffer(_offer), _signature, landlord), "Invalid signature");
+        offerNonceUsed[landlord][_offer.nonce] = true;
+
+        _call(landlord, 0, gasleft(), abi.encodeCall(
+            RealEstateRental.updateProperty,
+            (
+                _offer.propertyId, property.propertyAddress, property.description,
+                _offer.rentBaseAmount, _offer.securityDeposit, true, property.unit
+            )
+        ));
+        bytes memory result = _call(msg.sender, msg.value, gasleft(), abi.encodeCall(
+            RealEstateRental.reserveProperty, (_offer.propertyId, _offer.durationInMonths, _offer.additionalDays)
+        ));
+        agreementId = abi.decode(result, (uint256));
+        // L'offre ne vaut que pour cette réservation : l'annonce reprend ses termes, et reste fermée si elle
+        // l'était ou si la réservation l'a fermée (location au mois)
+        _call(landlord, 0, gasleft(), abi.encodeCall(
+            RealEstateRental.updateProperty,
+            (
+                _offer.propertyId, property.propertyAddress, property.description,
+                property.rentBaseAmount, property.securityDeposit,
+                property.isAvailable && rental.getProperty(_offer.propertyId).isAvailable, property.unit
+            )
+        ));
+        emit OfferAccepted(landlord, _offer.nonce, _offer.propertyId, agreementId, msg.sender);
+    }
+
+    // Le landlord retire une offre signée avant son échéance
+    function cancelOffer(uint256 _nonce) external {
+        require(!offerNonceUsed[msg.sender][_nonce], "Offer already used");
+        offerNonceUsed[msg.sender][_nonce] = true;
+        emit OfferCancelled(msg.sender, _nonce);
+    }
+
+    function _hashRequest(ForwardRequest calldata _req) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH, _req.from, _req.value, _req.gas, _req.nonce, _req.deadline, keccak256(_req.data)
+        )));
+    }
+
+    function _hashOffer(ListingOffer calldata _offer) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(LISTING_OFFER_TYPEHASH, _offer)));
+    }
+
+    // Une signature mal formée compte comme invalide plutôt que de faire revert ECDSA
+    function _signedBy(bytes32 _digest, bytes calldata _signature, address _signer) internal pure returns (bool) {
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(_digest, _signature);
+        return error == ECDSA.RecoverError.NoError && recovered == _signer;
+    }
+
+    // Appelle RealEstateRental au nom de `_from` (adresse ajoutée au calldata) et remonte son revert
+    function _call(address _from, uint256 _value, uint256 _gas, bytes memory _data) internal returns (bytes memory) {
+        (bool success, bytes memory result) = address(rental).call{gas: _gas, value: _value}(abi.encodePacked(_data, _from));
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "./Roles.sol";
+
+// Rôles d'administration de RealEstateRental, qui les lit ici avec hasRole (FeeSchedule aussi) : le fee
+// manager fixe les taux des commissions, le trésorier leur répartition, l'arbitre tranche les litiges (sans
+// panel branché) et le pauser suspend les annonces, réservations et paiements. Les détenteurs de
+// DEFAULT_ADMIN_ROLE attribuent et retirent les rôles ; la liste des membres de chaque rôle est énumérable.
+// Contrat séparé pour garder RealEstateRental sous la limite de 24 Ko ; l'owner du contrat principal
+// garde le branchement des contrats satellites (panel, forwarder, rôles, commissions).
+contract RentalRoles is AccessControlEnumerable, Pausable {
+    bytes32 public constant FEE_MANAGER_ROLE = Roles.FEE_MANAGER;
+    bytes32 public constant TREASURER_ROLE = Roles.TREASURER;
+    bytes32 public constant ARBITER_ROLE = Roles.ARBITER;
+    bytes32 public constant PAUSER_ROLE = Roles.PAUSER;
+
+    // _admin reçoit l'administration et les quatre rôles, à répartir ensuite
+    constructor(address _admin) {
+        require(_admin != address(0), "Invalid admin");
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(FEE_MANAGER_ROLE, _admin);
+        _grantRole(TREASURER_ROLE, _admin);
+        _grantRole(ARBITER_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+    }
+
+    // Pause d'urgence, lue par RealEstateRental (et LeaseSublets) avant chaque annonce, réservation ou paiement
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    // Membres d'un rôle, dans l'ordre de l'ensemble énumérable (non garanti après un retrait)
+    function getRoleMembers(bytes32 _role) external view returns (address[] memory members) {
+        uint256 count = getRoleMemberCount(_role);
+        members = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            members[i] = getRoleMember(_role, i);
+        }
+    }
+}
@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+
+// Vues paginées et filtrées des propriétés et des accords de RealEstateRental, dans un contrat
+// séparé pour garder RealEstateRental sous la limite de 24 Ko.
+// Pagination par curseur : un appel parcourt au plus MAX_SCAN ids après _cursor et renvoie le
+// dernier id parcouru comme prochain curseur, ou 0 quand tous les ids ont été parcourus. Une page
+// peut donc être vide sans que la recherche soit terminée.
+contract RentalSearch {
+    enum UnitFilter { ANY, MONTHLY, DAILY }
+
+    enum PropertyStatusFilter {
+        ANY,
+        AVAILABLE,   // Active et réservable
+        UNAVAILABLE, // Active mais marquée indisponible par le landlord
+        DELISTED
+    }
+
+    struct PropertyFilter {
+        UnitFilter unit;
+        uint256 minRent;
+        uint256 maxRent;        // type(uint256).max = sans plafond
+        uint256 minDeposit;
+        uint256 maxDeposit;     // type(uint256).max = sans plafond
+        address owner;          // address(0) = tous les landlords
+        PropertyStatusFilter status;
+    }
+
+    struct AgreementFilter {
+        UnitFilter unit;
+        uint256 minRent;        // Sur le loyer de l'accord, pas celui de la propriété
+        uint256 maxRent;
+        uint256 minDeposit;
+        uint256 maxDeposit;
+        address landlord;       // address(0) = tous
+        address tenant;         // address(0) = tous
+        uint256 propertyId;     // 0 = toutes les propriétés
+        uint256 statuses;       // Masque de bits (1 << AgreementStatus), 0 = tous les statuts
+    }
+
+    // Ids parcourus par appel : borne le gas d'un eth_call quel que soit le nombre d'annonces
+    uint256 public constant MAX_SCAN = 200;
+
+    RealEstateRental public immutable rental;
+
+    constructor(RealEstateRental _rental) {
+        rental = _rental;
+    }
+
+    function searchProperties(PropertyFilter calldata _filter, uint256 _cursor, uint256 _limit)
+        external
+        view
+        returns (RealEstateRental.Property[] memory page, uint256 nextCursor)
+    {
+        uint256 last = rental.propertyCounter();
+        (uint256 end, uint256 size) = _window(_cursor, _limit, last);
+        page = new RealEstateRental.Property[](size);
+        uint256 count = 0;
+        uint256 id = _cursor;
+        while (id < end && count < size) {
+            id++;
+            RealEstateRental.Property memory property = rental.getProperty(id);
+            if (_matches(property, _filter)) {
+                page[count] = property;
+                count++;
+            }
+        }
+        assembly {
+            mstore(page, count) // Ramène la page au nombre de résultats
+        }
+        nextCursor = id < last ? id : 0;
+    }
+
+    function searchAgreements(AgreementFilter calldata _filter, uint256 _cursor, uint256 _limit)
+        external
+        view
+        returns (RealEstateRental.RentalAgreement[] memory page, uint256 nextCursor)
+    {
+        uint256 last = rental.agreementCounter();
+        (uint256 end, uint256 size) = _window(_cursor, _limit, last);
+        page = new RealEstateRental.RentalAgreement[](size);
+        uint256 count = 0;
+        uint256 id = _cursor;
+        while (id < end && count < size) {
+            id++;
+            RealEstateRental.RentalAgreement memory agreement = rental.getRentalAgreement(id);
+            if (_matches(agreement, _filter)) {
+                page[count] = agreement;
+                count++;
+            }
+        }
+        assembly {
+            mstore(page, count)
+        }
+        nextCursor = id < last ? id : 0;
+    }
+
+    // Dernier id à parcourir et taille maximale de la page
+    function _window(uint256 _cursor, uint256 _limit, uint256 _last) internal pure returns (uint256 end, uint256 size) {
+        require(_limit > 0, "Limit must be greater than 0");
+        if (_cursor >= _last) return (_last, 0);
+        end = _last - _cursor > MAX_SCAN ? _cursor + MAX_SCAN : _last;
+        size = _limit < end - _cursor ? _limit : end - _cursor;
+    }
+
+    function _matches(RealEstateRental.Property memory _property, PropertyFilter calldata _filter)
+        internal
+        pure
+        returns (bool)
+    {
+        if (!_inRange(_property.unit, _property.rentBaseAmount, _property.securityDeposit,
+            _filter.unit, _filter.minRent, _filter.maxRent, _filter.minDeposit, _filter.maxDeposit)) {
+            return false;
+        }
+        if (_filter.owner != address(0) && _property.owner != _filter.owner) return false;
+        if (_filter.status == PropertyStatusFilter.AVAILABLE) return _property.isActive && _property.isAvailable;
+        if (_filter.status == PropertyStatusFilter.UNAVAILABLE) return _property.isActive && !_property.isAvailable;
+        if (_filter.status == PropertyStatusFilter.DELISTED) return !_property.isActive;
+        return true;
+    }
+
+    function _matches(RealEstateRental.RentalAgreement memory _agreement, AgreementFilter calldata _filter)
+        internal
+        pure
+        returns (bool)
+    {
+        if (!_inRange(_agreement.unit, _agreement.rentAmount, _agreement.securityDeposit,
+            _filter.unit, _filter.minRent, _filter.maxRent, _filter.minDeposit, _filter.maxDeposit)) {
+            return false;
+        }
+        if (_filter.landlord != address(0) && _agreement.landlord != _filter.landlord) return false;
+        if (_filter.tenant != address(0) && _agreement.tenant != _filter.tenant) return false;
+        if (_filter.propertyId != 0 && _agreement.propertyId != _filter.propertyId) return false;
+        return _filter.statuses == 0 || (_filter.statuses & (1 << uint8(_agreement.status))) != 0;
+    }
+
+    function _inRange(
+        RealEstateRental.RentUnit _unit,
+        uint256 _rent,
+        uint256 _deposit,
+        UnitFilter _unitFilter,
+        uint256 _minRent,
+        uint256 _maxRent,
+        uint256 _minDeposit,
+        uint256 _maxDeposit
+    ) internal pure returns (bool) {
+        // UnitFilter décale RentUnit de 1 pour laisser 0 à ANY
+        if (_unitFilter != UnitFilter.ANY && uint8(_unitFilter) != uint8(_unit) + 1) return false;
+        return _rent >= _minRent && _rent <= _maxRent && _deposit >= _minDeposit && _deposit <= _maxDeposit;
+    }
+}
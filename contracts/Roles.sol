@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Identifiants des rôles, partagés avec RealEstateRental (0.8.20 n'expose pas les constantes d'un contrat
+// par son nom de type, seulement celles d'une bibliothèque)
+library Roles {
+    bytes32 internal constant FEE_MANAGER = keccak256("FEE_MANAGER_ROLE");
+    bytes32 internal constant TREASURER = keccak256("TREASURER_ROLE");
+    bytes32 internal constant ARBITER = keccak256("ARBITER_ROLE");
+    bytes32 internal constant PAUSER = keccak256("PAUSER_ROLE");
+}
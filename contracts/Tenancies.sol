@@ -0,0 +1,334 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealEstateRental.sol";
+import "./PlatformFees.sol";
+
+// Locataires d'un accord : paiement du loyer par le tenant, ou colocation.
+// Le tenant d'une réservation peut inviter des co-locataires avec leur part du loyer et du dépôt,
+// en points de base ; il garde le reste. Chaque co-locataire rejoint l'accord en versant sa part du premier
+// loyer et du dépôt, que le tenant avait avancés et qui lui sont crédités. Ensuite chacun paie sa part de
+// chaque loyer, et les périodes ne sont payées qu'à l'arrivée de la dernière part. À la fin, le dépôt est
+// rendu au prorata des parts, ou selon les retenues attribuées à chacun.
+// Exécutée dans le contexte de RealEstateRental (voir AgreementSettlement pour les events redéclarés).
+// Bibliothèque liée (fonctions public) pour garder RealEstateRental sous la limite de 24 Ko.
+library Tenancies {
+    uint256 internal constant SHARE_BASE = 10_000; // 100 % en points de base
+
+    event CoTenantsSet(uint256 indexed agreementId, address[] coTenants, uint256[] rentShares, uint256[] depositShares);
+    event CoTenantJoined(uint256 indexed agreementId, address indexed coTenant, uint256 amount);
+    event RentSharePaid(uint256 indexed agreementId, address indexed coTenant, uint256 units, uint256 amount);
+    event DeductionsAllocated(uint256 indexed agreementId, uint256[] amounts);
+    event AgreementActivated(uint256 indexed agreementId);
+    event RentPaid(uint256 indexed agreementId, uint256 amount, uint256 timestamp);
+    event LateFeePaid(uint256 indexed agreementId, uint256 amount);
+    event PrepaymentDiscountApplied(uint256 indexed agreementId, uint256 amount);
+    event SecurityDepositReturned(uint256 indexed agreementId, address tenant, uint256 amount);
+    event PayoutCredited(uint256 indexed agreementId, address indexed account, address indexed token, uint256 amount);
+
+    // Remplace les invitations tant qu'aucun co-locataire n'a rejoint l'accord
+    function set(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        address _sender,
+        address[] memory _accounts,
+        uint256[] memory _rentShares,
+        uint256[] memory _depositShares
+    ) public {
+        require(_sender == agreement.tenant, "Not the tenant");
+        require(agreement.status == RealEstateRental.AgreementStatus.PENDING_RESERVATION, "Agreement is not in PENDING_RESERVATION status");
+        require(
+            _accounts.length > 0 && _accounts.length == _rentShares.length && _accounts.length == _depositShares.length,
+            "Invalid co-tenants"
+        );
+        RealEstateRental.CoTenant[] storage members = tenancy.members;
+        for (uint256 i = 1; i < members.length; i++) {
+            require(!members[i].joined, "Co-tenants already joined");
+        }
+        delete tenancy.members;
+
+        uint256 rentTotal;
+        uint256 depositTotal;
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            require(_accounts[i] != address(0) && _accounts[i] != agreement.tenant && _accounts[i] != agreement.landlord, "Invalid co-tenants");
+            for (uint256 j = 0; j < i; j++) {
+                require(_accounts[j] != _accounts[i], "Invalid co-tenants");
+            }
+            require(_rentShares[i] > 0, "Invalid shares");
+            rentTotal += _rentShares[i];
+            depositTotal += _depositShares[i];
+        }
+        // Le tenant garde une part du loyer, et le reste du dépôt
+        require(rentTotal < SHARE_BASE && depositTotal <= SHARE_BASE, "Invalid shares");
+
+        members.push(RealEstateRental.CoTenant(agreement.tenant, SHARE_BASE - rentTotal, SHARE_BASE - depositTotal, true, false, 0, 0));
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            members.push(RealEstateRental.CoTenant(_accounts[i], _rentShares[i], _depositShares[i], false, false, 0, 0));
+        }
+        emit CoTenantsSet(agreement.agreementId, _accounts, _rentShares, _depositShares);
+    }
+
+    // Le co-locataire verse sa part du premier loyer et du dépôt, créditée au tenant qui les a avancés.
+    // Renvoie le montant à encaisser
+    function join(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        uint256[] storage _tenantAgreements,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _sender
+    ) public returns (uint256 amount) {
+        require(agreement.status == RealEstateRental.AgreementStatus.PENDING_RESERVATION, "Agreement is not in PENDING_RESERVATION status");
+        RealEstateRental.CoTenant storage member = _member(tenancy, _sender);
+        require(!member.joined, "Already joined");
+
+        member.joined = true;
+        amount = (agreement.rentAmount * member.rentShare + agreement.securityDeposit * member.depositShare) / SHARE_BASE;
+        _tenantAgreements.push(agreement.agreementId);
+        _credit(balances, agreement, agreement.tenant, amount);
+        emit CoTenantJoined(agreement.agreementId, _sender, amount);
+    }
+
+    // Le tenant ou un co-locataire remet les clés, une fois que tous ont rejoint l'accord : le premier
+    // loyer, encaissé à la réservation, est crédité au landlord moins la commission, créditée au FeeSchedule [UPDATED]
+    function activate(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        address _sender
+    ) public {
+        bool member = _sender == agreement.tenant;
+        for (uint256 i = 0; i < tenancy.members.length; i++) {
+            member = member || tenancy.members[i].account == _sender;
+        }
+        require(member, "Only tenant can activate agreement");
+        require(agreement.status == RealEstateRental.AgreementStatus.PENDING_RESERVATION, "Agreement is not in PENDING_RESERVATION status");
+        require(block.timestamp >= agreement.startDate, "Stay not started"); // Réservation datée : clés remises à l'arrivée
+        for (uint256 i = 0; i < tenancy.members.length; i++) {
+            require(tenancy.members[i].joined, "Co-tenants have not all joined");
+        }
+
+        agreement.status = RealEstateRental.AgreementStatus.ACTIVE;
+        (uint256 rentBps, , ) = PlatformFees.rates(_feeSchedule, agreement);
+        uint256 platformFee = PlatformFees.feeOn(agreement.rentAmount, rentBps);
+        _credit(balances, agreement, _feeSchedule, platformFee);
+        _credit(balances, agreement, agreement.landlord, agreement.rentAmount - platformFee);
+        emit RentPaid(agreement.agreementId, agreement.rentAmount, block.timestamp);
+        emit AgreementActivated(agreement.agreementId);
+    }
+
+    // payRent de _quote, vérifié par RentSchedule. En colocation, l'appelant paie sa part et toutes les parts
+    // d'une même échéance paient le même nombre de périodes ; la dernière part paie les périodes.
+    // Renvoie le montant à encaisser [UPDATED]
+    function payRent(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        address _sender,
+        uint256 _units,
+        RealEstateRental.RentQuote memory _quote
+    ) public returns (uint256 amount) {
+        if (tenancy.members.length == 0) {
+            require(agreement.tenant == _sender, "Not the tenant");
+            require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+            agreement.paidThroughDate = _quote.paidThroughDate;
+            _creditRent(agreement, balances, _feeSchedule, _quote.rent - _quote.discount, _quote.lateFee, _quote.discount);
+            return _quote.rent - _quote.discount + _quote.lateFee;
+        }
+        require(agreement.status == RealEstateRental.AgreementStatus.ACTIVE, "Agreement not active");
+        RealEstateRental.CoTenant storage member = _member(tenancy, _sender);
+        RealEstateRental.RentRound storage round = tenancy.round;
+        require(!member.sharePaid, "Share already paid");
+        require(round.units == 0 || round.units == _units, "Co-tenants pay for other periods");
+
+        uint256 rent = _share(tenancy, _quote.rent - _quote.discount, member);
+        uint256 lateFee = _share(tenancy, _quote.lateFee, member);
+        amount = rent + lateFee;
+        member.sharePaid = true;
+        member.roundPaid = amount;
+        round.units = _units;
+        round.shares++;
+        round.rent += rent;
+        round.lateFee += lateFee;
+        round.discount += _share(tenancy, _quote.discount, member);
+        emit RentSharePaid(agreement.agreementId, _sender, _units, amount);
+
+        if (round.shares == tenancy.members.length) {
+            agreement.paidThroughDate = _quote.paidThroughDate;
+            _creditRent(agreement, balances, _feeSchedule, round.rent, round.lateFee, round.discount);
+            _resetRound(tenancy);
+        }
+    }
+
+    // Retenue de chaque co-locataire sur sa part du dépôt, dans l'ordre de getTenancy. Le landlord les
+    // attribue pendant la fenêtre de contestation, l'arbitre pendant un litige (RealEstateRental vérifie
+    // l'arbitre). Elles s'appliquent si leur somme est la part du landlord retenue au final
+    function allocateDeductions(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        RealEstateRental.DeductionClaim storage claim,
+        address _sender,
+        uint256[] memory _amounts
+    ) public {
+        if (claim.status == RealEstateRental.DeductionStatus.CLAIMED) {
+            require(_sender == agreement.landlord, "Not the landlord");
+        } else {
+            require(
+                claim.status == RealEstateRental.DeductionStatus.CHALLENGED
+                    || agreement.status == RealEstateRental.AgreementStatus.DISPUTED,
+                "No deductions to allocate"
+            );
+        }
+        require(_amounts.length == tenancy.members.length, "Invalid deduction allocation");
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            require(_amounts[i] <= _depositPart(agreement, tenancy, i), "Invalid deduction allocation");
+            tenancy.members[i].deduction = _amounts[i];
+        }
+        emit DeductionsAllocated(agreement.agreementId, _amounts);
+    }
+
+    // Rembourse une réservation non activée : à chaque co-locataire ce qu'il a versé en rejoignant
+    // l'accord, au tenant le reste
+    function refundReservation(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        mapping(address => mapping(address => uint256)) storage balances
+    ) public returns (uint256 refund) {
+        refund = agreement.rentAmount + agreement.securityDeposit; // Premier loyer + dépôt encaissés à la réservation
+        uint256 rest = refund;
+        for (uint256 i = 1; i < tenancy.members.length; i++) {
+            RealEstateRental.CoTenant storage member = tenancy.members[i];
+            if (!member.joined) continue;
+            uint256 amount = (agreement.rentAmount * member.rentShare + agreement.securityDeposit * member.depositShare) / SHARE_BASE;
+            rest -= amount;
+            _credit(balances, agreement, member.account, amount);
+        }
+        _credit(balances, agreement, agreement.tenant, rest);
+    }
+
+    // Rend le dépôt moins _landlordAmount aux co-locataires, avec les parts d'une échéance inachevée :
+    // selon les retenues attribuées si leur somme est _landlordAmount, au prorata des parts sinon
+    function splitDeposit(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        mapping(address => mapping(address => uint256)) storage balances,
+        uint256 _landlordAmount
+    ) internal {
+        RealEstateRental.CoTenant[] storage members = tenancy.members;
+        uint256 allocated;
+        for (uint256 i = 0; i < members.length; i++) {
+            allocated += members[i].deduction;
+        }
+        uint256 rest = agreement.securityDeposit - _landlordAmount;
+        for (uint256 i = 1; i < members.length; i++) {
+            uint256 amount = allocated == _landlordAmount
+                ? _depositPart(agreement, tenancy, i) - members[i].deduction
+                : ((agreement.securityDeposit - _landlordAmount) * members[i].depositShare) / SHARE_BASE;
+            rest -= amount;
+            _returnDeposit(agreement, balances, members[i], amount);
+        }
+        // Le tenant reçoit le reste, arrondis compris
+        _returnDeposit(agreement, balances, members[0], rest);
+        _resetRound(tenancy);
+    }
+
+    // Rend aussi la part versée pour une échéance inachevée
+    function _returnDeposit(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(address => mapping(address => uint256)) storage balances,
+        RealEstateRental.CoTenant storage member,
+        uint256 _amount
+    ) private {
+        _credit(balances, agreement, member.account, _amount + member.roundPaid);
+        if (_amount > 0) {
+            emit SecurityDepositReturned(agreement.agreementId, member.account, _amount);
+        }
+    }
+
+    // Crédite au landlord le loyer et la pénalité de retard, chacun moins sa commission, créditée au FeeSchedule [UPDATED]
+    function _creditRent(
+        RealEstateRental.RentalAgreement storage agreement,
+        mapping(address => mapping(address => uint256)) storage balances,
+        address _feeSchedule,
+        uint256 _rent,
+        uint256 _lateFee,
+        uint256 _discount
+    ) private {
+        agreement.totalPaid += _rent; // Loyers effectivement payés + caution, sans les pénalités
+        (uint256 rentBps, uint256 lateFeeBps, ) = PlatformFees.rates(_feeSchedule, agreement);
+        uint256 platformFee = PlatformFees.feeOn(_rent, rentBps) + PlatformFees.feeOn(_lateFee, lateFeeBps);
+        _credit(balances, agreement, _feeSchedule, platformFee);
+        _credit(balances, agreement, agreement.landlord, _rent + _lateFee - platformFee);
+        if (_lateFee > 0) {
+            emit LateFeePaid(agreement.agreementId, _lateFee);
+        }
+        if (_discount > 0) {
+            emit PrepaymentDiscountApplied(agreement.agreementId, _discount);
+        }
+        emit RentPaid(agreement.agreementId, _rent, block.timestamp);
+    }
+
+    function _member(RealEstateRental.Tenancy storage tenancy, address _account)
+        private
+        view
+        returns (RealEstateRental.CoTenant storage)
+    {
+        for (uint256 i = 0; i < tenancy.members.length; i++) {
+            if (tenancy.members[i].account == _account) return tenancy.members[i];
+        }
+        revert("Not a co-tenant");
+    }
+
+    // Part de _amount d'un co-locataire ; le tenant (indice 0) paie le reste, arrondis compris
+    function _share(RealEstateRental.Tenancy storage tenancy, uint256 _amount, RealEstateRental.CoTenant storage member)
+        private
+        view
+        returns (uint256)
+    {
+        if (member.account != tenancy.members[0].account) {
+            return (_amount * member.rentShare) / SHARE_BASE;
+        }
+        uint256 rest = _amount;
+        for (uint256 i = 1; i < tenancy.members.length; i++) {
+            rest -= (_amount * tenancy.members[i].rentShare) / SHARE_BASE;
+        }
+        return rest;
+    }
+
+    // Part du dépôt d'un co-locataire ; le tenant (indice 0) a le reste
+    function _depositPart(
+        RealEstateRental.RentalAgreement storage agreement,
+        RealEstateRental.Tenancy storage tenancy,
+        uint256 _index
+    ) private view returns (uint256) {
+        if (_index > 0) {
+            return (agreement.securityDeposit * tenancy.members[_index].depositShare) / SHARE_BASE;
+        }
+        uint256 rest = agreement.securityDeposit;
+        for (uint256 i = 1; i < tenancy.members.length; i++) {
+            rest -= (agreement.securityDeposit * tenancy.members[i].depositShare) / SHARE_BASE;
+        }
+        return rest;
+    }
+
+    function _resetRound(RealEstateRental.Tenancy storage tenancy) private {
+        delete tenancy.round;
+        for (uint256 i = 0; i < tenancy.members.length; i++) {
+            tenancy.members[i].sharePaid = false;
+            tenancy.members[i].roundPaid = 0;
+        }
+    }
+
+    // Même crédit que RealEstateRental._payout, dans le token de l'accord
+    function _credit(
+        mapping(address => mapping(address => uint256)) storage balances,
+        RealEstateRental.RentalAgreement storage agreement,
+        address _to,
+        uint256 _amount
+    ) private {
+        if (_amount == 0) return;
+        balances[_to][agreement.paymentToken] += _amount;
+        emit PayoutCredited(agreement.agreementId, _to, agreement.paymentToken, _amount);
+    }
+}
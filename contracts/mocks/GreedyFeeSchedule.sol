@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../IFeeSchedule.sol";
+
+// FeeSchedule de test sans plafond ni délai : renvoie les taux qu'on lui donne, même au-delà de 100 %
+contract GreedyFeeSchedule is IFeeSchedule {
+    uint256 private rentBps;
+    uint256 private lateFeeBps;
+    uint256 private depositBps;
+
+    function setRates(uint256 _rentBps, uint256 _lateFeeBps, uint256 _depositBps) external {
+        rentBps = _rentBps;
+        lateFeeBps = _lateFeeBps;
+        depositBps = _depositBps;
+    }
+
+    function ratesFor(uint256, uint8) external view override returns (uint256, uint256, uint256) {
+        return (rentBps, lateFeeBps, depositBps);
+    }
+
+    receive() external payable {}
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Portefeuille smart-contract de test : relaie des appels et refuse l'ETH tant que
+// acceptPayments est faux, comme un landlord ou un tenant qui revert.
+contract RevertingReceiver {
+    bool public acceptPayments;
+
+    function setAcceptPayments(bool _accept) external {
+        acceptPayments = _accept;
+    }
+
+    function execute(address _target, bytes calldata _data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = _target.call{value: msg.value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        require(acceptPayments, "RevertingReceiver: payments refused");
+    }
+}
@@ -1,5 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/rental");
+require("./tasks/indexer");
+require("./tasks/api");
+require("./tasks/statements");
 
 module.exports = {
     solidity: {
@@ -8,7 +12,9 @@ module.exports = {
             optimizer: {
                 enabled: true,
                 runs: 200
-            }
+            },
+            // The IR pipeline keeps RealEstateRental under the 24 KB contract size limit
+            viaIR: true
         }
     },
     networks: {
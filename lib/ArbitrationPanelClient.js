@@ -0,0 +1,233 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { AssignmentMode, CaseStatus, decodeEnum, encodeEnum } = require("./enums");
+const { decodeLog } = require("./RealEstateRentalClient");
+
+const ABI_PATH = path.join(__dirname, "..", "contracts", "ArbitrationPanel.abi");
+const ABI = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+/**
+ * @typedef {Object} Case
+ * @property {bigint} disputeId
+ * @property {string[]} arbiters
+ * @property {bigint} evidenceDeadline   Parties submit evidence until it, arbiters vote after it
+ * @property {bigint} votingDeadline     Without a majority by then, the panel owner decides
+ * @property {bigint} votesCast
+ * @property {"NONE"|"OPEN"|"DECIDED"|"FALLBACK"} status
+ */
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} party
+ * @property {string} evidenceHash   keccak256 of the document kept off-chain
+ * @property {bigint} submittedAt
+ */
+
+/**
+ * @typedef {Case & {
+ *   phase: "EVIDENCE"|"VOTING"|"EXPIRED"|"CLOSED",
+ *   vote: {cast: boolean, landlordAmount: bigint}
+ * }} AssignedCase
+ */
+
+function toCase(c) {
+    return {
+        disputeId: c.disputeId,
+        arbiters: [...c.arbiters],
+        evidenceDeadline: c.evidenceDeadline,
+        votingDeadline: c.votingDeadline,
+        votesCast: c.votesCast,
+        status: decodeEnum(CaseStatus, c.status)
+    };
+}
+
+function toEvidence(e) {
+    return { party: e.party, evidenceHash: e.evidenceHash, submittedAt: e.submittedAt };
+}
+
+// Where a case stands at `timestamp`; EXPIRED means open past its voting deadline
+function casePhase(c, timestamp) {
+    if (c.status !== "OPEN") return "CLOSED";
+    if (timestamp <= c.evidenceDeadline) return "EVIDENCE";
+    if (timestamp <= c.votingDeadline) return "VOTING";
+    return "EXPIRED";
+}
+
+/** keccak256 of an evidence document: a string (UTF-8) or raw bytes such as a file Buffer. */
+function hashEvidence(content) {
+    return typeof content === "string" ? ethers.id(content) : ethers.keccak256(content);
+}
+
+class ArbitrationPanelClient {
+    /**
+     * @param {string} address          Deployed ArbitrationPanel address
+     * @param {import("ethers").ContractRunner} runner  Signer for writes, provider for reads
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ABI, runner);
+        this.interface = this.contract.interface;
+    }
+
+    /**
+     * Attach to the panel a RealEstateRental routes its disputes through.
+     * @param {import("./RealEstateRentalClient").RealEstateRentalClient} rental
+     * @param {import("ethers").ContractRunner} [runner]  Defaults to the rental client's runner
+     */
+    static async fromRental(rental, runner = rental.runner) {
+        const address = await rental.getArbitrationPanel();
+        if (address === ethers.ZeroAddress) {
+            throw new Error(`RealEstateRental at ${rental.address} has no arbitration panel`);
+        }
+        return new this(address, runner);
+    }
+
+    /** Same contract, different signer or provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    /** @returns {import("./RealEstateRentalClient").DecodedEvent[]} */
+    decodeEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+            const decoded = decodeLog(this.interface, log);
+            if (!decoded) continue;
+            events.push({ ...decoded, address: log.address, logIndex: log.index });
+        }
+        return events;
+    }
+
+    async _send(method, args) {
+        const tx = await this.contract[method](...args);
+        const receipt = await tx.wait();
+        return {
+            hash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            receipt,
+            events: this.decodeEvents(receipt)
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Registry and configuration (owner only)
+    // ---------------------------------------------------------------
+
+    async addArbiter(arbiter) {
+        return this._send("addArbiter", [arbiter]);
+    }
+
+    async removeArbiter(arbiter) {
+        return this._send("removeArbiter", [arbiter]);
+    }
+
+    /**
+     * Settings of future panels; omitted fields keep their current value.
+     * @param {{panelSize?: number, evidencePeriod?: number, votingPeriod?: number, mode?: "ROUND_ROBIN"|"RANDOM"}} changes
+     *        Periods in seconds, 1 to 30 days; panelSize must be odd
+     */
+    async setPanelConfig(changes = {}) {
+        const current = await this.getConfig();
+        const { panelSize, evidencePeriod, votingPeriod, mode } = { ...current, ...changes };
+        return this._send("setPanelConfig", [panelSize, evidencePeriod, votingPeriod, encodeEnum(AssignmentMode, mode)]);
+    }
+
+    // ---------------------------------------------------------------
+    // Evidence and votes
+    // ---------------------------------------------------------------
+
+    /**
+     * Landlord or tenant, during the evidence period. The document stays off-chain.
+     * @param {bigint|number} disputeId
+     * @param {{evidence?: string|Uint8Array, evidenceHash?: string}} submission
+     */
+    async submitEvidence(disputeId, { evidence, evidenceHash } = {}) {
+        const hash = evidenceHash ?? hashEvidence(evidence);
+        return this._send("submitEvidence", [disputeId, hash]);
+    }
+
+    /**
+     * Assigned arbiter, after the evidence period. `decided` is set when this vote
+     * completed a majority and the deposit split was executed.
+     * @returns {Promise<import("./RealEstateRentalClient").TxResult & {decided: boolean}>}
+     */
+    async castVote(disputeId, landlordAmount) {
+        const result = await this._send("castVote", [disputeId, landlordAmount]);
+        return { ...result, decided: result.events.some((e) => e.name === "CaseDecided") };
+    }
+
+    /** Owner only. Decide a case the arbiters left without a majority. */
+    async fallbackResolve(disputeId, landlordAmount) {
+        return this._send("fallbackResolve", [disputeId, landlordAmount]);
+    }
+
+    // ---------------------------------------------------------------
+    // Views
+    // ---------------------------------------------------------------
+
+    /** @returns {Promise<{panelSize: bigint, evidencePeriod: bigint, votingPeriod: bigint, mode: string}>} */
+    async getConfig() {
+        const [panelSize, evidencePeriod, votingPeriod, mode] = await Promise.all([
+            this.contract.panelSize(),
+            this.contract.evidencePeriod(),
+            this.contract.votingPeriod(),
+            this.contract.assignmentMode()
+        ]);
+        return { panelSize, evidencePeriod, votingPeriod, mode: decodeEnum(AssignmentMode, mode) };
+    }
+
+    /** @returns {Promise<string[]>} */
+    async getArbiters() {
+        return [...(await this.contract.getArbiters())];
+    }
+
+    /** @returns {Promise<Case>} */
+    async getCase(disputeId) {
+        return toCase(await this.contract.getCase(disputeId));
+    }
+
+    /** @returns {Promise<Evidence[]>} */
+    async getEvidence(disputeId) {
+        return (await this.contract.getEvidence(disputeId)).map(toEvidence);
+    }
+
+    /** @returns {Promise<{cast: boolean, landlordAmount: bigint}>} */
+    async getVote(disputeId, arbiter) {
+        const vote = await this.contract.getVote(disputeId, arbiter);
+        return { cast: vote.cast, landlordAmount: vote.landlordAmount };
+    }
+
+    /**
+     * Cases assigned to an arbiter with their phase at the latest block and the arbiter's vote.
+     * @param {string} arbiter
+     * @param {{openOnly?: boolean}} [options]  Skip decided cases, true by default
+     * @returns {Promise<AssignedCase[]>}
+     */
+    async getAssignedDisputes(arbiter, { openOnly = true } = {}) {
+        const provider = this.runner.provider ?? this.runner;
+        const [ids, block] = await Promise.all([
+            this.contract.getAssignedDisputes(arbiter),
+            provider.getBlock("latest")
+        ]);
+        const timestamp = BigInt(block.timestamp);
+        const cases = await Promise.all(ids.map(async (id) => {
+            const [c, vote] = await Promise.all([this.getCase(id), this.getVote(id, arbiter)]);
+            return { ...c, phase: casePhase(c, timestamp), vote };
+        }));
+        return openOnly ? cases.filter((c) => c.status === "OPEN") : cases;
+    }
+}
+
+ArbitrationPanelClient.ABI = ABI;
+
+module.exports = {
+    ArbitrationPanelClient,
+    PANEL_ABI: ABI,
+    toCase,
+    toEvidence,
+    casePhase,
+    hashEvidence
+};
@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { FeeScope, RentUnit, encodeEnum } = require("./enums");
+const { decodeLog } = require("./RealEstateRentalClient");
+const { resolveDeployment } = require("./deployments");
+
+const ABI_PATH = path.join(__dirname, "..", "contracts", "FeeSchedule.abi");
+const ABI = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+/**
+ * @typedef {Object} TreasuryRecipient
+ * @property {string} account
+ * @property {bigint} share     In basis points, the shares add up to 10000
+ */
+
+function toRates(r) {
+    return { rentBps: r.rentBps, lateFeeBps: r.lateFeeBps, depositBps: r.depositBps, set: r.set };
+}
+
+/**
+ * On-chain scope index and key of a level: ("DEFAULT"), ("UNIT", "DAILY") or ("PROPERTY", 3).
+ * @returns {[number, bigint]}
+ */
+function feeLevel(scope, key = 0) {
+    const index = encodeEnum(FeeScope, scope);
+    if (FeeScope[index] === "UNIT") return [index, BigInt(encodeEnum(RentUnit, key))];
+    return [index, BigInt(key)];
+}
+
+class FeeScheduleClient {
+    /**
+     * @param {string} address          Deployed FeeSchedule address
+     * @param {import("ethers").ContractRunner} runner  Signer for writes, provider for reads
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ABI, runner);
+        this.interface = this.contract.interface;
+    }
+
+    /**
+     * Attach to the fee schedule a RealEstateRental credits its fees to.
+     * @param {import("./RealEstateRentalClient").RealEstateRentalClient} rental
+     * @param {import("ethers").ContractRunner} [runner]  Defaults to the rental client's runner
+     */
+    static async fromRental(rental, runner = rental.runner) {
+        const address = await rental.getFeeSchedule();
+        if (address === ethers.ZeroAddress) {
+            throw new Error(`RealEstateRental at ${rental.address} has no fee schedule, it charges no fees`);
+        }
+        return new this(address, runner);
+    }
+
+    /**
+     * Attach to the deployment recorded for `network` in the registry.
+     * @param {import("ethers").ContractRunner} runner
+     * @param {string} network
+     * @param {{file?: string}} [options]
+     */
+    static async fromRegistry(runner, network, options = {}) {
+        const provider = runner.provider ?? runner;
+        const record = await resolveDeployment(provider, network, "FeeSchedule", ABI, options);
+        return new this(record.address, runner);
+    }
+
+    /** Same contract, different signer or provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    /** @returns {import("./RealEstateRentalClient").DecodedEvent[]} */
+    decodeEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+            const decoded = decodeLog(this.interface, log);
+            if (!decoded) continue;
+            events.push({ ...decoded, address: log.address, logIndex: log.index });
+        }
+        return events;
+    }
+
+    async _send(method, args) {
+        const tx = await this.contract[method](...args);
+        const receipt = await tx.wait();
+        return {
+            hash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            receipt,
+            events: this.decodeEvents(receipt)
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Rates (fee manager only), effective FEE_CHANGE_DELAY after they are scheduled
+    // ---------------------------------------------------------------
+
+    /**
+     * Replace the rates of a level: the defaults, a rent unit or a property. Each rate is at most 1000 bps.
+     * @param {"DEFAULT"|"UNIT"|"PROPERTY"|number} scope
+     * @param {string|number|bigint} key    0 for DEFAULT, "MONTHLY" or "DAILY" for UNIT, the property id for PROPERTY
+     * @param {{rentBps?: number|bigint, lateFeeBps?: number|bigint, depositBps?: number|bigint}} rates
+     * @returns {Promise<import("./RealEstateRentalClient").TxResult & {effectiveAt: bigint}>}
+     */
+    async scheduleRates(scope, key, { rentBps = 0, lateFeeBps = 0, depositBps = 0 }) {
+        const result = await this._send("scheduleRates", [...feeLevel(scope, key), rentBps, lateFeeBps, depositBps]);
+        return { ...result, effectiveAt: result.events.find((e) => e.name === "FeeRatesScheduled").args.effectiveAt };
+    }
+
+    /** Drop the rates of a unit or property, which falls back on the next level once the delay passes. */
+    async scheduleRemoval(scope, key) {
+        const result = await this._send("scheduleRemoval", feeLevel(scope, key));
+        return { ...result, effectiveAt: result.events.find((e) => e.name === "FeeRatesScheduled").args.effectiveAt };
+    }
+
+    /** Drop the change scheduled on a level, if it hasn't taken effect yet. */
+    async cancelFeeChange(scope, key) {
+        return this._send("cancelFeeChange", feeLevel(scope, key));
+    }
+
+    // ---------------------------------------------------------------
+    // Treasury
+    // ---------------------------------------------------------------
+
+    /**
+     * Treasurer only. Split future distributions between up to 10 recipients; the first gets the rounding.
+     * @param {{account: string, share: number|bigint}[]} recipients  Shares in basis points, adding up to 10000
+     */
+    async setTreasury(recipients) {
+        return this._send("setTreasury", [recipients.map((r) => r.account), recipients.map((r) => r.share)]);
+    }
+
+    /**
+     * Anyone: withdraw the fees RealEstateRental credited in `token` and split them between the recipients.
+     * @returns {Promise<import("./RealEstateRentalClient").TxResult & {amount: bigint}>}
+     */
+    async distribute(token = ethers.ZeroAddress) {
+        const result = await this._send("distribute", [token]);
+        return { ...result, amount: result.events.find((e) => e.name === "FeesDistributed").args.amount };
+    }
+
+    /** Recipient: withdraw their share of the distributed fees in `token`. */
+    async withdraw(token = ethers.ZeroAddress) {
+        return this._send("withdraw", [token]);
+    }
+
+    // ---------------------------------------------------------------
+    // Views
+    // ---------------------------------------------------------------
+
+    /** @returns {Promise<import("./fees").FeeLevel>} Rates of a level at the latest block and the change to come */
+    async getRates(scope, key) {
+        const { current, pending, effectiveAt } = await this.contract.getRates(...feeLevel(scope, key));
+        return { current: toRates(current), pending: toRates(pending), effectiveAt };
+    }
+
+    /**
+     * Rates charged on a property at the latest block. RealEstateRentalClient.getFeeRates also
+     * applies the changes due by a later time, and the quote* methods turn them into fees.
+     * @returns {Promise<import("./fees").FeeRates>}
+     */
+    async ratesFor(propertyId, unit) {
+        const { rentBps, lateFeeBps, depositBps } = await this.contract.ratesFor(propertyId, encodeEnum(RentUnit, unit));
+        return { rentBps, lateFeeBps, depositBps };
+    }
+
+    /** @returns {Promise<TreasuryRecipient[]>} */
+    async getTreasury() {
+        const [accounts, shares] = await this.contract.getTreasury();
+        return accounts.map((account, i) => ({ account, share: shares[i] }));
+    }
+
+    /** @returns {Promise<bigint>} Fees credited by RealEstateRental in `token`, waiting for distribute */
+    async getUndistributed(token = ethers.ZeroAddress) {
+        return this.contract.getUndistributed(token);
+    }
+
+    /** @returns {Promise<bigint>} Distributed fees `account` can withdraw */
+    async getWithdrawableBalance(account, token = ethers.ZeroAddress) {
+        return this.contract.getWithdrawableBalance(account, token);
+    }
+}
+
+FeeScheduleClient.ABI = ABI;
+
+module.exports = {
+    FeeScheduleClient,
+    FEE_SCHEDULE_ABI: ABI,
+    feeLevel
+};
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { SubletStatus, decodeEnum } = require("./enums");
+const { decodeLog } = require("./RealEstateRentalClient");
+const { resolveDeployment } = require("./deployments");
+const { erc20, isEth } = require("./erc20");
+
+const ABI_PATH = path.join(__dirname, "..", "contracts", "LeaseSublets.abi");
+const ABI = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+/**
+ * @typedef {Object} Sublet
+ * @property {bigint} subletId
+ * @property {bigint} agreementId
+ * @property {string} tenant          Primary tenant, credited with every payment
+ * @property {string} subtenant
+ * @property {bigint} rentAmount      Per period of the agreement (month or day)
+ * @property {string} paymentToken    The agreement's, ZeroAddress for ETH
+ * @property {bigint} periods
+ * @property {bigint} paidPeriods
+ * @property {"OFFERED"|"ACTIVE"|"ENDED"} status
+ */
+
+function toSublet(s) {
+    return {
+        subletId: s.subletId,
+        agreementId: s.agreementId,
+        tenant: s.tenant,
+        subtenant: s.subtenant,
+        rentAmount: s.rentAmount,
+        paymentToken: s.paymentToken,
+        periods: s.periods,
+        paidPeriods: s.paidPeriods,
+        status: decodeEnum(SubletStatus, s.status)
+    };
+}
+
+class LeaseSubletsClient {
+    /**
+     * @param {string} address          Deployed LeaseSublets address
+     * @param {import("ethers").ContractRunner} runner  Signer for writes, provider for reads
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ABI, runner);
+        this.interface = this.contract.interface;
+    }
+
+    /**
+     * Attach to the deployment recorded for `network` in the registry.
+     * @param {import("ethers").ContractRunner} runner
+     * @param {string} network
+     * @param {{file?: string}} [options]
+     */
+    static async fromRegistry(runner, network, options = {}) {
+        const provider = runner.provider ?? runner;
+        const record = await resolveDeployment(provider, network, "LeaseSublets", ABI, options);
+        return new this(record.address, runner);
+    }
+
+    /** Same contract, different signer or provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    /** @returns {import("./RealEstateRentalClient").DecodedEvent[]} */
+    decodeEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+            const decoded = decodeLog(this.interface, log);
+            if (!decoded) continue;
+            events.push({ ...decoded, address: log.address, logIndex: log.index });
+        }
+        return events;
+    }
+
+    async _send(method, args, overrides = {}) {
+        const tx = await this.contract[method](...args, overrides);
+        const receipt = await tx.wait();
+        return {
+            hash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            receipt,
+            events: this.decodeEvents(receipt)
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Sublets
+    // ---------------------------------------------------------------
+
+    /**
+     * Primary tenant of an active agreement. Rent is per period of the agreement, in its token.
+     * @param {bigint|number} agreementId
+     * @param {{subtenant: string, rentAmount: bigint, periods: number|bigint}} terms
+     * @returns {Promise<import("./RealEstateRentalClient").TxResult & {subletId: bigint}>}
+     */
+    async offerSublet(agreementId, { subtenant, rentAmount, periods }) {
+        const result = await this._send("offerSublet", [agreementId, subtenant, rentAmount, periods]);
+        const event = result.events.find((e) => e.name === "SubletOffered");
+        return { ...result, subletId: event.args.subletId };
+    }
+
+    /** Subtenant. */
+    async acceptSublet(subletId) {
+        return this._send("acceptSublet", [subletId]);
+    }
+
+    /**
+     * Subtenant. Pays `periods` periods to the primary tenant, approving the contract
+     * first for token-priced agreements.
+     * @returns {Promise<import("./RealEstateRentalClient").TxResult & {approval?: string}>}
+     */
+    async paySubletRent(subletId, periods = 1) {
+        const sublet = await this.getSublet(subletId);
+        const amount = sublet.rentAmount * BigInt(periods);
+        if (isEth(sublet.paymentToken)) {
+            return this._send("paySubletRent", [subletId, periods], { value: amount });
+        }
+        const owner = await this.runner.getAddress();
+        const token = erc20(sublet.paymentToken, this.runner);
+        let approval;
+        if ((await token.allowance(owner, this.address)) < amount) {
+            const tx = await token.approve(this.address, amount);
+            await tx.wait();
+            approval = tx.hash;
+        }
+        const result = await this._send("paySubletRent", [subletId, periods]);
+        return approval ? { ...result, approval } : result;
+    }
+
+    /** Either party: withdraw an offer, decline it or end an active sublet. */
+    async endSublet(subletId) {
+        return this._send("endSublet", [subletId]);
+    }
+
+    /** Primary tenant: withdraw sublet rent received in `token`. */
+    async withdraw(token = ethers.ZeroAddress) {
+        return this._send("withdraw", [token]);
+    }
+
+    // ---------------------------------------------------------------
+    // Views
+    // ---------------------------------------------------------------
+
+    /** @returns {Promise<Sublet>} */
+    async getSublet(subletId) {
+        return toSublet(await this.contract.getSublet(subletId));
+    }
+
+    /** @returns {Promise<Sublet[]>} Every sublet ever offered on an agreement */
+    async getAgreementSublets(agreementId) {
+        const ids = await this.contract.getAgreementSublets(agreementId);
+        return Promise.all(ids.map((id) => this.getSublet(id)));
+    }
+
+    /** @returns {Promise<bigint>} */
+    async getWithdrawableBalance(account, token = ethers.ZeroAddress) {
+        return this.contract.getWithdrawableBalance(account, token);
+    }
+}
+
+LeaseSubletsClient.ABI = ABI;
+
+module.exports = {
+    LeaseSubletsClient,
+    SUBLETS_ABI: ABI,
+    toSublet
+};
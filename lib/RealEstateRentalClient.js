@@ -0,0 +1,1541 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+    RentUnit,
+    AgreementStatus,
+    ApplicationStatus,
+    DeductionStatus,
+    DisputeStatus,
+    AssignmentMode,
+    decodeEnum,
+    encodeEnum
+} = require("./enums");
+const { resolveDeployment } = require("./deployments");
+const { erc20, isEth } = require("./erc20");
+const { paymentSchedule, amendmentTerms } = require("./schedule");
+const { feeBreakdown, resolveRates } = require("./fees");
+const { verifyPropertyMetadata } = require("./metadata");
+
+const ABI_PATH = path.join(__dirname, "..", "contracts", "RealEstateRental.abi");
+const ABI = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+const PROPERTY_TOKEN_ABI = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "..", "contracts", "PropertyToken.abi"), "utf8")
+);
+const FEE_SCHEDULE_ABI = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "..", "contracts", "FeeSchedule.abi"), "utf8")
+);
+
+/**
+ * @typedef {Object} Property
+ * @property {bigint} id
+ * @property {string} owner
+ * @property {string} propertyAddress
+ * @property {string} description
+ * @property {bigint} rentBaseAmount   Rent per unit, in wei
+ * @property {"MONTHLY"|"DAILY"} unit
+ * @property {string} paymentToken      ERC-20 address, ZeroAddress for ETH
+ * @property {bigint} securityDeposit
+ * @property {boolean} isAvailable
+ * @property {boolean} isActive
+ * @property {string} metadataHash      Content hash of the off-chain metadata, ZeroHash when none
+ */
+
+/**
+ * @typedef {Object} RentalAgreement
+ * @property {bigint} agreementId
+ * @property {bigint} propertyId
+ * @property {string} tenant
+ * @property {string} landlord
+ * @property {bigint} rentAmount
+ * @property {"MONTHLY"|"DAILY"} unit
+ * @property {string} paymentToken
+ * @property {bigint} securityDeposit
+ * @property {bigint} startDate
+ * @property {bigint} endDate
+ * @property {bigint} handoverDeadline  After it, a pending reservation can be expired
+ * @property {bigint} paidThroughDate   End of the last paid period, i.e. the next due date
+ * @property {"PENDING_RESERVATION"|"ACTIVE"|"COMPLETED"|"TERMINATED"|"DISPUTED"|"CANCELLED"} status
+ * @property {bigint} totalPaid
+ */
+
+/**
+ * @typedef {Object} Application
+ * @property {bigint} applicationId
+ * @property {bigint} propertyId
+ * @property {string} applicant
+ * @property {bigint} durationInMonths
+ * @property {bigint} additionalDays
+ * @property {string} messageHash        keccak256 of the off-chain message, ZeroHash if none
+ * @property {"PENDING"|"ACCEPTED"|"DECLINED"|"WITHDRAWN"|"FUNDED"} status
+ * @property {bigint} createdAt
+ * @property {bigint} reserveDeadline    Set on acceptance, 0 before
+ */
+
+/**
+ * @typedef {Object} DeductionClaim
+ * @property {bigint} amount             Part of the deposit claimed by the landlord
+ * @property {string} itemsHash          Hash of the itemized list kept off-chain
+ * @property {bigint} challengeDeadline
+ * @property {"NONE"|"CLAIMED"|"CHALLENGED"|"SETTLED"} status
+ */
+
+/**
+ * @typedef {Object} Dispute
+ * @property {bigint} disputeId
+ * @property {bigint} agreementId
+ * @property {string} initiator
+ * @property {string} reason
+ * @property {"OPEN"|"RESOLVED"|"REJECTED"} status
+ * @property {bigint} createdAt
+ */
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} name
+ * @property {Object<string, *>} args
+ * @property {string} address
+ * @property {number} logIndex
+ */
+
+/**
+ * Unsigned transaction. Token payments also carry the ERC-20 approve to send
+ * first, unless the sender's allowance is known to be sufficient.
+ * @typedef {Object} UnsignedTx
+ * @property {string} to
+ * @property {string} data
+ * @property {bigint} value
+ * @property {{to: string, data: string, value: bigint}} [approval]
+ */
+
+/**
+ * @typedef {Object} LateFeePolicy
+ * @property {bigint} gracePeriod        Seconds after a due date before the period counts as missed
+ * @property {bigint} lateFeeFlat        Charged on each period paid after its grace period
+ * @property {bigint} lateFeePercentage  Percent of the rent, added to the flat fee
+ * @property {bigint} maxMissedPeriods   Beyond it the landlord can terminate for arrears, 0 = never
+ */
+
+/**
+ * @typedef {Object} PrepaymentDiscount
+ * @property {bigint} minPeriods         Periods to pay in a single payRent to get the discount
+ * @property {bigint} percentage         Percent off the rent of periods not yet due, 0 = none
+ */
+
+/**
+ * @typedef {Object} RentQuote
+ * @property {bigint} rent               Full rent of the periods paid
+ * @property {bigint} lateFee            Late fees of the overdue periods among them
+ * @property {bigint} discount           Prepayment discount, taken off the rent
+ * @property {bigint} paidThroughDate    Paid-through date once the payment is made
+ * @property {bigint} amount             Exact value to send: rent - discount + lateFee
+ */
+
+/**
+ * @typedef {Object} FeeQuote
+ * @property {string} token
+ * @property {import("./fees").FeeRates} rates   Rates of the property at the latest block
+ * @property {bigint} changesAt     Next scheduled rate change of the property, 0n when none: the quote holds until then
+ * @property {bigint} rent          Rent the fee is taken on, after any prepayment discount
+ * @property {bigint} lateFee
+ * @property {bigint} deposit       Part of the deposit the landlord keeps
+ * @property {bigint} rentFee
+ * @property {bigint} lateFeeFee
+ * @property {bigint} depositFee
+ * @property {bigint} platformFee   Total withheld, credited to the FeeSchedule
+ * @property {bigint} landlordNet   Credited to the landlord
+ * @property {bigint} amount        What the payer sends with the transaction, 0n when nothing is sent
+ */
+
+/**
+ * @typedef {Object} Amendment
+ * @property {bigint} endDate            New end date, no earlier than the current one
+ * @property {bigint} rentAmount         New rent of the periods not paid yet
+ * @property {bigint} securityDeposit    New deposit: the tenant pays the top-up or gets the excess back
+ * @property {string} proposedBy         The other party accepts or rejects
+ * @property {bigint} escrow             Deposit top-up already paid by a tenant who proposed
+ */
+
+/**
+ * @typedef {Object} CoTenant
+ * @property {string} account            The tenant first, then the co-tenants in the order they were set
+ * @property {bigint} rentShare          Share of each rent, in basis points
+ * @property {bigint} depositShare       Share of the deposit, in basis points
+ * @property {boolean} joined            Paid their share of the first rent and deposit
+ * @property {boolean} sharePaid         Paid their share of the current round
+ * @property {bigint} roundPaid          Paid in the current round, handed back if the agreement ends first
+ * @property {bigint} deduction          Deduction allocated on their share of the deposit
+ */
+
+/**
+ * @typedef {Object} Tenancy
+ * @property {CoTenant[]} coTenants      Empty unless the tenant shares the agreement
+ * @property {{units: bigint, shares: bigint}} round  Periods paid by the shares received so far
+ */
+
+/**
+ * @typedef {Object} PaymentStatus
+ * @property {bigint} nextDueDate        0 once the whole term is paid
+ * @property {bigint} amountDue          Exact value of the next payRent, late fee included
+ * @property {bigint} lateFee
+ * @property {bigint} daysOverdue
+ * @property {bigint} missedPeriods      Due dates past their grace period and unpaid
+ * @property {bigint} arrears            Rent and late fees of the missed periods
+ * @property {boolean} arrearsTerminable
+ */
+
+/**
+ * @typedef {Object} BookedInterval
+ * @property {bigint} agreementId
+ * @property {bigint} startDate          Inclusive
+ * @property {bigint} endDate            Exclusive
+ */
+
+/**
+ * @typedef {Object} FreeRange
+ * @property {bigint} startDate          Midnight UTC, inclusive
+ * @property {bigint} endDate            Midnight UTC, exclusive
+ * @property {bigint} days
+ */
+
+/**
+ * @typedef {Object} TxResult
+ * @property {string} hash
+ * @property {number} blockNumber
+ * @property {import("ethers").TransactionReceipt} receipt
+ * @property {DecodedEvent[]} events
+ */
+
+function toProperty(p) {
+    return {
+        id: p.id,
+        owner: p.owner,
+        propertyAddress: p.propertyAddress,
+        description: p.description,
+        rentBaseAmount: p.rentBaseAmount,
+        unit: decodeEnum(RentUnit, p.unit),
+        paymentToken: p.paymentToken,
+        securityDeposit: p.securityDeposit,
+        isAvailable: p.isAvailable,
+        isActive: p.isActive,
+        metadataHash: p.metadataHash
+    };
+}
+
+function toAgreement(a) {
+    return {
+        agreementId: a.agreementId,
+        propertyId: a.propertyId,
+        tenant: a.tenant,
+        landlord: a.landlord,
+        rentAmount: a.rentAmount,
+        unit: decodeEnum(RentUnit, a.unit),
+        paymentToken: a.paymentToken,
+        securityDeposit: a.securityDeposit,
+        startDate: a.startDate,
+        endDate: a.endDate,
+        handoverDeadline: a.handoverDeadline,
+        paidThroughDate: a.paidThroughDate,
+        status: decodeEnum(AgreementStatus, a.status),
+        totalPaid: a.totalPaid
+    };
+}
+
+function toApplication(a) {
+    return {
+        applicationId: a.applicationId,
+        propertyId: a.propertyId,
+        applicant: a.applicant,
+        durationInMonths: a.durationInMonths,
+        additionalDays: a.additionalDays,
+        messageHash: a.messageHash,
+        status: decodeEnum(ApplicationStatus, a.status),
+        createdAt: a.createdAt,
+        reserveDeadline: a.reserveDeadline
+    };
+}
+
+// Applications commit to an off-chain message by its keccak256
+function hashApplicationMessage(message) {
+    return ethers.id(message);
+}
+
+function toDeductionClaim(c) {
+    return {
+        amount: c.amount,
+        itemsHash: c.itemsHash,
+        challengeDeadline: c.challengeDeadline,
+        status: decodeEnum(DeductionStatus, c.status)
+    };
+}
+
+/**
+ * Hash of an itemized deduction list, e.g. `[{ description: "Broken window", amount: 10n ** 17n }]`.
+ * Amounts are hashed as decimal strings so the list can be stored as JSON.
+ */
+function hashDeductionItems(items) {
+    const canonical = items.map(({ description, amount }) => ({ description: String(description), amount: amount.toString() }));
+    return ethers.id(JSON.stringify(canonical));
+}
+
+function toLateFeePolicy(p) {
+    return {
+        gracePeriod: p.gracePeriod,
+        lateFeeFlat: p.lateFeeFlat,
+        lateFeePercentage: p.lateFeePercentage,
+        maxMissedPeriods: p.maxMissedPeriods
+    };
+}
+
+function toPrepaymentDiscount(d) {
+    return {
+        minPeriods: d.minPeriods,
+        percentage: d.percentage
+    };
+}
+
+function toRentQuote(q) {
+    return {
+        rent: q.rent,
+        lateFee: q.lateFee,
+        discount: q.discount,
+        paidThroughDate: q.paidThroughDate,
+        amount: q.rent - q.discount + q.lateFee
+    };
+}
+
+function toAmendment(m) {
+    return {
+        endDate: m.endDate,
+        rentAmount: m.rentAmount,
+        securityDeposit: m.securityDeposit,
+        proposedBy: m.proposedBy,
+        escrow: m.escrow
+    };
+}
+
+const SHARE_BASE = 10_000n;
+
+function toTenancy(t) {
+    return {
+        coTenants: t.members.map((m) => ({
+            account: m.account,
+            rentShare: m.rentShare,
+            depositShare: m.depositShare,
+            joined: m.joined,
+            sharePaid: m.sharePaid,
+            roundPaid: m.roundPaid,
+            deduction: m.deduction
+        })),
+        round: { units: t.round.units, shares: t.round.shares }
+    };
+}
+
+// Part of `amount` paid by `account`, as in Tenancies._share: the tenant pays the rounding remainder
+function shareOf(amount, coTenants, account) {
+    const index = coTenants.findIndex((m) => m.account.toLowerCase() === account.toLowerCase());
+    if (index < 0) throw new Error(`${account} is not a co-tenant`);
+    if (index > 0) return (amount * coTenants[index].rentShare) / SHARE_BASE;
+    return coTenants.slice(1).reduce((rest, m) => rest - (amount * m.rentShare) / SHARE_BASE, amount);
+}
+
+/**
+ * Share of a rent quote paid by one co-tenant of a shared agreement.
+ * @param {RentQuote} quote
+ * @param {Tenancy} tenancy
+ * @param {string} account
+ * @returns {bigint}
+ */
+function rentShareAmount(quote, tenancy, account) {
+    if (tenancy.coTenants.length === 0) return quote.amount;
+    const { coTenants } = tenancy;
+    return shareOf(quote.rent - quote.discount, coTenants, account) + shareOf(quote.lateFee, coTenants, account);
+}
+
+const DAY = 24n * 60n * 60n;
+
+/**
+ * Unix timestamp (seconds) of a booking date: a Date, a "YYYY-MM-DD" string (midnight UTC),
+ * or seconds as a number or bigint.
+ * @returns {bigint}
+ */
+function toTimestamp(date) {
+    if (date instanceof Date) return BigInt(Math.floor(date.getTime() / 1000));
+    if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        const ms = Date.parse(`${date}T00:00:00Z`);
+        if (Number.isNaN(ms)) throw new Error(`Invalid date: ${date}`);
+        return BigInt(ms / 1000);
+    }
+    return BigInt(date);
+}
+
+function toBookedInterval(i) {
+    return {
+        agreementId: i.agreementId,
+        startDate: i.startDate,
+        endDate: i.endDate
+    };
+}
+
+/**
+ * Whole-day ranges free of any booked interval between `from` and `to`, at least `minDays` long.
+ * Partial days next to a booking (a stay starting at reservation time) are left out.
+ * @param {BookedInterval[]} intervals
+ * @param {{from: bigint|number|string|Date, to: bigint|number|string|Date, minDays?: number}} window
+ * @returns {FreeRange[]}
+ */
+function findFreeRanges(intervals, { from, to, minDays = 1 }) {
+    const start = toTimestamp(from);
+    const end = toTimestamp(to);
+    const sorted = [...intervals].sort((a, b) => (a.startDate < b.startDate ? -1 : a.startDate > b.startDate ? 1 : 0));
+    const ranges = [];
+    let cursor = start;
+    const addGap = (gapEnd) => {
+        const first = ((cursor + DAY - 1n) / DAY) * DAY;
+        const last = (gapEnd / DAY) * DAY;
+        if (last > first && (last - first) / DAY >= BigInt(minDays)) {
+            ranges.push({ startDate: first, endDate: last, days: (last - first) / DAY });
+        }
+    };
+    for (const interval of sorted) {
+        if (interval.endDate <= cursor) continue;
+        if (interval.startDate >= end) break;
+        if (interval.startDate > cursor) addGap(interval.startDate);
+        cursor = interval.endDate;
+    }
+    if (cursor < end) addGap(end);
+    return ranges;
+}
+
+function toPaymentStatus(s) {
+    return {
+        nextDueDate: s.nextDueDate,
+        amountDue: s.amountDue,
+        lateFee: s.lateFee,
+        daysOverdue: s.daysOverdue,
+        missedPeriods: s.missedPeriods,
+        arrears: s.arrears,
+        arrearsTerminable: s.arrearsTerminable
+    };
+}
+
+function toDispute(d) {
+    return {
+        disputeId: d.disputeId,
+        agreementId: d.agreementId,
+        initiator: d.initiator,
+        reason: d.reason,
+        status: decodeEnum(DisputeStatus, d.status),
+        createdAt: d.createdAt
+    };
+}
+
+// Event arguments that carry an enum, by event name
+const EVENT_ENUMS = {
+    PropertyListed: { unit: RentUnit },
+    PanelConfigUpdated: { mode: AssignmentMode }
+};
+
+/**
+ * Decode one RealEstateRental (or ArbitrationPanel) log into `{ name, args }`, enums as names.
+ * Returns null for logs the ABI doesn't know.
+ * @param {import("ethers").Interface} iface
+ * @param {{topics: string[], data: string}} log
+ */
+function decodeLog(iface, log) {
+    const parsed = iface.parseLog(log);
+    if (!parsed) return null;
+    const args = {};
+    const enums = EVENT_ENUMS[parsed.name] || {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name] = enums[input.name] ? decodeEnum(enums[input.name], value) : value;
+    });
+    return { name: parsed.name, args };
+}
+
+class RealEstateRentalClient {
+    /**
+     * @param {string} address          Deployed RealEstateRental address
+     * @param {import("ethers").ContractRunner} runner  Signer for writes, provider for reads
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ABI, runner);
+        this.interface = this.contract.interface;
+    }
+
+    /**
+     * Attach to the deployment recorded for `network` in the registry.
+     * Throws when nothing is deployed there or when its ABI differs from ours.
+     * @param {import("ethers").ContractRunner} runner
+     * @param {string} network   Network name, e.g. "localhost"
+     * @param {{file?: string}} [options]
+     */
+    static async fromRegistry(runner, network, options = {}) {
+        const provider = runner.provider ?? runner;
+        const record = await resolveDeployment(provider, network, "RealEstateRental", ABI, options);
+        return new this(record.address, runner);
+    }
+
+    /** Same contract, different signer or provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    // ---------------------------------------------------------------
+    // Events
+    // ---------------------------------------------------------------
+
+    /**
+     * Decode every RealEstateRental log of a receipt into plain objects.
+     * Logs emitted by other contracts are skipped.
+     * @returns {DecodedEvent[]}
+     */
+    decodeEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+            const decoded = decodeLog(this.interface, log);
+            if (!decoded) continue;
+            events.push({ ...decoded, address: log.address, logIndex: log.index });
+        }
+        return events;
+    }
+
+    async _send(method, args, overrides = {}) {
+        return this._result(await this.contract[method](...args, overrides));
+    }
+
+    async _result(tx) {
+        const receipt = await tx.wait();
+        return {
+            hash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            receipt,
+            events: this.decodeEvents(receipt)
+        };
+    }
+
+    _findEvent(result, name) {
+        const event = result.events.find((e) => e.name === name);
+        if (!event) {
+            throw new Error(`Expected ${name} event in transaction ${result.hash}`);
+        }
+        return event;
+    }
+
+    // ETH goes in msg.value; a token is approved first, then pulled by the contract
+    async _sendPayment(method, args, token, amount) {
+        if (isEth(token)) {
+            return this._send(method, args, { value: amount });
+        }
+        const approval = await this.ensureAllowance(token, amount);
+        const result = await this._send(method, args);
+        return approval ? { ...result, approval } : result;
+    }
+
+    async _buildPayment(method, args, token, amount, from) {
+        if (isEth(token)) {
+            return this.populateTransaction(method, args, amount);
+        }
+        const tx = await this.populateTransaction(method, args);
+        if (from !== undefined && (await erc20(token, this.runner).allowance(from, this.address)) >= amount) {
+            return tx;
+        }
+        const approval = {
+            to: token,
+            data: erc20(token).interface.encodeFunctionData("approve", [this.address, amount]),
+            value: 0n
+        };
+        return { ...tx, approval };
+    }
+
+    /**
+     * Approve the rental contract for `amount` of `token` if the signer's
+     * allowance is lower. Returns the approve transaction hash, if one was sent.
+     * @returns {Promise<string|undefined>}
+     */
+    async ensureAllowance(token, amount) {
+        const owner = await this.runner.getAddress();
+        const token20 = erc20(token, this.runner);
+        if ((await token20.allowance(owner, this.address)) >= amount) return undefined;
+        const tx = await token20.approve(this.address, amount);
+        await tx.wait();
+        return tx.hash;
+    }
+
+    /** Decimals of a payment token, 18 for ETH. */
+    async tokenDecimals(token) {
+        return isEth(token) ? 18 : Number(await erc20(token, this.runner).decimals());
+    }
+
+    // ---------------------------------------------------------------
+    // Payment amounts
+    // ---------------------------------------------------------------
+
+    /**
+     * Exact amount expected by reserveProperty: first rent unit plus the deposit,
+     * in the property's payment token.
+     * @returns {Promise<{token: string, firstRent: bigint, securityDeposit: bigint, total: bigint}>}
+     */
+    async quoteReservation(propertyId) {
+        const property = await this.getProperty(propertyId);
+        return {
+            token: property.paymentToken,
+            firstRent: property.rentBaseAmount,
+            securityDeposit: property.securityDeposit,
+            total: property.rentBaseAmount + property.securityDeposit
+        };
+    }
+
+    /**
+     * Exact amount expected by payRent for `units` months or days, with the late fees and
+     * prepayment discount at the latest block. A payment mined after a due date or grace period
+     * passes would need a different amount.
+     * @returns {Promise<bigint>}
+     */
+    async quoteRent(agreementId, units = 1) {
+        return (await this.getRentQuote(agreementId, units)).amount;
+    }
+
+    /**
+     * Breakdown of a payRent for `units` periods. Reverts like payRent beyond the end of the term.
+     * @returns {Promise<RentQuote>}
+     */
+    async getRentQuote(agreementId, units = 1) {
+        return toRentQuote(await this.contract.quoteRent(agreementId, units));
+    }
+
+    /**
+     * Deposit top-up `sender` sends with an amendment: a tenant pays it when proposing a higher
+     * deposit, or when accepting one the landlord proposed. Pass `terms` to propose, none to accept.
+     * @returns {Promise<{token: string, amount: bigint}>}
+     */
+    async quoteAmendmentTopUp(agreementId, sender, terms) {
+        const [agreement, amendment] = await Promise.all([
+            this.getRentalAgreement(agreementId),
+            terms ? null : this.getAmendment(agreementId)
+        ]);
+        const deposit = terms ? BigInt(terms.securityDeposit) : amendment?.securityDeposit ?? 0n;
+        let amount = 0n;
+        if (deposit > agreement.securityDeposit) {
+            if (sender === undefined) throw new Error("Sender required: only the tenant pays the deposit top-up");
+            if (sender.toLowerCase() === agreement.tenant.toLowerCase()) {
+                amount = deposit - agreement.securityDeposit - (amendment?.escrow ?? 0n);
+            }
+        }
+        return { token: agreement.paymentToken, amount };
+    }
+
+    /**
+     * Part of a payRent `account` sends when the agreement is shared by co-tenants: their share
+     * of the rent and late fees. The whole amount when it isn't shared.
+     * @returns {Promise<bigint>}
+     */
+    async quoteRentShare(agreementId, account, units = 1) {
+        return (await this._rentQuote(agreementId, units, account)).amount;
+    }
+
+    /**
+     * What a co-tenant pays to join a reservation: their share of the first rent and of the deposit.
+     * @returns {Promise<{token: string, amount: bigint}>}
+     */
+    async quoteJoin(agreementId, account) {
+        const [agreement, tenancy] = await Promise.all([
+            this.getRentalAgreement(agreementId),
+            this.getTenancy(agreementId)
+        ]);
+        const member = tenancy.coTenants.find((m) => m.account.toLowerCase() === account.toLowerCase());
+        if (!member) throw new Error(`${account} is not a co-tenant of agreement ${agreementId}`);
+        const amount = (agreement.rentAmount * member.rentShare + agreement.securityDeposit * member.depositShare) / SHARE_BASE;
+        return { token: agreement.paymentToken, amount };
+    }
+
+    /**
+     * Fees withheld from the first rent, credited to the landlord when the keys are handed over
+     * (the tenant paid it with the reservation).
+     * @returns {Promise<FeeQuote>}
+     */
+    async quoteActivationFees(agreementId) {
+        const agreement = await this.getRentalAgreement(agreementId);
+        return this._feeQuote(agreement, { rent: agreement.rentAmount }, 0n);
+    }
+
+    /**
+     * Fees withheld from a payRent of `units` periods, at the rates and late fees of the latest block.
+     * On a shared agreement they are taken on the whole payment, once the last co-tenant has paid.
+     * @returns {Promise<FeeQuote>}
+     */
+    async quoteRentFees(agreementId, units = 1) {
+        const [agreement, quote] = await Promise.all([
+            this.getRentalAgreement(agreementId),
+            this.getRentQuote(agreementId, units)
+        ]);
+        return this._feeQuote(agreement, { rent: quote.rent - quote.discount, lateFee: quote.lateFee }, quote.amount);
+    }
+
+    /**
+     * Fees withheld from the part of the deposit the landlord keeps at settlement: deductions, a
+     * dispute ruling or arrears. The whole deposit by default, as when the tenant terminates.
+     * @returns {Promise<FeeQuote>}
+     */
+    async quoteDepositFees(agreementId, landlordAmount) {
+        const agreement = await this.getRentalAgreement(agreementId);
+        return this._feeQuote(agreement, { deposit: landlordAmount ?? agreement.securityDeposit }, 0n);
+    }
+
+    async _feeQuote(agreement, amounts, amount) {
+        const { rates, changesAt } = await this.getFeeRates(agreement.propertyId, agreement.unit);
+        return {
+            token: agreement.paymentToken,
+            rates,
+            changesAt,
+            rent: 0n,
+            lateFee: 0n,
+            deposit: 0n,
+            ...amounts,
+            ...feeBreakdown(rates, amounts),
+            amount
+        };
+    }
+
+    // Co-tenants each send their share, so `payer` is needed once the agreement is shared
+    async _rentQuote(agreementId, units, payer) {
+        const [agreement, quote, tenancy] = await Promise.all([
+            this.getRentalAgreement(agreementId),
+            this.getRentQuote(agreementId, units),
+            this.getTenancy(agreementId)
+        ]);
+        if (tenancy.coTenants.length > 0 && payer === undefined) {
+            throw new Error("Sender required: each co-tenant pays their share of the rent");
+        }
+        return { token: agreement.paymentToken, amount: payer === undefined ? quote.amount : rentShareAmount(quote, tenancy, payer) };
+    }
+
+    // ---------------------------------------------------------------
+    // Unsigned transactions
+    // ---------------------------------------------------------------
+
+    /**
+     * Calldata for any contract function, to be signed elsewhere (wallet, frontend).
+     * @returns {Promise<{to: string, data: string, value: bigint}>}
+     */
+    async populateTransaction(method, args = [], value = 0n) {
+        const tx = await this.contract[method].populateTransaction(...args, { value });
+        return { to: tx.to, data: tx.data, value };
+    }
+
+    /**
+     * Unsigned reserveProperty paying the exact first rent plus deposit.
+     * @param {{from?: string}} [options]  Sender, to skip the approval when its allowance suffices
+     * @returns {Promise<UnsignedTx>}
+     */
+    async buildReserveProperty(propertyId, { months = 0, days = 0 } = {}, { from } = {}) {
+        const { token, total } = await this.quoteReservation(propertyId);
+        return this._buildPayment("reserveProperty", [propertyId, months, days], token, total, from);
+    }
+
+    /**
+     * Unsigned reserveDates paying the exact first day of rent plus deposit.
+     * @returns {Promise<UnsignedTx>}
+     */
+    async buildReserveDates(propertyId, { startDate, endDate }, { from } = {}) {
+        const { token, total } = await this.quoteReservation(propertyId);
+        const args = [propertyId, toTimestamp(startDate), toTimestamp(endDate)];
+        return this._buildPayment("reserveDates", args, token, total, from);
+    }
+
+    /**
+     * Unsigned reserveFromApplication paying the exact first rent plus deposit.
+     * @returns {Promise<UnsignedTx>}
+     */
+    async buildReserveFromApplication(applicationId, { from } = {}) {
+        const { propertyId } = await this.getApplication(applicationId);
+        const { token, total } = await this.quoteReservation(propertyId);
+        return this._buildPayment("reserveFromApplication", [applicationId], token, total, from);
+    }
+
+    /** Unsigned updateProperty; fields left out keep their on-chain value. */
+    async buildUpdateProperty(propertyId, changes = {}) {
+        return this.populateTransaction("updateProperty", await this._updatePropertyArgs(propertyId, changes));
+    }
+
+    /**
+     * Unsigned payRent paying the exact rent, late fees and discount included (see quoteRent),
+     * or the sender's share of it on a shared agreement.
+     * @param {{from?: string}} [options]  Sender; required when the agreement has co-tenants
+     * @returns {Promise<UnsignedTx>}
+     */
+    async buildPayRent(agreementId, units = 1, { from } = {}) {
+        const { token, amount } = await this._rentQuote(agreementId, units, from);
+        return this._buildPayment("payRent", [agreementId, units], token, amount, from);
+    }
+
+    /**
+     * Unsigned proposeAmendment with the deposit top-up a tenant sender pays (see amendmentTerms).
+     * @param {{from?: string}} [options]  Sender; required when the deposit goes up
+     * @returns {Promise<UnsignedTx>}
+     */
+    async buildProposeAmendment(agreementId, changes = {}, { from } = {}) {
+        const terms = amendmentTerms(await this.getRentalAgreement(agreementId), changes);
+        const { token, amount } = await this.quoteAmendmentTopUp(agreementId, from, terms);
+        const args = [agreementId, terms.endDate, terms.rentAmount, terms.securityDeposit];
+        return this._buildPayment("proposeAmendment", args, token, amount, from);
+    }
+
+    /**
+     * Unsigned acceptAmendment with the deposit top-up a tenant sender pays.
+     * @returns {Promise<UnsignedTx>}
+     */
+    async buildAcceptAmendment(agreementId, { from } = {}) {
+        const { token, amount } = await this.quoteAmendmentTopUp(agreementId, from);
+        return this._buildPayment("acceptAmendment", [agreementId], token, amount, from);
+    }
+
+    // ---------------------------------------------------------------
+    // Property management
+    // ---------------------------------------------------------------
+
+    /**
+     * @param {Object} params
+     * @param {string} params.propertyAddress
+     * @param {string} params.description
+     * @param {bigint} params.rentBaseAmount   In wei, or token base units
+     * @param {bigint} [params.securityDeposit]
+     * @param {"MONTHLY"|"DAILY"|number} [params.unit]
+     * @param {string} [params.paymentToken]   Allowed ERC-20, ETH when omitted
+     * @param {string} [params.metadataHash]   Content hash of stored metadata (see MetadataStore),
+     *        set in a second transaction; the address and description strings can then stay empty
+     * @returns {Promise<TxResult & {propertyId: bigint, metadata?: TxResult}>}
+     */
+    async listProperty({
+        propertyAddress = "",
+        description = "",
+        rentBaseAmount,
+        securityDeposit = 0n,
+        unit = "MONTHLY",
+        paymentToken = ethers.ZeroAddress,
+        metadataHash
+    }) {
+        const result = await this._send("listProperty", [
+            propertyAddress,
+            description,
+            rentBaseAmount,
+            securityDeposit,
+            encodeEnum(RentUnit, unit),
+            paymentToken
+        ]);
+        const propertyId = this._findEvent(result, "PropertyListed").args.propertyId;
+        if (metadataHash === undefined) {
+            return { ...result, propertyId };
+        }
+        return { ...result, propertyId, metadata: await this.setPropertyMetadata(propertyId, metadataHash) };
+    }
+
+    /**
+     * Fields left out keep their current on-chain value.
+     * @returns {Promise<TxResult>}
+     */
+    async updateProperty(propertyId, changes = {}) {
+        return this._send("updateProperty", await this._updatePropertyArgs(propertyId, changes));
+    }
+
+    async _updatePropertyArgs(propertyId, changes) {
+        const current = await this.getProperty(propertyId);
+        const next = { ...current, ...changes };
+        return [
+            propertyId,
+            next.propertyAddress,
+            next.description,
+            next.rentBaseAmount,
+            next.securityDeposit,
+            next.isAvailable,
+            encodeEnum(RentUnit, next.unit)
+        ];
+    }
+
+    /**
+     * Point the listing at a metadata document by its content hash, ZeroHash to remove it.
+     * @returns {Promise<TxResult>}
+     */
+    async setPropertyMetadata(propertyId, metadataHash) {
+        return this._send("setPropertyMetadata", [propertyId, metadataHash]);
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async delistProperty(propertyId) {
+        return this._send("delistProperty", [propertyId]);
+    }
+
+    /**
+     * Hand the property over by transferring its ERC-721 token from the signer: the new holder
+     * gets the listing and the future rent and deposit of its open agreements.
+     * @returns {Promise<TxResult>}   Decoded events include PropertyTransferred
+     */
+    async transferProperty(propertyId, to) {
+        const token = await this.getPropertyTokenContract();
+        const from = await this.runner.getAddress();
+        return this._result(await token["safeTransferFrom(address,address,uint256)"](from, to, propertyId));
+    }
+
+    // ---------------------------------------------------------------
+    // Rental agreement lifecycle
+    // ---------------------------------------------------------------
+
+    /**
+     * Reserve a property, paying exactly the first rent plus the deposit
+     * (approving the token first for token-priced properties).
+     * @param {bigint|number} propertyId
+     * @param {{months?: number, days?: number}} duration
+     * @returns {Promise<TxResult & {agreementId: bigint}>}
+     */
+    async reserveProperty(propertyId, { months = 0, days = 0 } = {}) {
+        const { token, total } = await this.quoteReservation(propertyId);
+        const result = await this._sendPayment("reserveProperty", [propertyId, months, days], token, total);
+        return { ...result, agreementId: this._findEvent(result, "AgreementCreated").args.agreementId };
+    }
+
+    /**
+     * Book a daily rental for explicit dates, paying the first day of rent plus the deposit.
+     * Dates are midnight UTC (Date, "YYYY-MM-DD" or seconds), the end date excluded; the
+     * range must not overlap another booking (see findFreeRanges).
+     * @param {bigint|number} propertyId
+     * @param {{startDate: bigint|number|string|Date, endDate: bigint|number|string|Date}} dates
+     * @returns {Promise<TxResult & {agreementId: bigint}>}
+     */
+    async reserveDates(propertyId, { startDate, endDate }) {
+        const { token, total } = await this.quoteReservation(propertyId);
+        const args = [propertyId, toTimestamp(startDate), toTimestamp(endDate)];
+        const result = await this._sendPayment("reserveDates", args, token, total);
+        return { ...result, agreementId: this._findEvent(result, "AgreementCreated").args.agreementId };
+    }
+
+    /**
+     * Landlord only. Late fees of future reservations; running agreements keep theirs.
+     * @param {bigint|number} propertyId
+     * @param {{gracePeriod?: number|bigint, lateFeeFlat?: bigint, lateFeePercentage?: number, maxMissedPeriods?: number}} policy
+     *        Grace period in seconds (30 days max), percentage of the rent (20 max); omitted fields are 0
+     * @returns {Promise<TxResult>}
+     */
+    async setLateFeePolicy(propertyId, { gracePeriod = 0, lateFeeFlat = 0n, lateFeePercentage = 0, maxMissedPeriods = 0 } = {}) {
+        return this._send("setLateFeePolicy", [propertyId, gracePeriod, lateFeeFlat, lateFeePercentage, maxMissedPeriods]);
+    }
+
+    /**
+     * Landlord only. Discount on rent paid ahead of its due date, for future reservations.
+     * @param {bigint|number} propertyId
+     * @param {{minPeriods?: number, percentage?: number}} discount  Percentage of the rent, 50 max; 0 disables it
+     * @returns {Promise<TxResult>}
+     */
+    async setPrepaymentDiscount(propertyId, { minPeriods = 1, percentage = 0 } = {}) {
+        return this._send("setPrepaymentDiscount", [propertyId, minPeriods, percentage]);
+    }
+
+    // ---------------------------------------------------------------
+    // Applications
+    // ---------------------------------------------------------------
+
+    /** Landlord only. Require an accepted application before anyone can reserve the property. */
+    async setApplicationRequired(propertyId, required) {
+        return this._send("setApplicationRequired", [propertyId, required]);
+    }
+
+    /**
+     * Apply for a property with the duration to reserve once accepted.
+     * @param {Object} params
+     * @param {bigint|number} params.propertyId
+     * @param {number} [params.months]
+     * @param {number} [params.days]
+     * @param {string} [params.message]      Off-chain message; only its hash goes on-chain
+     * @param {string} [params.messageHash]  Precomputed hash, instead of `message`
+     * @returns {Promise<TxResult & {applicationId: bigint}>}
+     */
+    async applyForProperty({ propertyId, months = 0, days = 0, message, messageHash }) {
+        const hash = messageHash ?? (message === undefined ? ethers.ZeroHash : hashApplicationMessage(message));
+        const result = await this._send("applyForProperty", [propertyId, months, days, hash]);
+        return { ...result, applicationId: this._findEvent(result, "ApplicationSubmitted").args.applicationId };
+    }
+
+    /** Landlord accepts; the applicant then has until `reserveDeadline` to fund the reservation. */
+    async acceptApplication(applicationId) {
+        return this._send("acceptApplication", [applicationId]);
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async declineApplication(applicationId) {
+        return this._send("declineApplication", [applicationId]);
+    }
+
+    /** Applicant withdraws a pending or accepted application. */
+    async withdrawApplication(applicationId) {
+        return this._send("withdrawApplication", [applicationId]);
+    }
+
+    /**
+     * Fund the reservation of an accepted application, for the duration applied for.
+     * @returns {Promise<TxResult & {agreementId: bigint}>}
+     */
+    async reserveFromApplication(applicationId) {
+        const { propertyId } = await this.getApplication(applicationId);
+        const { token, total } = await this.quoteReservation(propertyId);
+        const result = await this._sendPayment("reserveFromApplication", [applicationId], token, total);
+        return { ...result, agreementId: this._findEvent(result, "AgreementCreated").args.agreementId };
+    }
+
+    // ---------------------------------------------------------------
+    // Pending reservations
+    // ---------------------------------------------------------------
+
+    /** Tenant withdraws a pending reservation; rent and deposit are credited back. */
+    async cancelReservation(agreementId) {
+        return this._send("cancelReservation", [agreementId]);
+    }
+
+    /** Landlord refuses a pending reservation; rent and deposit are credited back to the tenant. */
+    async rejectReservation(agreementId) {
+        return this._send("rejectReservation", [agreementId]);
+    }
+
+    /** Anyone can expire a reservation whose handover deadline has passed. */
+    async expireReservation(agreementId) {
+        return this._send("expireReservation", [agreementId]);
+    }
+
+    /** Tenant confirms key handover; the first rent is released to the landlord. */
+    async activateAgreement(agreementId) {
+        return this._send("activateAgreement", [agreementId]);
+    }
+
+    /**
+     * Pay `units` months or days of rent, up to the end of the term, sending the exact amount
+     * with any late fees and prepayment discount. On a shared agreement the signer sends their
+     * share, and the periods are paid once every co-tenant has paid for the same number of them.
+     * @returns {Promise<TxResult>}
+     */
+    async payRent(agreementId, units = 1) {
+        const { token, amount } = await this._rentQuote(agreementId, units, await this.runner.getAddress());
+        return this._sendPayment("payRent", [agreementId, units], token, amount);
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async completeAgreement(agreementId) {
+        return this._send("completeAgreement", [agreementId]);
+    }
+
+    /** @returns {Promise<TxResult>} */
+    async terminateAgreement(agreementId) {
+        return this._send("terminateAgreement", [agreementId]);
+    }
+
+    /**
+     * Landlord only, once more than `maxMissedPeriods` periods are missed. The deposit
+     * covers the arrears and the rest goes back to the tenant.
+     * @returns {Promise<TxResult & {arrears: bigint, fromDeposit: bigint}>}
+     */
+    async terminateForArrears(agreementId) {
+        const result = await this._send("terminateForArrears", [agreementId]);
+        const { arrears, fromDeposit } = this._findEvent(result, "ArrearsApplied").args;
+        return { ...result, arrears, fromDeposit };
+    }
+
+    // ---------------------------------------------------------------
+    // Amendments
+    // ---------------------------------------------------------------
+
+    /**
+     * Propose to extend or renew an active agreement, or to change its rent or deposit; the other
+     * party accepts or rejects it. A new proposal replaces the pending one. A tenant raising the
+     * deposit pays the top-up now; it comes back if the proposal is rejected or replaced.
+     * @param {bigint|number} agreementId
+     * @param {Object} changes  See amendmentTerms, e.g. `{ months: 12, escalationPercentage: 3 }`
+     * @returns {Promise<TxResult & {terms: import("./schedule").AmendmentTerms}>}
+     */
+    async proposeAmendment(agreementId, changes = {}) {
+        const terms = amendmentTerms(await this.getRentalAgreement(agreementId), changes);
+        const { token, amount } = await this.quoteAmendmentTopUp(agreementId, await this.runner.getAddress(), terms);
+        const args = [agreementId, terms.endDate, terms.rentAmount, terms.securityDeposit];
+        const result = await this._sendPayment("proposeAmendment", args, token, amount);
+        return { ...result, terms };
+    }
+
+    /**
+     * The other party accepts the pending amendment: the new end date and rent apply right away,
+     * a tenant accepting a higher deposit pays the top-up, and a lower deposit is credited back.
+     * @returns {Promise<TxResult>}
+     */
+    async acceptAmendment(agreementId) {
+        const { token, amount } = await this.quoteAmendmentTopUp(agreementId, await this.runner.getAddress());
+        return this._sendPayment("acceptAmendment", [agreementId], token, amount);
+    }
+
+    /** Either party drops the pending amendment; any top-up paid with it is credited back. */
+    async rejectAmendment(agreementId) {
+        return this._send("rejectAmendment", [agreementId]);
+    }
+
+    // ---------------------------------------------------------------
+    // Lease assignment (sublets: see LeaseSubletsClient)
+    // ---------------------------------------------------------------
+
+    /** Tenant of an active agreement proposes who takes it over, replacing any pending proposal. */
+    async proposeAssignment(agreementId, newTenant) {
+        return this._send("proposeAssignment", [agreementId, newTenant]);
+    }
+
+    /**
+     * Landlord. The new tenant takes over the rent still due and the deposit. `newTenant`
+     * defaults to the pending proposal; pass the one you agreed to so a changed proposal reverts.
+     * @returns {Promise<TxResult>}
+     */
+    async approveAssignment(agreementId, newTenant) {
+        newTenant ??= await this.getPendingAssignment(agreementId);
+        if (newTenant === null) {
+            throw new Error(`No assignment proposed for agreement ${agreementId}`);
+        }
+        return this._send("approveAssignment", [agreementId, newTenant]);
+    }
+
+    /** Tenant withdraws the proposal, or landlord declines it. */
+    async cancelAssignment(agreementId) {
+        return this._send("cancelAssignment", [agreementId]);
+    }
+
+    // ---------------------------------------------------------------
+    // Co-tenancy
+    // ---------------------------------------------------------------
+
+    /**
+     * Tenant of a pending reservation invites co-tenants, replacing the invitations until one of
+     * them joins. Shares are in basis points; the tenant keeps the rest of the rent, which must
+     * not be zero, and of the deposit.
+     * @param {bigint|number} agreementId
+     * @param {{account: string, rentShare: number|bigint, depositShare?: number|bigint}[]} coTenants
+     * @returns {Promise<TxResult>}
+     */
+    async setCoTenants(agreementId, coTenants) {
+        return this._send("setCoTenants", [
+            agreementId,
+            coTenants.map((c) => c.account),
+            coTenants.map((c) => c.rentShare),
+            coTenants.map((c) => c.depositShare ?? 0)
+        ]);
+    }
+
+    /**
+     * Invited co-tenant pays their share of the first rent and deposit, which the tenant advanced
+     * and gets credited. The agreement can be activated once everyone has joined.
+     * @returns {Promise<TxResult>}
+     */
+    async joinAgreement(agreementId) {
+        const { token, amount } = await this.quoteJoin(agreementId, await this.runner.getAddress());
+        return this._sendPayment("joinAgreement", [agreementId], token, amount);
+    }
+
+    /**
+     * Deduction kept on each co-tenant's share of the deposit, in getTenancy order. The landlord
+     * allocates claimed deductions before they are settled, the arbiter during a dispute. They apply
+     * when they add up to what the landlord keeps; otherwise the deposit goes back pro-rata.
+     * @param {bigint|number} agreementId
+     * @param {bigint[]} amounts
+     * @returns {Promise<TxResult>}
+     */
+    async allocateDeductions(agreementId, amounts) {
+        return this._send("allocateDeductions", [agreementId, amounts]);
+    }
+
+    // ---------------------------------------------------------------
+    // Disputes
+    // ---------------------------------------------------------------
+
+    /** @returns {Promise<TxResult & {disputeId: bigint}>} */
+    async createDispute(agreementId, reason) {
+        const result = await this._send("createDispute", [agreementId, reason]);
+        return { ...result, disputeId: this._findEvent(result, "DisputeCreated").args.disputeId };
+    }
+
+    /**
+     * Arbiter role only (see RentalRolesClient), and only while no arbitration panel is set
+     * (see ArbitrationPanelClient).
+     * Split the deposit: `landlordAmount` to the landlord, the rest to the tenant.
+     * @returns {Promise<TxResult>}
+     */
+    async resolveDispute(disputeId, landlordAmount) {
+        return this._send("resolveDispute", [disputeId, landlordAmount]);
+    }
+
+    // ---------------------------------------------------------------
+    // Deposit deductions
+    // ---------------------------------------------------------------
+
+    /**
+     * Landlord completes an expired agreement keeping part of the deposit. The tenant can
+     * accept or challenge until the challenge deadline; after it the split applies as claimed.
+     * @param {bigint|number} agreementId
+     * @param {Object} claim
+     * @param {{description: string, amount: bigint}[]} [claim.items]  Itemized list, hashed on-chain
+     * @param {bigint} [claim.amount]      Defaults to the sum of the items
+     * @param {string} [claim.itemsHash]   Defaults to hashDeductionItems(items)
+     * @returns {Promise<TxResult>}
+     */
+    async claimDeductions(agreementId, { items = [], amount, itemsHash } = {}) {
+        const total = amount ?? items.reduce((sum, item) => sum + BigInt(item.amount), 0n);
+        return this._send("claimDeductions", [agreementId, total, itemsHash ?? hashDeductionItems(items)]);
+    }
+
+    /** Tenant agrees to the claimed deductions; the deposit is split right away. */
+    async acceptDeductions(agreementId) {
+        return this._send("acceptDeductions", [agreementId]);
+    }
+
+    /**
+     * Tenant contests the deductions, opening a dispute.
+     * @returns {Promise<TxResult & {disputeId: bigint}>}
+     */
+    async challengeDeductions(agreementId, reason) {
+        const result = await this._send("challengeDeductions", [agreementId, reason]);
+        return { ...result, disputeId: this._findEvent(result, "DisputeCreated").args.disputeId };
+    }
+
+    /** Anyone, once the challenge window is over: apply the claimed split. */
+    async finalizeDeductions(agreementId) {
+        return this._send("finalizeDeductions", [agreementId]);
+    }
+
+    // ---------------------------------------------------------------
+    // Withdrawals
+    // ---------------------------------------------------------------
+
+    /**
+     * Claim the rent and deposits credited to the signer in `token` (ETH by default).
+     * @returns {Promise<TxResult & {amount: bigint}>}
+     */
+    async withdraw(token = ethers.ZeroAddress) {
+        const result = await this._send("withdraw", [token]);
+        return { ...result, amount: this._findEvent(result, "Withdrawal").args.amount };
+    }
+
+    // ---------------------------------------------------------------
+    // Admin
+    // ---------------------------------------------------------------
+
+    /** Owner only. Handover window of future reservations, in seconds (1 to 90 days). */
+    async setHandoverWindow(seconds) {
+        return this._send("setHandoverWindow", [seconds]);
+    }
+
+    /** Owner only. Route every dispute through an ArbitrationPanel, ZeroAddress to let the arbiter role decide. */
+    async setArbitrationPanel(panel) {
+        return this._send("setArbitrationPanel", [panel]);
+    }
+
+    /** Owner only. Accept meta-transactions relayed by a RentalForwarder, ZeroAddress to stop. */
+    async setTrustedForwarder(forwarder) {
+        return this._send("setTrustedForwarder", [forwarder]);
+    }
+
+    /**
+     * Owner only. Read the fee manager, treasurer, arbiter and pauser roles and the emergency
+     * pause from a RentalRoles, ZeroAddress to give every role back to the owner (and lift the pause).
+     */
+    async setRentalRoles(roles) {
+        return this._send("setRentalRoles", [roles]);
+    }
+
+    /**
+     * Owner only. Take fees at the rates of a FeeSchedule and credit them to it, ZeroAddress to stop
+     * charging fees. Fees already credited stay with the previous schedule. Rates and the treasury
+     * are managed on the schedule itself, see FeeScheduleClient.
+     */
+    async setFeeSchedule(feeSchedule) {
+        return this._send("setFeeSchedule", [feeSchedule]);
+    }
+
+    /** Owner only. Allow or forbid an ERC-20 as payment token for new listings. */
+    async setPaymentTokenAllowed(token, allowed) {
+        return this._send("setPaymentTokenAllowed", [token, allowed]);
+    }
+
+    // ---------------------------------------------------------------
+    // Views
+    // ---------------------------------------------------------------
+
+    /** @returns {Promise<Property>} */
+    async getProperty(propertyId) {
+        return toProperty(await this.contract.getProperty(propertyId));
+    }
+
+    /**
+     * Metadata of a listing fetched from `source`, checked against the on-chain hash and the
+     * schema before it is returned. Null when the listing has none; throws when the source
+     * doesn't have it or serves a document that doesn't match.
+     * @param {bigint|number} propertyId
+     * @param {{getRaw(metadataHash: string): string|undefined|Promise<string|undefined>}} source
+     *        A MetadataStore, or anything serving documents by hash
+     * @returns {Promise<{metadataHash: string, metadata: import("./metadata").PropertyMetadata}|null>}
+     */
+    async getPropertyMetadata(propertyId, source) {
+        const { metadataHash } = await this.getProperty(propertyId);
+        if (metadataHash === ethers.ZeroHash) return null;
+        const json = await source.getRaw(metadataHash);
+        if (json === undefined) {
+            throw new Error(`Metadata ${metadataHash} of property ${propertyId} not found`);
+        }
+        return { metadataHash, metadata: verifyPropertyMetadata(json, metadataHash) };
+    }
+
+    /** @returns {Promise<RentalAgreement>} */
+    async getRentalAgreement(agreementId) {
+        return toAgreement(await this.contract.getRentalAgreement(agreementId));
+    }
+
+    /** @returns {Promise<Application>} */
+    async getApplication(applicationId) {
+        return toApplication(await this.contract.getApplication(applicationId));
+    }
+
+    /**
+     * Applications awaiting the landlord's decision, or accepted and still fundable.
+     * @returns {Promise<Application[]>}
+     */
+    async getPendingApplicationsForProperty(propertyId) {
+        return (await this.contract.getPendingApplicationsForProperty(propertyId)).map(toApplication);
+    }
+
+    /** @returns {Promise<Application[]>} */
+    async getPendingApplicationsForTenant(tenant) {
+        return (await this.contract.getPendingApplicationsForTenant(tenant)).map(toApplication);
+    }
+
+    /** @returns {Promise<boolean>} */
+    async isApplicationRequired(propertyId) {
+        return this.contract.applicationRequired(propertyId);
+    }
+
+    /** @returns {Promise<LateFeePolicy>} Policy applied to future reservations of the property */
+    async getLateFeePolicy(propertyId) {
+        return toLateFeePolicy(await this.contract.getLateFeePolicy(propertyId));
+    }
+
+    /** @returns {Promise<PrepaymentDiscount>} Discount applied to future reservations of the property */
+    async getPrepaymentDiscount(propertyId) {
+        return toPrepaymentDiscount(await this.contract.getPrepaymentDiscount(propertyId));
+    }
+
+    /**
+     * Next due date, amount due and arrears of an agreement at the latest block.
+     * @returns {Promise<PaymentStatus>}
+     */
+    async getPaymentStatus(agreementId) {
+        return toPaymentStatus(await this.contract.getPaymentStatus(agreementId));
+    }
+
+    /**
+     * Every rent period of the agreement, on calendar months for monthly rentals, with its due date
+     * and whether it is paid, due or late at the latest block.
+     * @returns {Promise<import("./schedule").ScheduledPayment[]>}
+     */
+    async getPaymentSchedule(agreementId) {
+        const [agreement, status, block] = await Promise.all([
+            this.getRentalAgreement(agreementId),
+            this.getPaymentStatus(agreementId),
+            this.runner.provider.getBlock("latest")
+        ]);
+        return paymentSchedule(agreement, { now: block.timestamp, status });
+    }
+
+    /** @returns {Promise<Amendment|null>} The pending amendment, null when there is none */
+    async getAmendment(agreementId) {
+        const amendment = toAmendment(await this.contract.getAmendment(agreementId));
+        return amendment.proposedBy === ethers.ZeroAddress ? null : amendment;
+    }
+
+    /** @returns {Promise<Tenancy>} */
+    async getTenancy(agreementId) {
+        return toTenancy(await this.contract.getTenancy(agreementId));
+    }
+
+    /** @returns {Promise<string|null>} Proposed new tenant, null when none */
+    async getPendingAssignment(agreementId) {
+        const newTenant = await this.contract.pendingAssignments(agreementId);
+        return newTenant === ethers.ZeroAddress ? null : newTenant;
+    }
+
+    /** @returns {Promise<DeductionClaim>} */
+    async getDeductionClaim(agreementId) {
+        return toDeductionClaim(await this.contract.getDeductionClaim(agreementId));
+    }
+
+    /** @returns {Promise<Dispute>} */
+    async getDispute(disputeId) {
+        return toDispute(await this.contract.getDispute(disputeId));
+    }
+
+    /** @returns {Promise<string>} ZeroAddress when the arbiter role decides disputes */
+    async getArbitrationPanel() {
+        return this.contract.arbitrationPanel();
+    }
+
+    /** @returns {Promise<string>} ZeroAddress when the owner holds every role */
+    async getRentalRoles() {
+        return this.contract.rentalRoles();
+    }
+
+    /** @returns {Promise<string>} ZeroAddress when no fees are charged */
+    async getFeeSchedule() {
+        return this.contract.feeSchedule();
+    }
+
+    /**
+     * Rates charged on a property at `timestamp` (the latest block by default), with the scheduled changes
+     * that apply by then, and the next time they may change (0n when nothing is scheduled). Zero without
+     * a fee schedule.
+     * @param {bigint|number} propertyId
+     * @param {"MONTHLY"|"DAILY"|number} unit
+     * @returns {Promise<{rates: import("./fees").FeeRates, changesAt: bigint}>}
+     */
+    async getFeeRates(propertyId, unit, timestamp) {
+        const [feeSchedule, block] = await Promise.all([
+            this.getFeeSchedule(),
+            timestamp === undefined ? this.runner.provider.getBlock("latest") : null
+        ]);
+        timestamp ??= block.timestamp;
+        if (feeSchedule === ethers.ZeroAddress) {
+            return { rates: { rentBps: 0n, lateFeeBps: 0n, depositBps: 0n }, changesAt: 0n };
+        }
+        const contract = new ethers.Contract(feeSchedule, FEE_SCHEDULE_ABI, this.runner);
+        // Property, unit then default level, as FeeSchedule.ratesFor
+        const levels = await Promise.all(
+            [[2, propertyId], [1, encodeEnum(RentUnit, unit)], [0, 0]].map((level) => contract.getRates(...level))
+        );
+        return resolveRates(levels, timestamp);
+    }
+
+    /** @returns {Promise<string>} ZeroAddress when relayed calls are off */
+    async getTrustedForwarder() {
+        return this.contract.trustedForwarder();
+    }
+
+    /** @returns {Promise<string>} ERC-721 contract whose token ids are the property ids */
+    async getPropertyToken() {
+        this._propertyToken ??= await this.contract.propertyToken();
+        return this._propertyToken;
+    }
+
+    /** PropertyToken contract, connected to the same runner. */
+    async getPropertyTokenContract() {
+        return new ethers.Contract(await this.getPropertyToken(), PROPERTY_TOKEN_ABI, this.runner);
+    }
+
+    /** @returns {Promise<bigint[]>} Properties whose token `landlord` holds */
+    async getLandlordProperties(landlord) {
+        return [...(await this.contract.getLandlordProperties(landlord))];
+    }
+
+    /** @returns {Promise<bigint[]>} */
+    async getTenantAgreements(tenant) {
+        return [...(await this.contract.getTenantAgreements(tenant))];
+    }
+
+    /**
+     * Dates held by pending, active or disputed agreements of the property, sorted by start date.
+     * @returns {Promise<BookedInterval[]>}
+     */
+    async getBookedIntervals(propertyId) {
+        const intervals = (await this.contract.getBookedIntervals(propertyId)).map(toBookedInterval);
+        return intervals.sort((a, b) => (a.startDate < b.startDate ? -1 : a.startDate > b.startDate ? 1 : 0));
+    }
+
+    /** @returns {Promise<boolean>} Whether the property is listed, open and free over [startDate, endDate) */
+    async isAvailableFor(propertyId, { startDate, endDate }) {
+        return this.contract.isAvailableFor(propertyId, toTimestamp(startDate), toTimestamp(endDate));
+    }
+
+    /**
+     * Free whole-day ranges of the property, from today (at the latest block) unless `from` is given.
+     * @param {{from?: bigint|number|string|Date, to: bigint|number|string|Date, minDays?: number}} window
+     * @returns {Promise<FreeRange[]>}
+     */
+    async findFreeRanges(propertyId, { from, to, minDays = 1 }) {
+        if (from === undefined) {
+            const { timestamp } = await this.runner.provider.getBlock("latest");
+            from = (BigInt(timestamp) / DAY) * DAY;
+        }
+        return findFreeRanges(await this.getBookedIntervals(propertyId), { from, to, minDays });
+    }
+
+    /** @returns {Promise<bigint[]>} */
+    async getAvailableProperties() {
+        return [...(await this.contract.getAvailableProperties())];
+    }
+
+    /** @returns {Promise<{propertyCounter: bigint, agreementCounter: bigint, disputeCounter: bigint, applicationCounter: bigint}>} */
+    async getCounters() {
+        const [propertyCounter, agreementCounter, disputeCounter, applicationCounter] = await Promise.all([
+            this.contract.propertyCounter(),
+            this.contract.agreementCounter(),
+            this.contract.disputeCounter(),
+            this.contract.applicationCounter()
+        ]);
+        return { propertyCounter, agreementCounter, disputeCounter, applicationCounter };
+    }
+
+    /**
+     * @param {string} [token]  Fees are accumulated per payment token, ETH by default
+     * @returns {Promise<{owner: string, feeSchedule: string, accumulatedPlatformFees: bigint, handoverWindow: bigint}>}
+     *          accumulatedPlatformFees: credited to the fee schedule and not distributed yet
+     */
+    async getPlatformInfo(token = ethers.ZeroAddress) {
+        const [owner, feeSchedule, handoverWindow] = await Promise.all([
+            this.contract.owner(),
+            this.getFeeSchedule(),
+            this.contract.handoverWindow()
+        ]);
+        const accumulatedPlatformFees = feeSchedule === ethers.ZeroAddress
+            ? 0n
+            : await this.getWithdrawableBalance(feeSchedule, token);
+        return { owner, feeSchedule, accumulatedPlatformFees, handoverWindow };
+    }
+
+    /**
+     * Rent and deposits credited to `account` and not withdrawn yet.
+     * @param {string} account
+     * @param {string} [token]  ETH by default
+     * @returns {Promise<bigint>}
+     */
+    async getWithdrawableBalance(account, token = ethers.ZeroAddress) {
+        return this.contract.getWithdrawableBalance(account, token);
+    }
+
+    /** @returns {Promise<boolean>} */
+    async isPaymentTokenAllowed(token) {
+        return isEth(token) || this.contract.allowedPaymentTokens(token);
+    }
+}
+
+RealEstateRentalClient.ABI = ABI;
+
+module.exports = {
+    RealEstateRentalClient,
+    ABI,
+    PROPERTY_TOKEN_ABI,
+    decodeLog,
+    toProperty,
+    toAgreement,
+    toApplication,
+    toDeductionClaim,
+    toLateFeePolicy,
+    toPaymentStatus,
+    toPrepaymentDiscount,
+    toRentQuote,
+    toAmendment,
+    toTenancy,
+    rentShareAmount,
+    toBookedInterval,
+    toTimestamp,
+    findFreeRanges,
+    toDispute,
+    hashApplicationMessage,
+    hashDeductionItems
+};
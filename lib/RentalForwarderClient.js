@@ -0,0 +1,380 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ABI: RENTAL_ABI, RealEstateRentalClient, decodeLog } = require("./RealEstateRentalClient");
+const { resolveDeployment } = require("./deployments");
+const { isEth } = require("./erc20");
+
+const ABI_PATH = path.join(__dirname, "..", "contracts", "RentalForwarder.abi");
+const ABI = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+// Default validity of what a client signs, from the latest block
+const REQUEST_VALIDITY = 60n * 60n;
+const OFFER_VALIDITY = 7n * 24n * 60n * 60n;
+
+// EIP-712 types, matching the typehashes of contracts/RentalForwarder.sol
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "data", type: "bytes" }
+    ]
+};
+
+const LISTING_OFFER_TYPES = {
+    ListingOffer: [
+        { name: "propertyId", type: "uint256" },
+        { name: "rentBaseAmount", type: "uint256" },
+        { name: "securityDeposit", type: "uint256" },
+        { name: "durationInMonths", type: "uint256" },
+        { name: "additionalDays", type: "uint256" },
+        { name: "tenant", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * @typedef {Object} TypedDataDomain
+ * @property {string} name
+ * @property {string} version
+ * @property {bigint} chainId
+ * @property {string} verifyingContract   The RentalForwarder
+ */
+
+/**
+ * A call to RealEstateRental signed by `from` and submitted by a relayer.
+ * @typedef {Object} ForwardRequest
+ * @property {string} from
+ * @property {bigint} value      ETH the relayer sends along, e.g. rent in ETH
+ * @property {bigint} gas        Gas forwarded to RealEstateRental
+ * @property {bigint} nonce      Sequential, see getNonce
+ * @property {bigint} deadline   Last valid timestamp
+ * @property {string} data       RealEstateRental calldata
+ */
+
+/**
+ * Listing terms signed by the landlord; the tenant who accepts it reserves on them.
+ * @typedef {Object} ListingOffer
+ * @property {bigint} propertyId
+ * @property {bigint} rentBaseAmount
+ * @property {bigint} securityDeposit
+ * @property {bigint} durationInMonths
+ * @property {bigint} additionalDays
+ * @property {string} tenant     ZeroAddress for an offer any tenant can accept
+ * @property {bigint} nonce      Single use, in any order
+ * @property {bigint} deadline
+ */
+
+// Requests and offers also travel as JSON, with amounts as decimal strings
+function toForwardRequest(r) {
+    return {
+        from: ethers.getAddress(r.from),
+        value: BigInt(r.value),
+        gas: BigInt(r.gas),
+        nonce: BigInt(r.nonce),
+        deadline: BigInt(r.deadline),
+        data: ethers.hexlify(r.data)
+    };
+}
+
+function toListingOffer(o) {
+    return {
+        propertyId: BigInt(o.propertyId),
+        rentBaseAmount: BigInt(o.rentBaseAmount),
+        securityDeposit: BigInt(o.securityDeposit),
+        durationInMonths: BigInt(o.durationInMonths),
+        additionalDays: BigInt(o.additionalDays),
+        tenant: ethers.getAddress(o.tenant),
+        nonce: BigInt(o.nonce),
+        deadline: BigInt(o.deadline)
+    };
+}
+
+/** @returns {Promise<string>} EIP-712 signature of `request` by `signer` */
+async function signForwardRequest(signer, domain, request) {
+    return signer.signTypedData(domain, FORWARD_REQUEST_TYPES, toForwardRequest(request));
+}
+
+/** @returns {Promise<string>} EIP-712 signature of `offer` by `signer` */
+async function signListingOffer(signer, domain, offer) {
+    return signer.signTypedData(domain, LISTING_OFFER_TYPES, toListingOffer(offer));
+}
+
+/**
+ * Whether `signature` is the request signed by its `from`. Nonce and deadline are
+ * checked on-chain, see RentalForwarderClient.verify.
+ */
+function verifyForwardRequest(domain, request, signature) {
+    try {
+        const signer = ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, toForwardRequest(request), signature);
+        return signer === ethers.getAddress(request.from);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Signer of an offer, to compare with the property owner. Throws on a malformed signature.
+ * @returns {string}
+ */
+function recoverListingOfferSigner(domain, offer, signature) {
+    return ethers.verifyTypedData(domain, LISTING_OFFER_TYPES, toListingOffer(offer), signature);
+}
+
+class RentalForwarderClient {
+    /**
+     * @param {string} address          Deployed RentalForwarder address
+     * @param {import("ethers").ContractRunner} runner  Signer for writes, provider for reads
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ABI, runner);
+        this.interface = this.contract.interface;
+        this.rentalInterface = new ethers.Interface(RENTAL_ABI);
+    }
+
+    /**
+     * Attach to the forwarder a RealEstateRental trusts.
+     * @param {import("./RealEstateRentalClient").RealEstateRentalClient} rental
+     * @param {import("ethers").ContractRunner} [runner]  Defaults to the rental client's runner
+     */
+    static async fromRental(rental, runner = rental.runner) {
+        const address = await rental.getTrustedForwarder();
+        if (address === ethers.ZeroAddress) {
+            throw new Error(`RealEstateRental at ${rental.address} has no trusted forwarder`);
+        }
+        return new this(address, runner);
+    }
+
+    /**
+     * Attach to the deployment recorded for `network` in the registry.
+     * @param {import("ethers").ContractRunner} runner
+     * @param {string} network
+     * @param {{file?: string}} [options]
+     */
+    static async fromRegistry(runner, network, options = {}) {
+        const provider = runner.provider ?? runner;
+        const record = await resolveDeployment(provider, network, "RentalForwarder", ABI, options);
+        return new this(record.address, runner);
+    }
+
+    /** Same contract, different signer or provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    get provider() {
+        return this.runner.provider ?? this.runner;
+    }
+
+    /** @returns {Promise<string>} The RealEstateRental it relays to */
+    async getRental() {
+        this._rental ??= await this.contract.rental();
+        return this._rental;
+    }
+
+    /**
+     * Decode the forwarder's logs and those of the relayed RealEstateRental call.
+     * @returns {import("./RealEstateRentalClient").DecodedEvent[]}
+     */
+    async decodeEvents(receipt) {
+        const rental = (await this.getRental()).toLowerCase();
+        const events = [];
+        for (const log of receipt.logs) {
+            const emitter = log.address.toLowerCase();
+            const iface = emitter === this.address.toLowerCase() ? this.interface : emitter === rental ? this.rentalInterface : null;
+            const decoded = iface && decodeLog(iface, log);
+            if (!decoded) continue;
+            events.push({ ...decoded, address: log.address, logIndex: log.index });
+        }
+        return events;
+    }
+
+    async _send(method, args, overrides = {}) {
+        const tx = await this.contract[method](...args, overrides);
+        const receipt = await tx.wait();
+        return {
+            hash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            receipt,
+            events: await this.decodeEvents(receipt)
+        };
+    }
+
+    async _deadline(validity) {
+        const block = await this.provider.getBlock("latest");
+        return BigInt(block.timestamp) + validity;
+    }
+
+    // ---------------------------------------------------------------
+    // Signing and verification
+    // ---------------------------------------------------------------
+
+    /** @returns {Promise<TypedDataDomain>} Read from the contract (EIP-5267) */
+    async getDomain() {
+        if (!this._domain) {
+            const domain = await this.contract.eip712Domain();
+            this._domain = {
+                name: domain.name,
+                version: domain.version,
+                chainId: domain.chainId,
+                verifyingContract: domain.verifyingContract
+            };
+        }
+        return this._domain;
+    }
+
+    /** @returns {Promise<bigint>} Nonce of the next request of `from` */
+    async getNonce(from) {
+        return this.contract.getNonce(from);
+    }
+
+    /** Whether a landlord's offer nonce was accepted or cancelled. */
+    async isOfferUsed(landlord, nonce) {
+        return this.contract.offerNonceUsed(landlord, nonce);
+    }
+
+    /**
+     * Request for a RealEstateRental call by `from`, ready to sign. Without `gas`, the call is
+     * estimated as the forwarder would make it, so it must not revert at the latest block.
+     * @param {string} method   RealEstateRental function, e.g. "payRent"
+     * @param {Array} args
+     * @param {{from: string, value?: bigint, gas?: bigint, deadline?: bigint|number}} options
+     *        Deadline defaults to an hour after the latest block
+     * @returns {Promise<ForwardRequest>}
+     */
+    async buildRequest(method, args, { from, value = 0n, gas, deadline }) {
+        const data = this.rentalInterface.encodeFunctionData(method, args);
+        const [nonce, expiry, gasLimit] = await Promise.all([
+            this.getNonce(from),
+            deadline === undefined ? this._deadline(REQUEST_VALIDITY) : BigInt(deadline),
+            gas === undefined
+                ? this.provider.estimateGas({
+                    from: this.address,
+                    to: await this.getRental(),
+                    data: ethers.concat([data, from]),
+                    value
+                })
+                : BigInt(gas)
+        ]);
+        return { from: ethers.getAddress(from), value: BigInt(value), gas: gasLimit, nonce, deadline: expiry, data };
+    }
+
+    /**
+     * Build and sign a request with the runner, which pays no gas. Send the result to a relayer.
+     * @returns {Promise<{request: ForwardRequest, signature: string}>}
+     */
+    async signRequest(method, args, options = {}) {
+        const from = await this.runner.getAddress();
+        const request = await this.buildRequest(method, args, { ...options, from });
+        return { request, signature: await signForwardRequest(this.runner, await this.getDomain(), request) };
+    }
+
+    /** On-chain check of signature, nonce and deadline, as execute would do them. */
+    async verify(request, signature) {
+        return this.contract.verify(toForwardRequest(request), signature);
+    }
+
+    /**
+     * Relayer side: submit a signed request, paying the gas and its `value`.
+     * @returns {Promise<import("./RealEstateRentalClient").TxResult>}
+     */
+    async relay(request, signature) {
+        const req = toForwardRequest(request);
+        return this._send("execute", [req, signature], { value: req.value });
+    }
+
+    // ---------------------------------------------------------------
+    // Listing offers
+    // ---------------------------------------------------------------
+
+    /**
+     * Sign an offer with the runner, the property owner. Terms left out are the current listing's;
+     * the tenant reserves for `months` and `days` at these terms when accepting.
+     * @param {Object} terms
+     * @param {bigint|number} terms.propertyId
+     * @param {bigint} [terms.rentBaseAmount]
+     * @param {bigint} [terms.securityDeposit]
+     * @param {number} [terms.months]
+     * @param {number} [terms.days]
+     * @param {string} [terms.tenant]       Only this tenant can accept, anyone when omitted
+     * @param {bigint} [terms.nonce]        Random when omitted
+     * @param {bigint|number} [terms.deadline]  Seven days after the latest block by default
+     * @returns {Promise<{offer: ListingOffer, signature: string}>}
+     */
+    async signOffer({ propertyId, rentBaseAmount, securityDeposit, months = 0, days = 0, tenant, nonce, deadline }) {
+        const rental = new RealEstateRentalClient(await this.getRental(), this.runner);
+        const property = await rental.getProperty(propertyId);
+        const offer = {
+            propertyId: BigInt(propertyId),
+            rentBaseAmount: BigInt(rentBaseAmount ?? property.rentBaseAmount),
+            securityDeposit: BigInt(securityDeposit ?? property.securityDeposit),
+            durationInMonths: BigInt(months),
+            additionalDays: BigInt(days),
+            tenant: tenant ?? ethers.ZeroAddress,
+            nonce: nonce ?? ethers.toBigInt(ethers.randomBytes(32)),
+            deadline: deadline === undefined ? await this._deadline(OFFER_VALIDITY) : BigInt(deadline)
+        };
+        return { offer: toListingOffer(offer), signature: await signListingOffer(this.runner, await this.getDomain(), offer) };
+    }
+
+    /**
+     * Whether the current owner of the property signed the offer. Nonce and deadline are not checked.
+     * @returns {Promise<boolean>}
+     */
+    async verifyOffer(offer, signature) {
+        const rental = new RealEstateRentalClient(await this.getRental(), this.runner);
+        const [domain, property] = await Promise.all([this.getDomain(), rental.getProperty(offer.propertyId)]);
+        try {
+            return recoverListingOfferSigner(domain, offer, signature) === property.owner;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Tenant side: reserve on the offer's terms, paying its first rent plus deposit
+     * (approving RealEstateRental first for a token-priced property).
+     * @returns {Promise<import("./RealEstateRentalClient").TxResult & {agreementId: bigint}>}
+     */
+    async acceptOffer(offer, signature) {
+        const terms = toListingOffer(offer);
+        const rental = new RealEstateRentalClient(await this.getRental(), this.runner);
+        const { paymentToken } = await rental.getProperty(terms.propertyId);
+        const total = terms.rentBaseAmount + terms.securityDeposit;
+        let result;
+        if (isEth(paymentToken)) {
+            result = await this._send("acceptOffer", [terms, signature], { value: total });
+        } else {
+            await rental.ensureAllowance(paymentToken, total);
+            result = await this._send("acceptOffer", [terms, signature]);
+        }
+        const accepted = result.events.find((e) => e.name === "OfferAccepted");
+        return { ...result, agreementId: accepted.args.agreementId };
+    }
+
+    /** Landlord side: withdraw a signed offer before its deadline. */
+    async cancelOffer(nonce) {
+        return this._send("cancelOffer", [nonce]);
+    }
+}
+
+RentalForwarderClient.ABI = ABI;
+
+module.exports = {
+    RentalForwarderClient,
+    FORWARDER_ABI: ABI,
+    FORWARD_REQUEST_TYPES,
+    LISTING_OFFER_TYPES,
+    toForwardRequest,
+    toListingOffer,
+    signForwardRequest,
+    signListingOffer,
+    verifyForwardRequest,
+    recoverListingOfferSigner
+};
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { decodeLog } = require("./RealEstateRentalClient");
+const { resolveDeployment } = require("./deployments");
+
+const ABI_PATH = path.join(__dirname, "..", "contracts", "RentalRoles.abi");
+const ABI = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+// Role ids by name, as in RentalRoles (keccak256 of the constant's name, zero for the admin)
+const ROLES = {
+    DEFAULT_ADMIN: ethers.ZeroHash,
+    FEE_MANAGER: ethers.id("FEE_MANAGER_ROLE"),
+    TREASURER: ethers.id("TREASURER_ROLE"),
+    ARBITER: ethers.id("ARBITER_ROLE"),
+    PAUSER: ethers.id("PAUSER_ROLE")
+};
+
+/**
+ * Role id from its name ("TREASURER", "treasurer" or "TREASURER_ROLE") or a bytes32 id.
+ * @param {string} role
+ * @returns {string}
+ */
+function roleId(role) {
+    if (ethers.isHexString(role, 32)) return role;
+    const name = String(role).toUpperCase().replace(/_ROLE$/, "");
+    if (!(name in ROLES)) {
+        throw new Error(`Unknown role "${role}" (expected one of ${Object.keys(ROLES).join(", ")})`);
+    }
+    return ROLES[name];
+}
+
+class RentalRolesClient {
+    /**
+     * @param {string} address          Deployed RentalRoles address
+     * @param {import("ethers").ContractRunner} runner  Signer for writes, provider for reads
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ABI, runner);
+        this.interface = this.contract.interface;
+    }
+
+    /**
+     * Attach to the roles a RealEstateRental reads.
+     * @param {import("./RealEstateRentalClient").RealEstateRentalClient} rental
+     * @param {import("ethers").ContractRunner} [runner]  Defaults to the rental client's runner
+     */
+    static async fromRental(rental, runner = rental.runner) {
+        const address = await rental.getRentalRoles();
+        if (address === ethers.ZeroAddress) {
+            throw new Error(`RealEstateRental at ${rental.address} has no rental roles, its owner holds every role`);
+        }
+        return new this(address, runner);
+    }
+
+    /**
+     * Attach to the deployment recorded for `network` in the registry.
+     * @param {import("ethers").ContractRunner} runner
+     * @param {string} network
+     * @param {{file?: string}} [options]
+     */
+    static async fromRegistry(runner, network, options = {}) {
+        const provider = runner.provider ?? runner;
+        const record = await resolveDeployment(provider, network, "RentalRoles", ABI, options);
+        return new this(record.address, runner);
+    }
+
+    /** Same contract, different signer or provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    /** @returns {import("./RealEstateRentalClient").DecodedEvent[]} */
+    decodeEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+            const decoded = decodeLog(this.interface, log);
+            if (!decoded) continue;
+            events.push({ ...decoded, address: log.address, logIndex: log.index });
+        }
+        return events;
+    }
+
+    async _send(method, args) {
+        const tx = await this.contract[method](...args);
+        const receipt = await tx.wait();
+        return {
+            hash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            receipt,
+            events: this.decodeEvents(receipt)
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Roles (admins of the role only, DEFAULT_ADMIN for all of them)
+    // ---------------------------------------------------------------
+
+    /** @param {string} role  Name or id, see roleId */
+    async grantRole(role, account) {
+        return this._send("grantRole", [roleId(role), account]);
+    }
+
+    async revokeRole(role, account) {
+        return this._send("revokeRole", [roleId(role), account]);
+    }
+
+    /** The sender gives up `role`. */
+    async renounceRole(role) {
+        return this._send("renounceRole", [roleId(role), await this.runner.getAddress()]);
+    }
+
+    // ---------------------------------------------------------------
+    // Emergency pause (pauser only)
+    // ---------------------------------------------------------------
+
+    /** Halts listings, reservations and payments; refunds, settlements and withdrawals go on. */
+    async pause() {
+        return this._send("pause", []);
+    }
+
+    async unpause() {
+        return this._send("unpause", []);
+    }
+
+    // ---------------------------------------------------------------
+    // Views
+    // ---------------------------------------------------------------
+
+    /** @returns {Promise<boolean>} */
+    async hasRole(role, account) {
+        return this.contract.hasRole(roleId(role), account);
+    }
+
+    /** @returns {Promise<string[]>} */
+    async getRoleMembers(role) {
+        return [...(await this.contract.getRoleMembers(roleId(role)))];
+    }
+
+    /** @returns {Promise<Object<string, string[]>>} Members of every known role, by role name */
+    async getAllRoleMembers() {
+        const members = {};
+        for (const name of Object.keys(ROLES)) {
+            members[name] = await this.getRoleMembers(name);
+        }
+        return members;
+    }
+
+    /** @returns {Promise<string[]>} Names of the known roles `account` holds */
+    async getRolesOf(account) {
+        const held = [];
+        for (const name of Object.keys(ROLES)) {
+            if (await this.hasRole(name, account)) held.push(name);
+        }
+        return held;
+    }
+
+    /** @returns {Promise<boolean>} */
+    async isPaused() {
+        return this.contract.paused();
+    }
+}
+
+RentalRolesClient.ABI = ABI;
+
+module.exports = {
+    RentalRolesClient,
+    ROLES_ABI: ABI,
+    ROLES,
+    roleId
+};
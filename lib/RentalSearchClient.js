@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { AgreementStatus, UnitFilter, PropertyStatusFilter, encodeEnum } = require("./enums");
+const { toProperty, toAgreement } = require("./RealEstateRentalClient");
+const { resolveDeployment } = require("./deployments");
+
+const ABI_PATH = path.join(__dirname, "..", "contracts", "RentalSearch.abi");
+const ABI = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+const DEFAULT_PAGE_SIZE = 50n;
+
+/**
+ * Omitted fields match everything. Amounts are in base units of the payment token.
+ * @typedef {Object} PropertyFilter
+ * @property {"MONTHLY"|"DAILY"} [unit]
+ * @property {bigint} [minRent]
+ * @property {bigint} [maxRent]
+ * @property {bigint} [minDeposit]
+ * @property {bigint} [maxDeposit]
+ * @property {string} [owner]
+ * @property {"AVAILABLE"|"UNAVAILABLE"|"DELISTED"} [status]
+ */
+
+/**
+ * Same as PropertyFilter, on the agreement's own rent and deposit.
+ * @typedef {Object} AgreementFilter
+ * @property {"MONTHLY"|"DAILY"} [unit]
+ * @property {bigint} [minRent]
+ * @property {bigint} [maxRent]
+ * @property {bigint} [minDeposit]
+ * @property {bigint} [maxDeposit]
+ * @property {string} [landlord]
+ * @property {string} [tenant]
+ * @property {bigint} [propertyId]
+ * @property {string|string[]} [status]   One AgreementStatus name or several
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Page
+ * @property {T[]} items
+ * @property {bigint} nextCursor   Pass back as `cursor` for the next page; 0n once every id was scanned
+ */
+
+function amountRange(filter) {
+    return {
+        minRent: BigInt(filter.minRent ?? 0),
+        maxRent: filter.maxRent === undefined ? ethers.MaxUint256 : BigInt(filter.maxRent),
+        minDeposit: BigInt(filter.minDeposit ?? 0),
+        maxDeposit: filter.maxDeposit === undefined ? ethers.MaxUint256 : BigInt(filter.maxDeposit)
+    };
+}
+
+/** RentalSearch.PropertyFilter tuple of a JS filter. */
+function toPropertyFilter(filter = {}) {
+    return {
+        unit: encodeEnum(UnitFilter, filter.unit ?? "ANY"),
+        ...amountRange(filter),
+        owner: filter.owner === undefined ? ethers.ZeroAddress : ethers.getAddress(filter.owner),
+        status: encodeEnum(PropertyStatusFilter, filter.status ?? "ANY")
+    };
+}
+
+/** RentalSearch.AgreementFilter tuple of a JS filter; statuses become a bit mask. */
+function toAgreementFilter(filter = {}) {
+    const statuses = filter.status === undefined ? [] : [filter.status].flat();
+    return {
+        unit: encodeEnum(UnitFilter, filter.unit ?? "ANY"),
+        ...amountRange(filter),
+        landlord: filter.landlord === undefined ? ethers.ZeroAddress : ethers.getAddress(filter.landlord),
+        tenant: filter.tenant === undefined ? ethers.ZeroAddress : ethers.getAddress(filter.tenant),
+        propertyId: BigInt(filter.propertyId ?? 0),
+        statuses: statuses.reduce((mask, status) => mask | (1n << BigInt(encodeEnum(AgreementStatus, status))), 0n)
+    };
+}
+
+class RentalSearchClient {
+    /**
+     * @param {string} address          Deployed RentalSearch address
+     * @param {import("ethers").ContractRunner} runner
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ABI, runner);
+    }
+
+    /**
+     * Attach to the deployment recorded for `network` in the registry.
+     * @param {import("ethers").ContractRunner} runner
+     * @param {string} network
+     * @param {{file?: string}} [options]
+     */
+    static async fromRegistry(runner, network, options = {}) {
+        const provider = runner.provider ?? runner;
+        const record = await resolveDeployment(provider, network, "RentalSearch", ABI, options);
+        return new this(record.address, runner);
+    }
+
+    /** Same contract, different provider. */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    get provider() {
+        return this.runner.provider ?? this.runner;
+    }
+
+    /** @returns {Promise<string>} The RealEstateRental it searches */
+    async getRental() {
+        this._rental ??= await this.contract.rental();
+        return this._rental;
+    }
+
+    /**
+     * One page of properties matching `filter`, scanning at most MAX_SCAN ids after `cursor`.
+     * A page can come back empty while `nextCursor` is not 0n.
+     * @param {PropertyFilter} [filter]
+     * @param {{cursor?: bigint, limit?: bigint, blockTag?: number|string}} [options]
+     * @returns {Promise<Page<import("./RealEstateRentalClient").Property>>}
+     */
+    async searchProperties(filter = {}, { cursor = 0n, limit = DEFAULT_PAGE_SIZE, blockTag } = {}) {
+        const [page, nextCursor] = await this.contract.searchProperties(toPropertyFilter(filter), cursor, limit, { blockTag });
+        return { items: page.map(toProperty), nextCursor };
+    }
+
+    /**
+     * One page of agreements matching `filter`, see searchProperties.
+     * @param {AgreementFilter} [filter]
+     * @param {{cursor?: bigint, limit?: bigint, blockTag?: number|string}} [options]
+     * @returns {Promise<Page<import("./RealEstateRentalClient").RentalAgreement>>}
+     */
+    async searchAgreements(filter = {}, { cursor = 0n, limit = DEFAULT_PAGE_SIZE, blockTag } = {}) {
+        const [page, nextCursor] = await this.contract.searchAgreements(toAgreementFilter(filter), cursor, limit, { blockTag });
+        return { items: page.map(toAgreement), nextCursor };
+    }
+
+    /**
+     * Every property matching `filter`, page by page. All pages are read at the block
+     * the iteration started at, so listings made meanwhile don't shift the results.
+     * @param {PropertyFilter} [filter]
+     * @param {{pageSize?: bigint}} [options]
+     * @returns {AsyncGenerator<import("./RealEstateRentalClient").Property>}
+     */
+    async *properties(filter = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        yield* this._paginate((options) => this.searchProperties(filter, options), pageSize);
+    }
+
+    /**
+     * Every agreement matching `filter`, see properties.
+     * @param {AgreementFilter} [filter]
+     * @param {{pageSize?: bigint}} [options]
+     * @returns {AsyncGenerator<import("./RealEstateRentalClient").RentalAgreement>}
+     */
+    async *agreements(filter = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        yield* this._paginate((options) => this.searchAgreements(filter, options), pageSize);
+    }
+
+    async *_paginate(search, limit) {
+        const blockTag = await this.provider.getBlockNumber();
+        let cursor = 0n;
+        do {
+            const page = await search({ cursor, limit, blockTag });
+            yield* page.items;
+            cursor = page.nextCursor;
+        } while (cursor !== 0n);
+    }
+}
+
+module.exports = {
+    RentalSearchClient,
+    ABI,
+    DEFAULT_PAGE_SIZE,
+    toPropertyFilter,
+    toAgreementFilter
+};
@@ -0,0 +1,545 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const { RentUnit, encodeEnum } = require("../enums");
+const { toTimestamp } = require("../RealEstateRentalClient");
+const { validatePropertyMetadata } = require("../metadata");
+const { DEFAULT_PAGE_SIZE } = require("../RentalSearchClient");
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// bigint amounts and ids are sent as decimal strings
+function toJson(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function parseId(value, name) {
+    if (!/^[1-9][0-9]*$/.test(String(value))) {
+        throw new HttpError(400, `${name} must be a positive integer`);
+    }
+    return BigInt(value);
+}
+
+function parseAmount(value, name) {
+    if (!/^[0-9]+$/.test(String(value))) {
+        throw new HttpError(400, `${name} must be an amount in wei`);
+    }
+    return BigInt(value);
+}
+
+function parseAddress(value, name) {
+    if (!ethers.isAddress(value)) {
+        throw new HttpError(400, `${name} must be an address`);
+    }
+    return ethers.getAddress(value);
+}
+
+// ETH when omitted
+function parseToken(value, name = "token") {
+    return value === undefined ? ethers.ZeroAddress : parseAddress(value, name);
+}
+
+// Optional bytes32, ZeroHash when omitted
+function parseHash(value, name) {
+    if (value === undefined) return ethers.ZeroHash;
+    if (!ethers.isHexString(value, 32)) {
+        throw new HttpError(400, `${name} must be a 32-byte hex string`);
+    }
+    return value;
+}
+
+function parseCount(value, name) {
+    const count = Number(value ?? 0);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new HttpError(400, `${name} must be a non-negative integer`);
+    }
+    return count;
+}
+
+// Decimal percentage, e.g. 2.5
+function parsePercentage(value, name) {
+    const percentage = Number(value);
+    if (!/^[0-9]+(\.[0-9]+)?$/.test(String(value)) || !Number.isFinite(percentage)) {
+        throw new HttpError(400, `${name} must be a non-negative percentage`);
+    }
+    return percentage;
+}
+
+// "YYYY-MM-DD" (midnight UTC) or unix seconds
+function parseDate(value, name) {
+    if (!/^([0-9]+|\d{4}-\d{2}-\d{2})$/.test(String(value))) {
+        throw new HttpError(400, `${name} must be a YYYY-MM-DD date or a unix timestamp`);
+    }
+    try {
+        return toTimestamp(String(value).includes("-") ? String(value) : BigInt(value));
+    } catch (err) {
+        throw new HttpError(400, err.message);
+    }
+}
+
+function parseUnit(value) {
+    try {
+        return encodeEnum(RentUnit, value);
+    } catch (err) {
+        throw new HttpError(400, err.message);
+    }
+}
+
+// Search filters from the query string; amounts in wei, statuses comma-separated for agreements
+function parseSearch(query, addresses) {
+    const filter = {};
+    for (const name of ["minRent", "maxRent", "minDeposit", "maxDeposit"]) {
+        if (query[name] !== undefined) filter[name] = parseAmount(query[name], name);
+    }
+    for (const name of addresses) {
+        if (query[name] !== undefined) filter[name] = parseAddress(query[name], name);
+    }
+    if (query.unit !== undefined) filter.unit = String(query.unit);
+    if (query.status !== undefined) filter.status = String(query.status);
+    if (query.propertyId !== undefined) filter.propertyId = parseId(query.propertyId, "propertyId");
+    if (query.cursor !== undefined && !/^[0-9]+$/.test(String(query.cursor))) {
+        throw new HttpError(400, "cursor must be a non-negative integer");
+    }
+    return {
+        filter,
+        cursor: BigInt(query.cursor ?? 0),
+        limit: query.limit === undefined ? DEFAULT_PAGE_SIZE : parseId(query.limit, "limit")
+    };
+}
+
+// Error(string), the selector of require reasons
+const ERROR_SELECTOR = ethers.id("Error(string)").slice(0, 10);
+
+// ethers reports reverts as CALL_EXCEPTION; Hardhat's in-process provider
+// only has the reason in the message, or only in the revert data when the
+// require failed inside a linked library
+function revertReason(err) {
+    if (err.code === "CALL_EXCEPTION") {
+        return err.reason || err.shortMessage || "Transaction would revert";
+    }
+    const match = /reverted with reason string '(.*)'/.exec(err.message || "");
+    if (match) return match[1];
+    const data = err.data ?? err.error?.data;
+    if (typeof data === "string" && data.startsWith(ERROR_SELECTOR)) {
+        return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+    }
+    return undefined;
+}
+
+// Reverted views and gas estimations become client errors
+function toHttpError(err) {
+    if (err instanceof HttpError) return err;
+    if (err.expose && err.status) return new HttpError(err.status, err.message); // body-parser
+    const reason = revertReason(err);
+    if (reason !== undefined) {
+        return new HttpError(/does not exist/.test(reason) ? 404 : 422, reason);
+    }
+    return new HttpError(500, err.message);
+}
+
+// Lets token payment builders skip the approve when the sender's allowance suffices
+function senderOf(body) {
+    return body.from === undefined ? {} : { from: parseAddress(body.from, "from") };
+}
+
+/**
+ * Unsigned transaction builders, by action name. Each one validates the JSON
+ * body and returns `{ to, data, value }` with the exact msg.value. Token
+ * payments also return the `approval` transaction to send first.
+ */
+const TRANSACTION_BUILDERS = {
+    listProperty: (client, body) => client.populateTransaction("listProperty", [
+        String(body.propertyAddress ?? ""),
+        String(body.description ?? ""),
+        parseAmount(body.rentBaseAmount, "rentBaseAmount"),
+        parseAmount(body.securityDeposit ?? 0, "securityDeposit"),
+        parseUnit(body.unit ?? "MONTHLY"),
+        parseToken(body.paymentToken, "paymentToken")
+    ]),
+    updateProperty: (client, body) => {
+        const changes = {};
+        for (const field of ["propertyAddress", "description"]) {
+            if (body[field] !== undefined) changes[field] = String(body[field]);
+        }
+        for (const field of ["rentBaseAmount", "securityDeposit"]) {
+            if (body[field] !== undefined) changes[field] = parseAmount(body[field], field);
+        }
+        if (body.isAvailable !== undefined) changes.isAvailable = Boolean(body.isAvailable);
+        if (body.unit !== undefined) changes.unit = parseUnit(body.unit);
+        return client.buildUpdateProperty(parseId(body.propertyId, "propertyId"), changes);
+    },
+    delistProperty: (client, body) =>
+        client.populateTransaction("delistProperty", [parseId(body.propertyId, "propertyId")]),
+    setPropertyMetadata: (client, body) => client.populateTransaction("setPropertyMetadata", [
+        parseId(body.propertyId, "propertyId"),
+        parseHash(body.metadataHash, "metadataHash")
+    ]),
+    reserveProperty: (client, body) =>
+        client.buildReserveProperty(parseId(body.propertyId, "propertyId"), {
+            months: parseCount(body.months, "months"),
+            days: parseCount(body.days, "days")
+        }, senderOf(body)),
+    reserveDates: (client, body) =>
+        client.buildReserveDates(parseId(body.propertyId, "propertyId"), {
+            startDate: parseDate(body.startDate, "startDate"),
+            endDate: parseDate(body.endDate, "endDate")
+        }, senderOf(body)),
+    cancelReservation: (client, body) =>
+        client.populateTransaction("cancelReservation", [parseId(body.agreementId, "agreementId")]),
+    rejectReservation: (client, body) =>
+        client.populateTransaction("rejectReservation", [parseId(body.agreementId, "agreementId")]),
+    expireReservation: (client, body) =>
+        client.populateTransaction("expireReservation", [parseId(body.agreementId, "agreementId")]),
+    setApplicationRequired: (client, body) =>
+        client.populateTransaction("setApplicationRequired", [parseId(body.propertyId, "propertyId"), Boolean(body.required)]),
+    applyForProperty: (client, body) =>
+        client.populateTransaction("applyForProperty", [
+            parseId(body.propertyId, "propertyId"),
+            parseCount(body.months, "months"),
+            parseCount(body.days, "days"),
+            parseHash(body.messageHash, "messageHash")
+        ]),
+    acceptApplication: (client, body) =>
+        client.populateTransaction("acceptApplication", [parseId(body.applicationId, "applicationId")]),
+    declineApplication: (client, body) =>
+        client.populateTransaction("declineApplication", [parseId(body.applicationId, "applicationId")]),
+    withdrawApplication: (client, body) =>
+        client.populateTransaction("withdrawApplication", [parseId(body.applicationId, "applicationId")]),
+    reserveFromApplication: (client, body) =>
+        client.buildReserveFromApplication(parseId(body.applicationId, "applicationId"), senderOf(body)),
+    activateAgreement: (client, body) =>
+        client.populateTransaction("activateAgreement", [parseId(body.agreementId, "agreementId")]),
+    payRent: (client, body) =>
+        client.buildPayRent(parseId(body.agreementId, "agreementId"), parseCount(body.units ?? 1, "units"), senderOf(body)),
+    completeAgreement: (client, body) =>
+        client.populateTransaction("completeAgreement", [parseId(body.agreementId, "agreementId")]),
+    terminateAgreement: (client, body) =>
+        client.populateTransaction("terminateAgreement", [parseId(body.agreementId, "agreementId")]),
+    terminateForArrears: (client, body) =>
+        client.populateTransaction("terminateForArrears", [parseId(body.agreementId, "agreementId")]),
+    setLateFeePolicy: (client, body) =>
+        client.populateTransaction("setLateFeePolicy", [
+            parseId(body.propertyId, "propertyId"),
+            parseCount(body.gracePeriod, "gracePeriod"),
+            parseAmount(body.lateFeeFlat ?? 0, "lateFeeFlat"),
+            parseCount(body.lateFeePercentage, "lateFeePercentage"),
+            parseCount(body.maxMissedPeriods, "maxMissedPeriods")
+        ]),
+    setPrepaymentDiscount: (client, body) =>
+        client.populateTransaction("setPrepaymentDiscount", [
+            parseId(body.propertyId, "propertyId"),
+            parseCount(body.minPeriods ?? 1, "minPeriods"),
+            parseCount(body.percentage, "percentage")
+        ]),
+    // The sender decides who pays a deposit top-up, so `from` is required
+    proposeAmendment: (client, body) => {
+        const changes = {
+            months: parseCount(body.months, "months"),
+            days: parseCount(body.days, "days")
+        };
+        if (body.endDate !== undefined) changes.endDate = parseDate(body.endDate, "endDate");
+        if (body.rentAmount !== undefined) changes.rentAmount = parseAmount(body.rentAmount, "rentAmount");
+        if (body.escalationPercentage !== undefined) {
+            changes.escalationPercentage = parsePercentage(body.escalationPercentage, "escalationPercentage");
+        }
+        if (body.securityDeposit !== undefined) changes.securityDeposit = parseAmount(body.securityDeposit, "securityDeposit");
+        return client.buildProposeAmendment(parseId(body.agreementId, "agreementId"), changes, {
+            from: parseAddress(body.from, "from")
+        });
+    },
+    acceptAmendment: (client, body) =>
+        client.buildAcceptAmendment(parseId(body.agreementId, "agreementId"), { from: parseAddress(body.from, "from") }),
+    rejectAmendment: (client, body) =>
+        client.populateTransaction("rejectAmendment", [parseId(body.agreementId, "agreementId")]),
+    createDispute: (client, body) =>
+        client.populateTransaction("createDispute", [parseId(body.agreementId, "agreementId"), String(body.reason ?? "")]),
+    resolveDispute: (client, body) =>
+        client.populateTransaction("resolveDispute", [
+            parseId(body.disputeId, "disputeId"),
+            parseAmount(body.landlordAmount, "landlordAmount")
+        ]),
+    claimDeductions: (client, body) =>
+        client.populateTransaction("claimDeductions", [
+            parseId(body.agreementId, "agreementId"),
+            parseAmount(body.amount, "amount"),
+            parseHash(body.itemsHash, "itemsHash")
+        ]),
+    acceptDeductions: (client, body) =>
+        client.populateTransaction("acceptDeductions", [parseId(body.agreementId, "agreementId")]),
+    challengeDeductions: (client, body) =>
+        client.populateTransaction("challengeDeductions", [parseId(body.agreementId, "agreementId"), String(body.reason ?? "")]),
+    finalizeDeductions: (client, body) =>
+        client.populateTransaction("finalizeDeductions", [parseId(body.agreementId, "agreementId")]),
+    withdraw: (client, body) =>
+        client.populateTransaction("withdraw", [parseToken(body.token)])
+};
+
+/**
+ * REST API over the contract views, the event store and the transaction builders.
+ * @param {Object} options
+ * @param {import("../RealEstateRentalClient").RealEstateRentalClient} options.client  Read-only client
+ * @param {import("../indexer").EventStore} [options.store]  Needed for payment history and open disputes
+ * @param {import("../metadata").MetadataStore} [options.metadata]  Needed for property metadata
+ * @param {import("../RentalSearchClient").RentalSearchClient} [options.search]  Needed for paginated search
+ * @returns {import("express").Express}
+ */
+function createApp({ client, store, metadata, search }) {
+    const app = express();
+    app.use(express.json());
+
+    const route = (handler) => async (req, res, next) => {
+        try {
+            res.json(toJson(await handler(req, res)));
+        } catch (err) {
+            next(err);
+        }
+    };
+
+    const requireStore = () => {
+        if (!store) throw new HttpError(503, "Event index not available");
+        return store;
+    };
+
+    const requireMetadata = () => {
+        if (!metadata) throw new HttpError(503, "Metadata store not available");
+        return metadata;
+    };
+
+    const requireSearch = () => {
+        if (!search) throw new HttpError(503, "Search contract not available");
+        return search;
+    };
+
+    // Unknown unit or status names are the only filter errors left to the SDK
+    const searched = async (read) => {
+        try {
+            return await read();
+        } catch (err) {
+            if (/Unknown enum/.test(err.message)) throw new HttpError(400, err.message);
+            throw err;
+        }
+    };
+
+    // A stored document that doesn't match its hash is the store's fault, not the client's
+    const verified = (read) => {
+        try {
+            return read();
+        } catch (err) {
+            if (/Metadata hash mismatch|Invalid property metadata/.test(err.message)) throw new HttpError(502, err.message);
+            throw err;
+        }
+    };
+
+    app.get("/health", route(async () => {
+        const { chainId } = await client.runner.provider.getNetwork();
+        return {
+            address: client.address,
+            chainId,
+            blockNumber: await client.runner.provider.getBlockNumber(),
+            indexedBlock: store ? store.getCheckpoint() ?? null : null
+        };
+    }));
+
+    // --- Properties ---
+
+    app.get("/properties", route(async (req) => {
+        let ids;
+        if (req.query.available === "true") {
+            ids = await client.getAvailableProperties();
+        } else {
+            const { propertyCounter } = await client.getCounters();
+            ids = Array.from({ length: Number(propertyCounter) }, (_, i) => BigInt(i + 1));
+        }
+        let properties = await Promise.all(ids.map((id) => client.getProperty(id)));
+        if (req.query.owner) {
+            const owner = parseAddress(req.query.owner, "owner");
+            properties = properties.filter((p) => p.owner === owner);
+        }
+        return properties;
+    }));
+
+    // Cursor pages: pass `nextCursor` back as `cursor` until it is "0"; a page may be empty before that
+    app.get("/search/properties", route(async (req) => {
+        const { filter, cursor, limit } = parseSearch(req.query, ["owner"]);
+        return searched(() => requireSearch().searchProperties(filter, { cursor, limit }));
+    }));
+
+    app.get("/search/agreements", route(async (req) => {
+        const { filter, cursor, limit } = parseSearch(req.query, ["landlord", "tenant"]);
+        if (filter.status !== undefined) filter.status = filter.status.split(",");
+        return searched(() => requireSearch().searchAgreements(filter, { cursor, limit }));
+    }));
+
+    app.get("/properties/:id", route(async (req) => client.getProperty(parseId(req.params.id, "id"))));
+
+    app.get("/properties/:id/metadata", route(async (req) => {
+        const { metadataHash } = await client.getProperty(parseId(req.params.id, "id"));
+        if (metadataHash === ethers.ZeroHash) return null;
+        const document = verified(() => requireMetadata().get(metadataHash));
+        if (document === undefined) throw new HttpError(404, `Metadata ${metadataHash} not in the store`);
+        return { metadataHash, metadata: document };
+    }));
+
+    app.get("/properties/:id/agreements", route(async (req) => {
+        const propertyId = parseId(req.params.id, "id");
+        return requireStore()
+            .getEvents({ name: "AgreementCreated", propertyId })
+            .map((event) => store.getAgreement(event.args.agreementId))
+            .map(({ events, ...agreement }) => agreement);
+    }));
+
+    app.get("/properties/:id/applications", route(async (req) =>
+        client.getPendingApplicationsForProperty(parseId(req.params.id, "id"))
+    ));
+
+    app.get("/properties/:id/bookings", route(async (req) => client.getBookedIntervals(parseId(req.params.id, "id"))));
+
+    app.get("/properties/:id/free-ranges", route(async (req) =>
+        client.findFreeRanges(parseId(req.params.id, "id"), {
+            from: req.query.from === undefined ? undefined : parseDate(req.query.from, "from"),
+            to: parseDate(req.query.to, "to"),
+            minDays: parseCount(req.query.minDays ?? 1, "minDays")
+        })
+    ));
+
+    app.get("/properties/:id/late-fees", route(async (req) => client.getLateFeePolicy(parseId(req.params.id, "id"))));
+
+    app.get("/properties/:id/prepayment-discount", route(async (req) =>
+        client.getPrepaymentDiscount(parseId(req.params.id, "id"))
+    ));
+
+    app.get("/applications/:id", route(async (req) => client.getApplication(parseId(req.params.id, "id"))));
+
+    // --- Agreements ---
+
+    app.get("/agreements/:id", route(async (req) => client.getRentalAgreement(parseId(req.params.id, "id"))));
+
+    app.get("/agreements/:id/payment-status", route(async (req) =>
+        client.getPaymentStatus(parseId(req.params.id, "id"))
+    ));
+
+    app.get("/agreements/:id/schedule", route(async (req) => client.getPaymentSchedule(parseId(req.params.id, "id"))));
+
+    app.get("/agreements/:id/rent-quote", route(async (req) =>
+        client.getRentQuote(parseId(req.params.id, "id"), parseCount(req.query.units ?? 1, "units"))
+    ));
+
+    app.get("/agreements/:id/fee-quote", route(async (req) =>
+        client.quoteRentFees(parseId(req.params.id, "id"), parseCount(req.query.units ?? 1, "units"))
+    ));
+
+    app.get("/agreements/:id/amendment", route(async (req) => client.getAmendment(parseId(req.params.id, "id"))));
+
+    app.get("/agreements/:id/tenancy", route(async (req) => client.getTenancy(parseId(req.params.id, "id"))));
+
+    app.get("/agreements/:id/deductions", route(async (req) => client.getDeductionClaim(parseId(req.params.id, "id"))));
+
+    app.get("/agreements/:id/payments", route(async (req) => {
+        const agreementId = parseId(req.params.id, "id");
+        return requireStore().getPaymentsForAgreement(agreementId).map((event) => ({
+            amount: event.args.amount,
+            timestamp: event.args.timestamp,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+        }));
+    }));
+
+    app.get("/agreements/:id/events", route(async (req) =>
+        requireStore().getEvents({ agreementId: parseId(req.params.id, "id") })
+    ));
+
+    app.get("/tenants/:address/agreements", route(async (req) => {
+        const ids = await client.getTenantAgreements(parseAddress(req.params.address, "address"));
+        return Promise.all(ids.map((id) => client.getRentalAgreement(id)));
+    }));
+
+    app.get("/tenants/:address/applications", route(async (req) =>
+        client.getPendingApplicationsForTenant(parseAddress(req.params.address, "address"))
+    ));
+
+    app.get("/landlords/:address/properties", route(async (req) => {
+        const ids = await client.getLandlordProperties(parseAddress(req.params.address, "address"));
+        return Promise.all(ids.map((id) => client.getProperty(id)));
+    }));
+
+    app.get("/accounts/:address/balance", route(async (req) => {
+        const account = parseAddress(req.params.address, "address");
+        const token = parseToken(req.query.token);
+        return { account, token, withdrawable: await client.getWithdrawableBalance(account, token) };
+    }));
+
+    // --- Disputes ---
+
+    app.get("/disputes", route(async (req) => {
+        if (req.query.status !== "open") {
+            throw new HttpError(400, "Only status=open is supported");
+        }
+        return requireStore().getOpenDisputes().map((event) => event.args);
+    }));
+
+    app.get("/disputes/:id", route(async (req) => client.getDispute(parseId(req.params.id, "id"))));
+
+    // --- Metadata ---
+
+    // Validate and store a document; list it on-chain with the setPropertyMetadata builder
+    app.post("/metadata", route(async (req) => {
+        const store = requireMetadata();
+        const errors = validatePropertyMetadata(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, `Invalid property metadata: ${errors.join("; ")}`);
+        }
+        return { metadataHash: store.put(req.body) };
+    }));
+
+    app.get("/metadata/:hash", route(async (req) => {
+        const metadataHash = parseHash(req.params.hash, "hash");
+        const document = verified(() => requireMetadata().get(metadataHash));
+        if (document === undefined) throw new HttpError(404, `Metadata ${metadataHash} not in the store`);
+        return document;
+    }));
+
+    // --- Unsigned transactions ---
+
+    app.post("/transactions/:action", route(async (req) => {
+        const build = TRANSACTION_BUILDERS[req.params.action];
+        if (!build) {
+            throw new HttpError(404, `Unknown action ${req.params.action}`);
+        }
+        const body = req.body || {};
+        const tx = await build(client, body);
+        const { chainId } = await client.runner.provider.getNetwork();
+
+        // With a sender, dry-run the call so the frontend gets the revert reason up front.
+        // A pending approval would make the dry-run fail, so it is skipped then.
+        if (body.from !== undefined && !tx.approval) {
+            const from = parseAddress(body.from, "from");
+            const gasLimit = await client.runner.provider.estimateGas({ ...tx, from });
+            return { ...tx, from, chainId, gasLimit };
+        }
+        return { ...tx, chainId };
+    }));
+
+    app.use((req, res) => {
+        res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+    });
+
+    app.use((err, req, res, next) => {
+        const httpError = toHttpError(err);
+        res.status(httpError.status).json({ error: httpError.message });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp,
+    HttpError,
+    TRANSACTION_BUILDERS,
+    toJson,
+    toHttpError,
+    parseAddress
+};
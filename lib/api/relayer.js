@@ -0,0 +1,80 @@
+const express = require("express");
+const { HttpError, toJson, toHttpError, parseAddress } = require("./app");
+const { FORWARD_REQUEST_TYPES, toForwardRequest, verifyForwardRequest } = require("../RentalForwarderClient");
+
+function parseRelay(body) {
+    let request;
+    try {
+        request = toForwardRequest(body.request);
+    } catch {
+        throw new HttpError(400, "request must have from, value, gas, nonce, deadline and data");
+    }
+    if (typeof body.signature !== "string") {
+        throw new HttpError(400, "signature must be a hex string");
+    }
+    return { request, signature: body.signature };
+}
+
+/**
+ * Relayer for signed meta-transactions: checks a ForwardRequest and submits it through
+ * the RentalForwarder, paying the gas and the request's value.
+ * @param {Object} options
+ * @param {import("../RentalForwarderClient").RentalForwarderClient} options.forwarder  Connected to the relayer's signer
+ * @returns {import("express").Express}
+ */
+function createRelayerApp({ forwarder }) {
+    const app = express();
+    app.use(express.json());
+
+    const route = (handler) => async (req, res, next) => {
+        try {
+            res.json(toJson(await handler(req, res)));
+        } catch (err) {
+            next(err);
+        }
+    };
+
+    app.get("/health", route(async () => {
+        const relayer = await forwarder.runner.getAddress();
+        return {
+            forwarder: forwarder.address,
+            rental: await forwarder.getRental(),
+            relayer,
+            balance: await forwarder.provider.getBalance(relayer)
+        };
+    }));
+
+    // What a wallet needs to sign a request for this relayer
+    app.get("/domain", route(async () => ({ domain: await forwarder.getDomain(), types: FORWARD_REQUEST_TYPES })));
+
+    app.get("/nonces/:address", route(async (req) => ({
+        nonce: await forwarder.getNonce(parseAddress(req.params.address, "address"))
+    })));
+
+    app.post("/relay", route(async (req) => {
+        const { request, signature } = parseRelay(req.body || {});
+        if (!verifyForwardRequest(await forwarder.getDomain(), request, signature)) {
+            throw new HttpError(400, "Signature does not match the request's from");
+        }
+        if (!(await forwarder.verify(request, signature))) {
+            throw new HttpError(422, "Request expired or nonce already used");
+        }
+        const { hash, blockNumber, events } = await forwarder.relay(request, signature);
+        return { hash, blockNumber, events };
+    }));
+
+    app.use((req, res) => {
+        res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+    });
+
+    app.use((err, req, res, next) => {
+        const httpError = toHttpError(err);
+        res.status(httpError.status).json({ error: httpError.message });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createRelayerApp
+};
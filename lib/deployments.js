@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Registry layout: { [chainId]: { [networkName]: { [contractName]: DeploymentRecord } } }
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, "..", "deployments.json");
+
+/**
+ * @typedef {Object} DeploymentRecord
+ * @property {string} address
+ * @property {string} deployer
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ * @property {{version: string, optimizer: Object, evmVersion?: string, viaIR: boolean}} compiler
+ * @property {string} abiHash      See computeAbiHash
+ * @property {string} codeHash     keccak256 of the runtime code at `address` after deployment
+ * @property {string} deployedAt   ISO timestamp
+ */
+
+/**
+ * Hash of the sorted human-readable ABI, so formatting or ordering differences
+ * between artifacts don't count as a mismatch.
+ */
+function computeAbiHash(abi) {
+    const signatures = new ethers.Interface(abi).format().sort();
+    return ethers.keccak256(ethers.toUtf8Bytes(signatures.join("\n")));
+}
+
+function loadRegistry(file = DEFAULT_REGISTRY_PATH) {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveRegistry(registry, file = DEFAULT_REGISTRY_PATH) {
+    fs.writeFileSync(file, JSON.stringify(registry, null, 2) + "\n");
+}
+
+/** @returns {DeploymentRecord|undefined} */
+function getDeployment(chainId, network, contractName, file = DEFAULT_REGISTRY_PATH) {
+    const registry = loadRegistry(file);
+    return registry[String(chainId)]?.[network]?.[contractName];
+}
+
+function setDeployment(chainId, network, contractName, record, file = DEFAULT_REGISTRY_PATH) {
+    const registry = loadRegistry(file);
+    const byNetwork = (registry[String(chainId)] ??= {});
+    const byContract = (byNetwork[network] ??= {});
+    byContract[contractName] = record;
+    saveRegistry(registry, file);
+}
+
+/**
+ * Record a contract deployed through hardhat-ethers in the registry.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} contractName
+ * @param {import("ethers").BaseContract} contract   Already waited for deployment
+ * @returns {Promise<DeploymentRecord>}
+ */
+async function recordDeployment(hre, contractName, contract, { file = DEFAULT_REGISTRY_PATH } = {}) {
+    const deployTx = contract.deploymentTransaction();
+    const receipt = await deployTx.wait();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+
+    const record = {
+        address: await contract.getAddress(),
+        deployer: deployTx.from,
+        transactionHash: deployTx.hash,
+        blockNumber: receipt.blockNumber,
+        compiler: {
+            version: buildInfo.solcLongVersion,
+            optimizer: buildInfo.input.settings.optimizer,
+            evmVersion: buildInfo.input.settings.evmVersion,
+            viaIR: buildInfo.input.settings.viaIR === true
+        },
+        abiHash: computeAbiHash(artifact.abi),
+        codeHash: ethers.keccak256(await hre.ethers.provider.getCode(await contract.getAddress(), receipt.blockNumber)),
+        deployedAt: new Date().toISOString()
+    };
+
+    setDeployment(chainId, hre.network.name, contractName, record, file);
+    return record;
+}
+
+/**
+ * Find the deployment of `contractName` on the runner's chain and check it can be
+ * attached with `abi`: the code at the address must be the code recorded at deployment,
+ * and the recorded ABI hash must equal the hash of the local ABI.
+ * @returns {Promise<DeploymentRecord>}
+ */
+async function resolveDeployment(provider, network, contractName, abi, { file = DEFAULT_REGISTRY_PATH } = {}) {
+    const { chainId } = await provider.getNetwork();
+    const record = getDeployment(chainId, network, contractName, file);
+    if (!record) {
+        throw new Error(`No ${contractName} deployment recorded for network "${network}" (chainId ${chainId})`);
+    }
+
+    const code = await provider.getCode(record.address);
+    if (code === "0x") {
+        throw new Error(`No contract code at ${record.address} on "${network}" (chainId ${chainId}); the registry is stale`);
+    }
+    // A restarted node can hold another contract at the same address
+    const codeHash = ethers.keccak256(code);
+    if (record.codeHash !== codeHash) {
+        throw new Error(
+            `Code mismatch for ${contractName} at ${record.address}: recorded ${record.codeHash}, on chain ${codeHash}. ` +
+            "The registry is stale; redeploy."
+        );
+    }
+
+    const localHash = computeAbiHash(abi);
+    if (record.abiHash !== localHash) {
+        throw new Error(
+            `ABI mismatch for ${contractName} at ${record.address}: deployed ${record.abiHash}, local ${localHash}. ` +
+            "Redeploy or regenerate the local artifact."
+        );
+    }
+
+    return record;
+}
+
+// Linked libraries of RealEstateRental, which exceeds the contract size limit without them
+const RENTAL_LIBRARIES = [
+    "RentSchedule",
+    "BookingCalendar",
+    "LeaseAmendments",
+    "PropertyRegistry",
+    "RentalApplications",
+    "AgreementSettlement",
+    "LeaseAssignments",
+    "Tenancies"
+];
+
+// Default rent fee of a new FeeSchedule, in basis points: the 2% RealEstateRental always charged
+const DEFAULT_RENT_FEE_BPS = 200;
+
+/**
+ * Deploy the libraries RealEstateRental links against, through hardhat-ethers.
+ * @param {typeof import("hardhat").ethers} ethers   hre.ethers
+ * @param {import("ethers").Signer} [signer]          Defaults to the first account
+ * @returns {Promise<Object<string, import("ethers").BaseContract>>}  By library name
+ */
+async function deployRentalLibraries(ethers, signer) {
+    const libraries = {};
+    for (const name of RENTAL_LIBRARIES) {
+        const factory = await ethers.getContractFactory(name, signer);
+        libraries[name] = await factory.deploy();
+        await libraries[name].waitForDeployment();
+    }
+    return libraries;
+}
+
+/**
+ * Deploy the PropertyToken of `rental` and wire it; listings need it to mint their token.
+ * @param {typeof import("hardhat").ethers} ethers
+ * @param {import("ethers").BaseContract} rental   Deployed, connected to its owner
+ * @param {import("ethers").Signer} [signer]
+ * @returns {Promise<import("ethers").BaseContract>}
+ */
+async function deployPropertyToken(ethers, rental, signer) {
+    const factory = await ethers.getContractFactory("PropertyToken", signer);
+    const token = await factory.deploy(await rental.getAddress());
+    await token.waitForDeployment();
+    await (await rental.setPropertyToken(await token.getAddress())).wait();
+    return token;
+}
+
+/**
+ * Deploy the RentalRoles of `rental` and wire it. The deployer is its admin and holds every
+ * role (fee manager, treasurer, arbiter, pauser) until it hands them out.
+ * @param {typeof import("hardhat").ethers} ethers
+ * @param {import("ethers").BaseContract} rental   Deployed, connected to its owner
+ * @param {import("ethers").Signer} [signer]
+ * @returns {Promise<import("ethers").BaseContract>}
+ */
+async function deployRentalRoles(ethers, rental, signer) {
+    signer ??= (await ethers.getSigners())[0];
+    const factory = await ethers.getContractFactory("RentalRoles", signer);
+    const roles = await factory.deploy(await signer.getAddress());
+    await roles.waitForDeployment();
+    await (await rental.setRentalRoles(await roles.getAddress())).wait();
+    return roles;
+}
+
+/**
+ * Deploy a FeeSchedule and wire it into `rental`: `rentBps` on rent by default (the historical 2%),
+ * every fee going to `treasury` (the signer by default) until the treasurer splits them.
+ * @param {typeof import("hardhat").ethers} ethers
+ * @param {import("ethers").BaseContract} rental   Deployed, connected to its owner
+ * @param {import("ethers").Signer} [signer]
+ * @param {{rentBps?: number, treasury?: string}} [options]
+ * @returns {Promise<import("ethers").BaseContract>}
+ */
+async function deployFeeSchedule(ethers, rental, signer, { rentBps = DEFAULT_RENT_FEE_BPS, treasury } = {}) {
+    signer ??= (await ethers.getSigners())[0];
+    treasury ??= await signer.getAddress();
+    const factory = await ethers.getContractFactory("FeeSchedule", signer);
+    const feeSchedule = await factory.deploy(await rental.getAddress(), rentBps, treasury);
+    await feeSchedule.waitForDeployment();
+    await (await rental.setFeeSchedule(await feeSchedule.getAddress())).wait();
+    return feeSchedule;
+}
+
+/**
+ * Deploy RealEstateRental linked to `libraries`, deploying them first when omitted, along
+ * with its PropertyToken, RentalRoles and FeeSchedule unless `propertyToken`, `rentalRoles` or
+ * `feeSchedule` is false (then see deployPropertyToken, deployRentalRoles and deployFeeSchedule).
+ * @param {typeof import("hardhat").ethers} ethers
+ * @param {{signer?: import("ethers").Signer, libraries?: Object<string, import("ethers").BaseContract>, propertyToken?: boolean, rentalRoles?: boolean, feeSchedule?: boolean}} [options]
+ * @returns {Promise<import("ethers").BaseContract>}
+ */
+async function deployRealEstateRental(ethers, { signer, libraries, propertyToken = true, rentalRoles = true, feeSchedule = true } = {}) {
+    libraries ??= await deployRentalLibraries(ethers, signer);
+    const addresses = {};
+    for (const name of RENTAL_LIBRARIES) {
+        addresses[name] = await libraries[name].getAddress();
+    }
+    const factory = await ethers.getContractFactory("RealEstateRental", { signer, libraries: addresses });
+    const rental = await factory.deploy();
+    await rental.waitForDeployment();
+    if (propertyToken) {
+        await deployPropertyToken(ethers, rental, signer);
+    }
+    if (rentalRoles) {
+        await deployRentalRoles(ethers, rental, signer);
+    }
+    if (feeSchedule) {
+        await deployFeeSchedule(ethers, rental, signer);
+    }
+    return rental;
+}
+
+module.exports = {
+    DEFAULT_REGISTRY_PATH,
+    RENTAL_LIBRARIES,
+    computeAbiHash,
+    loadRegistry,
+    saveRegistry,
+    getDeployment,
+    setDeployment,
+    recordDeployment,
+    resolveDeployment,
+    deployRentalLibraries,
+    deployPropertyToken,
+    deployRentalRoles,
+    deployFeeSchedule,
+    deployRealEstateRental,
+    DEFAULT_RENT_FEE_BPS
+};
@@ -0,0 +1,76 @@
+// Enum names in declaration order, exactly as in contracts/RealEstateRental.sol,
+// contracts/ArbitrationPanel.sol, contracts/RentalSearch.sol, contracts/LeaseSublets.sol and
+// contracts/FeeSchedule.sol
+const RentUnit = ["MONTHLY", "DAILY"];
+
+const AgreementStatus = [
+    "PENDING_RESERVATION",
+    "ACTIVE",
+    "COMPLETED",
+    "TERMINATED",
+    "DISPUTED",
+    "CANCELLED"
+];
+
+const ApplicationStatus = ["PENDING", "ACCEPTED", "DECLINED", "WITHDRAWN", "FUNDED"];
+
+const DeductionStatus = ["NONE", "CLAIMED", "CHALLENGED", "SETTLED"];
+
+const DisputeStatus = ["OPEN", "RESOLVED", "REJECTED"];
+
+// ArbitrationPanel
+const AssignmentMode = ["ROUND_ROBIN", "RANDOM"];
+
+const CaseStatus = ["NONE", "OPEN", "DECIDED", "FALLBACK"];
+
+// RentalSearch
+const UnitFilter = ["ANY", "MONTHLY", "DAILY"];
+
+const PropertyStatusFilter = ["ANY", "AVAILABLE", "UNAVAILABLE", "DELISTED"];
+
+// LeaseSublets
+const SubletStatus = ["OFFERED", "ACTIVE", "ENDED"];
+
+// FeeSchedule
+const FeeScope = ["DEFAULT", "UNIT", "PROPERTY"];
+
+// Convert an on-chain enum value (bigint or number) to its name
+function decodeEnum(names, value) {
+    const name = names[Number(value)];
+    if (name === undefined) {
+        throw new Error(`Unknown enum value: ${value}`);
+    }
+    return name;
+}
+
+// Accept a name ("DAILY") or an index (1) and return the on-chain index
+function encodeEnum(names, value) {
+    if (typeof value === "string") {
+        const index = names.indexOf(value.toUpperCase());
+        if (index === -1) {
+            throw new Error(`Unknown enum name: ${value} (expected one of ${names.join(", ")})`);
+        }
+        return index;
+    }
+    const index = Number(value);
+    if (!Number.isInteger(index) || index < 0 || index >= names.length) {
+        throw new Error(`Unknown enum value: ${value}`);
+    }
+    return index;
+}
+
+module.exports = {
+    RentUnit,
+    AgreementStatus,
+    ApplicationStatus,
+    DeductionStatus,
+    DisputeStatus,
+    AssignmentMode,
+    CaseStatus,
+    UnitFilter,
+    PropertyStatusFilter,
+    SubletStatus,
+    FeeScope,
+    decodeEnum,
+    encodeEnum
+};
@@ -0,0 +1,27 @@
+const { ethers } = require("ethers");
+
+// The part of ERC-20 the rental flows need
+const ERC20_ABI = [
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function transfer(address to, uint256 amount) returns (bool)"
+];
+
+function erc20(token, runner) {
+    return new ethers.Contract(token, ERC20_ABI, runner);
+}
+
+// address(0) stands for ETH everywhere in the contract
+function isEth(token) {
+    return !token || token === ethers.ZeroAddress;
+}
+
+module.exports = {
+    ERC20_ABI,
+    erc20,
+    isEth
+};
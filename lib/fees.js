@@ -0,0 +1,86 @@
+// Platform fees in basis points, mirroring contracts/FeeSchedule.sol and PlatformFees.sol: each fee is
+// floor(amount * bps / 10000), the property's rates override its unit's, which override the defaults.
+
+const BPS = 10_000n;
+
+/**
+ * @typedef {Object} FeeRates
+ * @property {bigint} rentBps       On rent, after any prepayment discount
+ * @property {bigint} lateFeeBps    On late fees
+ * @property {bigint} depositBps    On the part of the deposit the landlord keeps
+ */
+
+/**
+ * @typedef {Object} FeeLevel       One level of the schedule, as returned by FeeSchedule.getRates
+ * @property {FeeRates & {set: boolean}} current
+ * @property {FeeRates & {set: boolean}} pending
+ * @property {bigint} effectiveAt   When `pending` replaces `current`, 0n when nothing is scheduled
+ */
+
+/**
+ * @typedef {Object} FeeBreakdown
+ * @property {bigint} rentFee
+ * @property {bigint} lateFeeFee
+ * @property {bigint} depositFee
+ * @property {bigint} platformFee   Sum of the three, credited to the FeeSchedule
+ * @property {bigint} landlordNet   What the landlord is credited: every amount minus its fee
+ */
+
+/** @returns {bigint} Fee of `bps` basis points on `amount`, rounded down like on chain */
+function feeOn(amount, bps) {
+    return (BigInt(amount) * BigInt(bps)) / BPS;
+}
+
+/**
+ * Fees withheld from amounts paid to a landlord.
+ * @param {FeeRates} rates
+ * @param {{rent?: bigint, lateFee?: bigint, deposit?: bigint}} amounts
+ * @returns {FeeBreakdown}
+ */
+function feeBreakdown(rates, { rent = 0n, lateFee = 0n, deposit = 0n } = {}) {
+    const rentFee = feeOn(rent, rates.rentBps);
+    const lateFeeFee = feeOn(lateFee, rates.lateFeeBps);
+    const depositFee = feeOn(deposit, rates.depositBps);
+    const platformFee = rentFee + lateFeeFee + depositFee;
+    return {
+        rentFee,
+        lateFeeFee,
+        depositFee,
+        platformFee,
+        landlordNet: BigInt(rent) + BigInt(lateFee) + BigInt(deposit) - platformFee
+    };
+}
+
+// Rates of one level at `timestamp`, a scheduled change applying from its effectiveAt
+function levelRates(level, timestamp) {
+    const due = level.effectiveAt !== 0n && BigInt(timestamp) >= level.effectiveAt;
+    return due ? level.pending : level.current;
+}
+
+/**
+ * Rates that apply at `timestamp`, from the property, unit and default levels (most precise first),
+ * and the next time they may change.
+ * @param {FeeLevel[]} levels
+ * @param {bigint|number} timestamp
+ * @returns {{rates: FeeRates, changesAt: bigint}}  changesAt is 0n when no change is scheduled
+ */
+function resolveRates(levels, timestamp) {
+    const rates = levels.map((level) => levelRates(level, timestamp)).find((r) => r.set);
+    let changesAt = 0n;
+    for (const level of levels) {
+        if (level.effectiveAt > BigInt(timestamp) && (changesAt === 0n || level.effectiveAt < changesAt)) {
+            changesAt = level.effectiveAt;
+        }
+    }
+    return {
+        rates: { rentBps: rates.rentBps, lateFeeBps: rates.lateFeeBps, depositBps: rates.depositBps },
+        changesAt
+    };
+}
+
+module.exports = {
+    BPS,
+    feeOn,
+    feeBreakdown,
+    resolveRates
+};
@@ -0,0 +1,102 @@
+const {
+    RealEstateRentalClient,
+    ABI,
+    PROPERTY_TOKEN_ABI,
+    hashApplicationMessage,
+    hashDeductionItems,
+    findFreeRanges,
+    toTimestamp,
+    rentShareAmount
+} = require("./RealEstateRentalClient");
+const { ArbitrationPanelClient, PANEL_ABI, hashEvidence } = require("./ArbitrationPanelClient");
+const {
+    RentalForwarderClient,
+    FORWARDER_ABI,
+    FORWARD_REQUEST_TYPES,
+    LISTING_OFFER_TYPES,
+    signForwardRequest,
+    signListingOffer,
+    verifyForwardRequest,
+    recoverListingOfferSigner
+} = require("./RentalForwarderClient");
+const { RentalSearchClient, ABI: SEARCH_ABI, toPropertyFilter, toAgreementFilter } = require("./RentalSearchClient");
+const { LeaseSubletsClient, SUBLETS_ABI } = require("./LeaseSubletsClient");
+const { RentalRolesClient, ROLES_ABI, ROLES, roleId } = require("./RentalRolesClient");
+const { FeeScheduleClient, FEE_SCHEDULE_ABI, feeLevel } = require("./FeeScheduleClient");
+const enums = require("./enums");
+const deployments = require("./deployments");
+const { EventStore, RentalIndexer } = require("./indexer");
+const { ERC20_ABI, erc20, isEth } = require("./erc20");
+const { addMonths, monthsBetween, dueDate, paymentSchedule, amendmentTerms } = require("./schedule");
+const { feeOn, feeBreakdown, resolveRates } = require("./fees");
+const { STATEMENT_AMOUNTS, buildStatement, formatStatement, statementToCsv } = require("./statements");
+const {
+    PROPERTY_METADATA_SCHEMA,
+    validatePropertyMetadata,
+    buildPropertyMetadata,
+    serializePropertyMetadata,
+    hashPropertyMetadata,
+    verifyPropertyMetadata,
+    MetadataStore
+} = require("./metadata");
+
+module.exports = {
+    RealEstateRentalClient,
+    ABI,
+    PROPERTY_TOKEN_ABI,
+    hashApplicationMessage,
+    hashDeductionItems,
+    findFreeRanges,
+    toTimestamp,
+    rentShareAmount,
+    ArbitrationPanelClient,
+    PANEL_ABI,
+    hashEvidence,
+    RentalForwarderClient,
+    FORWARDER_ABI,
+    FORWARD_REQUEST_TYPES,
+    LISTING_OFFER_TYPES,
+    signForwardRequest,
+    signListingOffer,
+    verifyForwardRequest,
+    recoverListingOfferSigner,
+    RentalSearchClient,
+    SEARCH_ABI,
+    toPropertyFilter,
+    toAgreementFilter,
+    LeaseSubletsClient,
+    SUBLETS_ABI,
+    RentalRolesClient,
+    ROLES_ABI,
+    ROLES,
+    roleId,
+    FeeScheduleClient,
+    FEE_SCHEDULE_ABI,
+    feeLevel,
+    EventStore,
+    RentalIndexer,
+    ERC20_ABI,
+    erc20,
+    isEth,
+    addMonths,
+    monthsBetween,
+    dueDate,
+    paymentSchedule,
+    amendmentTerms,
+    feeOn,
+    feeBreakdown,
+    resolveRates,
+    STATEMENT_AMOUNTS,
+    buildStatement,
+    formatStatement,
+    statementToCsv,
+    PROPERTY_METADATA_SCHEMA,
+    validatePropertyMetadata,
+    buildPropertyMetadata,
+    serializePropertyMetadata,
+    hashPropertyMetadata,
+    verifyPropertyMetadata,
+    MetadataStore,
+    ...enums,
+    ...deployments
+};
@@ -0,0 +1,325 @@
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+const { ABI, decodeLog } = require("../RealEstateRentalClient");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS events (
+    block_number     INTEGER NOT NULL,
+    block_hash       TEXT    NOT NULL,
+    transaction_hash TEXT    NOT NULL,
+    log_index        INTEGER NOT NULL,
+    name             TEXT    NOT NULL,
+    property_id      INTEGER,
+    agreement_id     INTEGER,
+    dispute_id       INTEGER,
+    tenant           TEXT,
+    landlord         TEXT,
+    topics           TEXT    NOT NULL,
+    data             TEXT    NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_name      ON events (name);
+CREATE INDEX IF NOT EXISTS events_property  ON events (property_id);
+CREATE INDEX IF NOT EXISTS events_agreement ON events (agreement_id);
+CREATE INDEX IF NOT EXISTS events_dispute   ON events (dispute_id);
+CREATE INDEX IF NOT EXISTS events_tenant    ON events (tenant);
+CREATE INDEX IF NOT EXISTS events_landlord  ON events (landlord);
+
+-- Hashes of indexed blocks, used to find the common ancestor after a reorg
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash   TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+`;
+
+// Status reached by an agreement after each lifecycle event
+const STATUS_AFTER = {
+    AgreementCreated: "PENDING_RESERVATION",
+    AgreementActivated: "ACTIVE",
+    AgreementCompleted: "COMPLETED",
+    AgreementTerminated: "TERMINATED",
+    DisputeCreated: "DISPUTED",
+    DisputeResolved: "COMPLETED",
+    ReservationCancelled: "CANCELLED",
+    ReservationRejected: "CANCELLED",
+    ReservationExpired: "CANCELLED"
+};
+
+// Statuses in which a transfer of the property hands the agreement to the new holder
+const OPEN_STATUSES = new Set(["PENDING_RESERVATION", "ACTIVE", "DISPUTED"]);
+
+/**
+ * @typedef {Object} StoredEvent
+ * @property {string} name
+ * @property {Object<string, *>} args
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * SQLite store for RealEstateRental events. Logs are kept raw (topics + data)
+ * and decoded on read with the same decoder as the client, so query results
+ * look exactly like `client.decodeEvents` output.
+ */
+class EventStore {
+    /** @param {string} [filename]  Database file, ":memory:" by default */
+    constructor(filename = ":memory:") {
+        this.db = new Database(filename);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+        this.interface = new ethers.Interface(ABI);
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // ---------------------------------------------------------------
+    // Checkpoint
+    // ---------------------------------------------------------------
+
+    getMeta(key) {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(key, JSON.stringify(value));
+    }
+
+    /** Last fully indexed block, or undefined before the first sync. */
+    getCheckpoint() {
+        return this.getMeta("checkpoint");
+    }
+
+    /** Indexed block hashes, newest first. */
+    getBlocks(limit = 256) {
+        return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?").all(limit);
+    }
+
+    /**
+     * Atomically store a range of logs, the hashes of the blocks they cover,
+     * and move the checkpoint to `checkpoint`.
+     * @param {import("ethers").Log[]} logs
+     * @param {{number: number, hash: string}[]} blocks
+     * @param {number} checkpoint
+     */
+    saveBatch(logs, blocks, checkpoint) {
+        const insertEvent = this.db.prepare(`
+            INSERT OR REPLACE INTO events (
+                block_number, block_hash, transaction_hash, log_index, name,
+                property_id, agreement_id, dispute_id, tenant, landlord, topics, data
+            ) VALUES (
+                @blockNumber, @blockHash, @transactionHash, @logIndex, @name,
+                @propertyId, @agreementId, @disputeId, @tenant, @landlord, @topics, @data
+            )
+        `);
+        const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+        const agreementOfDispute = this.db.prepare(
+            "SELECT agreement_id FROM events WHERE name = 'DisputeCreated' AND dispute_id = ?"
+        );
+
+        this.db.transaction(() => {
+            for (const log of logs) {
+                const decoded = decodeLog(this.interface, log);
+                if (!decoded) continue;
+                const { args } = decoded;
+
+                let agreementId = args.agreementId ?? null;
+                if (agreementId === null && args.disputeId !== undefined) {
+                    agreementId = agreementOfDispute.get(args.disputeId)?.agreement_id ?? null;
+                }
+
+                insertEvent.run({
+                    blockNumber: log.blockNumber,
+                    blockHash: log.blockHash,
+                    transactionHash: log.transactionHash,
+                    logIndex: log.index,
+                    name: decoded.name,
+                    propertyId: args.propertyId ?? null,
+                    agreementId,
+                    disputeId: args.disputeId ?? null,
+                    tenant: args.tenant?.toLowerCase() ?? null,
+                    landlord: (args.landlord ?? args.owner)?.toLowerCase() ?? null,
+                    topics: JSON.stringify(log.topics),
+                    data: log.data
+                });
+            }
+            for (const block of blocks) {
+                insertBlock.run(block.number, block.hash);
+            }
+            this.setMeta("checkpoint", checkpoint);
+        })();
+    }
+
+    /** Drop everything above `blockNumber` and move the checkpoint back to it. */
+    rollbackTo(blockNumber) {
+        this.db.transaction(() => {
+            this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+            this.setMeta("checkpoint", blockNumber);
+        })();
+    }
+
+    // ---------------------------------------------------------------
+    // Queries
+    // ---------------------------------------------------------------
+
+    _decodeRows(rows) {
+        return rows.map((row) => ({
+            ...decodeLog(this.interface, { topics: JSON.parse(row.topics), data: row.data }),
+            blockNumber: row.block_number,
+            blockHash: row.block_hash,
+            transactionHash: row.transaction_hash,
+            logIndex: row.log_index
+        }));
+    }
+
+    /**
+     * Raw event query; every filter is optional.
+     * @param {{name?: string, propertyId?: bigint|number, agreementId?: bigint|number,
+     *          disputeId?: bigint|number, fromBlock?: number, toBlock?: number}} [filter]
+     * @returns {StoredEvent[]}
+     */
+    getEvents(filter = {}) {
+        const clauses = [];
+        const params = {};
+        const columns = {
+            name: "name",
+            propertyId: "property_id",
+            agreementId: "agreement_id",
+            disputeId: "dispute_id"
+        };
+        for (const [key, column] of Object.entries(columns)) {
+            if (filter[key] !== undefined) {
+                clauses.push(`${column} = @${key}`);
+                params[key] = filter[key];
+            }
+        }
+        if (filter.fromBlock !== undefined) {
+            clauses.push("block_number >= @fromBlock");
+            params.fromBlock = filter.fromBlock;
+        }
+        if (filter.toBlock !== undefined) {
+            clauses.push("block_number <= @toBlock");
+            params.toBlock = filter.toBlock;
+        }
+        const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+        const rows = this.db.prepare(`SELECT * FROM events ${where} ORDER BY block_number, log_index`).all(params);
+        return this._decodeRows(rows);
+    }
+
+    /**
+     * Agreement as reconstructed from its events; `landlord` follows transfers of the property
+     * while the agreement was open, `tenant` follows lease assignments, and `coTenants` lists who
+     * joined it to share the rent and deposit.
+     * @returns {{agreementId: bigint, propertyId: bigint, tenant: string, coTenants: string[], landlord: string,
+     *            status: string, rentPaid: bigint, createdAtBlock: number, events: StoredEvent[]}|undefined}
+     */
+    getAgreement(agreementId) {
+        const events = this.getEvents({ agreementId });
+        const created = events.find((e) => e.name === "AgreementCreated");
+        if (!created) return undefined;
+
+        let status;
+        let rentPaid = 0n;
+        let tenant = created.args.tenant;
+        const coTenants = [];
+        let landlord = created.args.landlord;
+        const transfers = this.getEvents({ name: "PropertyTransferred", propertyId: created.args.propertyId });
+        const timeline = [...events, ...transfers].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        for (const event of timeline) {
+            if (STATUS_AFTER[event.name]) status = STATUS_AFTER[event.name];
+            if (event.name === "RentPaid") rentPaid += event.args.amount;
+            if (event.name === "PropertyTransferred" && OPEN_STATUSES.has(status)) landlord = event.args.to;
+            if (event.name === "LeaseAssigned") tenant = event.args.tenant;
+            if (event.name === "CoTenantJoined") coTenants.push(event.args.coTenant);
+        }
+
+        return {
+            agreementId: created.args.agreementId,
+            propertyId: created.args.propertyId,
+            tenant,
+            coTenants,
+            landlord,
+            status,
+            rentPaid,
+            createdAtBlock: created.blockNumber,
+            events
+        };
+    }
+
+    _agreementsWhere(column, address) {
+        const rows = this.db.prepare(`
+            SELECT agreement_id FROM events
+            WHERE name = 'AgreementCreated' AND ${column} = ?
+            ORDER BY block_number, log_index
+        `).all(address.toLowerCase());
+        return rows.map((row) => this.getAgreement(row.agreement_id));
+    }
+
+    /**
+     * Every agreement `tenant` holds, current status included: reserved by them or assigned to them
+     * (and not assigned away since), or joined as a co-tenant.
+     */
+    getAgreementsForTenant(tenant) {
+        const account = tenant.toLowerCase();
+        const rows = this.db.prepare(`
+            SELECT agreement_id FROM events
+            WHERE name IN ('AgreementCreated', 'LeaseAssigned') AND tenant = ?
+        `).all(account);
+        const ids = new Set(rows.map((row) => BigInt(row.agreement_id)));
+        for (const joined of this.getEvents({ name: "CoTenantJoined" })) {
+            if (joined.args.coTenant.toLowerCase() === account) ids.add(joined.args.agreementId);
+        }
+        return [...ids]
+            .sort((a, b) => (a < b ? -1 : 1))
+            .map((agreementId) => this.getAgreement(agreementId))
+            .filter((agreement) =>
+                agreement.tenant.toLowerCase() === account ||
+                agreement.coTenants.some((coTenant) => coTenant.toLowerCase() === account)
+            );
+    }
+
+    /** Every agreement ever created on properties of `landlord`. */
+    getAgreementsForLandlord(landlord) {
+        return this._agreementsWhere("landlord", landlord);
+    }
+
+    /** RentPaid events of an agreement, oldest first. */
+    getPaymentsForAgreement(agreementId) {
+        return this.getEvents({ name: "RentPaid", agreementId });
+    }
+
+    /** DisputeCreated events without a matching DisputeResolved. */
+    getOpenDisputes() {
+        const rows = this.db.prepare(`
+            SELECT * FROM events created
+            WHERE created.name = 'DisputeCreated'
+              AND NOT EXISTS (
+                  SELECT 1 FROM events resolved
+                  WHERE resolved.name = 'DisputeResolved' AND resolved.dispute_id = created.dispute_id
+              )
+            ORDER BY block_number, log_index
+        `).all();
+        return this._decodeRows(rows);
+    }
+
+    /** PropertyListed events of `owner`. */
+    getPropertiesListedBy(owner) {
+        const rows = this.db.prepare(`
+            SELECT * FROM events WHERE name = 'PropertyListed' AND landlord = ?
+            ORDER BY block_number, log_index
+        `).all(owner.toLowerCase());
+        return this._decodeRows(rows);
+    }
+}
+
+module.exports = { EventStore };
@@ -0,0 +1,127 @@
+const { EventStore } = require("./EventStore");
+
+/**
+ * Backfills and follows every RealEstateRental event into an EventStore.
+ *
+ * Each batch of blocks is written in one transaction together with the new
+ * checkpoint, so a crash never leaves a half-indexed range. Before every sync
+ * the stored block hashes are compared with the chain; on a mismatch the
+ * store is rolled back to the last common block and re-indexed from there.
+ */
+class RentalIndexer {
+    /**
+     * @param {Object} options
+     * @param {import("ethers").Provider} options.provider
+     * @param {string} options.address              RealEstateRental address
+     * @param {EventStore} [options.store]          In-memory store by default
+     * @param {number} [options.startBlock]         First block to index (the deployment block)
+     * @param {number} [options.batchSize]          Blocks per eth_getLogs call
+     * @param {number} [options.confirmations]      Stay this many blocks behind the head
+     * @param {number} [options.pollInterval]       Milliseconds between syncs when following
+     */
+    constructor({ provider, address, store, startBlock = 0, batchSize = 2000, confirmations = 0, pollInterval = 2000 }) {
+        this.provider = provider;
+        this.address = address;
+        this.store = store || new EventStore();
+        this.startBlock = startBlock;
+        this.batchSize = batchSize;
+        this.confirmations = confirmations;
+        this.pollInterval = pollInterval;
+        this._stopped = true;
+        this._wake = null;
+    }
+
+    // A database indexes one contract on one chain
+    async _checkStoreTarget() {
+        const { chainId } = await this.provider.getNetwork();
+        const target = { chainId: chainId.toString(), address: this.address.toLowerCase() };
+        const stored = this.store.getMeta("target");
+        if (!stored) {
+            this.store.setMeta("target", target);
+        } else if (stored.chainId !== target.chainId || stored.address !== target.address) {
+            throw new Error(
+                `Database indexes ${stored.address} on chain ${stored.chainId}, not ${target.address} on chain ${target.chainId}`
+            );
+        }
+    }
+
+    /**
+     * Roll the store back to the newest stored block that is still canonical.
+     * @returns {Promise<number|undefined>} Block rolled back to, if a reorg was found
+     */
+    async handleReorg() {
+        const checkpoint = this.store.getCheckpoint();
+        if (checkpoint === undefined) return undefined;
+
+        for (const block of this.store.getBlocks()) {
+            const canonical = await this.provider.getBlock(block.number);
+            if (canonical && canonical.hash === block.hash) {
+                if (block.number === checkpoint) return undefined;
+                this.store.rollbackTo(block.number);
+                return block.number;
+            }
+        }
+
+        // Nothing we stored is canonical anymore: start over
+        this.store.rollbackTo(this.startBlock - 1);
+        return this.startBlock - 1;
+    }
+
+    /**
+     * Index everything between the checkpoint and the head (minus confirmations).
+     * @returns {Promise<{fromBlock: number, toBlock: number, events: number, rolledBackTo?: number}>}
+     */
+    async sync() {
+        await this._checkStoreTarget();
+        const rolledBackTo = await this.handleReorg();
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const checkpoint = this.store.getCheckpoint();
+        const fromBlock = checkpoint === undefined ? this.startBlock : checkpoint + 1;
+        let events = 0;
+
+        for (let from = fromBlock; from <= head; from += this.batchSize) {
+            const to = Math.min(from + this.batchSize - 1, head);
+            const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+            const tip = await this.provider.getBlock(to);
+
+            const blocks = new Map(logs.map((log) => [log.blockNumber, log.blockHash]));
+            blocks.set(tip.number, tip.hash);
+
+            this.store.saveBatch(
+                logs,
+                [...blocks].map(([number, hash]) => ({ number, hash })),
+                to
+            );
+            events += logs.length;
+        }
+
+        return { fromBlock, toBlock: Math.max(head, fromBlock - 1), events, rolledBackTo };
+    }
+
+    /**
+     * Sync, then keep polling until stop() is called.
+     * @param {(result: Object) => void} [onSync]  Called after every sync
+     */
+    async start(onSync = () => {}) {
+        this._stopped = false;
+        while (!this._stopped) {
+            onSync(await this.sync());
+            if (this._stopped) break;
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, this.pollInterval);
+                this._wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        }
+    }
+
+    stop() {
+        this._stopped = true;
+        if (this._wake) this._wake();
+    }
+}
+
+module.exports = { RentalIndexer };
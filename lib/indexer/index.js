@@ -0,0 +1,7 @@
+const { EventStore } = require("./EventStore");
+const { RentalIndexer } = require("./RentalIndexer");
+
+module.exports = {
+    EventStore,
+    RentalIndexer
+};
@@ -0,0 +1,216 @@
+// Off-chain property metadata: a JSON document following schemas/property-metadata.schema.json,
+// referenced on-chain by the keccak256 of its canonical JSON (setPropertyMetadata).
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const SCHEMA_PATH = path.join(__dirname, "..", "schemas", "property-metadata.schema.json");
+const PROPERTY_METADATA_SCHEMA = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+const SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} PropertyMetadata
+ * @property {number} schemaVersion
+ * @property {string} title
+ * @property {string} [description]
+ * @property {{street: string, city: string, postalCode?: string, country: string}} address
+ * @property {number} [surfaceArea]     Square meters
+ * @property {number} [rooms]
+ * @property {number} [bedrooms]
+ * @property {number} [bathrooms]
+ * @property {number} [floor]
+ * @property {string[]} [amenities]
+ * @property {{uri: string, contentHash?: string, caption?: string}[]} [photos]
+ */
+
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+    return typeof value;
+}
+
+// The subset of JSON Schema the published schema uses
+function check(schema, value, at, errors) {
+    const where = at || "/";
+    if (schema.enum && !schema.enum.some((v) => v === value)) {
+        errors.push(`${where} must be one of ${schema.enum.join(", ")}`);
+        return;
+    }
+    if (schema.type) {
+        const actual = typeOf(value);
+        if (actual !== schema.type && !(schema.type === "number" && actual === "integer")) {
+            errors.push(`${where} must be ${schema.type === "integer" ? "an" : "a"} ${schema.type}`);
+            return;
+        }
+    }
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${where} must not be empty` : `${where} is shorter than ${schema.minLength}`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${where} is longer than ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where} must match ${schema.pattern}`);
+        }
+    }
+    if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where} must be at least ${schema.minimum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${where} has more than ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) {
+            errors.push(`${where} has duplicate items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => check(schema.items, item, `${at}/${i}`, errors));
+        }
+    }
+    if (typeOf(value) === "object") {
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) errors.push(`${at}/${key} is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const property = schema.properties?.[key];
+            if (property) {
+                check(property, item, `${at}/${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}/${key} is not allowed`);
+            }
+        }
+    }
+}
+
+/**
+ * Schema errors of a metadata document, as "/pointer message" strings; empty when valid.
+ * @returns {string[]}
+ */
+function validatePropertyMetadata(metadata) {
+    const errors = [];
+    check(PROPERTY_METADATA_SCHEMA, metadata, "", errors);
+    return errors;
+}
+
+/**
+ * Metadata document at the current schema version; fields left undefined are dropped.
+ * Throws with every schema error when the result is not valid.
+ * @param {Omit<PropertyMetadata, "schemaVersion">} fields
+ * @returns {PropertyMetadata}
+ */
+function buildPropertyMetadata(fields) {
+    const metadata = JSON.parse(JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...fields }));
+    const errors = validatePropertyMetadata(metadata);
+    if (errors.length > 0) {
+        throw new Error(`Invalid property metadata: ${errors.join("; ")}`);
+    }
+    return metadata;
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (typeOf(value) !== "object") return value;
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+}
+
+/** Canonical JSON of a document: keys sorted at every level, no whitespace. The hashed bytes. */
+function serializePropertyMetadata(metadata) {
+    return JSON.stringify(sortKeys(metadata));
+}
+
+/**
+ * Content hash stored on-chain: keccak256 of the canonical JSON of a document, or of
+ * the exact bytes when given the serialized document.
+ * @param {PropertyMetadata|string} metadata
+ * @returns {string}
+ */
+function hashPropertyMetadata(metadata) {
+    const json = typeof metadata === "string" ? metadata : serializePropertyMetadata(metadata);
+    return ethers.keccak256(ethers.toUtf8Bytes(json));
+}
+
+/**
+ * Parse fetched metadata after checking it hashes to `metadataHash` and follows the schema.
+ * @param {string} json   Serialized document, as fetched
+ * @param {string} metadataHash
+ * @returns {PropertyMetadata}
+ */
+function verifyPropertyMetadata(json, metadataHash) {
+    const actual = hashPropertyMetadata(json);
+    if (actual !== metadataHash.toLowerCase()) {
+        throw new Error(`Metadata hash mismatch: expected ${metadataHash}, got ${actual}`);
+    }
+    const metadata = JSON.parse(json);
+    const errors = validatePropertyMetadata(metadata);
+    if (errors.length > 0) {
+        throw new Error(`Invalid property metadata: ${errors.join("; ")}`);
+    }
+    return metadata;
+}
+
+/**
+ * Local content store: each document is a `<hash>.json` file holding its canonical JSON,
+ * so any copy of the directory can be checked against the on-chain hashes.
+ */
+class MetadataStore {
+    /** @param {string} dir   Created on first write */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    _file(metadataHash) {
+        if (!ethers.isHexString(metadataHash, 32)) {
+            throw new Error(`Invalid metadata hash ${metadataHash}`);
+        }
+        return path.join(this.dir, `${metadataHash.toLowerCase()}.json`);
+    }
+
+    /**
+     * Validate and store a document.
+     * @param {PropertyMetadata} metadata
+     * @returns {string} Its content hash
+     */
+    put(metadata) {
+        const errors = validatePropertyMetadata(metadata);
+        if (errors.length > 0) {
+            throw new Error(`Invalid property metadata: ${errors.join("; ")}`);
+        }
+        const json = serializePropertyMetadata(metadata);
+        const metadataHash = hashPropertyMetadata(json);
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this._file(metadataHash), json);
+        return metadataHash;
+    }
+
+    has(metadataHash) {
+        return fs.existsSync(this._file(metadataHash));
+    }
+
+    /** Stored bytes, unchecked; undefined when missing. */
+    getRaw(metadataHash) {
+        const file = this._file(metadataHash);
+        return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : undefined;
+    }
+
+    /**
+     * Stored document, verified against its hash; undefined when missing.
+     * @returns {PropertyMetadata|undefined}
+     */
+    get(metadataHash) {
+        const json = this.getRaw(metadataHash);
+        return json === undefined ? undefined : verifyPropertyMetadata(json, metadataHash);
+    }
+}
+
+module.exports = {
+    PROPERTY_METADATA_SCHEMA,
+    SCHEMA_VERSION,
+    validatePropertyMetadata,
+    buildPropertyMetadata,
+    serializePropertyMetadata,
+    hashPropertyMetadata,
+    verifyPropertyMetadata,
+    MetadataStore
+};
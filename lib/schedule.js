@@ -0,0 +1,141 @@
+// Rent schedule on real calendar months, mirroring contracts/DateTime.sol and RentSchedule.sol:
+// a monthly rent falls due on the same day of each month as the start date, clamped at month end.
+
+const DAY = 24n * 60n * 60n;
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate(); // month is 1-based here
+}
+
+/**
+ * Same day of the month `months` later, clamped at month end (Jan 31 + 1 month = Feb 28 or 29),
+ * keeping the time of day. Timestamps are in seconds.
+ * @param {bigint|number} timestamp
+ * @param {bigint|number} months
+ * @returns {bigint}
+ */
+function addMonths(timestamp, months) {
+    const ts = BigInt(timestamp);
+    const date = new Date(Number((ts / DAY) * DAY) * 1000);
+    const total = date.getUTCMonth() + Number(months);
+    const year = date.getUTCFullYear() + Math.floor(total / 12);
+    const month = (total % 12) + 1;
+    const day = Math.min(date.getUTCDate(), daysInMonth(year, month));
+    return BigInt(Date.UTC(year, month - 1, day) / 1000) + (ts % DAY);
+}
+
+/**
+ * Whole calendar months between two timestamps: the largest n with addMonths(from, n) <= to.
+ * @returns {bigint}
+ */
+function monthsBetween(from, to) {
+    from = BigInt(from);
+    to = BigInt(to);
+    if (to <= from) return 0n;
+    const a = new Date(Number(from) * 1000);
+    const b = new Date(Number(to) * 1000);
+    let months = BigInt((b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth());
+    if (months > 0n && addMonths(from, months) > to) months--;
+    return months;
+}
+
+/**
+ * Due date of period `index` of an agreement, period 0 starting at the start date.
+ * @param {"MONTHLY"|"DAILY"} unit
+ * @returns {bigint}
+ */
+function dueDate(unit, startDate, index) {
+    return unit === "MONTHLY" ? addMonths(startDate, index) : BigInt(startDate) + BigInt(index) * DAY;
+}
+
+// Whole periods elapsed between the start date and `timestamp`
+function periodsUntil(agreement, timestamp) {
+    timestamp = BigInt(timestamp);
+    if (timestamp <= agreement.startDate) return 0n;
+    return agreement.unit === "MONTHLY"
+        ? monthsBetween(agreement.startDate, timestamp)
+        : (timestamp - agreement.startDate) / DAY;
+}
+
+/**
+ * @typedef {Object} ScheduledPayment
+ * @property {bigint} period           0 for the rent paid at reservation
+ * @property {bigint} dueDate
+ * @property {bigint} endDate          Due date of the next period
+ * @property {bigint} amount           Rent, plus the late fee once the grace period is over
+ * @property {"PAID"|"UPCOMING"|"DUE"|"LATE"} status
+ */
+
+/**
+ * Every rent period of an agreement with its due date and status at `now`. Paid periods come from
+ * the on-chain paid-through date, late ones from the payment status (see getPaymentStatus).
+ * @param {import("./RealEstateRentalClient").RentalAgreement} agreement
+ * @param {{now: bigint|number, status?: import("./RealEstateRentalClient").PaymentStatus}} options
+ *        Without `status`, overdue periods are reported as DUE and without late fee
+ * @returns {ScheduledPayment[]}
+ */
+function paymentSchedule(agreement, { now, status } = {}) {
+    now = BigInt(now);
+    const total = periodsUntil(agreement, agreement.endDate);
+    const paid = periodsUntil(agreement, agreement.paidThroughDate);
+    const missed = status ? status.missedPeriods : 0n;
+
+    const schedule = [];
+    for (let period = 0n; period < total; period++) {
+        const due = dueDate(agreement.unit, agreement.startDate, period);
+        let state = "UPCOMING";
+        if (period < paid) state = "PAID";
+        else if (period < paid + missed) state = "LATE";
+        else if (now >= due) state = "DUE";
+        schedule.push({
+            period,
+            dueDate: due,
+            endDate: dueDate(agreement.unit, agreement.startDate, period + 1n),
+            amount: agreement.rentAmount + (state === "LATE" ? status.lateFee : 0n),
+            status: state
+        });
+    }
+    return schedule;
+}
+
+/**
+ * @typedef {Object} AmendmentTerms
+ * @property {bigint} endDate
+ * @property {bigint} rentAmount
+ * @property {bigint} securityDeposit
+ */
+
+/**
+ * Terms of an amendment to `agreement`; anything left out keeps its current value.
+ * @param {import("./RealEstateRentalClient").RentalAgreement} agreement
+ * @param {Object} changes
+ * @param {bigint|number} [changes.endDate]            New end date, instead of months and days
+ * @param {number} [changes.months]                    Calendar months added to the current end date
+ * @param {number} [changes.days]                      Days added after them
+ * @param {bigint} [changes.rentAmount]                New rent per period
+ * @param {number} [changes.escalationPercentage]      Rent increase in percent (2.5 = 2.5%), instead of rentAmount
+ * @param {bigint} [changes.securityDeposit]
+ * @returns {AmendmentTerms}
+ */
+function amendmentTerms(agreement, { endDate, months = 0, days = 0, rentAmount, escalationPercentage, securityDeposit } = {}) {
+    let rent = agreement.rentAmount;
+    if (rentAmount !== undefined) {
+        rent = BigInt(rentAmount);
+    } else if (escalationPercentage !== undefined) {
+        const basisPoints = BigInt(Math.round(Number(escalationPercentage) * 100));
+        rent = (agreement.rentAmount * (10000n + basisPoints)) / 10000n;
+    }
+    return {
+        endDate: endDate !== undefined ? BigInt(endDate) : addMonths(agreement.endDate, months) + BigInt(days) * DAY,
+        rentAmount: rent,
+        securityDeposit: securityDeposit !== undefined ? BigInt(securityDeposit) : agreement.securityDeposit
+    };
+}
+
+module.exports = {
+    addMonths,
+    monthsBetween,
+    dueDate,
+    paymentSchedule,
+    amendmentTerms
+};
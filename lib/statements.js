@@ -0,0 +1,359 @@
+// Financial statements of one address, rebuilt from RealEstateRental events: what a landlord earned
+// and paid in platform fees, what a tenant paid and got back, and the deposits held for either.
+// Every agreement is checked against the on-chain totalPaid: rent paid to date (RentPaid), plus the
+// security deposit, plus the first rent still held for a reservation that was never activated.
+
+const { ethers } = require("ethers");
+const { ABI, decodeLog } = require("./RealEstateRentalClient");
+const { AgreementStatus, DeductionStatus, decodeEnum } = require("./enums");
+const { erc20, isEth } = require("./erc20");
+
+/** Amount columns of a statement, in the order of the CSV export. */
+const STATEMENT_AMOUNTS = [
+    "grossRent",
+    "lateFees",
+    "discounts",
+    "platformFee",
+    "rentPaid",
+    "netReceived",
+    "depositsHeld",
+    "depositsReturned",
+    "depositsKept",
+    "rentToDate",
+    "totalPaid"
+];
+
+/**
+ * @typedef {Object} StatementEntry   One event behind an amount of the statement
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {string} event
+ * @property {string} field           Amount it adds to
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} AgreementStatement
+ * Amounts cover the block range, except depositsHeld, rentToDate and totalPaid, read at its last block.
+ * Agreement-wide, while the account was a party (a new holder of the property only gets what follows
+ * the transfer): grossRent (RentPaid), lateFees, discounts, platformFee (credited to fee schedules),
+ * depositsKept by the landlord. The account's own: rentPaid (a sole tenant pays the agreement's rent and
+ * late fees, a co-tenant its RentSharePaid shares) and netReceived (its PayoutCredited).
+ * depositsReturned is every tenant's for a landlord, the account's own for a tenant.
+ * @property {bigint} agreementId
+ * @property {bigint} propertyId
+ * @property {"landlord"|"tenant"|"co-tenant"} role
+ * @property {string} status
+ * @property {string} token           address(0) for ETH
+ * @property {number} decimals
+ * @property {boolean} reconciled     rentToDate + deposit (+ first rent of a reservation) == totalPaid
+ * @property {StatementEntry[]} entries
+ */
+
+/**
+ * @typedef {Object} Statement
+ * @property {string} account
+ * @property {string} contract
+ * @property {string} chainId
+ * @property {number} fromBlock
+ * @property {number} toBlock
+ * @property {AgreementStatement[]} agreements   Agreements with events in the range or a deposit held
+ * @property {Object[]} totals                   Sums of the amounts per payment token
+ */
+
+async function fetchLogs(provider, address, fromBlock, toBlock, batchSize) {
+    const logs = [];
+    for (let from = fromBlock; from <= toBlock; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, toBlock);
+        logs.push(...(await provider.getLogs({ address, fromBlock: from, toBlock: to })));
+    }
+    return logs;
+}
+
+// Events that end or reopen an agreement, which a property transfer only moves while it is open
+// (reserved, active or disputed)
+const CLOSING_EVENTS = [
+    "AgreementCompleted",
+    "AgreementTerminated",
+    "DisputeResolved",
+    "ReservationCancelled",
+    "ReservationRejected",
+    "ReservationExpired"
+];
+
+// Parties and decoded events of every agreement, in chain order. A property transfer is added to the
+// events of the agreements it hands over to the new holder
+function groupByAgreement(iface, logs) {
+    const agreements = new Map();
+    const disputes = new Map();
+    const feeSchedules = new Set();
+    const agreementOf = (id) => {
+        if (!agreements.has(id)) agreements.set(id, { parties: new Set(), events: [], open: true });
+        return agreements.get(id);
+    };
+
+    for (const log of logs) {
+        const decoded = decodeLog(iface, log);
+        if (!decoded) continue;
+        const { name, args } = decoded;
+        const event = { name, args, blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.index };
+        if (name === "FeeScheduleUpdated") {
+            feeSchedules.add(args.feeSchedule.toLowerCase());
+        } else if (name === "DisputeCreated") {
+            disputes.set(args.disputeId, args.agreementId);
+        } else if (name === "PropertyTransferred") {
+            for (const agreement of agreements.values()) {
+                if (agreement.propertyId !== args.propertyId || !agreement.open) continue;
+                agreement.events.push(event);
+                agreement.parties.add(args.to.toLowerCase());
+            }
+            continue;
+        }
+
+        const agreementId = name === "DisputeResolved" ? disputes.get(args.disputeId) : args.agreementId;
+        if (agreementId === undefined) continue;
+        const agreement = agreementOf(agreementId);
+        agreement.events.push(event);
+        for (const party of [args.tenant, args.landlord, args.previousTenant, args.coTenant, args.account, ...(args.coTenants ?? [])]) {
+            if (party) agreement.parties.add(party.toLowerCase());
+        }
+        if (name === "AgreementCreated") agreement.propertyId = args.propertyId;
+        // Challenged deductions reopen a completed agreement as disputed
+        if (name === "DeductionsChallenged") agreement.open = true;
+        if (CLOSING_EVENTS.includes(name)) agreement.open = false;
+    }
+    return { agreements, feeSchedules };
+}
+
+/**
+ * Build the statement of `account` for the blocks fromBlock-toBlock.
+ * Events are read from startBlock (the deployment block) so that amounts to date reconcile.
+ * @param {Object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {string} options.address          RealEstateRental address
+ * @param {string} options.account          Landlord or tenant address
+ * @param {number} [options.fromBlock]      Defaults to startBlock
+ * @param {number} [options.toBlock]        Defaults to the latest block
+ * @param {number} [options.startBlock]     First block with RealEstateRental events
+ * @param {number} [options.batchSize]      Blocks per eth_getLogs call
+ * @returns {Promise<Statement>}
+ */
+async function buildStatement({ provider, address, account, fromBlock, toBlock, startBlock = 0, batchSize = 2000 }) {
+    toBlock = toBlock ?? (await provider.getBlockNumber());
+    fromBlock = fromBlock ?? startBlock;
+    if (fromBlock > toBlock) {
+        throw new Error(`Block range ${fromBlock}-${toBlock} is empty`);
+    }
+    const contract = new ethers.Contract(address, ABI, provider);
+    const me = account.toLowerCase();
+    const logs = await fetchLogs(provider, address, Math.min(startBlock, fromBlock), toBlock, batchSize);
+    const { agreements, feeSchedules } = groupByAgreement(contract.interface, logs);
+
+    const decimals = new Map();
+    const statements = [];
+    for (const [agreementId, { parties, events }] of agreements) {
+        if (!parties.has(me)) continue;
+        const a = await contract.getRentalAgreement(agreementId, { blockTag: toBlock });
+        const statement = await agreementStatement(contract, a, events, { me, feeSchedules, fromBlock, toBlock });
+        if (!statement) continue;
+        if (!decimals.has(statement.token)) {
+            decimals.set(
+                statement.token,
+                isEth(statement.token) ? 18 : Number(await erc20(statement.token, provider).decimals())
+            );
+        }
+        statement.decimals = decimals.get(statement.token);
+        statements.push(statement);
+    }
+
+    return {
+        account: ethers.getAddress(account),
+        contract: address,
+        chainId: (await provider.getNetwork()).chainId.toString(),
+        fromBlock,
+        toBlock,
+        agreements: statements,
+        totals: totalsByToken(statements)
+    };
+}
+
+// Amounts of one agreement from the account's side, counted while it was a party: landlord (from the
+// reservation or a property transfer), tenant (from the reservation or a lease assignment) or co-tenant.
+// Null when it never was in the range, or nothing happened and no deposit is held for it
+async function agreementStatement(contract, a, events, { me, feeSchedules, fromBlock, toBlock }) {
+    const status = decodeEnum(AgreementStatus, a.status);
+    const amounts = Object.fromEntries(STATEMENT_AMOUNTS.map((field) => [field, 0n]));
+    const entries = [];
+    const add = (event, field, amount) => {
+        if (amount === 0n) return;
+        amounts[field] += amount;
+        const { blockNumber, transactionHash, logIndex, name } = event;
+        entries.push({ blockNumber, transactionHash, logIndex, event: name, field, amount });
+    };
+
+    // Parties at the time of each event
+    let landlord;
+    let tenant;
+    let coTenants = [];
+    const roles = new Set();
+    let lastRole;
+    let hasActivity = false;
+    for (const event of events) {
+        const { name, args } = event;
+        if (name === "AgreementCreated") {
+            tenant = args.tenant.toLowerCase();
+            landlord = args.landlord.toLowerCase();
+        } else if (name === "LeaseAssigned") {
+            tenant = args.tenant.toLowerCase();
+        } else if (name === "PropertyTransferred") {
+            landlord = args.to.toLowerCase();
+        } else if (name === "CoTenantsSet") {
+            coTenants = args.coTenants.map((account) => account.toLowerCase());
+        }
+        if (name === "RentPaid") amounts.rentToDate += args.amount;
+
+        const role = landlord === me ? "landlord" : tenant === me ? "tenant" : coTenants.includes(me) ? "co-tenant" : null;
+        const shared = coTenants.length > 0;
+        lastRole = role ?? lastRole;
+        // PayoutCredited also reaches a former party, e.g. the escrow refunded on a lease assignment
+        const payout = name === "PayoutCredited" && args.account.toLowerCase() === me;
+        if (event.blockNumber < fromBlock || (!role && !payout)) continue;
+        hasActivity = true;
+        if (role) roles.add(role);
+        switch (name) {
+            case "RentPaid":
+                add(event, "grossRent", args.amount);
+                if (!shared && role === "tenant") add(event, "rentPaid", args.amount);
+                break;
+            case "LateFeePaid":
+                add(event, "lateFees", args.amount);
+                if (!shared && role === "tenant") add(event, "rentPaid", args.amount);
+                break;
+            case "PrepaymentDiscountApplied":
+                add(event, "discounts", args.amount);
+                break;
+            case "RentSharePaid":
+                if (args.coTenant.toLowerCase() === me) add(event, "rentPaid", args.amount);
+                break;
+            case "PayoutCredited":
+                if (role && feeSchedules.has(args.account.toLowerCase())) add(event, "platformFee", args.amount);
+                if (payout) add(event, "netReceived", args.amount);
+                break;
+            case "SecurityDepositReturned":
+                if (role === "landlord" || args.tenant.toLowerCase() === me) add(event, "depositsReturned", args.amount);
+                break;
+            case "DeductionsSettled":
+            case "DisputeResolved":
+                add(event, "depositsKept", args.landlordAmount);
+                break;
+            case "ArrearsApplied":
+                add(event, "depositsKept", args.fromDeposit);
+                break;
+            case "AgreementTerminated":
+                // The tenant who terminates leaves the deposit to the landlord
+                if (args.terminatedBy.toLowerCase() === tenant) add(event, "depositsKept", a.securityDeposit);
+                break;
+        }
+    }
+
+    // The deposit is held for the parties at the end of the range
+    const party = a.landlord.toLowerCase() === me || a.tenant.toLowerCase() === me || coTenants.includes(me);
+    let held = party && ["PENDING_RESERVATION", "ACTIVE", "DISPUTED"].includes(status);
+    if (party && status === "COMPLETED") {
+        const claim = await contract.getDeductionClaim(a.agreementId, { blockTag: toBlock });
+        held = decodeEnum(DeductionStatus, claim.status) === "CLAIMED";
+    }
+    amounts.depositsHeld = held ? a.securityDeposit : 0n;
+    if (held) roles.add(a.landlord.toLowerCase() === me ? "landlord" : a.tenant.toLowerCase() === me ? "tenant" : "co-tenant");
+    if (!hasActivity && !held) return null;
+
+    amounts.totalPaid = a.totalPaid;
+    // A reservation holds its first rent until activation, which pays it as RentPaid
+    const escrowedRent = status === "PENDING_RESERVATION" || status === "CANCELLED" ? a.rentAmount : 0n;
+    return {
+        agreementId: a.agreementId,
+        propertyId: a.propertyId,
+        role: ["landlord", "tenant", "co-tenant"].find((role) => roles.has(role)) ?? lastRole ?? "tenant",
+        status,
+        token: a.paymentToken,
+        ...amounts,
+        reconciled: amounts.rentToDate + a.securityDeposit + escrowedRent === a.totalPaid,
+        entries
+    };
+}
+
+function totalsByToken(statements) {
+    const totals = new Map();
+    for (const statement of statements) {
+        if (!totals.has(statement.token)) {
+            totals.set(statement.token, {
+                token: statement.token,
+                decimals: statement.decimals,
+                agreements: 0,
+                ...Object.fromEntries(STATEMENT_AMOUNTS.map((field) => [field, 0n])),
+                reconciled: true
+            });
+        }
+        const total = totals.get(statement.token);
+        total.agreements++;
+        for (const field of STATEMENT_AMOUNTS) total[field] += statement[field];
+        total.reconciled = total.reconciled && statement.reconciled;
+    }
+    return [...totals.values()];
+}
+
+function formatAmount(amount, decimals) {
+    return { wei: amount.toString(), eth: ethers.formatUnits(amount, decimals) };
+}
+
+/**
+ * JSON-ready statement: every amount becomes `{wei, eth}`, in base units and whole tokens
+ * for ERC-20 agreements.
+ * @param {Statement} statement
+ */
+function formatStatement(statement) {
+    const format = (row) => {
+        const formatted = { ...row };
+        for (const field of STATEMENT_AMOUNTS) formatted[field] = formatAmount(row[field], row.decimals);
+        return formatted;
+    };
+    return {
+        ...statement,
+        agreements: statement.agreements.map((agreement) => ({
+            ...format(agreement),
+            agreementId: agreement.agreementId.toString(),
+            propertyId: agreement.propertyId.toString(),
+            entries: agreement.entries.map((entry) => ({ ...entry, amount: formatAmount(entry.amount, agreement.decimals) }))
+        })),
+        totals: statement.totals.map(format)
+    };
+}
+
+/**
+ * One row per agreement, then one total row per payment token, each amount in wei and ETH.
+ * @param {Statement} statement
+ * @returns {string}
+ */
+function statementToCsv(statement) {
+    const header = ["row", "agreementId", "propertyId", "role", "status", "token"];
+    for (const field of STATEMENT_AMOUNTS) header.push(`${field}Wei`, `${field}Eth`);
+    header.push("reconciled");
+
+    const amounts = (row) => STATEMENT_AMOUNTS.flatMap((field) => Object.values(formatAmount(row[field], row.decimals)));
+    const rows = [
+        header,
+        ...statement.agreements.map((a) => [
+            "agreement", a.agreementId, a.propertyId, a.role, a.status, a.token, ...amounts(a), a.reconciled
+        ]),
+        ...statement.totals.map((t) => ["total", "", "", "", "", t.token, ...amounts(t), t.reconciled])
+    ];
+    return rows.map((row) => row.join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+    STATEMENT_AMOUNTS,
+    buildStatement,
+    formatStatement,
+    statementToCsv
+};
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { RealEstateRentalClient } = require("../lib");
 
 async function main() {
     const accounts = await hre.ethers.getSigners();
@@ -17,7 +18,8 @@ async function main() {
     }
     
     // Vérifier le solde du contrat
-    const contractAddress = "0x5FbDB2315678afecb367f032d93F642f64180aa3"; // Remplacez par votre adresse
+    // Adresse résolue via le registre de déploiements (deployments.json) pour le réseau courant
+    const { address: contractAddress } = await RealEstateRentalClient.fromRegistry(hre.ethers.provider, hre.network.name);
     const contractBalance = await hre.ethers.provider.getBalance(contractAddress);
     console.log("=== Contract Balance ===");
     console.log(`Address: ${contractAddress}`);
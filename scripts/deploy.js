@@ -1,14 +1,88 @@
 // scripts/deploy.js
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const {
+    recordDeployment,
+    deployRentalLibraries,
+    deployRealEstateRental,
+    deployPropertyToken,
+    deployRentalRoles,
+    deployFeeSchedule,
+    DEFAULT_REGISTRY_PATH
+} = require("../lib/deployments");
 
 async function main() {
-    const [deployer] = await ethers.getSigners();
+    const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const RealEstateRental = await ethers.getContractFactory("RealEstateRental");
-    const contract = await RealEstateRental.deploy(); // deploy returns deployed contract
-console.log("Contract deployed at:", await contract.getAddress());
+    // RealEstateRental links its libraries, deployed first
+    const libraries = await deployRentalLibraries(hre.ethers);
+    for (const [name, library] of Object.entries(libraries)) {
+        console.log(`Library ${name} deployed at:`, await library.getAddress());
+    }
+    const contract = await deployRealEstateRental(hre.ethers, {
+        libraries, propertyToken: false, rentalRoles: false, feeSchedule: false
+    });
+    await contract.waitForDeployment(); // Attendre que la transaction de déploiement soit minée
+    console.log("Contract deployed at:", await contract.getAddress());
 
+    // Each listing mints its ERC-721 title; transferring it hands the property over
+    const propertyToken = await deployPropertyToken(hre.ethers, contract);
+    console.log("Property token deployed at:", await propertyToken.getAddress());
+
+    // Fee manager, treasurer, arbiter and pauser roles, all held by the deployer until handed out
+    // with `rental:roles:grant`; the pauser can halt listings, reservations and payments
+    const roles = await deployRentalRoles(hre.ethers, contract);
+    console.log("Rental roles deployed at:", await roles.getAddress());
+
+    // 2% on rent, paid to the deployer until the treasurer splits the fees with `rental:fees:treasury`;
+    // the fee manager changes the rates with `rental:fees:schedule`, effective a week later
+    const feeSchedule = await deployFeeSchedule(hre.ethers, contract);
+    console.log("Fee schedule deployed at:", await feeSchedule.getAddress());
+
+    // Disputes go to a panel of arbiters; register them with `rental:arbiters --add`
+    const ArbitrationPanel = await hre.ethers.getContractFactory("ArbitrationPanel");
+    const panel = await ArbitrationPanel.deploy(await contract.getAddress());
+    await panel.waitForDeployment();
+    await (await contract.setArbitrationPanel(await panel.getAddress())).wait();
+    console.log("Arbitration panel deployed at:", await panel.getAddress());
+
+    // Signed meta-transactions and listing offers, submitted by a relayer (scripts/relayer.js)
+    const RentalForwarder = await hre.ethers.getContractFactory("RentalForwarder");
+    const forwarder = await RentalForwarder.deploy(await contract.getAddress());
+    await forwarder.waitForDeployment();
+    await (await contract.setTrustedForwarder(await forwarder.getAddress())).wait();
+    console.log("Rental forwarder deployed at:", await forwarder.getAddress());
+
+    // Paginated, filtered views for the SDK and the API (read-only, nothing to wire)
+    const RentalSearch = await hre.ethers.getContractFactory("RentalSearch");
+    const search = await RentalSearch.deploy(await contract.getAddress());
+    await search.waitForDeployment();
+    console.log("Rental search deployed at:", await search.getAddress());
+
+    // Sublets: the subtenant pays the primary tenant through it (reads the rental, nothing to wire)
+    const LeaseSublets = await hre.ethers.getContractFactory("LeaseSublets");
+    const sublets = await LeaseSublets.deploy(await contract.getAddress());
+    await sublets.waitForDeployment();
+    console.log("Lease sublets deployed at:", await sublets.getAddress());
+
+    // The in-process "hardhat" network is thrown away when the script exits
+    if (hre.network.name === "hardhat") {
+        console.log("Network \"hardhat\" is ephemeral, deployment not recorded");
+        return;
+    }
+
+    for (const [name, library] of Object.entries(libraries)) {
+        await recordDeployment(hre, name, library);
+    }
+    const record = await recordDeployment(hre, "RealEstateRental", contract);
+    await recordDeployment(hre, "PropertyToken", propertyToken);
+    await recordDeployment(hre, "RentalRoles", roles);
+    await recordDeployment(hre, "FeeSchedule", feeSchedule);
+    await recordDeployment(hre, "ArbitrationPanel", panel);
+    await recordDeployment(hre, "RentalForwarder", forwarder);
+    await recordDeployment(hre, "RentalSearch", search);
+    await recordDeployment(hre, "LeaseSublets", sublets);
+    console.log(`Deployment recorded in ${DEFAULT_REGISTRY_PATH} (block ${record.blockNumber}, tx ${record.transactionHash})`);
 }
 
 main().catch((error) => {
@@ -3,10 +3,16 @@ const path = require('path');
 const solc = require('solc');
 
 // --- Paths ---
-const CONTRACT_PATH = path.join(__dirname, '..', 'contracts', 'RealEstateRental.sol');
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+// ArbitrationPanel imports RealEstateRental, all get their .abi/.bin. RealEstateRental.bin
+// keeps the __$...$__ placeholders of its libraries, to link at deployment.
+const SOURCES = ['RealEstateRental.sol', 'RentSchedule.sol', 'BookingCalendar.sol', 'LeaseAmendments.sol', 'PropertyRegistry.sol', 'RentalApplications.sol', 'AgreementSettlement.sol', 'LeaseAssignments.sol', 'Tenancies.sol', 'PropertyToken.sol', 'ArbitrationPanel.sol', 'RentalForwarder.sol', 'RentalSearch.sol', 'LeaseSublets.sol', 'RentalRoles.sol', 'FeeSchedule.sol'];
 
-// --- Load contract source ---
-const source = fs.readFileSync(CONTRACT_PATH, 'utf8');
+// --- Load contract sources ---
+const sources = {};
+for (const file of SOURCES) {
+    sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+}
 
 // --- Import callback for solc (to load OpenZeppelin) ---
 function findImports(importPath) {
@@ -14,8 +20,9 @@ function findImports(importPath) {
         if (importPath.startsWith('@openzeppelin')) {
             const fullPath = path.join(__dirname, '..', 'node_modules', importPath);
             return { contents: fs.readFileSync(fullPath, 'utf8') };
-        } else if (importPath.startsWith('./') || importPath.startsWith('../')) {
-            const fullPath = path.join(path.dirname(CONTRACT_PATH), importPath);
+        } else if (fs.existsSync(path.join(CONTRACTS_DIR, importPath))) {
+            // Relative imports are resolved by solc against the importing source name
+            const fullPath = path.join(CONTRACTS_DIR, importPath);
             return { contents: fs.readFileSync(fullPath, 'utf8') };
         } else {
             return { error: 'File not found: ' + importPath };
@@ -28,12 +35,14 @@ function findImports(importPath) {
 // --- Compiler input ---
 const input = {
     language: 'Solidity',
-    sources: {
-        'main.sol': {
-            content: source
-        }
-    },
+    sources,
     settings: {
+        // Same optimizer settings as hardhat.config.js
+        optimizer: {
+            enabled: true,
+            runs: 200
+        },
+        viaIR: true,
         outputSelection: {
             '*': {
                 '*': ['abi', 'evm.bytecode.object']
@@ -52,22 +61,24 @@ if (output.errors) {
 }
 
 // --- Verify compilation ---
-if (!output.contracts || !output.contracts["main.sol"]) {
+if (!output.contracts || SOURCES.some((file) => !output.contracts[file])) {
     console.error("❌ Compilation failed. No contracts in output.");
     process.exit(1);
 }
 
 // --- Extract contracts ---
-const contracts = output.contracts["main.sol"];
+for (const file of SOURCES) {
+    const contracts = output.contracts[file];
 
-for (const name in contracts) {
-    const c = contracts[name];
+    for (const name in contracts) {
+        const c = contracts[name];
 
-    const abiPath = path.join(__dirname, '..', 'contracts', `${name}.abi`);
-    const binPath = path.join(__dirname, '..', 'contracts', `${name}.bin`);
+        const abiPath = path.join(CONTRACTS_DIR, `${name}.abi`);
+        const binPath = path.join(CONTRACTS_DIR, `${name}.bin`);
 
-    fs.writeFileSync(abiPath, JSON.stringify(c.abi, null, 2));
-    fs.writeFileSync(binPath, c.evm.bytecode.object);
+        fs.writeFileSync(abiPath, JSON.stringify(c.abi, null, 2));
+        fs.writeFileSync(binPath, c.evm.bytecode.object);
 
-    console.log(`✅ Generated: ${name}.abi and ${name}.bin`);
+        console.log(`✅ Generated: ${name}.abi and ${name}.bin`);
+    }
 }
@@ -0,0 +1,32 @@
+// scripts/relayer.js
+// Local relayer: submits signed meta-transactions through the RentalForwarder of the
+// current network and pays their gas.
+//   RELAYER_PORT=3001 npx hardhat run scripts/relayer.js --network localhost
+// RELAYER_PRIVATE_KEY picks the paying account, the first configured account otherwise.
+const hre = require("hardhat");
+const { RentalForwarderClient } = require("../lib");
+const { createRelayerApp } = require("../lib/api/relayer");
+
+async function main() {
+    const relayer = process.env.RELAYER_PRIVATE_KEY
+        ? new hre.ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, hre.ethers.provider)
+        : (await hre.ethers.getSigners())[0];
+    const port = Number(process.env.RELAYER_PORT || 3001);
+
+    // Adresse résolue via le registre de déploiements (deployments.json) pour le réseau courant
+    const forwarder = await RentalForwarderClient.fromRegistry(relayer, hre.network.name);
+    const balance = await hre.ethers.provider.getBalance(relayer.address);
+
+    const server = createRelayerApp({ forwarder }).listen(port);
+    await new Promise((resolve) => server.once("listening", resolve));
+    console.log(`Relaying to RentalForwarder ${forwarder.address} on http://127.0.0.1:${port}`);
+    console.log(`Relayer ${relayer.address} pays the gas (${hre.ethers.formatEther(balance)} ETH)`);
+
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await new Promise((resolve) => server.close(resolve));
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
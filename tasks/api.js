@@ -0,0 +1,45 @@
+const { task, types } = require("hardhat/config");
+const { RealEstateRentalClient, RentalSearchClient, EventStore, RentalIndexer, MetadataStore } = require("../lib");
+const { createApp } = require("../lib/api/app");
+const { resolveTarget } = require("./utils");
+
+task("rental:api", "Serve the REST API, following contract events into the local index")
+    .addOptionalParam("address", "RealEstateRental address (defaults to the deployment of --network)")
+    .addOptionalParam("port", "HTTP port", 3000, types.int)
+    .addOptionalParam("db", "Event database file", "indexer.sqlite")
+    .addOptionalParam("metadataDir", "Directory of the property metadata store", "metadata")
+    .addOptionalParam("search", "RentalSearch address (defaults to the deployment of --network, if any)")
+    .addOptionalParam("fromBlock", "First block to index (defaults to the deployment block)", undefined, types.int)
+    .addOptionalParam("pollInterval", "Milliseconds between index syncs", 2000, types.int)
+    .setAction(async (args, hre) => {
+        const { address, startBlock } = await resolveTarget(hre, args);
+        const client = new RealEstateRentalClient(address, hre.ethers.provider);
+        const store = new EventStore(args.db);
+        const indexer = new RentalIndexer({
+            provider: hre.ethers.provider,
+            address,
+            store,
+            startBlock,
+            pollInterval: args.pollInterval
+        });
+
+        await indexer.sync();
+        const following = indexer.start();
+
+        const metadata = new MetadataStore(args.metadataDir);
+        const search = args.search
+            ? new RentalSearchClient(args.search, hre.ethers.provider)
+            : await RentalSearchClient.fromRegistry(hre.ethers.provider, hre.network.name).catch((err) => {
+                console.log(`Search routes disabled: ${err.message}`);
+                return undefined;
+            });
+        const server = createApp({ client, store, metadata, search }).listen(args.port);
+        await new Promise((resolve) => server.once("listening", resolve));
+        console.log(`RealEstateRental API for ${address} on http://127.0.0.1:${args.port}`);
+
+        await new Promise((resolve) => process.once("SIGINT", resolve));
+        indexer.stop();
+        await following;
+        await new Promise((resolve) => server.close(resolve));
+        store.close();
+    });
@@ -0,0 +1,77 @@
+const { task, types } = require("hardhat/config");
+const { EventStore, RentalIndexer } = require("../lib");
+const { printObject, resolveTarget } = require("./utils");
+
+const DEFAULT_DB = "indexer.sqlite";
+
+task("rental:index", "Index RealEstateRental events into a local SQLite database")
+    .addOptionalParam("address", "RealEstateRental address (defaults to the deployment of --network)")
+    .addOptionalParam("db", "Database file", DEFAULT_DB)
+    .addOptionalParam("fromBlock", "First block to index (defaults to the deployment block)", undefined, types.int)
+    .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 0, types.int)
+    .addOptionalParam("batchSize", "Blocks per eth_getLogs call", 2000, types.int)
+    .addOptionalParam("pollInterval", "Milliseconds between syncs with --follow", 2000, types.int)
+    .addFlag("follow", "Keep following new blocks after the backfill")
+    .setAction(async (args, hre) => {
+        const { address, startBlock } = await resolveTarget(hre, args);
+        const store = new EventStore(args.db);
+        const indexer = new RentalIndexer({
+            provider: hre.ethers.provider,
+            address,
+            store,
+            startBlock,
+            batchSize: args.batchSize,
+            confirmations: args.confirmations,
+            pollInterval: args.pollInterval
+        });
+
+        const report = ({ fromBlock, toBlock, events, rolledBackTo }) => {
+            if (rolledBackTo !== undefined) {
+                console.log(`Reorg detected, rolled back to block ${rolledBackTo}`);
+            }
+            if (toBlock >= fromBlock) {
+                console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} events`);
+            }
+        };
+
+        console.log(`Indexing ${address} on "${hre.network.name}" into ${args.db}`);
+        try {
+            if (args.follow) {
+                process.once("SIGINT", () => indexer.stop());
+                await indexer.start(report);
+            } else {
+                report(await indexer.sync());
+            }
+        } finally {
+            store.close();
+        }
+    });
+
+task("rental:index:query", "Query the local event database")
+    .addOptionalParam("db", "Database file", DEFAULT_DB)
+    .addOptionalParam("tenant", "Agreements of a tenant address")
+    .addOptionalParam("landlord", "Agreements on the properties of a landlord address")
+    .addOptionalParam("agreement", "History and payments of an agreement", undefined, types.int)
+    .addFlag("openDisputes", "Disputes not resolved yet")
+    .setAction(async (args) => {
+        const store = new EventStore(args.db);
+        const summary = ({ events, ...agreement }) => ({ ...agreement, events: events.length });
+        try {
+            console.log(`Checkpoint: block ${store.getCheckpoint()}`);
+            if (args.tenant) {
+                printObject(`Agreements of tenant ${args.tenant}`, store.getAgreementsForTenant(args.tenant).map(summary));
+            }
+            if (args.landlord) {
+                printObject(`Agreements of landlord ${args.landlord}`, store.getAgreementsForLandlord(args.landlord).map(summary));
+            }
+            if (args.agreement !== undefined) {
+                printObject(`Agreement ${args.agreement}`, store.getAgreement(args.agreement));
+                printObject("Payments", store.getPaymentsForAgreement(args.agreement));
+            }
+            if (args.openDisputes) {
+                printObject("Open disputes", store.getOpenDisputes());
+            }
+        } finally {
+            store.close();
+        }
+    });
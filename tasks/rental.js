@@ -0,0 +1,973 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+    ArbitrationPanelClient,
+    RentalForwarderClient,
+    LeaseSubletsClient,
+    RentalRolesClient,
+    FeeScheduleClient,
+    MetadataStore,
+    hashEvidence
+} = require("../lib");
+const { getSigner, getClient, formatValue, printObject, printResult } = require("./utils");
+
+// Every rental task acts on a deployed contract through one signer
+function rentalTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("signer", "Account index or private key", "0")
+        .addOptionalParam("address", "RealEstateRental address (defaults to the deployment of --network)");
+}
+
+// Panel-routed rentals resolve disputes through the panel owner's fallback, otherwise directly
+async function resolveSplit(hre, client, disputeId, landlordAmount) {
+    if ((await client.getArbitrationPanel()) === hre.ethers.ZeroAddress) {
+        return client.resolveDispute(disputeId, landlordAmount);
+    }
+    const panel = await ArbitrationPanelClient.fromRental(client);
+    return panel.fallbackResolve(disputeId, landlordAmount);
+}
+
+// --favor landlord|tenant or --landlord-amount, as the landlord's part of the deposit in base units
+async function parseSplit(hre, client, disputeId, args) {
+    if ((args.favor === undefined) === (args.landlordAmount === undefined)) {
+        throw new Error("Pass either --favor or --landlord-amount");
+    }
+    if (args.favor !== undefined && args.favor !== "landlord" && args.favor !== "tenant") {
+        throw new Error("--favor must be landlord or tenant");
+    }
+    const { agreementId } = await client.getDispute(disputeId);
+    const { paymentToken, securityDeposit } = await client.getRentalAgreement(agreementId);
+    return args.favor !== undefined
+        ? (args.favor === "landlord" ? securityDeposit : 0n)
+        : hre.ethers.parseUnits(args.landlordAmount, await client.tokenDecimals(paymentToken));
+}
+
+// ---------------------------------------------------------------
+// Properties
+// ---------------------------------------------------------------
+
+rentalTask("rental:list", "List a new property")
+    .addOptionalParam("propertyAddress", "Postal address of the property", "")
+    .addOptionalParam("description", "Description of the property", "")
+    .addParam("rent", "Rent per unit, in ETH or in whole tokens")
+    .addOptionalParam("deposit", "Security deposit, in ETH or in whole tokens", "0")
+    .addOptionalParam("unit", "MONTHLY or DAILY", "MONTHLY")
+    .addOptionalParam("token", "ERC-20 payment token (ETH when omitted)")
+    .addOptionalParam("metadata", "JSON metadata file (schemas/property-metadata.schema.json) to store and reference")
+    .addOptionalParam("dir", "Local metadata store directory", "metadata")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const paymentToken = args.token || hre.ethers.ZeroAddress;
+        const decimals = await client.tokenDecimals(paymentToken);
+        const metadataHash = args.metadata !== undefined
+            ? new MetadataStore(args.dir).put(JSON.parse(fs.readFileSync(args.metadata, "utf8")))
+            : undefined;
+        const result = await client.listProperty({
+            propertyAddress: args.propertyAddress,
+            description: args.description,
+            rentBaseAmount: hre.ethers.parseUnits(args.rent, decimals),
+            securityDeposit: hre.ethers.parseUnits(args.deposit, decimals),
+            unit: args.unit,
+            paymentToken,
+            metadataHash
+        });
+        printResult(result);
+        if (result.metadata) printResult(result.metadata);
+        console.log(`Property ID: ${result.propertyId}`);
+    });
+
+rentalTask("rental:update", "Update a property; omitted fields are kept")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("propertyAddress", "Postal address of the property")
+    .addOptionalParam("description", "Description of the property")
+    .addOptionalParam("rent", "Rent per unit, in ETH or in whole tokens")
+    .addOptionalParam("deposit", "Security deposit, in ETH or in whole tokens")
+    .addOptionalParam("unit", "MONTHLY or DAILY")
+    .addOptionalParam("available", "Whether the property can be reserved", undefined, types.boolean)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const { paymentToken } = await client.getProperty(args.property);
+        const decimals = await client.tokenDecimals(paymentToken);
+        const changes = {};
+        if (args.propertyAddress !== undefined) changes.propertyAddress = args.propertyAddress;
+        if (args.description !== undefined) changes.description = args.description;
+        if (args.rent !== undefined) changes.rentBaseAmount = hre.ethers.parseUnits(args.rent, decimals);
+        if (args.deposit !== undefined) changes.securityDeposit = hre.ethers.parseUnits(args.deposit, decimals);
+        if (args.unit !== undefined) changes.unit = args.unit;
+        if (args.available !== undefined) changes.isAvailable = args.available;
+        printResult(await client.updateProperty(args.property, changes));
+    });
+
+rentalTask("rental:metadata", "Store a metadata file and point a property at it, or show a property's verified metadata")
+    .addOptionalParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("file", "JSON metadata file (schemas/property-metadata.schema.json)")
+    .addOptionalParam("dir", "Local metadata store directory", "metadata")
+    .setAction(async (args, hre) => {
+        if (args.property === undefined && args.file === undefined) {
+            throw new Error("Pass --file, --property, or both");
+        }
+        const store = new MetadataStore(args.dir);
+        if (args.file === undefined) {
+            const client = await getClient(hre, args);
+            const found = await client.getPropertyMetadata(args.property, store);
+            if (found === null) {
+                console.log(`Property ${args.property} has no metadata`);
+            } else {
+                printObject(`Metadata ${found.metadataHash}`, found.metadata);
+            }
+            return;
+        }
+        const metadataHash = store.put(JSON.parse(fs.readFileSync(args.file, "utf8")));
+        console.log(`Metadata hash: ${metadataHash}`);
+        if (args.property !== undefined) {
+            const client = await getClient(hre, args);
+            printResult(await client.setPropertyMetadata(args.property, metadataHash));
+        }
+    });
+
+rentalTask("rental:delist", "Delist a property")
+    .addParam("property", "Property ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.delistProperty(args.property));
+    });
+
+rentalTask("rental:transfer", "Transfer a property token: the new holder takes over the listing and its open agreements")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addParam("to", "Address of the new holder")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.transferProperty(args.property, args.to));
+    });
+
+rentalTask("rental:screening", "Require an accepted application before a property can be reserved")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("required", "true to screen applicants, false to allow direct reservations", true, types.boolean)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.setApplicationRequired(args.property, args.required));
+    });
+
+rentalTask("rental:latefees:set", "Set the late fee policy of future reservations of a property (landlord)")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("graceDays", "Days after a due date before a period is late, 0 to 30", 0, types.int)
+    .addOptionalParam("flat", "Flat fee per late period, in ETH or whole tokens", "0")
+    .addOptionalParam("percentage", "Fee per late period in percent of the rent, 0 to 20", 0, types.int)
+    .addOptionalParam("maxMissed", "Missed periods tolerated before termination for arrears, 0 to disable", 0, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const { paymentToken } = await client.getProperty(args.property);
+        printResult(await client.setLateFeePolicy(args.property, {
+            gracePeriod: args.graceDays * 24 * 60 * 60,
+            lateFeeFlat: hre.ethers.parseUnits(args.flat, await client.tokenDecimals(paymentToken)),
+            lateFeePercentage: args.percentage,
+            maxMissedPeriods: args.maxMissed
+        }));
+    });
+
+rentalTask("rental:discount:set", "Set the prepayment discount of future reservations of a property (landlord)")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addParam("percentage", "Discount in percent of the rent of periods paid ahead, 0 to 50 (0 disables it)", undefined, types.int)
+    .addOptionalParam("minPeriods", "Periods to pay at once to get the discount", 1, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.setPrepaymentDiscount(args.property, {
+            minPeriods: args.minPeriods,
+            percentage: args.percentage
+        }));
+    });
+
+// ---------------------------------------------------------------
+// Applications
+// ---------------------------------------------------------------
+
+rentalTask("rental:apply", "Apply for a property with the duration to reserve")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("months", "Duration in months", 0, types.int)
+    .addOptionalParam("days", "Additional days", 0, types.int)
+    .addOptionalParam("message", "Message to the landlord; only its hash is stored on-chain")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const result = await client.applyForProperty({
+            propertyId: args.property,
+            months: args.months,
+            days: args.days,
+            message: args.message
+        });
+        printResult(result);
+        console.log(`Application ID: ${result.applicationId}`);
+    });
+
+rentalTask("rental:application", "Accept, decline or withdraw an application")
+    .addParam("application", "Application ID", undefined, types.int)
+    .addParam("action", "accept or decline (landlord), withdraw (applicant)")
+    .setAction(async (args, hre) => {
+        const methods = { accept: "acceptApplication", decline: "declineApplication", withdraw: "withdrawApplication" };
+        if (!methods[args.action]) {
+            throw new Error("--action must be accept, decline or withdraw");
+        }
+        const client = await getClient(hre, args);
+        printResult(await client[methods[args.action]](args.application));
+    });
+
+// ---------------------------------------------------------------
+// Agreements
+// ---------------------------------------------------------------
+
+rentalTask("rental:reserve", "Reserve a property, escrowing the first rent and the deposit (approves token payments)")
+    .addOptionalParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("application", "Accepted application to fund, instead of --property", undefined, types.int)
+    .addOptionalParam("months", "Duration in months", 0, types.int)
+    .addOptionalParam("days", "Additional days", 0, types.int)
+    .setAction(async (args, hre) => {
+        if ((args.property === undefined) === (args.application === undefined)) {
+            throw new Error("Pass either --property or --application");
+        }
+        const client = await getClient(hre, args);
+        const result = args.application !== undefined
+            ? await client.reserveFromApplication(args.application)
+            : await client.reserveProperty(args.property, { months: args.months, days: args.days });
+        printResult(result);
+        console.log(`Agreement ID: ${result.agreementId}`);
+    });
+
+rentalTask("rental:book", "Book a daily rental for explicit dates, escrowing the first day and the deposit")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addParam("from", "Arrival date, YYYY-MM-DD (UTC)")
+    .addParam("to", "Departure date, YYYY-MM-DD (UTC), not included")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const result = await client.reserveDates(args.property, { startDate: args.from, endDate: args.to });
+        printResult(result);
+        console.log(`Agreement ID: ${result.agreementId}`);
+    });
+
+rentalTask("rental:calendar", "Show the booked and free date ranges of a property")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("days", "Number of days to look ahead", 60, types.int)
+    .addOptionalParam("minDays", "Shortest free range to show", 1, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const { timestamp } = await hre.ethers.provider.getBlock("latest");
+        const from = timestamp - (timestamp % 86400);
+        const day = (seconds) => new Date(Number(seconds) * 1000).toISOString().slice(0, 10);
+        const booked = await client.getBookedIntervals(args.property);
+        printObject(`Bookings of property ${args.property}`, booked.map((b) => ({
+            agreementId: b.agreementId,
+            from: day(b.startDate),
+            to: day(b.endDate)
+        })));
+        const free = await client.findFreeRanges(args.property, { from, to: from + args.days * 86400, minDays: args.minDays });
+        printObject("Free", free.map((r) => ({ from: day(r.startDate), to: day(r.endDate), days: r.days })));
+    });
+
+rentalTask("rental:cancel", "Cancel a pending reservation (tenant), crediting back rent and deposit")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.cancelReservation(args.agreement));
+    });
+
+rentalTask("rental:reject", "Reject a pending reservation (landlord), crediting back rent and deposit")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.rejectReservation(args.agreement));
+    });
+
+rentalTask("rental:expire", "Expire a pending reservation whose handover deadline has passed")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.expireReservation(args.agreement));
+    });
+
+rentalTask("rental:activate", "Confirm key handover and release the first rent")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.activateAgreement(args.agreement));
+    });
+
+rentalTask("rental:pay", "Pay rent for an active agreement (approves token payments)")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addOptionalParam("units", "Number of months or days to pay, up to the end of the term", 1, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const quote = await client.getRentQuote(args.agreement, args.units);
+        if (quote.discount > 0n) console.log(`Prepayment discount: ${quote.discount}`);
+        printResult(await client.payRent(args.agreement, args.units));
+        console.log(`Paid through: ${new Date(Number(quote.paidThroughDate) * 1000).toISOString()}`);
+    });
+
+rentalTask("rental:complete", "Complete an expired agreement and return the deposit")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.completeAgreement(args.agreement));
+    });
+
+rentalTask("rental:terminate", "Terminate an active agreement")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addFlag("arrears", "Terminate for arrears, the deposit covering them (landlord)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        if (args.arrears) {
+            printResult(await client.terminateForArrears(args.agreement));
+        } else {
+            printResult(await client.terminateAgreement(args.agreement));
+        }
+    });
+
+rentalTask("rental:amend", "Propose to extend or renew an active agreement, or to change its rent or deposit")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addOptionalParam("months", "Calendar months added to the end date", 0, types.int)
+    .addOptionalParam("days", "Days added after them", 0, types.int)
+    .addOptionalParam("rent", "New rent per unit, in ETH or in whole tokens")
+    .addOptionalParam("escalation", "Rent increase in percent, e.g. 2.5, instead of --rent")
+    .addOptionalParam("deposit", "New security deposit, in ETH or in whole tokens (a tenant pays the top-up now)")
+    .setAction(async (args, hre) => {
+        if (args.rent !== undefined && args.escalation !== undefined) {
+            throw new Error("Pass either --rent or --escalation");
+        }
+        const client = await getClient(hre, args);
+        const { paymentToken } = await client.getRentalAgreement(args.agreement);
+        const decimals = await client.tokenDecimals(paymentToken);
+        const changes = { months: args.months, days: args.days };
+        if (args.rent !== undefined) changes.rentAmount = hre.ethers.parseUnits(args.rent, decimals);
+        if (args.escalation !== undefined) changes.escalationPercentage = Number(args.escalation);
+        if (args.deposit !== undefined) changes.securityDeposit = hre.ethers.parseUnits(args.deposit, decimals);
+
+        const result = await client.proposeAmendment(args.agreement, changes);
+        printResult(result);
+        printObject("Proposed terms", {
+            ...result.terms,
+            endDate: new Date(Number(result.terms.endDate) * 1000).toISOString()
+        });
+    });
+
+rentalTask("rental:amendment", "Accept or reject the pending amendment of an agreement")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("action", "accept (the other party, paying any deposit top-up) or reject (either party)")
+    .setAction(async (args, hre) => {
+        const methods = { accept: "acceptAmendment", reject: "rejectAmendment" };
+        if (!methods[args.action]) {
+            throw new Error("--action must be accept or reject");
+        }
+        const client = await getClient(hre, args);
+        printResult(await client[methods[args.action]](args.agreement));
+    });
+
+// ---------------------------------------------------------------
+// Lease assignment and sublets (LeaseSublets)
+// ---------------------------------------------------------------
+
+rentalTask("rental:assign", "Propose a new tenant to take over an active agreement (tenant)")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("to", "Address of the new tenant")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.proposeAssignment(args.agreement, args.to));
+    });
+
+rentalTask("rental:assignment", "Approve (landlord) or cancel (either party) the pending assignment of an agreement")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("action", "approve or cancel")
+    .addOptionalParam("to", "New tenant you agreed to; approving reverts if the proposal changed")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        if (args.action === "approve") {
+            printResult(await client.approveAssignment(args.agreement, args.to));
+        } else if (args.action === "cancel") {
+            printResult(await client.cancelAssignment(args.agreement));
+        } else {
+            throw new Error("--action must be approve or cancel");
+        }
+    });
+
+// --sublets wins, otherwise attach through the deployment registry
+function subletTask(name, description) {
+    return rentalTask(name, description)
+        .addOptionalParam("sublets", "LeaseSublets address (defaults to the deployment of --network)");
+}
+
+async function getSublets(hre, args) {
+    const signer = await getSigner(hre, args.signer);
+    return args.sublets
+        ? new LeaseSubletsClient(args.sublets, signer)
+        : LeaseSubletsClient.fromRegistry(signer, hre.network.name);
+}
+
+subletTask("rental:sublet", "Offer a sublet of an active agreement, paid to you through the contract (tenant)")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("subtenant", "Address of the subtenant")
+    .addParam("rent", "Rent per period of the agreement, in ETH or in whole tokens")
+    .addParam("periods", "Number of periods sublet", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const sublets = await getSublets(hre, args);
+        const { paymentToken } = await client.getRentalAgreement(args.agreement);
+        const result = await sublets.offerSublet(args.agreement, {
+            subtenant: args.subtenant,
+            rentAmount: hre.ethers.parseUnits(args.rent, await client.tokenDecimals(paymentToken)),
+            periods: args.periods
+        });
+        printResult(result);
+        console.log(`Sublet ID: ${result.subletId}`);
+    });
+
+subletTask("rental:sublet:action", "Accept or pay a sublet (subtenant), or end it (either party)")
+    .addParam("sublet", "Sublet ID", undefined, types.int)
+    .addParam("action", "accept, pay (approves token payments) or end")
+    .addOptionalParam("periods", "Periods to pay", 1, types.int)
+    .setAction(async (args, hre) => {
+        const sublets = await getSublets(hre, args);
+        if (args.action === "accept") {
+            printResult(await sublets.acceptSublet(args.sublet));
+        } else if (args.action === "pay") {
+            printResult(await sublets.paySubletRent(args.sublet, args.periods));
+        } else if (args.action === "end") {
+            printResult(await sublets.endSublet(args.sublet));
+        } else {
+            throw new Error("--action must be accept, pay or end");
+        }
+    });
+
+subletTask("rental:sublets", "Show the sublets of an agreement")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const sublets = await getSublets(hre, args);
+        printObject(`Sublets of agreement ${args.agreement}`, await sublets.getAgreementSublets(args.agreement));
+    });
+
+subletTask("rental:sublet:withdraw", "Claim the sublet rent credited to the signer (primary tenant)")
+    .addOptionalParam("token", "Payment token to claim (ETH when omitted)")
+    .setAction(async (args, hre) => {
+        const sublets = await getSublets(hre, args);
+        const token = args.token || hre.ethers.ZeroAddress;
+        if ((await sublets.getWithdrawableBalance(await sublets.runner.getAddress(), token)) === 0n) {
+            console.log("Nothing to withdraw");
+            return;
+        }
+        printResult(await sublets.withdraw(token));
+    });
+
+// ---------------------------------------------------------------
+// Co-tenancy
+// ---------------------------------------------------------------
+
+// Comma-separated list, e.g. "3000,2500"
+function parseList(value) {
+    return value === undefined || value === "" ? [] : value.split(",").map((item) => item.trim());
+}
+
+rentalTask("rental:cotenants", "Invite co-tenants to a pending reservation with their shares in basis points (tenant)")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("coTenants", "Comma-separated addresses")
+    .addParam("rentShares", "Comma-separated shares of the rent, e.g. 3000,3000 (the tenant keeps the rest)")
+    .addOptionalParam("depositShares", "Comma-separated shares of the deposit (0 each when omitted)")
+    .setAction(async (args, hre) => {
+        const accounts = parseList(args.coTenants);
+        const rentShares = parseList(args.rentShares);
+        const depositShares = args.depositShares === undefined ? accounts.map(() => "0") : parseList(args.depositShares);
+        if (rentShares.length !== accounts.length || depositShares.length !== accounts.length) {
+            throw new Error("Pass one rent share and one deposit share per co-tenant");
+        }
+        const client = await getClient(hre, args);
+        printResult(await client.setCoTenants(args.agreement, accounts.map((account, i) => ({
+            account,
+            rentShare: BigInt(rentShares[i]),
+            depositShare: BigInt(depositShares[i])
+        }))));
+    });
+
+rentalTask("rental:join", "Join a reservation as co-tenant, paying your share of the first rent and deposit")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.joinAgreement(args.agreement));
+    });
+
+rentalTask("rental:tenancy", "Show the co-tenants of an agreement, their shares and the current rent round")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printObject(`Tenancy of agreement ${args.agreement}`, await client.getTenancy(args.agreement));
+    });
+
+// ---------------------------------------------------------------
+// Signed offers and meta-transactions (RentalForwarder)
+// ---------------------------------------------------------------
+
+function writeSigned(file, signed) {
+    const json = JSON.stringify(formatValue(signed), null, 2);
+    if (file) {
+        fs.writeFileSync(file, json + "\n");
+        console.log(`Signed payload written to ${file}`);
+    } else {
+        console.log(json);
+    }
+}
+
+rentalTask("rental:offer", "Sign a listing offer off-chain; the tenant who accepts it pays the gas (landlord)")
+    .addParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("rent", "Rent per unit, in ETH or in whole tokens (defaults to the listing's)")
+    .addOptionalParam("deposit", "Security deposit, in ETH or in whole tokens (defaults to the listing's)")
+    .addOptionalParam("months", "Duration in months", 0, types.int)
+    .addOptionalParam("days", "Additional days", 0, types.int)
+    .addOptionalParam("tenant", "Only this tenant can accept the offer")
+    .addOptionalParam("validity", "Days before the offer expires", 7, types.int)
+    .addOptionalParam("out", "File to write the signed offer to, printed otherwise")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const forwarder = await RentalForwarderClient.fromRental(client);
+        const { paymentToken } = await client.getProperty(args.property);
+        const decimals = await client.tokenDecimals(paymentToken);
+        const { timestamp } = await hre.ethers.provider.getBlock("latest");
+        const signed = await forwarder.signOffer({
+            propertyId: args.property,
+            rentBaseAmount: args.rent === undefined ? undefined : hre.ethers.parseUnits(args.rent, decimals),
+            securityDeposit: args.deposit === undefined ? undefined : hre.ethers.parseUnits(args.deposit, decimals),
+            months: args.months,
+            days: args.days,
+            tenant: args.tenant,
+            deadline: timestamp + args.validity * 86400
+        });
+        writeSigned(args.out, signed);
+    });
+
+rentalTask("rental:offer:accept", "Reserve a property on the terms of a signed listing offer (tenant)")
+    .addParam("file", "Signed offer written by rental:offer")
+    .setAction(async (args, hre) => {
+        const forwarder = await RentalForwarderClient.fromRental(await getClient(hre, args));
+        const { offer, signature } = JSON.parse(fs.readFileSync(args.file, "utf8"));
+        if (!(await forwarder.verifyOffer(offer, signature))) {
+            throw new Error("Offer not signed by the property owner");
+        }
+        const result = await forwarder.acceptOffer(offer, signature);
+        printResult(result);
+        console.log(`Agreement ID: ${result.agreementId}`);
+    });
+
+rentalTask("rental:offer:cancel", "Withdraw a signed listing offer before it expires (landlord)")
+    .addParam("nonce", "Nonce of the offer")
+    .setAction(async (args, hre) => {
+        const forwarder = await RentalForwarderClient.fromRental(await getClient(hre, args));
+        printResult(await forwarder.cancelOffer(BigInt(args.nonce)));
+    });
+
+rentalTask("rental:sign", "Sign a call for the relayer (scripts/relayer.js), which pays its gas")
+    .addParam("method", "RealEstateRental function, e.g. activateAgreement")
+    .addOptionalParam("args", "Arguments as a JSON array", "[]")
+    .addOptionalParam("value", "ETH the relayer sends with the call, in wei", "0")
+    .addOptionalParam("out", "File to write the signed request to, printed otherwise")
+    .setAction(async (args, hre) => {
+        const forwarder = await RentalForwarderClient.fromRental(await getClient(hre, args));
+        writeSigned(args.out, await forwarder.signRequest(args.method, JSON.parse(args.args), { value: BigInt(args.value) }));
+    });
+
+// ---------------------------------------------------------------
+// Disputes
+// ---------------------------------------------------------------
+
+rentalTask("rental:dispute", "Open a dispute on an agreement")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("reason", "Reason of the dispute")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const result = await client.createDispute(args.agreement, args.reason);
+        printResult(result);
+        console.log(`Dispute ID: ${result.disputeId}`);
+    });
+
+rentalTask("rental:resolve", "Resolve a dispute by splitting the deposit (arbiter role, or panel owner once voting is over)")
+    .addParam("dispute", "Dispute ID", undefined, types.int)
+    .addOptionalParam("favor", "landlord or tenant: the whole deposit to one party")
+    .addOptionalParam("landlordAmount", "Part of the deposit for the landlord, in ETH or whole tokens; the rest goes to the tenant")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const landlordAmount = await parseSplit(hre, client, args.dispute, args);
+        printResult(await resolveSplit(hre, client, args.dispute, landlordAmount));
+    });
+
+// ---------------------------------------------------------------
+// Arbitration panel
+// ---------------------------------------------------------------
+
+rentalTask("rental:arbiters", "List the arbiter registry, or add or remove an arbiter (panel owner)")
+    .addOptionalParam("add", "Arbiter address to register")
+    .addOptionalParam("remove", "Arbiter address to unregister")
+    .setAction(async (args, hre) => {
+        const panel = await ArbitrationPanelClient.fromRental(await getClient(hre, args));
+        if (args.add !== undefined) {
+            printResult(await panel.addArbiter(args.add));
+        }
+        if (args.remove !== undefined) {
+            printResult(await panel.removeArbiter(args.remove));
+        }
+        printObject("Arbiters", await panel.getArbiters());
+        printObject("Panel settings", await panel.getConfig());
+    });
+
+rentalTask("rental:panel:set", "Configure future panels; omitted settings are kept (panel owner)")
+    .addOptionalParam("size", "Arbiters per dispute, odd", undefined, types.int)
+    .addOptionalParam("evidenceDays", "Evidence period in days, 1 to 30", undefined, types.int)
+    .addOptionalParam("votingDays", "Voting period in days, 1 to 30", undefined, types.int)
+    .addOptionalParam("mode", "round_robin or random")
+    .setAction(async (args, hre) => {
+        const panel = await ArbitrationPanelClient.fromRental(await getClient(hre, args));
+        const day = 24 * 60 * 60;
+        const changes = {};
+        if (args.size !== undefined) changes.panelSize = args.size;
+        if (args.evidenceDays !== undefined) changes.evidencePeriod = args.evidenceDays * day;
+        if (args.votingDays !== undefined) changes.votingPeriod = args.votingDays * day;
+        if (args.mode !== undefined) changes.mode = args.mode;
+        printResult(await panel.setPanelConfig(changes));
+    });
+
+rentalTask("rental:evidence", "Submit evidence on a dispute during its evidence period (landlord or tenant)")
+    .addParam("dispute", "Dispute ID", undefined, types.int)
+    .addOptionalParam("file", "Document to hash; only the hash goes on-chain")
+    .addOptionalParam("hash", "keccak256 of a document stored elsewhere")
+    .setAction(async (args, hre) => {
+        if ((args.file === undefined) === (args.hash === undefined)) {
+            throw new Error("Pass either --file or --hash");
+        }
+        const panel = await ArbitrationPanelClient.fromRental(await getClient(hre, args));
+        const evidenceHash = args.hash ?? hashEvidence(fs.readFileSync(args.file));
+        printResult(await panel.submitEvidence(args.dispute, { evidenceHash }));
+    });
+
+rentalTask("rental:assigned", "List the disputes assigned to an arbiter (the signer by default)")
+    .addOptionalParam("arbiter", "Arbiter address")
+    .addFlag("all", "Include decided cases")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const panel = await ArbitrationPanelClient.fromRental(client);
+        const arbiter = args.arbiter ?? (await client.runner.getAddress());
+        const cases = await panel.getAssignedDisputes(arbiter, { openOnly: !args.all });
+        const withEvidence = await Promise.all(cases.map(async (c) => ({
+            ...c,
+            evidence: await panel.getEvidence(c.disputeId)
+        })));
+        printObject(`Disputes assigned to ${arbiter}`, withEvidence);
+    });
+
+rentalTask("rental:vote", "Vote on the deposit split of an assigned dispute (arbiter)")
+    .addParam("dispute", "Dispute ID", undefined, types.int)
+    .addOptionalParam("favor", "landlord or tenant: the whole deposit to one party")
+    .addOptionalParam("landlordAmount", "Part of the deposit for the landlord, in ETH or whole tokens; the rest goes to the tenant")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const panel = await ArbitrationPanelClient.fromRental(client);
+        const result = await panel.castVote(args.dispute, await parseSplit(hre, client, args.dispute, args));
+        printResult(result);
+        if (result.decided) {
+            console.log("Majority reached, deposit split executed");
+        }
+    });
+
+// ---------------------------------------------------------------
+// Deposit deductions
+// ---------------------------------------------------------------
+
+rentalTask("rental:deductions:claim", "Complete an expired agreement keeping part of the deposit (landlord)")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("items", "JSON file with the itemized list: [{\"description\": \"...\", \"amount\": \"0.1\"}]")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const { paymentToken } = await client.getRentalAgreement(args.agreement);
+        const decimals = await client.tokenDecimals(paymentToken);
+        const items = JSON.parse(fs.readFileSync(args.items, "utf8")).map(({ description, amount }) => ({
+            description,
+            amount: hre.ethers.parseUnits(String(amount), decimals)
+        }));
+        printResult(await client.claimDeductions(args.agreement, { items }));
+    });
+
+rentalTask("rental:deductions", "Accept, challenge or finalize claimed deductions")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("action", "accept or challenge (tenant), finalize (anyone, after the challenge window)")
+    .addOptionalParam("reason", "Reason of the challenge")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        if (args.action === "accept") {
+            printResult(await client.acceptDeductions(args.agreement));
+        } else if (args.action === "finalize") {
+            printResult(await client.finalizeDeductions(args.agreement));
+        } else if (args.action === "challenge") {
+            const result = await client.challengeDeductions(args.agreement, args.reason || "");
+            printResult(result);
+            console.log(`Dispute ID: ${result.disputeId}`);
+        } else {
+            throw new Error("--action must be accept, challenge or finalize");
+        }
+    });
+
+rentalTask("rental:deductions:allocate", "Split the deductions between co-tenants (landlord, or arbiter during a dispute)")
+    .addParam("agreement", "Agreement ID", undefined, types.int)
+    .addParam("amounts", "Comma-separated amounts in ETH or in whole tokens, in rental:tenancy order")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const { paymentToken } = await client.getRentalAgreement(args.agreement);
+        const decimals = await client.tokenDecimals(paymentToken);
+        const amounts = parseList(args.amounts).map((amount) => hre.ethers.parseUnits(amount, decimals));
+        printResult(await client.allocateDeductions(args.agreement, amounts));
+    });
+
+// ---------------------------------------------------------------
+// Withdrawals
+// ---------------------------------------------------------------
+
+rentalTask("rental:withdraw", "Claim the rent and deposits credited to the signer")
+    .addOptionalParam("token", "Payment token to claim (ETH when omitted)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const token = args.token || hre.ethers.ZeroAddress;
+        const balance = await client.getWithdrawableBalance(await client.runner.getAddress(), token);
+        if (balance === 0n) {
+            console.log("Nothing to withdraw");
+            return;
+        }
+        printResult(await client.withdraw(token));
+    });
+
+// ---------------------------------------------------------------
+// Platform fees (FeeSchedule)
+// ---------------------------------------------------------------
+
+// The level a rate task acts on: --property, --unit or the defaults
+function feeLevelArgs(args) {
+    if (args.property !== undefined && args.unit !== undefined) {
+        throw new Error("Pass either --property or --unit");
+    }
+    if (args.property !== undefined) return ["PROPERTY", args.property];
+    if (args.unit !== undefined) return ["UNIT", args.unit];
+    return ["DEFAULT", 0];
+}
+
+rentalTask("rental:fees", "Show the fee rates of every level, scheduled changes, the treasury and undistributed fees")
+    .addOptionalParam("property", "Also show the rates of this property", undefined, types.int)
+    .addOptionalParam("token", "Payment token of the undistributed fees (ETH when omitted)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        const fees = await FeeScheduleClient.fromRental(client);
+        const levels = { DEFAULT: await fees.getRates("DEFAULT", 0) };
+        for (const unit of ["MONTHLY", "DAILY"]) {
+            levels[unit] = await fees.getRates("UNIT", unit);
+        }
+        if (args.property !== undefined) {
+            const property = await client.getProperty(args.property);
+            levels[`Property ${args.property}`] = await fees.getRates("PROPERTY", args.property);
+            printObject(`Rates charged on property ${args.property}`, await client.getFeeRates(args.property, property.unit));
+        }
+        printObject("Rates by level", levels);
+        printObject("Treasury", await fees.getTreasury());
+        console.log(`Undistributed: ${await fees.getUndistributed(args.token || hre.ethers.ZeroAddress)}`);
+    });
+
+rentalTask("rental:fees:schedule", "Schedule new fee rates, in basis points, effective after the timelock (fee manager role)")
+    .addOptionalParam("rentBps", "Fee on rent", 0, types.int)
+    .addOptionalParam("lateFeeBps", "Fee on late fees", 0, types.int)
+    .addOptionalParam("depositBps", "Fee on the part of the deposit the landlord keeps", 0, types.int)
+    .addOptionalParam("unit", "Rates of MONTHLY or DAILY rentals instead of the defaults")
+    .addOptionalParam("property", "Rates of one property instead of the defaults", undefined, types.int)
+    .addFlag("remove", "Drop the rates of the unit or property, which falls back on the next level")
+    .setAction(async (args, hre) => {
+        const fees = await FeeScheduleClient.fromRental(await getClient(hre, args));
+        const level = feeLevelArgs(args);
+        const result = args.remove
+            ? await fees.scheduleRemoval(...level)
+            : await fees.scheduleRates(...level, args);
+        printResult(result);
+        console.log(`Effective at ${new Date(Number(result.effectiveAt) * 1000).toISOString()}`);
+    });
+
+rentalTask("rental:fees:cancel", "Cancel the fee change scheduled on a level (fee manager role)")
+    .addOptionalParam("unit", "MONTHLY or DAILY")
+    .addOptionalParam("property", "Property id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const fees = await FeeScheduleClient.fromRental(await getClient(hre, args));
+        printResult(await fees.cancelFeeChange(...feeLevelArgs(args)));
+    });
+
+rentalTask("rental:fees:quote", "Quote the fees withheld from a payment before sending it")
+    .addParam("agreement", "Agreement id", undefined, types.int)
+    .addOptionalParam("on", "activation (first rent), rent or deposit", "rent")
+    .addOptionalParam("units", "Months or days of rent", 1, types.int)
+    .addOptionalParam("landlordAmount", "Part of the deposit the landlord keeps, in ETH or in whole tokens (the whole deposit when omitted)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        let quote;
+        if (args.on === "activation") {
+            quote = await client.quoteActivationFees(args.agreement);
+        } else if (args.on === "rent") {
+            quote = await client.quoteRentFees(args.agreement, args.units);
+        } else if (args.on === "deposit") {
+            const { paymentToken } = await client.getRentalAgreement(args.agreement);
+            const landlordAmount = args.landlordAmount === undefined
+                ? undefined
+                : hre.ethers.parseUnits(args.landlordAmount, await client.tokenDecimals(paymentToken));
+            quote = await client.quoteDepositFees(args.agreement, landlordAmount);
+        } else {
+            throw new Error("--on must be activation, rent or deposit");
+        }
+        printObject(`Fees on agreement ${args.agreement}`, quote);
+    });
+
+rentalTask("rental:fees:treasury", "Split platform fees between treasury recipients (treasurer role)")
+    .addParam("recipients", "Comma-separated addresses, the first gets the rounding")
+    .addParam("shares", "Comma-separated shares in basis points, adding up to 10000")
+    .setAction(async (args, hre) => {
+        const fees = await FeeScheduleClient.fromRental(await getClient(hre, args));
+        const accounts = args.recipients.split(",").map((a) => a.trim());
+        const shares = args.shares.split(",").map((share) => BigInt(share.trim()));
+        if (accounts.length !== shares.length) {
+            throw new Error("--recipients and --shares must have the same length");
+        }
+        printResult(await fees.setTreasury(accounts.map((account, i) => ({ account, share: shares[i] }))));
+    });
+
+rentalTask("rental:fees:distribute", "Split the platform fees collected in a token between the treasury recipients")
+    .addOptionalParam("token", "Payment token whose fees to distribute (ETH when omitted)")
+    .setAction(async (args, hre) => {
+        const fees = await FeeScheduleClient.fromRental(await getClient(hre, args));
+        printResult(await fees.distribute(args.token || hre.ethers.ZeroAddress));
+    });
+
+rentalTask("rental:fees:withdraw", "Withdraw the signer's share of distributed platform fees (treasury recipient)")
+    .addOptionalParam("token", "Payment token whose fees to withdraw (ETH when omitted)")
+    .setAction(async (args, hre) => {
+        const fees = await FeeScheduleClient.fromRental(await getClient(hre, args));
+        printResult(await fees.withdraw(args.token || hre.ethers.ZeroAddress));
+    });
+
+rentalTask("rental:handover:set", "Set the key handover window of future reservations (contract owner)")
+    .addParam("days", "Window in days, 1 to 90", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.setHandoverWindow(args.days * 24 * 60 * 60));
+    });
+
+rentalTask("rental:tokens:allow", "Allow or forbid an ERC-20 payment token (contract owner)")
+    .addParam("token", "ERC-20 address")
+    .addOptionalParam("allowed", "true to allow, false to forbid", true, types.boolean)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        printResult(await client.setPaymentTokenAllowed(args.token, args.allowed));
+    });
+
+// ---------------------------------------------------------------
+// Roles and emergency pause (RentalRoles)
+// ---------------------------------------------------------------
+
+rentalTask("rental:roles", "Show the members of every role and whether the contract is paused, or the roles of one account")
+    .addOptionalParam("account", "Only list the roles this address holds")
+    .setAction(async (args, hre) => {
+        const roles = await RentalRolesClient.fromRental(await getClient(hre, args));
+        if (args.account !== undefined) {
+            printObject(`Roles of ${args.account}`, await roles.getRolesOf(args.account));
+        } else {
+            printObject("Role members", await roles.getAllRoleMembers());
+        }
+        console.log(`Paused: ${await roles.isPaused()}`);
+    });
+
+rentalTask("rental:roles:grant", "Grant a role: fee_manager, treasurer, arbiter, pauser or default_admin (role admin)")
+    .addParam("role", "Role name")
+    .addParam("account", "Address receiving the role")
+    .setAction(async (args, hre) => {
+        const roles = await RentalRolesClient.fromRental(await getClient(hre, args));
+        printResult(await roles.grantRole(args.role, args.account));
+    });
+
+rentalTask("rental:roles:revoke", "Revoke a role from an account (role admin)")
+    .addParam("role", "Role name")
+    .addParam("account", "Address losing the role")
+    .setAction(async (args, hre) => {
+        const roles = await RentalRolesClient.fromRental(await getClient(hre, args));
+        printResult(await roles.revokeRole(args.role, args.account));
+    });
+
+rentalTask("rental:pause", "Halt new listings, reservations and payments; refunds and withdrawals go on (pauser role)")
+    .setAction(async (args, hre) => {
+        const roles = await RentalRolesClient.fromRental(await getClient(hre, args));
+        printResult(await roles.pause());
+    });
+
+rentalTask("rental:unpause", "Lift the emergency pause (pauser role)")
+    .setAction(async (args, hre) => {
+        const roles = await RentalRolesClient.fromRental(await getClient(hre, args));
+        printResult(await roles.unpause());
+    });
+
+// ---------------------------------------------------------------
+// Views
+// ---------------------------------------------------------------
+
+rentalTask("rental:show", "Show a property, agreement, dispute, or the platform state")
+    .addOptionalParam("property", "Property ID", undefined, types.int)
+    .addOptionalParam("agreement", "Agreement ID", undefined, types.int)
+    .addOptionalParam("dispute", "Dispute ID", undefined, types.int)
+    .addOptionalParam("application", "Application ID", undefined, types.int)
+    .addOptionalParam("landlord", "List the properties of a landlord address")
+    .addOptionalParam("tenant", "List the agreements of a tenant address")
+    .addOptionalParam("account", "Show the withdrawable balance of an address")
+    .addOptionalParam("token", "Payment token for the fees and balances (ETH when omitted)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args);
+        let shown = false;
+        if (args.property !== undefined) {
+            printObject(`Property ${args.property}`, await client.getProperty(args.property));
+            printObject("Pending applications", await client.getPendingApplicationsForProperty(args.property));
+            shown = true;
+        }
+        if (args.agreement !== undefined) {
+            printObject(`Agreement ${args.agreement}`, await client.getRentalAgreement(args.agreement));
+            printObject("Payment status", await client.getPaymentStatus(args.agreement));
+            const day = (seconds) => new Date(Number(seconds) * 1000).toISOString().slice(0, 10);
+            printObject("Payment schedule", (await client.getPaymentSchedule(args.agreement)).map((p) => ({
+                period: p.period,
+                dueDate: day(p.dueDate),
+                amount: p.amount,
+                status: p.status
+            })));
+            const amendment = await client.getAmendment(args.agreement);
+            if (amendment) printObject("Pending amendment", amendment);
+            printObject("Deductions", await client.getDeductionClaim(args.agreement));
+            shown = true;
+        }
+        if (args.dispute !== undefined) {
+            printObject(`Dispute ${args.dispute}`, await client.getDispute(args.dispute));
+            if ((await client.getArbitrationPanel()) !== hre.ethers.ZeroAddress) {
+                const panel = await ArbitrationPanelClient.fromRental(client);
+                printObject("Panel", await panel.getCase(args.dispute));
+                printObject("Evidence", await panel.getEvidence(args.dispute));
+            }
+            shown = true;
+        }
+        if (args.application !== undefined) {
+            printObject(`Application ${args.application}`, await client.getApplication(args.application));
+            shown = true;
+        }
+        if (args.landlord !== undefined) {
+            printObject(`Properties of ${args.landlord}`, await client.getLandlordProperties(args.landlord));
+            shown = true;
+        }
+        if (args.tenant !== undefined) {
+            printObject(`Agreements of ${args.tenant}`, await client.getTenantAgreements(args.tenant));
+            printObject(`Pending applications of ${args.tenant}`, await client.getPendingApplicationsForTenant(args.tenant));
+            shown = true;
+        }
+        if (args.account !== undefined) {
+            const balance = await client.getWithdrawableBalance(args.account, args.token || hre.ethers.ZeroAddress);
+            printObject(`Withdrawable by ${args.account}`, balance);
+            shown = true;
+        }
+        if (!shown) {
+            console.log(`Contract: ${client.address}`);
+            printObject("Platform", await client.getPlatformInfo(args.token || hre.ethers.ZeroAddress));
+            printObject("Counters", await client.getCounters());
+            printObject("Available properties", await client.getAvailableProperties());
+        }
+    });
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { buildStatement, formatStatement, statementToCsv } = require("../lib");
+const { resolveTarget } = require("./utils");
+
+task("rental:statement", "Export the financial statement of a landlord or tenant over a block range")
+    .addParam("account", "Landlord or tenant address")
+    .addOptionalParam("address", "RealEstateRental address (defaults to the deployment of --network)")
+    .addOptionalParam("fromBlock", "First block of the statement (defaults to the deployment block)", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block of the statement (defaults to the latest block)", undefined, types.int)
+    .addOptionalParam("format", "json or csv", "json")
+    .addOptionalParam("out", "File to write the statement to (printed when omitted)")
+    .addOptionalParam("batchSize", "Blocks per eth_getLogs call", 2000, types.int)
+    .setAction(async (args, hre) => {
+        if (args.format !== "json" && args.format !== "csv") {
+            throw new Error("--format must be json or csv");
+        }
+        if (!hre.ethers.isAddress(args.account)) {
+            throw new Error(`--account is not an address: ${args.account}`);
+        }
+        // Events are read from the deployment block so that amounts to date reconcile with totalPaid
+        const { address, startBlock } = await resolveTarget(hre, { address: args.address });
+        const statement = await buildStatement({
+            provider: hre.ethers.provider,
+            address,
+            account: args.account,
+            fromBlock: args.fromBlock,
+            toBlock: args.toBlock,
+            startBlock,
+            batchSize: args.batchSize
+        });
+
+        const output = args.format === "csv"
+            ? statementToCsv(statement)
+            : JSON.stringify(formatStatement(statement), null, 2) + "\n";
+        if (args.out === undefined) {
+            console.log(output.trimEnd());
+            return;
+        }
+        fs.writeFileSync(args.out, output);
+        const unreconciled = statement.agreements.filter((a) => !a.reconciled).map((a) => a.agreementId);
+        console.log(
+            `Statement of ${statement.account} for blocks ${statement.fromBlock}-${statement.toBlock}: ` +
+                `${statement.agreements.length} agreements written to ${args.out}`
+        );
+        if (unreconciled.length > 0) {
+            console.log(`Agreements not reconciling with totalPaid: ${unreconciled.join(", ")}`);
+        }
+    });
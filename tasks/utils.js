@@ -0,0 +1,73 @@
+const { ABI, RealEstateRentalClient, resolveDeployment } = require("../lib");
+
+// --signer accepts an index into the configured accounts or a raw private key
+async function getSigner(hre, signer) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(signer)) {
+        return new hre.ethers.Wallet(signer, hre.ethers.provider);
+    }
+    const index = Number(signer);
+    const signers = await hre.ethers.getSigners();
+    if (!Number.isInteger(index) || index < 0 || index >= signers.length) {
+        throw new Error(`--signer must be an account index (0-${signers.length - 1}) or a private key`);
+    }
+    return signers[index];
+}
+
+// An explicit --address wins, otherwise attach through the deployment registry,
+// which refuses deployments whose ABI differs from contracts/RealEstateRental.abi
+async function getClient(hre, args) {
+    const signer = await getSigner(hre, args.signer);
+    if (args.address) {
+        if ((await hre.ethers.provider.getCode(args.address)) === "0x") {
+            throw new Error(`No contract code at ${args.address} on "${hre.network.name}"`);
+        }
+        return new RealEstateRentalClient(args.address, signer);
+    }
+    return RealEstateRentalClient.fromRegistry(signer, hre.network.name);
+}
+
+// Address and first block for tasks that read events: an explicit --address starts
+// at --from-block (or 0), the registry starts at the deployment block
+async function resolveTarget(hre, args) {
+    if (args.address) {
+        return { address: args.address, startBlock: args.fromBlock ?? 0 };
+    }
+    const record = await resolveDeployment(hre.ethers.provider, hre.network.name, "RealEstateRental", ABI);
+    return { address: record.address, startBlock: args.fromBlock ?? record.blockNumber };
+}
+
+function formatValue(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(formatValue);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, formatValue(v)]));
+    }
+    return value;
+}
+
+function printObject(label, value) {
+    console.log(`${label}:`);
+    console.log(JSON.stringify(formatValue(value), null, 2));
+}
+
+function printResult(result) {
+    console.log(`Transaction: ${result.hash} (block ${result.blockNumber})`);
+    if (result.events.length === 0) {
+        console.log("No events emitted");
+    }
+    for (const event of result.events) {
+        const args = Object.entries(formatValue(event.args))
+            .map(([k, v]) => `${k}=${v}`)
+            .join(" ");
+        console.log(`  ${event.name} ${args}`);
+    }
+}
+
+module.exports = {
+    getSigner,
+    getClient,
+    resolveTarget,
+    formatValue,
+    printObject,
+    printResult
+};
@@ -0,0 +1,299 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { RealEstateRentalClient, deployRealEstateRental, ArbitrationPanelClient, PANEL_ABI, hashEvidence } = require("../lib");
+
+describe("ArbitrationPanel", function () {
+    let realEstateRental, panel;
+    let owner, landlord, tenant, arbiters;
+    let agreementId;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+    const MONTHLY = 0;
+    const ETH = ethers.ZeroAddress;
+    const DAY = 24 * 60 * 60;
+    const EVIDENCE_PERIOD = 3 * DAY;
+    const VOTING_PERIOD = 4 * DAY;
+    const OPEN = 1, DECIDED = 2, FALLBACK = 3; // CaseStatus
+
+    beforeEach(async function () {
+        let others;
+        [owner, landlord, tenant, ...others] = await ethers.getSigners();
+        arbiters = others.slice(0, 4);
+
+        realEstateRental = await deployRealEstateRental(ethers);
+        const ArbitrationPanel = await ethers.getContractFactory("ArbitrationPanel");
+        panel = await ArbitrationPanel.deploy(await realEstateRental.getAddress());
+        await realEstateRental.setArbitrationPanel(await panel.getAddress());
+
+        await realEstateRental.connect(landlord).listProperty(
+            "123 Main Street, Paris", "Beautiful 2BR apartment", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH
+        );
+        await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+        agreementId = 1;
+        await realEstateRental.connect(tenant).activateAgreement(agreementId);
+    });
+
+    async function registerArbiters(count = 3) {
+        for (const arbiter of arbiters.slice(0, count)) {
+            await panel.addArbiter(arbiter.address);
+        }
+    }
+
+    describe("Registry and Assignment", function () {
+        it("Should assign a panel when a dispute opens", async function () {
+            await registerArbiters();
+
+            await expect(realEstateRental.connect(tenant).createDispute(agreementId, "Broken heating"))
+                .to.emit(panel, "PanelAssigned");
+
+            const c = await panel.getCase(1);
+            expect(c.status).to.equal(OPEN);
+            expect(c.arbiters).to.deep.equal(arbiters.slice(0, 3).map((a) => a.address));
+            const now = BigInt(await time.latest());
+            expect(c.evidenceDeadline).to.equal(now + BigInt(EVIDENCE_PERIOD));
+            expect(c.votingDeadline).to.equal(c.evidenceDeadline + BigInt(VOTING_PERIOD));
+            expect(await panel.getAssignedDisputes(arbiters[0].address)).to.deep.equal([1n]);
+        });
+
+        it("Should rotate arbiters round-robin and skip the parties", async function () {
+            await registerArbiters(4);
+            await panel.addArbiter(landlord.address);
+            await panel.setPanelConfig(1, EVIDENCE_PERIOD, VOTING_PERIOD, 0);
+
+            await realEstateRental.connect(tenant).createDispute(agreementId, "First");
+            expect((await panel.getCase(1)).arbiters).to.deep.equal([arbiters[0].address]);
+
+            // Second agreement on a new property, same parties
+            await realEstateRental.connect(landlord).listProperty("b", "c", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+            await realEstateRental.connect(tenant).reserveProperty(2, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            await realEstateRental.connect(tenant).activateAgreement(2);
+            await realEstateRental.connect(tenant).createDispute(2, "Second");
+            expect((await panel.getCase(2)).arbiters).to.deep.equal([arbiters[1].address]);
+
+            // arbiters[2], arbiters[3], then the landlord is skipped and the rotation wraps
+            await panel.setPanelConfig(3, EVIDENCE_PERIOD, VOTING_PERIOD, 0);
+            await realEstateRental.connect(landlord).listProperty("d", "e", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+            await realEstateRental.connect(tenant).reserveProperty(3, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            await realEstateRental.connect(tenant).activateAgreement(3);
+            await realEstateRental.connect(tenant).createDispute(3, "Third");
+            expect((await panel.getCase(3)).arbiters).to.deep.equal(
+                [arbiters[2].address, arbiters[3].address, arbiters[0].address]
+            );
+        });
+
+        it("Should count co-tenants as parties", async function () {
+            await registerArbiters(2);
+            await panel.setPanelConfig(1, EVIDENCE_PERIOD, VOTING_PERIOD, 0);
+            const coTenant = arbiters[0];
+            await realEstateRental.connect(landlord).listProperty("b", "c", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+            await realEstateRental.connect(tenant).reserveProperty(2, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            await realEstateRental.connect(tenant).setCoTenants(2, [coTenant.address], [5000], [0]);
+            await realEstateRental.connect(coTenant).joinAgreement(2, { value: RENT_AMOUNT / 2n });
+            await realEstateRental.connect(tenant).activateAgreement(2);
+
+            await realEstateRental.connect(tenant).createDispute(2, "Noise");
+            expect((await panel.getCase(1)).arbiters).to.deep.equal([arbiters[1].address]);
+            const hash = hashEvidence("lease.pdf");
+            await expect(panel.connect(coTenant).submitEvidence(1, hash))
+                .to.emit(panel, "EvidenceSubmitted").withArgs(1, coTenant.address, hash);
+        });
+
+        it("Should draw a panel of distinct arbiters in random mode", async function () {
+            await registerArbiters(4);
+            await panel.setPanelConfig(3, EVIDENCE_PERIOD, VOTING_PERIOD, 1);
+
+            await realEstateRental.connect(tenant).createDispute(agreementId, "Broken heating");
+            const assigned = (await panel.getCase(1)).arbiters;
+            expect(assigned).to.have.length(3);
+            expect(new Set(assigned).size).to.equal(3);
+        });
+
+        it("Should restrict the registry and the settings to the owner", async function () {
+            await expect(panel.connect(landlord).addArbiter(arbiters[0].address))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+            await panel.addArbiter(arbiters[0].address);
+            await expect(panel.addArbiter(arbiters[0].address)).to.be.revertedWith("Already an arbiter");
+
+            await expect(panel.setPanelConfig(2, EVIDENCE_PERIOD, VOTING_PERIOD, 0))
+                .to.be.revertedWith("Panel size must be odd");
+            await expect(panel.setPanelConfig(3, 0, VOTING_PERIOD, 0))
+                .to.be.revertedWith("Evidence period out of range");
+
+            await expect(panel.removeArbiter(arbiters[0].address)).to.emit(panel, "ArbiterRemoved");
+            expect(await panel.getArbiters()).to.deep.equal([]);
+        });
+
+        it("Should only accept panel assignments from the rental contract", async function () {
+            await expect(panel.assignPanel(1)).to.be.revertedWith("Only the rental contract");
+        });
+    });
+
+    describe("Evidence and Voting", function () {
+        beforeEach(async function () {
+            await registerArbiters();
+            await realEstateRental.connect(tenant).createDispute(agreementId, "Broken heating");
+        });
+
+        it("Should collect evidence from the parties during the evidence period", async function () {
+            const hash = hashEvidence("photos.zip contents");
+            await expect(panel.connect(tenant).submitEvidence(1, hash))
+                .to.emit(panel, "EvidenceSubmitted").withArgs(1, tenant.address, hash);
+            await panel.connect(landlord).submitEvidence(1, hashEvidence("invoice"));
+
+            await expect(panel.connect(arbiters[0]).submitEvidence(1, hash)).to.be.revertedWith("Not a party");
+            await expect(panel.connect(tenant).submitEvidence(1, ethers.ZeroHash)).to.be.revertedWith("Empty evidence hash");
+
+            const evidence = await panel.getEvidence(1);
+            expect(evidence.map((e) => e.party)).to.deep.equal([tenant.address, landlord.address]);
+
+            await time.increase(EVIDENCE_PERIOD + 1);
+            await expect(panel.connect(tenant).submitEvidence(1, hash)).to.be.revertedWith("Evidence period over");
+        });
+
+        it("Should execute the split once a majority agrees", async function () {
+            const half = SECURITY_DEPOSIT / 2n;
+            await expect(panel.connect(arbiters[0]).castVote(1, half)).to.be.revertedWith("Evidence period open");
+            await time.increase(EVIDENCE_PERIOD + 1);
+
+            await expect(panel.connect(arbiters[0]).castVote(1, half)).to.emit(panel, "VoteCast");
+            await expect(panel.connect(arbiters[0]).castVote(1, half)).to.be.revertedWith("Already voted");
+            await panel.connect(arbiters[1]).castVote(1, SECURITY_DEPOSIT);
+            expect((await realEstateRental.getDispute(1)).status).to.equal(0); // still OPEN
+
+            await expect(panel.connect(arbiters[2]).castVote(1, half))
+                .to.emit(panel, "CaseDecided").withArgs(1, half, 2)
+                .and.to.emit(realEstateRental, "DisputeResolved").withArgs(1, half, SECURITY_DEPOSIT - half);
+
+            const c = await panel.getCase(1);
+            expect(c.status).to.equal(DECIDED);
+            expect(c.votesCast).to.equal(3);
+            expect((await realEstateRental.getDispute(1)).status).to.equal(1); // RESOLVED
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(SECURITY_DEPOSIT - half);
+        });
+
+        it("Should reject votes from outside the panel, over the deposit or after the deadline", async function () {
+            await time.increase(EVIDENCE_PERIOD + 1);
+            await expect(panel.connect(landlord).castVote(1, 0)).to.be.revertedWith("Not an assigned arbiter");
+            await expect(panel.connect(arbiters[0]).castVote(1, SECURITY_DEPOSIT + 1n))
+                .to.be.revertedWith("Split exceeds deposit");
+
+            await panel.removeArbiter(arbiters[1].address);
+            await expect(panel.connect(arbiters[1]).castVote(1, 0)).to.be.revertedWith("Not an assigned arbiter");
+
+            await time.increase(VOTING_PERIOD);
+            await expect(panel.connect(arbiters[0]).castVote(1, 0)).to.be.revertedWith("Voting closed");
+        });
+
+        it("Should leave resolution to the panel once it is set", async function () {
+            await expect(realEstateRental.connect(owner).resolveDispute(1, 0))
+                .to.be.revertedWith("Not the arbitration panel");
+        });
+    });
+
+    describe("Fallback", function () {
+        it("Should let the owner decide after the voting deadline without a majority", async function () {
+            await registerArbiters();
+            await realEstateRental.connect(tenant).createDispute(agreementId, "Broken heating");
+            await time.increase(EVIDENCE_PERIOD + 1);
+            await panel.connect(arbiters[0]).castVote(1, 0);
+
+            await expect(panel.fallbackResolve(1, 0)).to.be.revertedWith("Voting still open");
+            await time.increase(VOTING_PERIOD);
+            await expect(panel.connect(landlord).fallbackResolve(1, 0))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+
+            await expect(panel.fallbackResolve(1, 0))
+                .to.emit(panel, "FallbackResolved").withArgs(1, 0)
+                .and.to.emit(realEstateRental, "DisputeResolved").withArgs(1, 0, SECURITY_DEPOSIT);
+            expect((await panel.getCase(1)).status).to.equal(FALLBACK);
+            await expect(panel.fallbackResolve(1, 0)).to.be.revertedWith("Case already decided");
+        });
+
+        it("Should fall back immediately when no arbiter could be assigned", async function () {
+            await realEstateRental.connect(tenant).createDispute(agreementId, "Broken heating");
+            expect((await panel.getCase(1)).arbiters).to.deep.equal([]);
+
+            await expect(panel.fallbackResolve(1, SECURITY_DEPOSIT))
+                .to.emit(realEstateRental, "DisputeResolved").withArgs(1, SECURITY_DEPOSIT, 0);
+        });
+
+        it("Should decide disputes opened before the panel was set", async function () {
+            await realEstateRental.setArbitrationPanel(ethers.ZeroAddress);
+            await realEstateRental.connect(tenant).createDispute(agreementId, "Broken heating");
+            await realEstateRental.setArbitrationPanel(await panel.getAddress());
+
+            await expect(panel.fallbackResolve(2, 0)).to.be.revertedWith("Dispute does not exist");
+            await expect(panel.fallbackResolve(1, 0)).to.emit(realEstateRental, "DisputeResolved");
+        });
+
+        it("Should settle challenged deductions through the panel", async function () {
+            await registerArbiters();
+            await time.increase(190 * DAY);
+            const claimed = ethers.parseEther("0.5");
+            await realEstateRental.connect(landlord).claimDeductions(agreementId, claimed, ethers.id("items"));
+            await realEstateRental.connect(tenant).challengeDeductions(agreementId, "Normal wear");
+            await time.increase(EVIDENCE_PERIOD + 1);
+
+            await panel.connect(arbiters[0]).castVote(1, claimed / 2n);
+            await panel.connect(arbiters[1]).castVote(1, claimed / 2n);
+
+            const claim = await realEstateRental.getDeductionClaim(agreementId);
+            expect(claim.status).to.equal(3); // SETTLED
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH))
+                .to.equal(SECURITY_DEPOSIT - claimed / 2n);
+        });
+    });
+
+    describe("JavaScript client", function () {
+        it("Should ship an ABI artifact matching the compiled contract", async function () {
+            const artifact = await artifacts.readArtifact("ArbitrationPanel");
+            const signatures = (abi) => new ethers.Interface(abi).format().sort();
+            expect(signatures(PANEL_ABI)).to.deep.equal(signatures(artifact.abi));
+        });
+
+        it("Should list assigned disputes and cast votes", async function () {
+            await registerArbiters();
+            const rental = new RealEstateRentalClient(await realEstateRental.getAddress(), tenant);
+            const { disputeId } = await rental.createDispute(agreementId, "Broken heating");
+
+            const tenantPanel = await ArbitrationPanelClient.fromRental(rental);
+            expect(tenantPanel.address).to.equal(await panel.getAddress());
+            await tenantPanel.submitEvidence(disputeId, { evidence: Buffer.from("receipt.pdf") });
+            expect((await tenantPanel.getEvidence(disputeId))[0].evidenceHash)
+                .to.equal(ethers.keccak256(Buffer.from("receipt.pdf")));
+
+            const arbiterPanel = tenantPanel.connect(arbiters[0]);
+            let [assigned] = await arbiterPanel.getAssignedDisputes(arbiters[0].address);
+            expect(assigned.disputeId).to.equal(disputeId);
+            expect(assigned.phase).to.equal("EVIDENCE");
+            expect(assigned.vote.cast).to.equal(false);
+
+            await time.increase(EVIDENCE_PERIOD + 1);
+            [assigned] = await arbiterPanel.getAssignedDisputes(arbiters[0].address);
+            expect(assigned.phase).to.equal("VOTING");
+
+            expect((await arbiterPanel.castVote(disputeId, 0n)).decided).to.equal(false);
+            expect((await tenantPanel.connect(arbiters[1]).castVote(disputeId, 0n)).decided).to.equal(true);
+
+            expect(await arbiterPanel.getAssignedDisputes(arbiters[0].address)).to.deep.equal([]);
+            const [decided] = await arbiterPanel.getAssignedDisputes(arbiters[0].address, { openOnly: false });
+            expect(decided.status).to.equal("DECIDED");
+            expect(decided.phase).to.equal("CLOSED");
+            expect(decided.vote).to.deep.equal({ cast: true, landlordAmount: 0n });
+        });
+
+        it("Should update the panel settings keeping omitted fields", async function () {
+            const client = new ArbitrationPanelClient(await panel.getAddress(), owner);
+            const { events } = await client.setPanelConfig({ panelSize: 5, mode: "RANDOM" });
+            expect(events[0].args.mode).to.equal("RANDOM");
+            expect(await client.getConfig()).to.deep.equal({
+                panelSize: 5n,
+                evidencePeriod: BigInt(EVIDENCE_PERIOD),
+                votingPeriod: BigInt(VOTING_PERIOD),
+                mode: "RANDOM"
+            });
+        });
+    });
+});
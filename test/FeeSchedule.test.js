@@ -0,0 +1,327 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    RealEstateRentalClient,
+    FeeScheduleClient,
+    FEE_SCHEDULE_ABI,
+    feeBreakdown,
+    deployRealEstateRental
+} = require("../lib");
+
+describe("FeeSchedule", function () {
+    let realEstateRental, feeSchedule;
+    let owner, landlord, tenant, alice, bob;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+    const MONTHLY = 0;
+    const DAILY = 1;
+    const ETH = ethers.ZeroAddress;
+    const DAY = 24n * 60n * 60n;
+    const WEEK = 7n * DAY;
+    const [DEFAULT, UNIT, PROPERTY] = [0, 1, 2];
+
+    beforeEach(async function () {
+        [owner, landlord, tenant, alice, bob] = await ethers.getSigners();
+
+        realEstateRental = await deployRealEstateRental(ethers);
+        feeSchedule = await ethers.getContractAt("FeeSchedule", await realEstateRental.feeSchedule());
+    });
+
+    async function listProperty(unit = MONTHLY) {
+        return realEstateRental.connect(landlord).listProperty(
+            "123 Main Street, Paris", "Beautiful 2BR apartment", RENT_AMOUNT, SECURITY_DEPOSIT, unit, ETH
+        );
+    }
+
+    async function reserve(propertyId = 1, months = 3) {
+        await realEstateRental.connect(tenant).reserveProperty(propertyId, months, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+        return realEstateRental.agreementCounter();
+    }
+
+    async function landlordCredit(agreementId) {
+        await realEstateRental.connect(tenant).activateAgreement(agreementId);
+        return realEstateRental.getWithdrawableBalance(landlord.address, ETH);
+    }
+
+    describe("Rates", function () {
+        it("Should charge 2% on rent by default and nothing on late fees or deposits", async function () {
+            expect(await feeSchedule.ratesFor(1, MONTHLY)).to.deep.equal([200n, 0n, 0n]);
+            expect(await feeSchedule.FEE_CHANGE_DELAY()).to.equal(WEEK);
+            const [treasury, shares] = await feeSchedule.getTreasury();
+            expect(treasury).to.deep.equal([owner.address]);
+            expect(shares).to.deep.equal([10000n]);
+
+            const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+            const rental = await realEstateRental.getAddress();
+            await expect(FeeSchedule.deploy(rental, 1001, owner.address)).to.be.revertedWith("Fee too high");
+            await expect(FeeSchedule.deploy(rental, 200, ETH)).to.be.revertedWith("Invalid treasury");
+        });
+
+        it("Should only apply new rates once the timelock has passed", async function () {
+            await listProperty();
+            await expect(feeSchedule.scheduleRates(DEFAULT, 0, 1001, 0, 0)).to.be.revertedWith("Fee too high");
+            await expect(feeSchedule.scheduleRates(DEFAULT, 1, 500, 0, 0)).to.be.revertedWith("Invalid fee scope key");
+
+            const tx = await feeSchedule.scheduleRates(DEFAULT, 0, 500, 0, 0);
+            const effectiveAt = BigInt(await time.latest()) + WEEK;
+            await expect(tx).to.emit(feeSchedule, "FeeRatesScheduled").withArgs(DEFAULT, 0, 500, 0, 0, true, effectiveAt);
+            const [current, pending, at] = await feeSchedule.getRates(DEFAULT, 0);
+            expect(current.rentBps).to.equal(200);
+            expect(pending.rentBps).to.equal(500);
+            expect(at).to.equal(effectiveAt);
+
+            // Reserved and activated before the change: the old rate applies
+            await reserve(1, 1);
+            expect(await landlordCredit(1)).to.equal(RENT_AMOUNT - RENT_AMOUNT * 200n / 10000n);
+
+            await time.increaseTo(effectiveAt);
+            expect(await feeSchedule.ratesFor(1, MONTHLY)).to.deep.equal([500n, 0n, 0n]);
+            const [now, next, none] = await feeSchedule.getRates(DEFAULT, 0);
+            expect(now.rentBps).to.equal(500);
+            expect(next.set).to.be.false;
+            expect(none).to.equal(0);
+
+            await listProperty();
+            await reserve(2, 1);
+            const before = await realEstateRental.getWithdrawableBalance(landlord.address, ETH);
+            expect((await landlordCredit(2)) - before).to.equal(RENT_AMOUNT - RENT_AMOUNT * 500n / 10000n);
+        });
+
+        it("Should prefer the property's rates over its unit's, and its unit's over the defaults", async function () {
+            await listProperty(MONTHLY);
+            await listProperty(DAILY);
+            await listProperty(DAILY);
+            await feeSchedule.scheduleRates(UNIT, DAILY, 300, 0, 0);
+            await feeSchedule.scheduleRates(PROPERTY, 3, 100, 0, 0);
+            await expect(feeSchedule.scheduleRates(UNIT, 2, 100, 0, 0)).to.be.revertedWith("Invalid fee scope key");
+            await expect(feeSchedule.scheduleRates(PROPERTY, 0, 100, 0, 0)).to.be.revertedWith("Invalid fee scope key");
+            await time.increase(WEEK);
+
+            expect((await feeSchedule.ratesFor(1, MONTHLY))[0]).to.equal(200);
+            expect((await feeSchedule.ratesFor(2, DAILY))[0]).to.equal(300);
+            expect((await feeSchedule.ratesFor(3, DAILY))[0]).to.equal(100);
+
+            // Removing an override falls back on the next level, after the same delay
+            await expect(feeSchedule.scheduleRemoval(DEFAULT, 0)).to.be.revertedWith("Default rates cannot be removed");
+            await feeSchedule.scheduleRemoval(PROPERTY, 3);
+            expect((await feeSchedule.ratesFor(3, DAILY))[0]).to.equal(100);
+            await time.increase(WEEK);
+            expect((await feeSchedule.ratesFor(3, DAILY))[0]).to.equal(300);
+        });
+
+        it("Should let the fee manager cancel a change before it applies", async function () {
+            await expect(feeSchedule.cancelFeeChange(DEFAULT, 0)).to.be.revertedWith("No fee change scheduled");
+            await feeSchedule.scheduleRates(DEFAULT, 0, 1000, 0, 0);
+            await expect(feeSchedule.cancelFeeChange(DEFAULT, 0)).to.emit(feeSchedule, "FeeChangeCancelled").withArgs(DEFAULT, 0);
+            await time.increase(WEEK);
+            expect((await feeSchedule.ratesFor(1, MONTHLY))[0]).to.equal(200);
+
+            // Too late once it applies
+            await feeSchedule.scheduleRates(DEFAULT, 0, 300, 0, 0);
+            await time.increase(WEEK);
+            await expect(feeSchedule.cancelFeeChange(DEFAULT, 0)).to.be.revertedWith("No fee change scheduled");
+            expect((await feeSchedule.ratesFor(1, MONTHLY))[0]).to.equal(300);
+        });
+    });
+
+    describe("Fees withheld", function () {
+        beforeEach(async function () {
+            await feeSchedule.scheduleRates(DEFAULT, 0, 250, 1000, 500);
+            await time.increase(WEEK);
+            await listProperty();
+        });
+
+        it("Should take the late fee rate on late fees", async function () {
+            // 0.05 ETH + 10% per late period, after 5 days of grace
+            const lateFeeFlat = ethers.parseEther("0.05");
+            await realEstateRental.connect(landlord).setLateFeePolicy(1, 5n * DAY, lateFeeFlat, 10, 0);
+            await reserve(1, 3);
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            const agreement = await realEstateRental.getRentalAgreement(1);
+            await time.increaseTo(agreement.paidThroughDate + 10n * DAY);
+
+            const quote = await realEstateRental.quoteRent(1, 1);
+            expect(quote.lateFee).to.be.greaterThan(0);
+            const before = await realEstateRental.getWithdrawableBalance(landlord.address, ETH);
+            await realEstateRental.connect(tenant).payRent(1, 1, { value: quote.rent + quote.lateFee });
+
+            const fee = quote.rent * 250n / 10000n + quote.lateFee * 1000n / 10000n;
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH) - before)
+                .to.equal(quote.rent + quote.lateFee - fee);
+        });
+
+        it("Should take the deposit rate on the part of the deposit the landlord keeps", async function () {
+            await reserve(1, 1);
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            const before = await realEstateRental.getWithdrawableBalance(landlord.address, ETH);
+            const feesBefore = await feeSchedule.getUndistributed(ETH);
+
+            const deductions = ethers.parseEther("0.8");
+            const end = (await realEstateRental.getRentalAgreement(1)).endDate;
+            await time.increaseTo(end);
+            await realEstateRental.connect(landlord).claimDeductions(1, deductions, ethers.ZeroHash);
+            await expect(realEstateRental.connect(tenant).acceptDeductions(1))
+                .to.emit(realEstateRental, "PayoutCredited").withArgs(1, await feeSchedule.getAddress(), ETH, deductions * 500n / 10000n);
+
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH) - before)
+                .to.equal(deductions - deductions * 500n / 10000n);
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(SECURITY_DEPOSIT - deductions);
+            expect(await feeSchedule.getUndistributed(ETH) - feesBefore).to.equal(deductions * 500n / 10000n);
+        });
+
+        it("Should take no fee without a fee schedule", async function () {
+            await expect(realEstateRental.connect(landlord).setFeeSchedule(ETH))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(realEstateRental.setFeeSchedule(ETH)).to.emit(realEstateRental, "FeeScheduleUpdated").withArgs(ETH);
+
+            await reserve(1, 1);
+            expect(await landlordCredit(1)).to.equal(RENT_AMOUNT);
+            await realEstateRental.connect(tenant).terminateAgreement(1);
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH)).to.equal(RENT_AMOUNT + SECURITY_DEPOSIT);
+        });
+
+        it("Should cap the rates of a swapped-in fee schedule at 10%", async function () {
+            const greedy = await (await ethers.getContractFactory("GreedyFeeSchedule")).deploy();
+            await greedy.setRates(20000, 20000, 20000);
+            await realEstateRental.setFeeSchedule(await greedy.getAddress());
+
+            await reserve(1, 3);
+            expect(await landlordCredit(1)).to.equal(RENT_AMOUNT - RENT_AMOUNT / 10n);
+            await realEstateRental.connect(tenant).payRent(1, 1, { value: RENT_AMOUNT });
+            await realEstateRental.connect(tenant).terminateAgreement(1);
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH))
+                .to.equal((RENT_AMOUNT * 2n + SECURITY_DEPOSIT) * 9n / 10n);
+            expect(await realEstateRental.getWithdrawableBalance(await greedy.getAddress(), ETH))
+                .to.equal((RENT_AMOUNT * 2n + SECURITY_DEPOSIT) / 10n);
+        });
+    });
+
+    describe("Treasury", function () {
+        async function collectFees() {
+            await listProperty();
+            await reserve(1, 1);
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            return RENT_AMOUNT * 200n / 10000n;
+        }
+
+        it("Should only accept recipient shares adding up to 100%", async function () {
+            await expect(feeSchedule.setTreasury([], [])).to.be.revertedWith("Invalid treasury");
+            await expect(feeSchedule.setTreasury([alice.address], [5000, 5000])).to.be.revertedWith("Invalid treasury");
+            await expect(feeSchedule.setTreasury([alice.address, alice.address], [5000, 5000])).to.be.revertedWith("Invalid treasury");
+            await expect(feeSchedule.setTreasury([alice.address, ETH], [5000, 5000])).to.be.revertedWith("Invalid treasury");
+            await expect(feeSchedule.setTreasury([alice.address, bob.address], [5000, 4000])).to.be.revertedWith("Invalid shares");
+            await expect(feeSchedule.setTreasury([alice.address, bob.address], [10000, 0])).to.be.revertedWith("Invalid shares");
+            const many = (await ethers.getSigners()).slice(0, 11).map((s) => s.address);
+            await expect(feeSchedule.setTreasury(many, many.map(() => 1000))).to.be.revertedWith("Invalid treasury");
+
+            await expect(feeSchedule.setTreasury([alice.address, bob.address], [7000, 3000]))
+                .to.emit(feeSchedule, "TreasuryUpdated").withArgs([alice.address, bob.address], [7000, 3000]);
+        });
+
+        it("Should split distributed fees between the recipients, rounding to the first", async function () {
+            const fee = await collectFees();
+            await feeSchedule.setTreasury([alice.address, bob.address, owner.address], [3333, 3333, 3334]);
+            const distribution = feeSchedule.connect(tenant).distribute(ETH);
+            await expect(distribution).to.emit(feeSchedule, "FeesDistributed").withArgs(ETH, fee);
+            await expect(distribution).to.changeEtherBalances([realEstateRental, feeSchedule], [-fee, fee]);
+
+            const bobShare = fee * 3333n / 10000n;
+            const ownerShare = fee * 3334n / 10000n;
+            expect(await feeSchedule.getWithdrawableBalance(bob.address, ETH)).to.equal(bobShare);
+            expect(await feeSchedule.getWithdrawableBalance(owner.address, ETH)).to.equal(ownerShare);
+            expect(await feeSchedule.getWithdrawableBalance(alice.address, ETH)).to.equal(fee - bobShare - ownerShare);
+            expect(await feeSchedule.getUndistributed(ETH)).to.equal(0);
+
+            await expect(feeSchedule.connect(bob).withdraw(ETH)).to.changeEtherBalance(bob, bobShare);
+            await expect(feeSchedule.connect(bob).withdraw(ETH)).to.be.revertedWith("Nothing to withdraw");
+            await expect(feeSchedule.distribute(ETH)).to.be.revertedWith("No platform fees to distribute");
+        });
+
+        it("Should only take ETH from the rental", async function () {
+            await expect(owner.sendTransaction({ to: await feeSchedule.getAddress(), value: 1 }))
+                .to.be.revertedWith("Only the rental pays in");
+        });
+    });
+
+    describe("JavaScript client", function () {
+        let client, tenantClient, fees;
+
+        beforeEach(async function () {
+            client = new RealEstateRentalClient(await realEstateRental.getAddress(), owner);
+            tenantClient = client.connect(tenant);
+            fees = await FeeScheduleClient.fromRental(client);
+        });
+
+        it("Should ship an ABI artifact matching the compiled contract", async function () {
+            const artifact = await artifacts.readArtifact("FeeSchedule");
+            const signatures = (abi) => new ethers.Interface(abi).format().sort();
+            expect(signatures(FEE_SCHEDULE_ABI)).to.deep.equal(signatures(artifact.abi));
+        });
+
+        it("Should schedule rates by level name and report when they change", async function () {
+            await listProperty(DAILY);
+            const { effectiveAt } = await fees.scheduleRates("UNIT", "DAILY", { rentBps: 400, depositBps: 100 });
+            const level = await fees.getRates("UNIT", "DAILY");
+            expect(level.current.set).to.be.false;
+            expect(level.pending).to.deep.equal({ rentBps: 400n, lateFeeBps: 0n, depositBps: 100n, set: true });
+            expect(level.effectiveAt).to.equal(effectiveAt);
+
+            let { rates, changesAt } = await client.getFeeRates(1, "DAILY");
+            expect(rates).to.deep.equal({ rentBps: 200n, lateFeeBps: 0n, depositBps: 0n });
+            expect(changesAt).to.equal(effectiveAt);
+            ({ rates } = await client.getFeeRates(1, "DAILY", effectiveAt));
+            expect(rates.rentBps).to.equal(400n);
+
+            await time.increaseTo(effectiveAt);
+            expect(await fees.ratesFor(1, "DAILY")).to.deep.equal({ rentBps: 400n, lateFeeBps: 0n, depositBps: 100n });
+            expect((await client.getFeeRates(1, "DAILY")).changesAt).to.equal(0n);
+
+            await fees.setTreasury([{ account: alice.address, share: 6000 }, { account: bob.address, share: 4000 }]);
+            expect(await fees.getTreasury()).to.deep.equal([
+                { account: alice.address, share: 6000n },
+                { account: bob.address, share: 4000n }
+            ]);
+            await expect(fees.scheduleRates("WEEKLY", 0, {})).to.be.rejectedWith("Unknown enum name: WEEKLY");
+        });
+
+        it("Should quote the exact fees of a payment before it is sent", async function () {
+            await fees.scheduleRates("DEFAULT", 0, { rentBps: 333, lateFeeBps: 1000, depositBps: 750 });
+            await time.increase(WEEK);
+            await listProperty();
+            await realEstateRental.connect(landlord).setLateFeePolicy(1, 0, ethers.parseEther("0.03"), 7, 0);
+            await reserve(1, 3);
+
+            const activation = await client.quoteActivationFees(1);
+            expect(activation.rentFee).to.equal(RENT_AMOUNT * 333n / 10000n);
+            expect(activation.amount).to.equal(0n);
+            let before = await client.getWithdrawableBalance(landlord.address);
+            await tenantClient.activateAgreement(1);
+            expect(await client.getWithdrawableBalance(landlord.address) - before).to.equal(activation.landlordNet);
+
+            const { paidThroughDate } = await client.getRentalAgreement(1);
+            await time.increaseTo(paidThroughDate + 3n * DAY);
+            const rent = await client.quoteRentFees(1, 2);
+            expect(rent.lateFee).to.be.greaterThan(0n);
+            expect(rent).to.include(feeBreakdown(rent.rates, rent));
+            before = await client.getWithdrawableBalance(landlord.address);
+            const feesBefore = await fees.getUndistributed();
+            await tenantClient.payRent(1, 2);
+            expect(await client.getWithdrawableBalance(landlord.address) - before).to.equal(rent.landlordNet);
+            expect(await fees.getUndistributed() - feesBefore).to.equal(rent.platformFee);
+
+            const deposit = await client.quoteDepositFees(1);
+            expect(deposit.deposit).to.equal(SECURITY_DEPOSIT);
+            expect(deposit.depositFee).to.equal(SECURITY_DEPOSIT * 750n / 10000n);
+            before = await client.getWithdrawableBalance(landlord.address);
+            await tenantClient.terminateAgreement(1);
+            expect(await client.getWithdrawableBalance(landlord.address) - before).to.equal(deposit.landlordNet);
+
+            const { amount } = await fees.distribute();
+            expect((await client.getPlatformInfo()).accumulatedPlatformFees).to.equal(0n);
+            expect(amount).to.equal(activation.platformFee + rent.platformFee + deposit.platformFee);
+            expect(await fees.getWithdrawableBalance(owner.address)).to.equal(amount);
+        });
+    });
+});
@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { RealEstateRentalClient, deployRealEstateRental, LeaseSubletsClient, SUBLETS_ABI } = require("../lib");
+
+describe("LeaseSublets", function () {
+    let realEstateRental, sublets;
+    let landlord, tenant, subtenant, newTenant;
+    let agreementId;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+    const SUBLET_RENT = ethers.parseEther("1.2");
+    const MONTHLY = 0;
+    const ETH = ethers.ZeroAddress;
+    const OFFERED = 0, ACTIVE = 1, ENDED = 2; // SubletStatus
+
+    beforeEach(async function () {
+        [, landlord, tenant, subtenant, newTenant] = await ethers.getSigners();
+
+        realEstateRental = await deployRealEstateRental(ethers);
+        const LeaseSublets = await ethers.getContractFactory("LeaseSublets");
+        sublets = await LeaseSublets.deploy(await realEstateRental.getAddress());
+
+        await realEstateRental.connect(landlord).listProperty(
+            "123 Main Street, Paris", "Beautiful 2BR apartment", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH
+        );
+        await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+        agreementId = 1;
+        await realEstateRental.connect(tenant).activateAgreement(agreementId);
+    });
+
+    async function activeSublet(periods = 3) {
+        await sublets.connect(tenant).offerSublet(agreementId, subtenant.address, SUBLET_RENT, periods);
+        await sublets.connect(subtenant).acceptSublet(1);
+        return 1;
+    }
+
+    describe("Offers", function () {
+        it("Should record an offer from the tenant and activate it on acceptance", async function () {
+            await expect(sublets.connect(tenant).offerSublet(agreementId, subtenant.address, SUBLET_RENT, 3))
+                .to.emit(sublets, "SubletOffered").withArgs(1, agreementId, subtenant.address, SUBLET_RENT, 3);
+
+            let sublet = await sublets.getSublet(1);
+            expect(sublet.tenant).to.equal(tenant.address);
+            expect(sublet.paymentToken).to.equal(ETH);
+            expect(sublet.status).to.equal(OFFERED);
+            expect(await sublets.getAgreementSublets(agreementId)).to.deep.equal([1n]);
+
+            await expect(sublets.connect(tenant).acceptSublet(1)).to.be.revertedWith("Not the subtenant");
+            await expect(sublets.connect(subtenant).acceptSublet(1)).to.emit(sublets, "SubletAccepted").withArgs(1);
+            sublet = await sublets.getSublet(1);
+            expect(sublet.status).to.equal(ACTIVE);
+            await expect(sublets.connect(subtenant).acceptSublet(1)).to.be.revertedWith("Sublet not offered");
+        });
+
+        it("Should only take offers from the tenant of an active agreement", async function () {
+            await expect(
+                sublets.connect(landlord).offerSublet(agreementId, subtenant.address, SUBLET_RENT, 3)
+            ).to.be.revertedWith("Not the tenant");
+            for (const invalid of [ETH, tenant.address, landlord.address]) {
+                await expect(
+                    sublets.connect(tenant).offerSublet(agreementId, invalid, SUBLET_RENT, 3)
+                ).to.be.revertedWith("Invalid subtenant");
+            }
+            await expect(
+                sublets.connect(tenant).offerSublet(agreementId, subtenant.address, 0, 3)
+            ).to.be.revertedWith("Rent must be greater than 0");
+            await expect(
+                sublets.connect(tenant).offerSublet(agreementId, subtenant.address, SUBLET_RENT, 0)
+            ).to.be.revertedWith("Periods must be greater than 0");
+
+            await realEstateRental.connect(tenant).terminateAgreement(agreementId);
+            await expect(
+                sublets.connect(tenant).offerSublet(agreementId, subtenant.address, SUBLET_RENT, 3)
+            ).to.be.revertedWith("Agreement not active");
+            await expect(sublets.getSublet(1)).to.be.revertedWith("Sublet does not exist");
+        });
+    });
+
+    describe("Payments", function () {
+        it("Should credit sublet rent to the primary tenant", async function () {
+            const subletId = await activeSublet();
+            await expect(
+                sublets.connect(subtenant).paySubletRent(subletId, 2, { value: SUBLET_RENT })
+            ).to.be.revertedWith("Incorrect sublet rent amount");
+            await expect(sublets.connect(subtenant).paySubletRent(subletId, 2, { value: SUBLET_RENT * 2n }))
+                .to.emit(sublets, "SubletRentPaid").withArgs(subletId, agreementId, 2, SUBLET_RENT * 2n);
+            expect((await sublets.getSublet(subletId)).paidPeriods).to.equal(2);
+            expect(await sublets.getWithdrawableBalance(tenant.address, ETH)).to.equal(SUBLET_RENT * 2n);
+
+            await expect(
+                sublets.connect(subtenant).paySubletRent(subletId, 2, { value: SUBLET_RENT * 2n })
+            ).to.be.revertedWith("Overpayment: Sublet fully paid");
+
+            await expect(sublets.connect(tenant).withdraw(ETH)).to.changeEtherBalances(
+                [tenant, sublets], [SUBLET_RENT * 2n, -SUBLET_RENT * 2n]
+            );
+            await expect(sublets.connect(tenant).withdraw(ETH)).to.be.revertedWith("Nothing to withdraw");
+        });
+
+        it("Should stop payments once the tenant no longer holds the lease", async function () {
+            const subletId = await activeSublet();
+            await realEstateRental.connect(tenant).proposeAssignment(agreementId, newTenant.address);
+            await realEstateRental.connect(landlord).approveAssignment(agreementId, newTenant.address);
+
+            await expect(
+                sublets.connect(subtenant).paySubletRent(subletId, 1, { value: SUBLET_RENT })
+            ).to.be.revertedWith("Primary lease not held");
+
+            await expect(
+                sublets.connect(tenant).offerSublet(agreementId, subtenant.address, SUBLET_RENT, 1)
+            ).to.be.revertedWith("Not the tenant");
+        });
+
+        it("Should stop payments once either party ends the sublet", async function () {
+            const subletId = await activeSublet();
+            await sublets.connect(subtenant).paySubletRent(subletId, 1, { value: SUBLET_RENT });
+            await expect(sublets.connect(landlord).endSublet(subletId)).to.be.revertedWith("Not authorized");
+            await expect(sublets.connect(subtenant).endSublet(subletId))
+                .to.emit(sublets, "SubletEnded").withArgs(subletId, subtenant.address);
+            expect((await sublets.getSublet(subletId)).status).to.equal(ENDED);
+            await expect(sublets.connect(tenant).endSublet(subletId)).to.be.revertedWith("Sublet already ended");
+
+            await expect(
+                sublets.connect(subtenant).paySubletRent(subletId, 1, { value: SUBLET_RENT })
+            ).to.be.revertedWith("Sublet not active");
+            // Periods already paid stay with the tenant
+            expect(await sublets.getWithdrawableBalance(tenant.address, ETH)).to.equal(SUBLET_RENT);
+        });
+
+        it("Should collect token rent for token-priced agreements", async function () {
+            const USD_RENT = 1_000_000_000n;
+            const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+            const stablecoin = await MockStablecoin.deploy();
+            const token = await stablecoin.getAddress();
+            await realEstateRental.setPaymentTokenAllowed(token, true);
+            await realEstateRental.connect(landlord).listProperty(
+                "5 Quai de Seine, Paris", "Studio by the canal", USD_RENT, USD_RENT, MONTHLY, token
+            );
+            await stablecoin.mint(tenant.address, USD_RENT * 2n);
+            await stablecoin.connect(tenant).approve(await realEstateRental.getAddress(), USD_RENT * 2n);
+            await realEstateRental.connect(tenant).reserveProperty(2, 3, 0);
+            await realEstateRental.connect(tenant).activateAgreement(2);
+
+            await sublets.connect(tenant).offerSublet(2, subtenant.address, USD_RENT, 2);
+            await sublets.connect(subtenant).acceptSublet(1);
+            await stablecoin.mint(subtenant.address, USD_RENT);
+            await stablecoin.connect(subtenant).approve(await sublets.getAddress(), USD_RENT);
+            await expect(
+                sublets.connect(subtenant).paySubletRent(1, 1, { value: 1 })
+            ).to.be.revertedWith("ETH sent for a token payment");
+            await sublets.connect(subtenant).paySubletRent(1, 1);
+            expect(await sublets.getWithdrawableBalance(tenant.address, token)).to.equal(USD_RENT);
+        });
+    });
+
+    describe("JavaScript client", function () {
+        it("Should ship an ABI artifact matching the compiled contract", async function () {
+            const artifact = await artifacts.readArtifact("LeaseSublets");
+            const signatures = (abi) => new ethers.Interface(abi).format().sort();
+            expect(signatures(SUBLETS_ABI)).to.deep.equal(signatures(artifact.abi));
+        });
+
+        it("Should offer, accept and pay a sublet", async function () {
+            const tenantSublets = new LeaseSubletsClient(await sublets.getAddress(), tenant);
+            const { subletId } = await tenantSublets.offerSublet(agreementId, {
+                subtenant: subtenant.address,
+                rentAmount: SUBLET_RENT,
+                periods: 2
+            });
+            expect(subletId).to.equal(1n);
+
+            const subtenantSublets = tenantSublets.connect(subtenant);
+            await subtenantSublets.acceptSublet(subletId);
+            const { events } = await subtenantSublets.paySubletRent(subletId, 2);
+            expect(events[0].name).to.equal("SubletRentPaid");
+            expect(events[0].args.amount).to.equal(SUBLET_RENT * 2n);
+
+            const [sublet] = await tenantSublets.getAgreementSublets(agreementId);
+            expect(sublet.status).to.equal("ACTIVE");
+            expect(sublet.paidPeriods).to.equal(2n);
+            expect(await tenantSublets.getWithdrawableBalance(tenant.address)).to.equal(SUBLET_RENT * 2n);
+            await tenantSublets.withdraw();
+            expect(await tenantSublets.getWithdrawableBalance(tenant.address)).to.equal(0n);
+        });
+
+        it("Should assign the lease through the rental client", async function () {
+            const rental = new RealEstateRentalClient(await realEstateRental.getAddress(), tenant);
+            await rental.proposeAssignment(agreementId, newTenant.address);
+            expect(await rental.getPendingAssignment(agreementId)).to.equal(newTenant.address);
+
+            const { events } = await rental.connect(landlord).approveAssignment(agreementId);
+            expect(events.map((e) => e.name)).to.deep.equal(["LeaseAssigned"]);
+            expect(await rental.getPendingAssignment(agreementId)).to.equal(null);
+            expect((await rental.getRentalAgreement(agreementId)).tenant).to.equal(newTenant.address);
+            await expect(rental.connect(landlord).approveAssignment(agreementId)).to.be.rejectedWith("No assignment proposed for agreement 1");
+        });
+    });
+});
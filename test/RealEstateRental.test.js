@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployRealEstateRental, addMonths } = require("../lib");
 
 describe("RealEstateRental", function () {
     let realEstateRental;
@@ -9,12 +11,13 @@ describe("RealEstateRental", function () {
     
     const RENT_AMOUNT = ethers.parseEther("1.0"); // 1 ETH per month
     const SECURITY_DEPOSIT = ethers.parseEther("2.0"); // 2 ETH security deposit
+    const MONTHLY = 0; // RentUnit.MONTHLY
+    const ETH = ethers.ZeroAddress; // paymentToken for rent paid in ETH
     
     beforeEach(async function () {
         [owner, landlord, tenant, tenant2] = await ethers.getSigners();
         
-        const RealEstateRental = await ethers.getContractFactory("RealEstateRental");
-        realEstateRental = await RealEstateRental.deploy();
+        realEstateRental = await deployRealEstateRental(ethers);
     });
     
     describe("Property Listing", function () {
@@ -23,7 +26,9 @@ describe("RealEstateRental", function () {
                 "123 Main Street, Paris",
                 "Beautiful 2BR apartment",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             
             const receipt = await tx.wait();
@@ -39,7 +44,7 @@ describe("RealEstateRental", function () {
             
             const property = await realEstateRental.getProperty(1);
             expect(property.owner).to.equal(landlord.address);
-            expect(property.rentPerMonth).to.equal(RENT_AMOUNT);
+            expect(property.rentBaseAmount).to.equal(RENT_AMOUNT);
             expect(property.isAvailable).to.be.true;
         });
         
@@ -49,10 +54,25 @@ describe("RealEstateRental", function () {
                     "123 Main Street",
                     "Description",
                     0,
-                    SECURITY_DEPOSIT
+                    SECURITY_DEPOSIT,
+                    MONTHLY,
+                    ETH
                 )
             ).to.be.revertedWith("Rent must be greater than 0");
         });
+
+        it("Should let the owner reference a metadata document by hash", async function () {
+            await realEstateRental.connect(landlord).listProperty("", "", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+            expect((await realEstateRental.getProperty(1)).metadataHash).to.equal(ethers.ZeroHash);
+
+            const metadataHash = ethers.id("metadata");
+            await expect(realEstateRental.connect(tenant).setPropertyMetadata(1, metadataHash))
+                .to.be.revertedWith("Not property owner");
+            await expect(realEstateRental.connect(landlord).setPropertyMetadata(1, metadataHash))
+                .to.emit(realEstateRental, "PropertyMetadataUpdated")
+                .withArgs(1, metadataHash);
+            expect((await realEstateRental.getProperty(1)).metadataHash).to.equal(metadataHash);
+        });
     });
     
     describe("Rental Agreement Creation", function () {
@@ -61,7 +81,9 @@ describe("RealEstateRental", function () {
                 "123 Main Street, Paris",
                 "Beautiful 2BR apartment",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             propertyId = 1;
         });
@@ -70,9 +92,10 @@ describe("RealEstateRental", function () {
             const totalPayment = RENT_AMOUNT + SECURITY_DEPOSIT;
             
             await expect(
-                realEstateRental.connect(tenant).createRentalAgreement(
+                realEstateRental.connect(tenant).reserveProperty(
                     propertyId,
                     6, // 6 months
+                    0,
                     { value: totalPayment }
                 )
             ).to.emit(realEstateRental, "AgreementCreated");
@@ -81,7 +104,7 @@ describe("RealEstateRental", function () {
             expect(agreement.tenant).to.equal(tenant.address);
             expect(agreement.landlord).to.equal(landlord.address);
             expect(agreement.rentAmount).to.equal(RENT_AMOUNT);
-            expect(agreement.status).to.equal(1); // ACTIVE
+            expect(agreement.status).to.equal(0); // PENDING_RESERVATION until the keys are handed over
             
             const property = await realEstateRental.getProperty(propertyId);
             expect(property.isAvailable).to.be.false;
@@ -89,75 +112,1214 @@ describe("RealEstateRental", function () {
         
         it("Should fail if payment amount is incorrect", async function () {
             await expect(
-                realEstateRental.connect(tenant).createRentalAgreement(
+                realEstateRental.connect(tenant).reserveProperty(
                     propertyId,
                     6,
+                    0,
                     { value: RENT_AMOUNT } // Missing security deposit
                 )
-            ).to.be.revertedWith("Incorrect payment amount");
+            ).to.be.revertedWith("Payment mismatch: initial funds required for reservation");
         });
         
         it("Should fail if owner tries to rent own property", async function () {
             const totalPayment = RENT_AMOUNT + SECURITY_DEPOSIT;
             
             await expect(
-                realEstateRental.connect(landlord).createRentalAgreement(
+                realEstateRental.connect(landlord).reserveProperty(
                     propertyId,
                     6,
+                    0,
                     { value: totalPayment }
                 )
             ).to.be.revertedWith("Owner cannot rent own property");
         });
     });
     
-    describe("Monthly Rent Payment", function () {
+    describe("Applications", function () {
+        const TOTAL = RENT_AMOUNT + SECURITY_DEPOSIT;
+        const MESSAGE_HASH = ethers.id("Hello, I am a quiet tenant");
+        let other;
+        
+        beforeEach(async function () {
+            [, , , other] = await ethers.getSigners();
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            propertyId = 1;
+            await expect(
+                realEstateRental.connect(landlord).setApplicationRequired(propertyId, true)
+            ).to.emit(realEstateRental, "ApplicationRequiredUpdated").withArgs(propertyId, true);
+        });
+        
+        it("Should require an application before reserving a screened property", async function () {
+            await expect(
+                realEstateRental.connect(tenant).reserveProperty(propertyId, 6, 0, { value: TOTAL })
+            ).to.be.revertedWith("Application required");
+            await expect(
+                realEstateRental.connect(tenant).setApplicationRequired(propertyId, false)
+            ).to.be.revertedWith("Not property owner");
+        });
+        
+        it("Should reserve after the landlord accepts, for the duration applied for", async function () {
+            await expect(
+                realEstateRental.connect(tenant).applyForProperty(propertyId, 3, 10, MESSAGE_HASH)
+            ).to.emit(realEstateRental, "ApplicationSubmitted").withArgs(1, propertyId, tenant.address, MESSAGE_HASH);
+            
+            let pending = await realEstateRental.getPendingApplicationsForProperty(propertyId);
+            expect(pending.map((a) => a.applicant)).to.deep.equal([tenant.address]);
+            expect(pending[0].messageHash).to.equal(MESSAGE_HASH);
+            
+            // Not accepted yet
+            await expect(
+                realEstateRental.connect(tenant).reserveFromApplication(1, { value: TOTAL })
+            ).to.be.revertedWith("Application not accepted");
+            await expect(
+                realEstateRental.connect(tenant).acceptApplication(1)
+            ).to.be.revertedWith("Not property owner");
+            
+            await expect(
+                realEstateRental.connect(landlord).acceptApplication(1)
+            ).to.emit(realEstateRental, "ApplicationAccepted");
+            await expect(
+                realEstateRental.connect(other).reserveFromApplication(1, { value: TOTAL })
+            ).to.be.revertedWith("Not the applicant");
+            
+            await expect(
+                realEstateRental.connect(tenant).reserveFromApplication(1, { value: TOTAL })
+            ).to.emit(realEstateRental, "AgreementCreated").withArgs(1, propertyId, tenant.address, landlord.address);
+            
+            const agreement = await realEstateRental.getRentalAgreement(1);
+            expect(agreement.endDate).to.equal(addMonths(agreement.startDate, 3) + 10n * 24n * 60n * 60n);
+            expect((await realEstateRental.getApplication(1)).status).to.equal(4); // FUNDED
+            expect(await realEstateRental.getPendingApplicationsForTenant(tenant.address)).to.deep.equal([]);
+            
+            await expect(
+                realEstateRental.connect(tenant).reserveFromApplication(1, { value: TOTAL })
+            ).to.be.revertedWith("Application not accepted");
+        });
+        
+        it("Should let the accepted applicant fund only before the deadline", async function () {
+            await realEstateRental.connect(tenant).applyForProperty(propertyId, 6, 0, ethers.ZeroHash);
+            await realEstateRental.connect(landlord).acceptApplication(1);
+            
+            const { reserveDeadline } = await realEstateRental.getApplication(1);
+            await time.increaseTo(reserveDeadline + 1n);
+            
+            await expect(
+                realEstateRental.connect(tenant).reserveFromApplication(1, { value: TOTAL })
+            ).to.be.revertedWith("Application reserve deadline passed");
+            expect(await realEstateRental.getPendingApplicationsForProperty(propertyId)).to.deep.equal([]);
+        });
+        
+        it("Should drop declined and withdrawn applications from the pending views", async function () {
+            await realEstateRental.connect(tenant).applyForProperty(propertyId, 6, 0, ethers.ZeroHash);
+            await realEstateRental.connect(other).applyForProperty(propertyId, 2, 0, ethers.ZeroHash);
+            await realEstateRental.connect(tenant).applyForProperty(propertyId, 1, 0, ethers.ZeroHash);
+            
+            await expect(
+                realEstateRental.connect(landlord).declineApplication(1)
+            ).to.emit(realEstateRental, "ApplicationDeclined").withArgs(1);
+            await expect(
+                realEstateRental.connect(landlord).acceptApplication(1)
+            ).to.be.revertedWith("Application not pending");
+            
+            await expect(
+                realEstateRental.connect(landlord).withdrawApplication(2)
+            ).to.be.revertedWith("Not the applicant");
+            await expect(
+                realEstateRental.connect(other).withdrawApplication(2)
+            ).to.emit(realEstateRental, "ApplicationWithdrawn").withArgs(2);
+            
+            const pending = await realEstateRental.getPendingApplicationsForProperty(propertyId);
+            expect(pending.map((a) => a.applicationId)).to.deep.equal([3n]);
+            expect((await realEstateRental.getPendingApplicationsForTenant(tenant.address)).length).to.equal(1);
+            expect(await realEstateRental.getPendingApplicationsForTenant(other.address)).to.deep.equal([]);
+        });
+        
+        it("Should let only one accepted applicant take the property", async function () {
+            await realEstateRental.connect(tenant).applyForProperty(propertyId, 6, 0, ethers.ZeroHash);
+            await realEstateRental.connect(other).applyForProperty(propertyId, 6, 0, ethers.ZeroHash);
+            await realEstateRental.connect(landlord).acceptApplication(1);
+            await realEstateRental.connect(landlord).acceptApplication(2);
+            
+            await realEstateRental.connect(other).reserveFromApplication(2, { value: TOTAL });
+            await expect(
+                realEstateRental.connect(tenant).reserveFromApplication(1, { value: TOTAL })
+            ).to.be.revertedWith("Property not available");
+        });
+    });
+    
+    describe("Pending Reservation Exits", function () {
+        const TOTAL = RENT_AMOUNT + SECURITY_DEPOSIT;
+        const CANCELLED = 5;
+        
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: TOTAL });
+            agreementId = 1;
+        });
+        
+        async function expectRefunded() {
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.status).to.equal(CANCELLED);
+            expect((await realEstateRental.getProperty(1)).isAvailable).to.be.true;
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(TOTAL);
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH)).to.equal(0);
+            
+            await expect(
+                realEstateRental.connect(tenant).withdraw(ETH)
+            ).to.changeEtherBalance(tenant, TOTAL);
+        }
+        
+        it("Should let the tenant cancel with a full refund", async function () {
+            await expect(
+                realEstateRental.connect(landlord).cancelReservation(agreementId)
+            ).to.be.revertedWith("Only tenant can cancel reservation");
+            
+            await expect(
+                realEstateRental.connect(tenant).cancelReservation(agreementId)
+            ).to.emit(realEstateRental, "ReservationCancelled").withArgs(agreementId, TOTAL);
+            await expectRefunded();
+        });
+        
+        it("Should let the landlord reject with a full refund", async function () {
+            await expect(
+                realEstateRental.connect(tenant).rejectReservation(agreementId)
+            ).to.be.revertedWith("Only landlord can reject reservation");
+            
+            await expect(
+                realEstateRental.connect(landlord).rejectReservation(agreementId)
+            ).to.emit(realEstateRental, "ReservationRejected").withArgs(agreementId, TOTAL);
+            await expectRefunded();
+        });
+        
+        it("Should expire after the handover window", async function () {
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.handoverDeadline).to.equal(agreement.startDate + 7n * 24n * 60n * 60n);
+            
+            await expect(
+                realEstateRental.connect(owner).expireReservation(agreementId)
+            ).to.be.revertedWith("Handover window not over");
+            
+            await time.increaseTo(agreement.handoverDeadline + 1n);
+            await expect(
+                realEstateRental.connect(owner).expireReservation(agreementId)
+            ).to.emit(realEstateRental, "ReservationExpired").withArgs(agreementId, TOTAL);
+            await expectRefunded();
+            
+            // The property can be reserved again
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: TOTAL });
+            expect((await realEstateRental.getRentalAgreement(2)).status).to.equal(0);
+        });
+        
+        it("Should only exit reservations that are still pending", async function () {
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+            
+            await expect(
+                realEstateRental.connect(tenant).cancelReservation(agreementId)
+            ).to.be.revertedWith("Agreement is not in PENDING_RESERVATION status");
+            await expect(
+                realEstateRental.connect(landlord).rejectReservation(agreementId)
+            ).to.be.revertedWith("Agreement is not in PENDING_RESERVATION status");
+            
+            await time.increase(8 * 24 * 60 * 60);
+            await expect(
+                realEstateRental.connect(owner).expireReservation(agreementId)
+            ).to.be.revertedWith("Agreement is not in PENDING_RESERVATION status");
+        });
+        
+        it("Should apply a new handover window to later reservations only", async function () {
+            await expect(
+                realEstateRental.connect(owner).setHandoverWindow(12 * 60 * 60)
+            ).to.be.revertedWith("Handover window out of range");
+            await expect(
+                realEstateRental.connect(landlord).setHandoverWindow(2 * 24 * 60 * 60)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            
+            await expect(
+                realEstateRental.connect(owner).setHandoverWindow(2 * 24 * 60 * 60)
+            ).to.emit(realEstateRental, "HandoverWindowUpdated").withArgs(2 * 24 * 60 * 60);
+            
+            await time.increase(3 * 24 * 60 * 60);
+            await expect(
+                realEstateRental.connect(owner).expireReservation(agreementId)
+            ).to.be.revertedWith("Handover window not over");
+        });
+    });
+    
+    describe("Monthly Rent Payment", function () {
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            
+            const totalPayment = RENT_AMOUNT + SECURITY_DEPOSIT;
+            await realEstateRental.connect(tenant).reserveProperty(
+                1,
+                6,
+                0,
+                { value: totalPayment }
+            );
+            agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+        });
+        
+        it("Should accept monthly rent payment after 25 days", async function () {
+            // Fast forward 26 days
+            await time.increase(26 * 24 * 60 * 60);
+            
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, {
+                    value: RENT_AMOUNT
+                })
+            ).to.emit(realEstateRental, "RentPaid");
+            
+            // totalPaid includes the deposit escrowed at reservation
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.totalPaid).to.equal(RENT_AMOUNT * 2n + SECURITY_DEPOSIT);
+        });
+        
+        it("Should prepay the rest of the term at once, and no more", async function () {
+            const { startDate } = await realEstateRental.getRentalAgreement(agreementId);
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 5, {
+                    value: RENT_AMOUNT * 5n
+                })
+            ).to.emit(realEstateRental, "RentPaid").withArgs(agreementId, RENT_AMOUNT * 5n, anyValue);
+            
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.paidThroughDate).to.equal(addMonths(startDate, 6));
+            expect(agreement.totalPaid).to.equal(RENT_AMOUNT * 6n + SECURITY_DEPOSIT);
+            
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, {
+                    value: RENT_AMOUNT
+                })
+            ).to.be.revertedWith("Overpayment: Contract duration fully paid");
+        });
+        
+        it("Should fail if wrong amount is sent", async function () {
+            await time.increase(26 * 24 * 60 * 60);
+            
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, {
+                    value: RENT_AMOUNT / 2n
+                })
+            ).to.be.revertedWith("Incorrect rent amount for the specified period");
+        });
+    });
+    
+    describe("Calendar Months", function () {
+        const utc = (year, month, day) => BigInt(Date.UTC(year, month - 1, day, 12)) / 1000n; // Noon UTC
+        let year;
+
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            // Reserve on January 31st: the shortest months clamp the due date
+            year = new Date((await time.latest()) * 1000).getUTCFullYear() + 1;
+            await time.setNextBlockTimestamp(utc(year, 1, 31));
+            await realEstateRental.connect(tenant).reserveProperty(1, 12, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+        });
+
+        it("Should end a 12-month lease on the same date a year later", async function () {
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.startDate).to.equal(utc(year, 1, 31));
+            expect(agreement.endDate).to.equal(utc(year + 1, 1, 31));
+        });
+
+        it("Should fall due on the same day of each month, clamped at month end", async function () {
+            const lastOfFebruary = new Date(Date.UTC(year, 2, 0)).getUTCDate();
+            expect((await realEstateRental.getPaymentStatus(agreementId)).nextDueDate).to.equal(utc(year, 2, lastOfFebruary));
+
+            await realEstateRental.connect(tenant).payRent(agreementId, 1, { value: RENT_AMOUNT });
+            expect((await realEstateRental.getRentalAgreement(agreementId)).paidThroughDate).to.equal(utc(year, 3, 31));
+            await realEstateRental.connect(tenant).payRent(agreementId, 1, { value: RENT_AMOUNT });
+            expect((await realEstateRental.getRentalAgreement(agreementId)).paidThroughDate).to.equal(utc(year, 4, 30));
+        });
+
+        it("Should take exactly twelve monthly rents over the year", async function () {
+            await realEstateRental.connect(tenant).payRent(agreementId, 11, { value: RENT_AMOUNT * 11n });
+            expect((await realEstateRental.getRentalAgreement(agreementId)).paidThroughDate).to.equal(utc(year + 1, 1, 31));
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Overpayment: Contract duration fully paid");
+        });
+    });
+    
+    describe("Late Fees and Arrears", function () {
+        const DAY = 24n * 60n * 60n;
+        const LATE_FEE_FLAT = ethers.parseEther("0.05");
+        const LATE_FEE = LATE_FEE_FLAT + RENT_AMOUNT / 10n; // flat + 10%
+        let startDate;
+
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            // 5 days of grace, 0.05 ETH + 10% per late period, termination beyond 1 missed period
+            await realEstateRental.connect(landlord).setLateFeePolicy(1, 5n * DAY, LATE_FEE_FLAT, 10, 1);
+
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+            startDate = (await realEstateRental.getRentalAgreement(agreementId)).startDate;
+        });
+
+        it("Should only let the property owner set a bounded policy", async function () {
+            await expect(
+                realEstateRental.connect(tenant).setLateFeePolicy(1, 0, 0, 0, 0)
+            ).to.be.revertedWith("Not property owner");
+            await expect(
+                realEstateRental.connect(landlord).setLateFeePolicy(1, 31n * DAY, 0, 0, 0)
+            ).to.be.revertedWith("Grace period too long");
+            await expect(
+                realEstateRental.connect(landlord).setLateFeePolicy(1, 0, 0, 21, 0)
+            ).to.be.revertedWith("Late fee percentage too high");
+
+            await expect(realEstateRental.connect(landlord).setLateFeePolicy(1, DAY, 0, 5, 3))
+                .to.emit(realEstateRental, "LateFeePolicyUpdated").withArgs(1, DAY, 0, 5, 3);
+            const policy = await realEstateRental.getLateFeePolicy(1);
+            expect(policy.lateFeePercentage).to.equal(5);
+        });
+
+        it("Should report the next due date and the amount due", async function () {
+            let status = await realEstateRental.getPaymentStatus(agreementId);
+            expect(status.nextDueDate).to.equal(addMonths(startDate, 1));
+            expect(status.amountDue).to.equal(RENT_AMOUNT);
+            expect(status.daysOverdue).to.equal(0);
+            expect(status.missedPeriods).to.equal(0);
+
+            // Within the grace period: overdue, but no late fee yet
+            await time.increaseTo(addMonths(startDate, 1) + 3n * DAY);
+            status = await realEstateRental.getPaymentStatus(agreementId);
+            expect(status.daysOverdue).to.equal(3);
+            expect(status.lateFee).to.equal(0);
+            expect(status.missedPeriods).to.equal(0);
+
+            await time.increaseTo(addMonths(startDate, 1) + 6n * DAY);
+            status = await realEstateRental.getPaymentStatus(agreementId);
+            expect(status.lateFee).to.equal(LATE_FEE);
+            expect(status.amountDue).to.equal(RENT_AMOUNT + LATE_FEE);
+            expect(status.missedPeriods).to.equal(1);
+            expect(status.arrears).to.equal(RENT_AMOUNT + LATE_FEE);
+            expect(status.arrearsTerminable).to.be.false;
+        });
+
+        it("Should charge the late fee after the grace period and credit it to the landlord", async function () {
+            await time.increaseTo(addMonths(startDate, 1) + 6n * DAY);
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Incorrect rent amount for the specified period");
+
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, { value: RENT_AMOUNT + LATE_FEE })
+            ).to.emit(realEstateRental, "LateFeePaid").withArgs(agreementId, LATE_FEE);
+
+            const netRent = RENT_AMOUNT - (RENT_AMOUNT * 2n) / 100n;
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH)).to.equal(netRent * 2n + LATE_FEE);
+            // totalPaid tracks rent and deposit only
+            expect((await realEstateRental.getRentalAgreement(agreementId)).totalPaid)
+                .to.equal(RENT_AMOUNT * 2n + SECURITY_DEPOSIT);
+            expect((await realEstateRental.getPaymentStatus(agreementId)).nextDueDate).to.equal(addMonths(startDate, 2));
+        });
+
+        it("Should let a tenant in arrears catch up in a single payment", async function () {
+            await time.increaseTo(addMonths(startDate, 2) + 6n * DAY);
+            expect((await realEstateRental.getPaymentStatus(agreementId)).missedPeriods).to.equal(2);
+
+            // One late fee per missed period, none on the current one (due in the third month)
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 3, { value: RENT_AMOUNT * 3n + LATE_FEE * 2n })
+            ).to.emit(realEstateRental, "LateFeePaid").withArgs(agreementId, LATE_FEE * 2n);
+            const status = await realEstateRental.getPaymentStatus(agreementId);
+            expect(status.missedPeriods).to.equal(0);
+            expect(status.nextDueDate).to.equal(addMonths(startDate, 4));
+        });
+
+        it("Should let the landlord terminate beyond the arrears threshold, applying the deposit", async function () {
+            await time.increaseTo(addMonths(startDate, 1) + 6n * DAY);
+            await expect(
+                realEstateRental.connect(landlord).terminateForArrears(agreementId)
+            ).to.be.revertedWith("Arrears threshold not reached");
+
+            await time.increaseTo(addMonths(startDate, 2) + 6n * DAY);
+            await expect(
+                realEstateRental.connect(tenant).terminateForArrears(agreementId)
+            ).to.be.revertedWith("Not the landlord");
+
+            const arrears = (RENT_AMOUNT + LATE_FEE) * 2n;
+            await expect(realEstateRental.connect(landlord).terminateForArrears(agreementId))
+                .to.emit(realEstateRental, "ArrearsApplied").withArgs(agreementId, arrears, SECURITY_DEPOSIT)
+                .and.to.emit(realEstateRental, "AgreementTerminated").withArgs(agreementId, landlord.address);
+
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.status).to.equal(3); // TERMINATED
+            expect((await realEstateRental.getProperty(1)).isAvailable).to.be.true;
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(0);
+        });
+
+        it("Should keep the policy of the agreement when the property's changes", async function () {
+            await realEstateRental.connect(landlord).setLateFeePolicy(1, 0, 0, 0, 0);
+            await time.increaseTo(addMonths(startDate, 1) + 6n * DAY);
+            expect((await realEstateRental.getPaymentStatus(agreementId)).lateFee).to.equal(LATE_FEE);
+        });
+    });
+
+    describe("Prepayment", function () {
+        const DAY = 24n * 60n * 60n;
+        const DAILY_RENT = ethers.parseEther("0.1");
+        const DAILY = 1; // RentUnit.DAILY
+        let startDate;
+
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "5 Quai de Seine, Paris",
+                "Studio by the canal",
+                DAILY_RENT,
+                SECURITY_DEPOSIT,
+                DAILY,
+                ETH
+            );
+            // 10% off the days paid ahead, from 7 days paid together
+            await realEstateRental.connect(landlord).setPrepaymentDiscount(1, 7, 10);
+
+            await realEstateRental.connect(tenant).reserveProperty(1, 0, 20, { value: DAILY_RENT + SECURITY_DEPOSIT });
+            agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+            startDate = (await realEstateRental.getRentalAgreement(agreementId)).startDate;
+        });
+
+        it("Should only let the property owner set a bounded discount", async function () {
+            await expect(
+                realEstateRental.connect(tenant).setPrepaymentDiscount(1, 1, 5)
+            ).to.be.revertedWith("Not property owner");
+            await expect(
+                realEstateRental.connect(landlord).setPrepaymentDiscount(1, 1, 51)
+            ).to.be.revertedWith("Prepayment discount too high");
+
+            await expect(realEstateRental.connect(landlord).setPrepaymentDiscount(1, 3, 5))
+                .to.emit(realEstateRental, "PrepaymentDiscountUpdated").withArgs(1, 3, 5);
+            const discount = await realEstateRental.getPrepaymentDiscount(1);
+            expect(discount.minPeriods).to.equal(3);
+            expect(discount.percentage).to.equal(5);
+        });
+
+        it("Should pay a 20-day stay in a single transaction with the discount", async function () {
+            expect((await realEstateRental.getRentalAgreement(agreementId)).paidThroughDate).to.equal(startDate + DAY);
+
+            const discount = (DAILY_RENT * 19n) / 10n;
+            const quote = await realEstateRental.quoteRent(agreementId, 19);
+            expect(quote.rent).to.equal(DAILY_RENT * 19n);
+            expect(quote.discount).to.equal(discount);
+            expect(quote.paidThroughDate).to.equal(startDate + 20n * DAY);
+
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 19, { value: DAILY_RENT * 19n - discount })
+            ).to.emit(realEstateRental, "PrepaymentDiscountApplied").withArgs(agreementId, discount)
+                .and.to.emit(realEstateRental, "RentPaid").withArgs(agreementId, DAILY_RENT * 19n - discount, anyValue);
+
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.paidThroughDate).to.equal(startDate + 20n * DAY);
+            expect(agreement.totalPaid).to.equal(DAILY_RENT * 20n - discount + SECURITY_DEPOSIT);
+            expect((await realEstateRental.getPaymentStatus(agreementId)).nextDueDate).to.equal(0);
+            // The platform fee (2%) is taken on the discounted rent
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH))
+                .to.equal(((DAILY_RENT * 20n - discount) * 98n) / 100n);
+
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, { value: DAILY_RENT })
+            ).to.be.revertedWith("Overpayment: Contract duration fully paid");
+        });
+
+        it("Should not discount fewer periods than the minimum", async function () {
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 6, { value: (DAILY_RENT * 6n * 9n) / 10n })
+            ).to.be.revertedWith("Incorrect rent amount for the specified period");
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 6, { value: DAILY_RENT * 6n })
+            ).to.not.emit(realEstateRental, "PrepaymentDiscountApplied");
+        });
+
+        it("Should only discount the periods not yet due", async function () {
+            // Days 1 to 3 are due, the 7 others of the payment are paid ahead
+            await time.increaseTo(startDate + 3n * DAY + 3600n);
+            const quote = await realEstateRental.quoteRent(agreementId, 10);
+            expect(quote.discount).to.equal((DAILY_RENT * 7n) / 10n);
+            expect(quote.lateFee).to.equal(0);
+        });
+
+        it("Should reject a payment beyond the end of the term", async function () {
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 20, { value: DAILY_RENT * 20n })
+            ).to.be.revertedWith("Overpayment: Contract duration fully paid");
+        });
+    });
+    
+    describe("Booking Calendar", function () {
+        const DAY = 24n * 60n * 60n;
+        const DAILY_RENT = ethers.parseEther("0.1");
+        const DAILY = 1; // RentUnit.DAILY
+        let today;
+
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "5 Quai de Seine, Paris",
+                "Studio by the canal",
+                DAILY_RENT,
+                SECURITY_DEPOSIT,
+                DAILY,
+                ETH
+            );
+            today = (BigInt(await time.latest()) / DAY) * DAY;
+        });
+
+        async function book(signer, from, to) {
+            return realEstateRental.connect(signer).reserveDates(1, today + from * DAY, today + to * DAY, {
+                value: DAILY_RENT + SECURITY_DEPOSIT
+            });
+        }
+
+        it("Should accept several future bookings that do not overlap", async function () {
+            await book(tenant, 10n, 15n);
+            await book(tenant2, 15n, 20n); // Arrives the day the first guest leaves
+            await book(tenant, 2n, 5n);
+            await expect(book(tenant2, 12n, 17n)).to.be.revertedWith("Dates overlap an existing booking");
+            await expect(book(tenant2, 4n, 11n)).to.be.revertedWith("Dates overlap an existing booking");
+
+            const intervals = await realEstateRental.getBookedIntervals(1);
+            expect(intervals.map((i) => [i.agreementId, i.startDate - today])).to.deep.equal([
+                [1n, 10n * DAY],
+                [2n, 15n * DAY],
+                [3n, 2n * DAY]
+            ]);
+            // Availability is per date range: the listing itself stays open
+            expect((await realEstateRental.getProperty(1)).isAvailable).to.be.true;
+            expect(await realEstateRental.isAvailableFor(1, today + 5n * DAY, today + 10n * DAY)).to.be.true;
+            expect(await realEstateRental.isAvailableFor(1, today + 5n * DAY, today + 11n * DAY)).to.be.false;
+        });
+
+        it("Should only take whole future days on daily rentals", async function () {
+            await expect(
+                realEstateRental.connect(tenant).reserveDates(1, today + DAY + 1n, today + 3n * DAY, { value: DAILY_RENT + SECURITY_DEPOSIT })
+            ).to.be.revertedWith("Dates must be whole days");
+            await expect(
+                realEstateRental.connect(tenant).reserveDates(1, today - DAY, today + DAY, { value: DAILY_RENT + SECURITY_DEPOSIT })
+            ).to.be.revertedWith("Start date in the past");
+            await expect(book(tenant, 3n, 3n)).to.be.revertedWith("Invalid date range");
+
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            await expect(
+                realEstateRental.connect(tenant).reserveDates(2, today + DAY, today + 3n * DAY, { value: RENT_AMOUNT + SECURITY_DEPOSIT })
+            ).to.be.revertedWith("Calendar bookings are for daily rentals");
+        });
+
+        it("Should hand over the keys on arrival and free the dates of cancelled bookings", async function () {
+            await book(tenant, 3n, 6n);
+            await expect(
+                realEstateRental.connect(tenant).activateAgreement(1)
+            ).to.be.revertedWith("Stay not started");
+
+            await realEstateRental.connect(tenant).cancelReservation(1);
+            expect(await realEstateRental.getBookedIntervals(1)).to.have.length(0);
+            await book(tenant2, 4n, 8n);
+
+            await time.increaseTo(today + 4n * DAY);
+            await realEstateRental.connect(tenant2).activateAgreement(2);
+            const agreement = await realEstateRental.getRentalAgreement(2);
+            expect(agreement.paidThroughDate).to.equal(today + 5n * DAY);
+            expect((await realEstateRental.getPaymentStatus(2)).nextDueDate).to.equal(today + 5n * DAY);
+        });
+
+        it("Should check immediate reservations against future bookings", async function () {
+            await book(tenant, 3n, 6n);
+            await expect(
+                realEstateRental.connect(tenant2).reserveProperty(1, 0, 5, { value: DAILY_RENT + SECURITY_DEPOSIT })
+            ).to.be.revertedWith("Dates overlap an existing booking");
+            await realEstateRental.connect(tenant2).reserveProperty(1, 0, 2, { value: DAILY_RENT + SECURITY_DEPOSIT });
+            expect(await realEstateRental.getBookedIntervals(1)).to.have.length(2);
+        });
+
+        it("Should keep a listing the landlord took offline closed when its bookings end", async function () {
+            await book(tenant, 3n, 6n);
+            await book(tenant2, 8n, 10n);
+            await realEstateRental.connect(landlord).updateProperty(
+                1, "5 Quai de Seine, Paris", "Studio by the canal", DAILY_RENT, SECURITY_DEPOSIT, false, DAILY
+            );
+
+            await realEstateRental.connect(tenant).cancelReservation(1);
+            expect((await realEstateRental.getProperty(1)).isAvailable).to.be.false;
+            await time.increaseTo(today + 8n * DAY);
+            await realEstateRental.connect(tenant2).activateAgreement(2);
+            await realEstateRental.connect(tenant2).terminateAgreement(2);
+            expect((await realEstateRental.getProperty(1)).isAvailable).to.be.false;
+            await expect(book(tenant, 12n, 14n)).to.be.revertedWith("Property not available");
+        });
+    });
+    
+    describe("Lease Amendments", function () {
+        const NEW_RENT = ethers.parseEther("1.05"); // 5% escalation
+        let endDate;
+
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+            endDate = (await realEstateRental.getRentalAgreement(agreementId)).endDate;
+        });
+
+        it("Should renew for a year with an escalated rent once the tenant accepts", async function () {
+            const newEnd = addMonths(endDate, 12);
+            await expect(
+                realEstateRental.connect(landlord).proposeAmendment(agreementId, newEnd, NEW_RENT, SECURITY_DEPOSIT)
+            ).to.emit(realEstateRental, "AmendmentProposed")
+                .withArgs(agreementId, landlord.address, newEnd, NEW_RENT, SECURITY_DEPOSIT);
+
+            const amendment = await realEstateRental.getAmendment(agreementId);
+            expect(amendment.proposedBy).to.equal(landlord.address);
+            expect(amendment.endDate).to.equal(newEnd);
+
+            await expect(realEstateRental.connect(tenant).acceptAmendment(agreementId))
+                .to.emit(realEstateRental, "AgreementAmended").withArgs(agreementId, newEnd, NEW_RENT, SECURITY_DEPOSIT);
+            const agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.endDate).to.equal(newEnd);
+            expect(agreement.rentAmount).to.equal(NEW_RENT);
+            expect((await realEstateRental.getAmendment(agreementId)).proposedBy).to.equal(ETH);
+
+            // The new rent applies from the first unpaid month, for 17 more months
+            expect((await realEstateRental.quoteRent(agreementId, 17)).rent).to.equal(NEW_RENT * 17n);
+            await expect(
+                realEstateRental.quoteRent(agreementId, 18)
+            ).to.be.revertedWith("Overpayment: Contract duration fully paid");
+            await realEstateRental.connect(tenant).payRent(agreementId, 1, { value: NEW_RENT });
+        });
+
+        it("Should only take proposals from the parties of an active agreement", async function () {
+            await expect(
+                realEstateRental.connect(tenant2).proposeAmendment(agreementId, endDate, NEW_RENT, SECURITY_DEPOSIT)
+            ).to.be.revertedWith("Not authorized");
+            await expect(
+                realEstateRental.connect(landlord).proposeAmendment(agreementId, endDate - 1n, NEW_RENT, SECURITY_DEPOSIT)
+            ).to.be.revertedWith("Invalid end date");
+            await expect(
+                realEstateRental.connect(landlord).proposeAmendment(agreementId, endDate, 0, SECURITY_DEPOSIT)
+            ).to.be.revertedWith("Rent must be greater than zero");
+            await expect(
+                realEstateRental.connect(tenant).acceptAmendment(agreementId)
+            ).to.be.revertedWith("No amendment proposed");
+
+            await realEstateRental.connect(landlord).proposeAmendment(agreementId, endDate, NEW_RENT, SECURITY_DEPOSIT);
+            await expect(
+                realEstateRental.connect(landlord).acceptAmendment(agreementId)
+            ).to.be.revertedWith("Not the counterparty");
+
+            await time.increaseTo(endDate);
+            await expect(
+                realEstateRental.connect(tenant).acceptAmendment(agreementId)
+            ).to.be.revertedWith("Amendment expired");
+            await realEstateRental.connect(landlord).completeAgreement(agreementId);
+            await expect(
+                realEstateRental.connect(tenant).proposeAmendment(agreementId, endDate + 1n, NEW_RENT, SECURITY_DEPOSIT)
+            ).to.be.revertedWith("Agreement not active");
+        });
+
+        it("Should escrow a deposit top-up proposed by the tenant and return it on rejection", async function () {
+            const topUp = ethers.parseEther("1.0");
+            const newEnd = addMonths(endDate, 6);
+            await expect(
+                realEstateRental.connect(tenant).proposeAmendment(agreementId, newEnd, RENT_AMOUNT, SECURITY_DEPOSIT + topUp)
+            ).to.be.revertedWith("Incorrect deposit top-up");
+            await realEstateRental.connect(tenant).proposeAmendment(
+                agreementId, newEnd, RENT_AMOUNT, SECURITY_DEPOSIT + topUp, { value: topUp }
+            );
+            expect((await realEstateRental.getAmendment(agreementId)).escrow).to.equal(topUp);
+
+            await expect(realEstateRental.connect(landlord).rejectAmendment(agreementId))
+                .to.emit(realEstateRental, "AmendmentRejected").withArgs(agreementId, landlord.address)
+                .and.to.emit(realEstateRental, "PayoutCredited").withArgs(agreementId, tenant.address, ETH, topUp);
+            expect((await realEstateRental.getRentalAgreement(agreementId)).endDate).to.equal(endDate);
+            await expect(
+                realEstateRental.connect(tenant).rejectAmendment(agreementId)
+            ).to.be.revertedWith("No amendment proposed");
+        });
+
+        it("Should settle the deposit difference on acceptance", async function () {
+            const topUp = ethers.parseEther("1.0");
+            const { totalPaid } = await realEstateRental.getRentalAgreement(agreementId);
+
+            // Landlord asks for a higher deposit: the tenant pays the top-up when accepting
+            await realEstateRental.connect(landlord).proposeAmendment(agreementId, endDate, RENT_AMOUNT, SECURITY_DEPOSIT + topUp);
+            await expect(
+                realEstateRental.connect(tenant).acceptAmendment(agreementId)
+            ).to.be.revertedWith("Incorrect deposit top-up");
+            await realEstateRental.connect(tenant).acceptAmendment(agreementId, { value: topUp });
+            let agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.securityDeposit).to.equal(SECURITY_DEPOSIT + topUp);
+            expect(agreement.totalPaid).to.equal(totalPaid + topUp);
+
+            // Tenant proposed a top-up in escrow: nothing more to pay when the landlord accepts
+            await realEstateRental.connect(tenant).proposeAmendment(
+                agreementId, endDate, RENT_AMOUNT, SECURITY_DEPOSIT + 2n * topUp, { value: topUp }
+            );
+            await realEstateRental.connect(landlord).acceptAmendment(agreementId);
+            expect((await realEstateRental.getRentalAgreement(agreementId)).securityDeposit).to.equal(SECURITY_DEPOSIT + 2n * topUp);
+
+            // A lower deposit is refunded to the tenant
+            await realEstateRental.connect(landlord).proposeAmendment(agreementId, endDate, RENT_AMOUNT, SECURITY_DEPOSIT);
+            await expect(realEstateRental.connect(tenant).acceptAmendment(agreementId))
+                .to.emit(realEstateRental, "PayoutCredited").withArgs(agreementId, tenant.address, ETH, 2n * topUp);
+            agreement = await realEstateRental.getRentalAgreement(agreementId);
+            expect(agreement.securityDeposit).to.equal(SECURITY_DEPOSIT);
+            expect(agreement.totalPaid).to.equal(totalPaid);
+        });
+
+        it("Should not extend a stay over the next booking", async function () {
+            const DAY = 24n * 60n * 60n;
+            const DAILY_RENT = ethers.parseEther("0.1");
+            await realEstateRental.connect(landlord).listProperty(
+                "5 Quai de Seine, Paris",
+                "Studio by the canal",
+                DAILY_RENT,
+                SECURITY_DEPOSIT,
+                1, // RentUnit.DAILY
+                ETH
+            );
+            const today = (BigInt(await time.latest()) / DAY) * DAY;
+            await realEstateRental.connect(tenant).reserveDates(2, today + DAY, today + 4n * DAY, { value: DAILY_RENT + SECURITY_DEPOSIT });
+            await realEstateRental.connect(tenant2).reserveDates(2, today + 6n * DAY, today + 9n * DAY, { value: DAILY_RENT + SECURITY_DEPOSIT });
+            await time.increaseTo(today + DAY);
+            await realEstateRental.connect(tenant).activateAgreement(2);
+
+            await realEstateRental.connect(tenant).proposeAmendment(2, today + 7n * DAY, DAILY_RENT, SECURITY_DEPOSIT);
+            await expect(
+                realEstateRental.connect(landlord).acceptAmendment(2)
+            ).to.be.revertedWith("Dates overlap an existing booking");
+
+            // A new proposal replaces the pending one
+            await realEstateRental.connect(tenant).proposeAmendment(2, today + 6n * DAY, DAILY_RENT, SECURITY_DEPOSIT);
+            await realEstateRental.connect(landlord).acceptAmendment(2);
+            expect((await realEstateRental.getBookedIntervals(2)).map((i) => i.endDate - today))
+                .to.deep.equal([6n * DAY, 9n * DAY]);
+        });
+    });
+    
+    describe("Lease Assignment", function () {
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            await realEstateRental.connect(tenant).reserveProperty(1, 3, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+        });
+
+        it("Should hand the agreement and its deposit to the new tenant once the landlord approves", async function () {
+            await expect(realEstateRental.connect(tenant).proposeAssignment(agreementId, tenant2.address))
+                .to.emit(realEstateRental, "LeaseAssignmentProposed")
+                .withArgs(agreementId, tenant.address, tenant2.address);
+            expect(await realEstateRental.pendingAssignments(agreementId)).to.equal(tenant2.address);
+
+            await expect(realEstateRental.connect(landlord).approveAssignment(agreementId, tenant2.address))
+                .to.emit(realEstateRental, "LeaseAssigned")
+                .withArgs(agreementId, tenant.address, tenant2.address);
+            expect(await realEstateRental.pendingAssignments(agreementId)).to.equal(ETH);
+            expect((await realEstateRental.getRentalAgreement(agreementId)).tenant).to.equal(tenant2.address);
+            expect(await realEstateRental.getTenantAgreements(tenant.address)).to.deep.equal([]);
+            expect(await realEstateRental.getTenantAgreements(tenant2.address)).to.deep.equal([1n]);
+
+            // Remaining rent is now due from the new tenant, who gets the deposit back
+            await expect(
+                realEstateRental.connect(tenant).payRent(agreementId, 1, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Not the tenant");
+            await realEstateRental.connect(tenant2).payRent(agreementId, 2, { value: RENT_AMOUNT * 2n });
+            await time.increaseTo((await realEstateRental.getRentalAgreement(agreementId)).endDate);
+            await expect(realEstateRental.connect(landlord).completeAgreement(agreementId))
+                .to.emit(realEstateRental, "SecurityDepositReturned")
+                .withArgs(agreementId, tenant2.address, SECURITY_DEPOSIT);
+            expect(await realEstateRental.getWithdrawableBalance(tenant2.address, ETH)).to.equal(SECURITY_DEPOSIT);
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(0);
+        });
+
+        it("Should only approve the proposal the tenant currently stands behind", async function () {
+            await expect(
+                realEstateRental.connect(landlord).proposeAssignment(agreementId, tenant2.address)
+            ).to.be.revertedWith("Not the tenant");
+            for (const invalid of [ETH, tenant.address, landlord.address]) {
+                await expect(
+                    realEstateRental.connect(tenant).proposeAssignment(agreementId, invalid)
+                ).to.be.revertedWith("Invalid new tenant");
+            }
+            await expect(
+                realEstateRental.connect(landlord).approveAssignment(agreementId, tenant2.address)
+            ).to.be.revertedWith("No assignment proposed");
+
+            await realEstateRental.connect(tenant).proposeAssignment(agreementId, tenant2.address);
+            // A new proposal replaces the pending one
+            await realEstateRental.connect(tenant).proposeAssignment(agreementId, owner.address);
+            await expect(
+                realEstateRental.connect(landlord).approveAssignment(agreementId, tenant2.address)
+            ).to.be.revertedWith("Assignment proposal changed");
+            await expect(
+                realEstateRental.connect(tenant).approveAssignment(agreementId, owner.address)
+            ).to.be.revertedWith("Not the landlord");
+        });
+
+        it("Should let either party cancel a pending proposal", async function () {
+            await realEstateRental.connect(tenant).proposeAssignment(agreementId, tenant2.address);
+            await expect(
+                realEstateRental.connect(tenant2).cancelAssignment(agreementId)
+            ).to.be.revertedWith("Not authorized");
+            await expect(realEstateRental.connect(landlord).cancelAssignment(agreementId))
+                .to.emit(realEstateRental, "LeaseAssignmentCancelled").withArgs(agreementId, landlord.address);
+            await expect(
+                realEstateRental.connect(tenant).cancelAssignment(agreementId)
+            ).to.be.revertedWith("No assignment proposed");
+            await expect(
+                realEstateRental.connect(landlord).approveAssignment(agreementId, tenant2.address)
+            ).to.be.revertedWith("No assignment proposed");
+        });
+
+        it("Should refund the top-up of an amendment the previous tenant proposed", async function () {
+            const topUp = ethers.parseEther("1.0");
+            const { endDate } = await realEstateRental.getRentalAgreement(agreementId);
+            await realEstateRental.connect(tenant).proposeAmendment(
+                agreementId, addMonths(endDate, 3), RENT_AMOUNT, SECURITY_DEPOSIT + topUp, { value: topUp }
+            );
+            await realEstateRental.connect(tenant).proposeAssignment(agreementId, tenant2.address);
+
+            await expect(realEstateRental.connect(landlord).approveAssignment(agreementId, tenant2.address))
+                .to.emit(realEstateRental, "PayoutCredited").withArgs(agreementId, tenant.address, ETH, topUp);
+            const amendment = await realEstateRental.getAmendment(agreementId);
+            expect(amendment.proposedBy).to.equal(ETH);
+            expect(amendment.escrow).to.equal(0);
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(topUp);
+        });
+    });
+    
+    describe("Co-tenancy", function () {
+        const RENT_SHARE = 3000n; // 30 % of the rent for each co-tenant, in basis points
+        const DEPOSIT_SHARE = 2500n; // 25 % of the deposit
+        const JOIN_AMOUNT = (RENT_AMOUNT * RENT_SHARE + SECURITY_DEPOSIT * DEPOSIT_SHARE) / 10000n;
+        const SHARE = (RENT_AMOUNT * RENT_SHARE) / 10000n;
+        const LEAD_SHARE = RENT_AMOUNT - 2n * SHARE;
+        let coTenant, coTenant2;
+
         beforeEach(async function () {
+            [, , , , coTenant, coTenant2] = await ethers.getSigners();
             await realEstateRental.connect(landlord).listProperty(
                 "123 Main Street, Paris",
                 "Beautiful 2BR apartment",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
-            );
-            
-            const totalPayment = RENT_AMOUNT + SECURITY_DEPOSIT;
-            await realEstateRental.connect(tenant).createRentalAgreement(
-                1,
-                6,
-                { value: totalPayment }
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
+            await realEstateRental.connect(tenant).reserveProperty(1, 3, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
             agreementId = 1;
         });
-        
-        it("Should accept monthly rent payment after 25 days", async function () {
-            // Fast forward 26 days
-            await time.increase(26 * 24 * 60 * 60);
-            
+
+        async function setCoTenants() {
+            await realEstateRental.connect(tenant).setCoTenants(
+                agreementId, [coTenant.address, coTenant2.address], [RENT_SHARE, RENT_SHARE], [DEPOSIT_SHARE, DEPOSIT_SHARE]
+            );
+        }
+
+        async function activeTenancy() {
+            await setCoTenants();
+            await realEstateRental.connect(coTenant).joinAgreement(agreementId, { value: JOIN_AMOUNT });
+            await realEstateRental.connect(coTenant2).joinAgreement(agreementId, { value: JOIN_AMOUNT });
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+        }
+
+        async function payShares(units = 1) {
+            const n = BigInt(units);
+            await realEstateRental.connect(coTenant).payRent(agreementId, units, { value: SHARE * n });
+            await realEstateRental.connect(coTenant2).payRent(agreementId, units, { value: SHARE * n });
+            await realEstateRental.connect(tenant).payRent(agreementId, units, { value: LEAD_SHARE * n });
+        }
+
+        async function balance(signer) {
+            return realEstateRental.getWithdrawableBalance(signer.address, ETH);
+        }
+
+        it("Should only invite distinct co-tenants with a share of the rent", async function () {
+            const shares = [RENT_SHARE, RENT_SHARE];
             await expect(
-                realEstateRental.connect(tenant).payMonthlyRent(agreementId, {
-                    value: RENT_AMOUNT
-                })
-            ).to.emit(realEstateRental, "RentPaid");
-            
+                realEstateRental.connect(coTenant).setCoTenants(agreementId, [coTenant.address], [RENT_SHARE], [0])
+            ).to.be.revertedWith("Not the tenant");
+            for (const accounts of [
+                [coTenant.address, coTenant.address],
+                [coTenant.address, tenant.address],
+                [landlord.address, coTenant2.address],
+                [ETH, coTenant2.address]
+            ]) {
+                await expect(
+                    realEstateRental.connect(tenant).setCoTenants(agreementId, accounts, shares, shares)
+                ).to.be.revertedWith("Invalid co-tenants");
+            }
+            await expect(
+                realEstateRental.connect(tenant).setCoTenants(agreementId, [coTenant.address], [RENT_SHARE], [])
+            ).to.be.revertedWith("Invalid co-tenants");
+            await expect(
+                realEstateRental.connect(tenant).setCoTenants(agreementId, [coTenant.address], [0], [DEPOSIT_SHARE])
+            ).to.be.revertedWith("Invalid shares");
+            // The tenant keeps a share of the rent
+            await expect(
+                realEstateRental.connect(tenant).setCoTenants(
+                    agreementId, [coTenant.address, coTenant2.address], [5000, 5000], [0, 0]
+                )
+            ).to.be.revertedWith("Invalid shares");
+
+            await expect(
+                realEstateRental.connect(tenant).setCoTenants(
+                    agreementId, [coTenant.address, coTenant2.address], shares, [DEPOSIT_SHARE, DEPOSIT_SHARE]
+                )
+            ).to.emit(realEstateRental, "CoTenantsSet")
+              .withArgs(agreementId, [coTenant.address, coTenant2.address], shares, [DEPOSIT_SHARE, DEPOSIT_SHARE]);
+
+            const { members } = await realEstateRental.getTenancy(agreementId);
+            expect(members.map((m) => m.account)).to.deep.equal([tenant.address, coTenant.address, coTenant2.address]);
+            expect(members.map((m) => m.rentShare)).to.deep.equal([4000n, RENT_SHARE, RENT_SHARE]);
+            expect(members.map((m) => m.depositShare)).to.deep.equal([5000n, DEPOSIT_SHARE, DEPOSIT_SHARE]);
+            expect(members.map((m) => m.joined)).to.deep.equal([true, false, false]);
+        });
+
+        it("Should activate only once every co-tenant has paid in their share", async function () {
+            await setCoTenants();
+            await expect(
+                realEstateRental.connect(tenant).activateAgreement(agreementId)
+            ).to.be.revertedWith("Co-tenants have not all joined");
+            await expect(
+                realEstateRental.connect(tenant2).joinAgreement(agreementId, { value: JOIN_AMOUNT })
+            ).to.be.revertedWith("Not a co-tenant");
+            await expect(
+                realEstateRental.connect(coTenant).joinAgreement(agreementId, { value: JOIN_AMOUNT - 1n })
+            ).to.be.revertedWith("Incorrect co-tenant share");
+
+            // The share reimburses what the tenant advanced at reservation
+            await expect(realEstateRental.connect(coTenant).joinAgreement(agreementId, { value: JOIN_AMOUNT }))
+                .to.emit(realEstateRental, "CoTenantJoined").withArgs(agreementId, coTenant.address, JOIN_AMOUNT)
+                .and.to.emit(realEstateRental, "PayoutCredited").withArgs(agreementId, tenant.address, ETH, JOIN_AMOUNT);
+            expect(await balance(tenant)).to.equal(JOIN_AMOUNT);
+            expect(await realEstateRental.getTenantAgreements(coTenant.address)).to.deep.equal([1n]);
+            await expect(
+                realEstateRental.connect(coTenant).joinAgreement(agreementId, { value: JOIN_AMOUNT })
+            ).to.be.revertedWith("Already joined");
+            await expect(setCoTenants()).to.be.revertedWith("Co-tenants already joined");
+
+            await realEstateRental.connect(coTenant2).joinAgreement(agreementId, { value: JOIN_AMOUNT });
+            await expect(
+                realEstateRental.connect(tenant2).activateAgreement(agreementId)
+            ).to.be.revertedWith("Only tenant can activate agreement");
+            await expect(realEstateRental.connect(coTenant2).activateAgreement(agreementId))
+                .to.emit(realEstateRental, "AgreementActivated").withArgs(agreementId);
+            expect((await realEstateRental.getRentalAgreement(agreementId)).status).to.equal(1); // ACTIVE
+        });
+
+        it("Should pay a period only once every share has arrived", async function () {
+            await activeTenancy();
+            const { paidThroughDate } = await realEstateRental.getRentalAgreement(agreementId);
+            const landlordCredit = await balance(landlord);
+
+            await expect(
+                realEstateRental.connect(coTenant).payRent(agreementId, 1, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Incorrect rent amount for the specified period");
+            await expect(realEstateRental.connect(coTenant).payRent(agreementId, 1, { value: SHARE }))
+                .to.emit(realEstateRental, "RentSharePaid").withArgs(agreementId, coTenant.address, 1, SHARE)
+                .and.not.to.emit(realEstateRental, "RentPaid");
+            await expect(
+                realEstateRental.connect(coTenant).payRent(agreementId, 1, { value: SHARE })
+            ).to.be.revertedWith("Share already paid");
+            await expect(
+                realEstateRental.connect(coTenant2).payRent(agreementId, 2, { value: SHARE * 2n })
+            ).to.be.revertedWith("Co-tenants pay for other periods");
+            await realEstateRental.connect(coTenant2).payRent(agreementId, 1, { value: SHARE });
+            expect((await realEstateRental.getRentalAgreement(agreementId)).paidThroughDate).to.equal(paidThroughDate);
+            expect((await realEstateRental.getTenancy(agreementId)).round.shares).to.equal(2);
+
+            // The tenant pays the rounding remainder
+            await expect(realEstateRental.connect(tenant).payRent(agreementId, 1, { value: LEAD_SHARE }))
+                .to.emit(realEstateRental, "RentPaid").withArgs(agreementId, RENT_AMOUNT, anyValue);
             const agreement = await realEstateRental.getRentalAgreement(agreementId);
-            expect(agreement.totalPaid).to.equal(RENT_AMOUNT * 2n);
+            expect(agreement.paidThroughDate).to.equal(addMonths(paidThroughDate, 1));
+            expect(agreement.totalPaid).to.equal(RENT_AMOUNT * 2n + SECURITY_DEPOSIT);
+            expect(await balance(landlord)).to.equal(landlordCredit + (RENT_AMOUNT * 98n) / 100n);
+
+            const { round, members } = await realEstateRental.getTenancy(agreementId);
+            expect(round.shares).to.equal(0);
+            expect(members.map((m) => m.sharePaid)).to.deep.equal([false, false, false]);
         });
-        
-        it("Should fail if payment is too soon", async function () {
+
+        it("Should return the deposit by share on completion", async function () {
+            await activeTenancy();
+            await payShares(2);
+            await time.increaseTo((await realEstateRental.getRentalAgreement(agreementId)).endDate);
+
+            const deposit = (share) => (SECURITY_DEPOSIT * share) / 10000n;
+            await expect(realEstateRental.connect(landlord).completeAgreement(agreementId))
+                .to.emit(realEstateRental, "SecurityDepositReturned").withArgs(agreementId, coTenant.address, deposit(DEPOSIT_SHARE))
+                .and.to.emit(realEstateRental, "SecurityDepositReturned").withArgs(agreementId, coTenant2.address, deposit(DEPOSIT_SHARE))
+                .and.to.emit(realEstateRental, "SecurityDepositReturned").withArgs(agreementId, tenant.address, deposit(5000n));
+            expect(await balance(coTenant)).to.equal(deposit(DEPOSIT_SHARE));
+            expect(await balance(tenant)).to.equal(JOIN_AMOUNT * 2n + deposit(5000n));
+        });
+
+        it("Should hand back an unfinished round with the deposit on termination", async function () {
+            await activeTenancy();
+            await realEstateRental.connect(coTenant).payRent(agreementId, 1, { value: SHARE });
             await expect(
-                realEstateRental.connect(tenant).payMonthlyRent(agreementId, {
-                    value: RENT_AMOUNT
-                })
-            ).to.be.revertedWith("Too soon for next payment");
+                realEstateRental.connect(coTenant).terminateAgreement(agreementId)
+            ).to.be.revertedWith("Not authorized");
+            await realEstateRental.connect(landlord).terminateAgreement(agreementId);
+
+            expect(await balance(coTenant)).to.equal(SECURITY_DEPOSIT / 4n + SHARE);
+            expect(await balance(coTenant2)).to.equal(SECURITY_DEPOSIT / 4n);
+            expect(await balance(tenant)).to.equal(JOIN_AMOUNT * 2n + SECURITY_DEPOSIT / 2n);
         });
-        
-        it("Should fail if wrong amount is sent", async function () {
-            await time.increase(26 * 24 * 60 * 60);
-            
+
+        it("Should apply deductions as allocated by the landlord, pro-rata otherwise", async function () {
+            const DEDUCTION = ethers.parseEther("0.5");
+            await activeTenancy();
+            await payShares(2);
+            await time.increaseTo((await realEstateRental.getRentalAgreement(agreementId)).endDate);
+            await realEstateRental.connect(landlord).claimDeductions(agreementId, DEDUCTION, ethers.id("[]"));
+
             await expect(
-                realEstateRental.connect(tenant).payMonthlyRent(agreementId, {
-                    value: RENT_AMOUNT / 2n
-                })
-            ).to.be.revertedWith("Incorrect rent amount");
+                realEstateRental.connect(tenant).allocateDeductions(agreementId, [0, DEDUCTION, 0])
+            ).to.be.revertedWith("Not the landlord");
+            await expect(
+                realEstateRental.connect(landlord).allocateDeductions(agreementId, [0, DEDUCTION])
+            ).to.be.revertedWith("Invalid deduction allocation");
+            await expect(
+                realEstateRental.connect(landlord).allocateDeductions(agreementId, [0, SECURITY_DEPOSIT / 4n + 1n, 0])
+            ).to.be.revertedWith("Invalid deduction allocation");
+            await expect(realEstateRental.connect(landlord).allocateDeductions(agreementId, [0, DEDUCTION, 0]))
+                .to.emit(realEstateRental, "DeductionsAllocated").withArgs(agreementId, [0, DEDUCTION, 0]);
+
+            await realEstateRental.connect(tenant).acceptDeductions(agreementId);
+            expect(await balance(coTenant)).to.equal(0);
+            expect(await balance(coTenant2)).to.equal(SECURITY_DEPOSIT / 4n);
+            expect(await balance(tenant)).to.equal(JOIN_AMOUNT * 2n + SECURITY_DEPOSIT / 2n);
+        });
+
+        it("Should split the deposit pro-rata when the allocation does not match the claim", async function () {
+            await activeTenancy();
+            await payShares(2);
+            await time.increaseTo((await realEstateRental.getRentalAgreement(agreementId)).endDate);
+            await realEstateRental.connect(landlord).claimDeductions(agreementId, ethers.parseEther("0.4"), ethers.id("[]"));
+            await realEstateRental.connect(landlord).allocateDeductions(agreementId, [0, ethers.parseEther("0.5"), 0]);
+            await realEstateRental.connect(tenant).acceptDeductions(agreementId);
+
+            const rest = SECURITY_DEPOSIT - ethers.parseEther("0.4");
+            expect(await balance(coTenant)).to.equal(rest / 4n);
+            expect(await balance(coTenant2)).to.equal(rest / 4n);
+            expect(await balance(tenant)).to.equal(JOIN_AMOUNT * 2n + rest / 2n);
+        });
+
+        it("Should let the arbiter allocate deductions while resolving a dispute", async function () {
+            await activeTenancy();
+            await realEstateRental.connect(tenant).createDispute(agreementId, "Damaged furniture");
+            const landlordAmount = SECURITY_DEPOSIT / 2n;
+            await expect(
+                realEstateRental.connect(landlord).allocateDeductions(agreementId, [landlordAmount, 0, 0])
+            ).to.be.revertedWith("Missing role");
+            await realEstateRental.connect(owner).allocateDeductions(agreementId, [landlordAmount, 0, 0]);
+            await realEstateRental.connect(owner).resolveDispute(1, landlordAmount);
+
+            expect(await balance(coTenant)).to.equal(SECURITY_DEPOSIT / 4n);
+            expect(await balance(coTenant2)).to.equal(SECURITY_DEPOSIT / 4n);
+            expect(await balance(tenant)).to.equal(JOIN_AMOUNT * 2n);
+        });
+
+        it("Should refund each co-tenant their share when the reservation is cancelled", async function () {
+            await setCoTenants();
+            await realEstateRental.connect(coTenant).joinAgreement(agreementId, { value: JOIN_AMOUNT });
+            await realEstateRental.connect(tenant).cancelReservation(agreementId);
+
+            expect(await balance(coTenant)).to.equal(JOIN_AMOUNT);
+            expect(await balance(coTenant2)).to.equal(0);
+            expect(await balance(tenant)).to.equal(RENT_AMOUNT + SECURITY_DEPOSIT);
+        });
+
+        it("Should keep the shared deposit and tenant fixed", async function () {
+            await activeTenancy();
+            await expect(
+                realEstateRental.connect(tenant).proposeAssignment(agreementId, tenant2.address)
+            ).to.be.revertedWith("Agreement has co-tenants");
+            const { endDate } = await realEstateRental.getRentalAgreement(agreementId);
+            await expect(
+                realEstateRental.connect(tenant).proposeAmendment(
+                    agreementId, addMonths(endDate, 1), RENT_AMOUNT, SECURITY_DEPOSIT * 2n, { value: SECURITY_DEPOSIT }
+                )
+            ).to.be.revertedWith("Deposit shared by co-tenants");
+            await realEstateRental.connect(tenant).proposeAmendment(agreementId, addMonths(endDate, 1), RENT_AMOUNT, SECURITY_DEPOSIT);
+        });
+
+        it("Should not change the rent while a rent round is partly paid", async function () {
+            await activeTenancy();
+            const { endDate } = await realEstateRental.getRentalAgreement(agreementId);
+            await realEstateRental.connect(landlord).proposeAmendment(agreementId, endDate, RENT_AMOUNT * 2n, SECURITY_DEPOSIT);
+            const before = await balance(landlord);
+            await realEstateRental.connect(coTenant).payRent(agreementId, 1, { value: SHARE });
+            await expect(realEstateRental.connect(tenant).acceptAmendment(agreementId)).to.be.revertedWith(
+                "Co-tenant rent round open"
+            );
+
+            await realEstateRental.connect(coTenant2).payRent(agreementId, 1, { value: SHARE });
+            await realEstateRental.connect(tenant).payRent(agreementId, 1, { value: LEAD_SHARE });
+            expect(await balance(landlord) - before).to.equal(RENT_AMOUNT - (RENT_AMOUNT * 200n) / 10000n);
+            await realEstateRental.connect(tenant).acceptAmendment(agreementId);
+            expect((await realEstateRental.getRentalAgreement(agreementId)).rentAmount).to.equal(RENT_AMOUNT * 2n);
         });
     });
     
@@ -167,21 +1329,25 @@ describe("RealEstateRental", function () {
                 "123 Main Street, Paris",
                 "Beautiful 2BR apartment",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             
             const totalPayment = RENT_AMOUNT + SECURITY_DEPOSIT;
-            await realEstateRental.connect(tenant).createRentalAgreement(
+            await realEstateRental.connect(tenant).reserveProperty(
                 1,
                 1, // 1 month for faster testing
+                0,
                 { value: totalPayment }
             );
             agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
         });
         
         it("Should complete agreement and return security deposit", async function () {
-            // Fast forward past end date
-            await time.increase(31 * 24 * 60 * 60);
+            // Fast forward past end date and the landlord's move-out claim window
+            await time.increase(34 * 24 * 60 * 60);
             
             const tenantBalanceBefore = await ethers.provider.getBalance(tenant.address);
             
@@ -209,16 +1375,20 @@ describe("RealEstateRental", function () {
                 "123 Main Street, Paris",
                 "Beautiful 2BR apartment",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             
             const totalPayment = RENT_AMOUNT + SECURITY_DEPOSIT;
-            await realEstateRental.connect(tenant).createRentalAgreement(
+            await realEstateRental.connect(tenant).reserveProperty(
                 1,
                 6,
+                0,
                 { value: totalPayment }
             );
             agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
         });
         
         it("Should allow landlord to terminate and return deposit", async function () {
@@ -247,16 +1417,20 @@ describe("RealEstateRental", function () {
                 "123 Main Street, Paris",
                 "Beautiful 2BR apartment",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             
             const totalPayment = RENT_AMOUNT + SECURITY_DEPOSIT;
-            await realEstateRental.connect(tenant).createRentalAgreement(
+            await realEstateRental.connect(tenant).reserveProperty(
                 1,
                 6,
+                0,
                 { value: totalPayment }
             );
             agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
         });
         
         it("Should create a dispute", async function () {
@@ -282,8 +1456,8 @@ describe("RealEstateRental", function () {
             );
             
             await expect(
-                realEstateRental.connect(owner).resolveDispute(1, true)
-            ).to.emit(realEstateRental, "DisputeResolved");
+                realEstateRental.connect(owner).resolveDispute(1, SECURITY_DEPOSIT)
+            ).to.emit(realEstateRental, "DisputeResolved").withArgs(1, SECURITY_DEPOSIT, 0);
             
             const dispute = await realEstateRental.getDispute(1);
             expect(dispute.status).to.equal(1); // RESOLVED
@@ -296,10 +1470,251 @@ describe("RealEstateRental", function () {
             );
             
             await expect(
-                realEstateRental.connect(owner).resolveDispute(1, false)
+                realEstateRental.connect(owner).resolveDispute(1, 0)
             ).to.emit(realEstateRental, "DisputeResolved")
               .and.to.emit(realEstateRental, "SecurityDepositReturned");
         });
+        
+        it("Should resolve dispute with an arbitrary split", async function () {
+            await realEstateRental.connect(landlord).createDispute(agreementId, "Damage");
+            
+            await expect(
+                realEstateRental.connect(owner).resolveDispute(1, SECURITY_DEPOSIT + 1n)
+            ).to.be.revertedWith("Split exceeds deposit");
+            
+            const landlordAmount = ethers.parseEther("0.5");
+            await expect(
+                realEstateRental.connect(owner).resolveDispute(1, landlordAmount)
+            ).to.emit(realEstateRental, "DisputeResolved").withArgs(1, landlordAmount, SECURITY_DEPOSIT - landlordAmount)
+              .and.to.emit(realEstateRental, "SecurityDepositReturned").withArgs(agreementId, tenant.address, SECURITY_DEPOSIT - landlordAmount);
+            
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(SECURITY_DEPOSIT - landlordAmount);
+        });
+        
+        it("Should not dispute a completed agreement", async function () {
+            await time.increaseTo((await realEstateRental.getRentalAgreement(agreementId)).endDate);
+            await realEstateRental.connect(landlord).claimDeductions(agreementId, SECURITY_DEPOSIT / 2n, ethers.ZeroHash);
+            expect((await realEstateRental.getRentalAgreement(agreementId)).status).to.equal(2); // COMPLETED
+            
+            // The deposit is already split: only the claimed deductions can still be challenged
+            for (const party of [landlord, tenant]) {
+                await expect(
+                    realEstateRental.connect(party).createDispute(agreementId, "Damage")
+                ).to.be.revertedWith("Invalid agreement status");
+            }
+            await expect(realEstateRental.connect(tenant).challengeDeductions(agreementId, "Wear and tear"))
+                .to.emit(realEstateRental, "DeductionsChallenged");
+        });
+    });
+    
+    describe("Deposit Deductions", function () {
+        const ITEMS_HASH = ethers.id('[{"description":"Broken window","amount":"500000000000000000"}]');
+        const DEDUCTION = ethers.parseEther("0.5");
+        let landlordCredit;
+        
+        beforeEach(async function () {
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                RENT_AMOUNT,
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
+            );
+            await realEstateRental.connect(tenant).reserveProperty(1, 1, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            agreementId = 1;
+            await realEstateRental.connect(tenant).activateAgreement(agreementId);
+            landlordCredit = await realEstateRental.getWithdrawableBalance(landlord.address, ETH);
+            await time.increase(31 * 24 * 60 * 60);
+        });
+        
+        async function expectSplit(landlordAmount) {
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH)).to.equal(landlordCredit + landlordAmount);
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(SECURITY_DEPOSIT - landlordAmount);
+        }
+        
+        it("Should let only the landlord claim deductions within the deposit", async function () {
+            await expect(
+                realEstateRental.connect(tenant).claimDeductions(agreementId, DEDUCTION, ITEMS_HASH)
+            ).to.be.revertedWith("Only landlord can claim deductions");
+            await expect(
+                realEstateRental.connect(landlord).claimDeductions(agreementId, SECURITY_DEPOSIT + 1n, ITEMS_HASH)
+            ).to.be.revertedWith("Invalid deduction amount");
+            
+            await expect(
+                realEstateRental.connect(landlord).claimDeductions(agreementId, DEDUCTION, ITEMS_HASH)
+            ).to.emit(realEstateRental, "DeductionsClaimed")
+              .and.to.emit(realEstateRental, "AgreementCompleted").withArgs(agreementId);
+            
+            const claim = await realEstateRental.getDeductionClaim(agreementId);
+            expect(claim.amount).to.equal(DEDUCTION);
+            expect(claim.itemsHash).to.equal(ITEMS_HASH);
+            expect(claim.status).to.equal(1); // CLAIMED
+            expect((await realEstateRental.getRentalAgreement(agreementId)).status).to.equal(2); // COMPLETED
+            expect((await realEstateRental.getProperty(1)).isAvailable).to.be.true;
+            
+            // The deposit stays escrowed until the claim is settled
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH)).to.equal(landlordCredit);
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, ETH)).to.equal(0);
+        });
+        
+        it("Should keep the move-out window for the landlord", async function () {
+            await expect(
+                realEstateRental.connect(tenant).completeAgreement(agreementId)
+            ).to.be.revertedWith("Move-out claim window open");
+            
+            await time.increase(3 * 24 * 60 * 60);
+            await realEstateRental.connect(tenant).completeAgreement(agreementId);
+            await expectSplit(0n);
+        });
+        
+        it("Should split the deposit when the tenant accepts", async function () {
+            await realEstateRental.connect(landlord).claimDeductions(agreementId, DEDUCTION, ITEMS_HASH);
+            
+            await expect(
+                realEstateRental.connect(landlord).acceptDeductions(agreementId)
+            ).to.be.revertedWith("Not the tenant");
+            await expect(
+                realEstateRental.connect(tenant).acceptDeductions(agreementId)
+            ).to.emit(realEstateRental, "DeductionsSettled").withArgs(agreementId, DEDUCTION, SECURITY_DEPOSIT - DEDUCTION);
+            
+            await expectSplit(DEDUCTION);
+            await expect(
+                realEstateRental.connect(tenant).acceptDeductions(agreementId)
+            ).to.be.revertedWith("No deductions to settle");
+        });
+        
+        it("Should apply the claimed split once the challenge window is over", async function () {
+            await realEstateRental.connect(landlord).claimDeductions(agreementId, DEDUCTION, ITEMS_HASH);
+            
+            await expect(
+                realEstateRental.connect(owner).finalizeDeductions(agreementId)
+            ).to.be.revertedWith("Challenge window open");
+            
+            await time.increase(7 * 24 * 60 * 60 + 1);
+            await expect(
+                realEstateRental.connect(tenant).challengeDeductions(agreementId, "Window was already broken")
+            ).to.be.revertedWith("Challenge window over");
+            
+            await realEstateRental.connect(owner).finalizeDeductions(agreementId);
+            await expectSplit(DEDUCTION);
+        });
+        
+        it("Should let the arbiter split a challenged claim", async function () {
+            await realEstateRental.connect(landlord).claimDeductions(agreementId, DEDUCTION, ITEMS_HASH);
+            
+            await expect(
+                realEstateRental.connect(tenant).challengeDeductions(agreementId, "Window was already broken")
+            ).to.emit(realEstateRental, "DeductionsChallenged").withArgs(agreementId, 1)
+              .and.to.emit(realEstateRental, "DisputeCreated").withArgs(1, agreementId, tenant.address);
+            expect((await realEstateRental.getRentalAgreement(agreementId)).status).to.equal(4); // DISPUTED
+            
+            // The property was released at move-out and can be rented again meanwhile
+            await realEstateRental.connect(owner).reserveProperty(1, 1, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            
+            await time.increase(8 * 24 * 60 * 60);
+            await expect(
+                realEstateRental.connect(owner).finalizeDeductions(agreementId)
+            ).to.be.revertedWith("No deductions to settle");
+            
+            const landlordAmount = ethers.parseEther("0.2");
+            await realEstateRental.connect(owner).resolveDispute(1, landlordAmount);
+            await expectSplit(landlordAmount);
+            
+            expect((await realEstateRental.getDeductionClaim(agreementId)).status).to.equal(3); // SETTLED
+            expect((await realEstateRental.getRentalAgreement(agreementId)).status).to.equal(2); // COMPLETED
+            expect((await realEstateRental.getProperty(1)).isAvailable).to.be.false;
+        });
+    });
+    
+    describe("Property Tokens", function () {
+        let token;
+        
+        beforeEach(async function () {
+            token = await ethers.getContractAt("PropertyToken", await realEstateRental.propertyToken());
+            await realEstateRental.connect(landlord).listProperty("1 Rue de Rivoli", "Studio", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+            await realEstateRental.connect(landlord).listProperty("2 Rue de Rivoli", "Loft", RENT_AMOUNT, 0, MONTHLY, ETH);
+        });
+        
+        it("Should mint a token to the landlord of each listing", async function () {
+            expect(await token.ownerOf(1)).to.equal(landlord.address);
+            expect(await token.balanceOf(landlord.address)).to.equal(2);
+            expect(await token.rental()).to.equal(await realEstateRental.getAddress());
+            
+            await expect(token.mint(tenant.address, 3)).to.be.revertedWith("Only the rental contract");
+            await expect(
+                realEstateRental.onPropertyTransfer(1, landlord.address, tenant.address)
+            ).to.be.revertedWith("Only the property token");
+            await expect(
+                realEstateRental.connect(owner).setPropertyToken(tenant.address)
+            ).to.be.revertedWith("Property token already set");
+        });
+        
+        it("Should require the token before the first listing", async function () {
+            const bare = await deployRealEstateRental(ethers, { propertyToken: false });
+            await expect(
+                bare.connect(landlord).listProperty("1 Rue de Rivoli", "Studio", RENT_AMOUNT, 0, MONTHLY, ETH)
+            ).to.be.revertedWith("Property token not set");
+            await expect(bare.connect(landlord).setPropertyToken(tenant.address)).to.be.reverted;
+        });
+        
+        it("Should hand the listing over with the token", async function () {
+            await expect(
+                token.connect(landlord).transferFrom(landlord.address, tenant2.address, 1)
+            ).to.emit(realEstateRental, "PropertyTransferred").withArgs(1, landlord.address, tenant2.address);
+            
+            expect((await realEstateRental.getProperty(1)).owner).to.equal(tenant2.address);
+            expect(await realEstateRental.getLandlordProperties(landlord.address)).to.deep.equal([2n]);
+            expect(await realEstateRental.getLandlordProperties(tenant2.address)).to.deep.equal([1n]);
+            
+            await expect(
+                realEstateRental.connect(landlord).delistProperty(1)
+            ).to.be.revertedWith("Not property owner");
+            await realEstateRental.connect(tenant2).delistProperty(1);
+        });
+        
+        it("Should redirect rent and deposit of open agreements to the new holder", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            await realEstateRental.connect(landlord).proposeAmendment(1, addMonths((await realEstateRental.getRentalAgreement(1)).endDate, 6), RENT_AMOUNT, SECURITY_DEPOSIT);
+            
+            await token.connect(landlord).transferFrom(landlord.address, tenant2.address, 1);
+            expect((await realEstateRental.getRentalAgreement(1)).landlord).to.equal(tenant2.address);
+            expect((await realEstateRental.getAmendment(1)).proposedBy).to.equal(ETH); // Proposée par l'ancien détenteur
+            
+            // Le premier loyer, encaissé avant le transfert, reste à l'ancien détenteur
+            const landlordAmount = RENT_AMOUNT - (RENT_AMOUNT * 2n) / 100n;
+            await expect(
+                realEstateRental.connect(tenant).payRent(1, 1, { value: RENT_AMOUNT })
+            ).to.emit(realEstateRental, "PayoutCredited").withArgs(1, tenant2.address, ETH, landlordAmount);
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH)).to.equal(landlordAmount);
+            
+            await expect(
+                realEstateRental.connect(landlord).terminateAgreement(1)
+            ).to.be.revertedWith("Not authorized");
+            // Le tenant qui résilie abandonne son dépôt au nouveau détenteur
+            await realEstateRental.connect(tenant).terminateAgreement(1);
+            expect(await realEstateRental.getWithdrawableBalance(tenant2.address, ETH)).to.equal(landlordAmount + SECURITY_DEPOSIT);
+        });
+        
+        it("Should not hand an open agreement to its own tenant", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            await expect(
+                token.connect(landlord).transferFrom(landlord.address, tenant.address, 1)
+            ).to.be.revertedWith("New owner is a tenant of the property");
+            // Ni à l'un de ses co-tenants
+            const [, , , , coTenant] = await ethers.getSigners();
+            await realEstateRental.connect(tenant).setCoTenants(1, [coTenant.address], [5000], [0]);
+            await realEstateRental.connect(coTenant).joinAgreement(1, { value: RENT_AMOUNT / 2n });
+            await expect(
+                token.connect(landlord).transferFrom(landlord.address, coTenant.address, 1)
+            ).to.be.revertedWith("New owner is a tenant of the property");
+
+            // Une fois l'accord annulé, le tenant peut racheter la propriété
+            await realEstateRental.connect(tenant).cancelReservation(1);
+            await token.connect(landlord).transferFrom(landlord.address, tenant.address, 1);
+            expect((await realEstateRental.getRentalAgreement(1)).landlord).to.equal(landlord.address);
+        });
     });
     
     describe("View Functions", function () {
@@ -308,14 +1723,18 @@ describe("RealEstateRental", function () {
                 "Property 1",
                 "Description 1",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             
             await realEstateRental.connect(landlord).listProperty(
                 "Property 2",
                 "Description 2",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             
             const availableProperties = await realEstateRental.getAvailableProperties();
@@ -327,7 +1746,9 @@ describe("RealEstateRental", function () {
                 "Property 1",
                 "Description 1",
                 RENT_AMOUNT,
-                SECURITY_DEPOSIT
+                SECURITY_DEPOSIT,
+                MONTHLY,
+                ETH
             );
             
             const properties = await realEstateRental.getLandlordProperties(landlord.address);
@@ -335,4 +1756,184 @@ describe("RealEstateRental", function () {
             expect(properties[0]).to.equal(1);
         });
     });
+    describe("ERC-20 Payments", function () {
+        let stablecoin, token;
+        const USD_RENT = 1_000_000_000n; // 1,000 mUSD (6 decimals)
+        const USD_DEPOSIT = 2_000_000_000n;
+        
+        beforeEach(async function () {
+            const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+            stablecoin = await MockStablecoin.deploy();
+            token = await stablecoin.getAddress();
+            
+            await realEstateRental.connect(owner).setPaymentTokenAllowed(token, true);
+            await stablecoin.mint(tenant.address, USD_RENT * 10n + USD_DEPOSIT);
+            await stablecoin.connect(tenant).approve(await realEstateRental.getAddress(), ethers.MaxUint256);
+            
+            await realEstateRental.connect(landlord).listProperty(
+                "123 Main Street, Paris",
+                "Beautiful 2BR apartment",
+                USD_RENT,
+                USD_DEPOSIT,
+                MONTHLY,
+                token
+            );
+            propertyId = 1;
+        });
+        
+        it("Should only accept allowed payment tokens", async function () {
+            await expect(
+                realEstateRental.connect(landlord).listProperty("a", "b", USD_RENT, 0, MONTHLY, tenant.address)
+            ).to.be.revertedWith("Payment token not allowed");
+            
+            await expect(
+                realEstateRental.connect(landlord).setPaymentTokenAllowed(token, false)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            
+            const property = await realEstateRental.getProperty(propertyId);
+            expect(property.paymentToken).to.equal(token);
+        });
+        
+        it("Should escrow rent and deposit in tokens on reservation", async function () {
+            await expect(
+                realEstateRental.connect(tenant).reserveProperty(propertyId, 6, 0)
+            ).to.changeTokenBalances(
+                stablecoin,
+                [tenant, realEstateRental],
+                [-(USD_RENT + USD_DEPOSIT), USD_RENT + USD_DEPOSIT]
+            );
+            
+            const agreement = await realEstateRental.getRentalAgreement(1);
+            expect(agreement.paymentToken).to.equal(token);
+            expect(agreement.totalPaid).to.equal(USD_RENT + USD_DEPOSIT);
+        });
+        
+        it("Should refuse ETH for a token-priced property", async function () {
+            await expect(
+                realEstateRental.connect(tenant).reserveProperty(propertyId, 6, 0, { value: 1 })
+            ).to.be.revertedWith("ETH sent for a token payment");
+        });
+        
+        it("Should pay rent net of the platform fee in the same token", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(propertyId, 6, 0);
+            const fee = (USD_RENT * 2n) / 100n;
+            
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, token)).to.equal(USD_RENT - fee);
+            
+            await time.increase(26 * 24 * 60 * 60);
+            await expect(
+                realEstateRental.connect(tenant).payRent(1, 1)
+            ).to.changeTokenBalances(stablecoin, [tenant, realEstateRental], [-USD_RENT, USD_RENT]);
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, token)).to.equal((USD_RENT - fee) * 2n);
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, ETH)).to.equal(0);
+            
+            await expect(
+                realEstateRental.connect(landlord).withdraw(token)
+            ).to.changeTokenBalance(stablecoin, landlord, (USD_RENT - fee) * 2n);
+            
+            const feeSchedule = await ethers.getContractAt("FeeSchedule", await realEstateRental.feeSchedule());
+            expect(await feeSchedule.getUndistributed(token)).to.equal(fee * 2n);
+            expect(await feeSchedule.getUndistributed(ETH)).to.equal(0);
+            
+            await feeSchedule.distribute(token);
+            await expect(
+                feeSchedule.connect(owner).withdraw(token)
+            ).to.changeTokenBalance(stablecoin, owner, fee * 2n);
+            await expect(feeSchedule.distribute(ETH)).to.be.revertedWith("No platform fees to distribute");
+        });
+        
+        it("Should return the deposit in tokens", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(propertyId, 1, 0);
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            await time.increase(31 * 24 * 60 * 60);
+            
+            await expect(
+                realEstateRental.connect(landlord).completeAgreement(1)
+            ).to.emit(realEstateRental, "PayoutCredited").withArgs(1, tenant.address, token, USD_DEPOSIT);
+            
+            await expect(
+                realEstateRental.connect(tenant).withdraw(token)
+            ).to.changeTokenBalance(stablecoin, tenant, USD_DEPOSIT);
+        });
+        
+        it("Should pay the deposit to the landlord when a dispute favors them", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(propertyId, 6, 0);
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            await realEstateRental.connect(landlord).createDispute(1, "Damage");
+            
+            const before = await realEstateRental.getWithdrawableBalance(landlord.address, token);
+            await realEstateRental.connect(owner).resolveDispute(1, USD_DEPOSIT);
+            
+            expect(await realEstateRental.getWithdrawableBalance(landlord.address, token)).to.equal(before + USD_DEPOSIT);
+            expect(await realEstateRental.getWithdrawableBalance(tenant.address, token)).to.equal(0);
+        });
+    });
+    
+    describe("Withdrawals", function () {
+        let wallet, walletAddress;
+        
+        // Le RevertingReceiver agit comme un portefeuille smart-contract qui refuse l'ETH
+        async function asWallet(method, args, value = 0n) {
+            const data = realEstateRental.interface.encodeFunctionData(method, args);
+            return wallet.execute(await realEstateRental.getAddress(), data, { value });
+        }
+        
+        beforeEach(async function () {
+            const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+            wallet = await RevertingReceiver.deploy();
+            walletAddress = await wallet.getAddress();
+        });
+        
+        it("Should credit rent to a landlord that rejects ETH", async function () {
+            await asWallet("listProperty", ["1 Rue de Rivoli", "Studio", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH]);
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            
+            const landlordAmount = RENT_AMOUNT - (RENT_AMOUNT * 2n) / 100n;
+            await expect(
+                realEstateRental.connect(tenant).activateAgreement(1)
+            ).to.emit(realEstateRental, "PayoutCredited").withArgs(1, walletAddress, ETH, landlordAmount)
+              .and.to.emit(realEstateRental, "AgreementActivated");
+            
+            await time.increase(26 * 24 * 60 * 60);
+            await realEstateRental.connect(tenant).payRent(1, 1, { value: RENT_AMOUNT });
+            expect(await realEstateRental.getWithdrawableBalance(walletAddress, ETH)).to.equal(landlordAmount * 2n);
+            
+            // Le retrait échoue tant que le portefeuille refuse l'ETH, sans perdre le solde
+            await expect(asWallet("withdraw", [ETH])).to.be.revertedWith("Withdrawal failed");
+            expect(await realEstateRental.getWithdrawableBalance(walletAddress, ETH)).to.equal(landlordAmount * 2n);
+            
+            await wallet.setAcceptPayments(true);
+            const withdrawal = asWallet("withdraw", [ETH]);
+            await expect(withdrawal).to.changeEtherBalances([realEstateRental, wallet], [-landlordAmount * 2n, landlordAmount * 2n]);
+            await expect(withdrawal).to.emit(realEstateRental, "Withdrawal").withArgs(walletAddress, ETH, landlordAmount * 2n);
+            expect(await realEstateRental.getWithdrawableBalance(walletAddress, ETH)).to.equal(0);
+        });
+        
+        it("Should resolve a dispute in favor of a tenant that rejects ETH", async function () {
+            await realEstateRental.connect(landlord).listProperty("1 Rue de Rivoli", "Studio", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+            await asWallet("reserveProperty", [1, 6, 0], RENT_AMOUNT + SECURITY_DEPOSIT);
+            await asWallet("activateAgreement", [1]);
+            await asWallet("createDispute", [1, "Heating broken"]);
+            
+            await expect(
+                realEstateRental.connect(owner).resolveDispute(1, 0)
+            ).to.emit(realEstateRental, "SecurityDepositReturned").withArgs(1, walletAddress, SECURITY_DEPOSIT);
+            expect(await realEstateRental.getWithdrawableBalance(walletAddress, ETH)).to.equal(SECURITY_DEPOSIT);
+        });
+        
+        it("Should not withdraw an empty balance twice", async function () {
+            await realEstateRental.connect(landlord).listProperty("1 Rue de Rivoli", "Studio", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            
+            await realEstateRental.connect(landlord).withdraw(ETH);
+            await expect(
+                realEstateRental.connect(landlord).withdraw(ETH)
+            ).to.be.revertedWith("Nothing to withdraw");
+            await expect(
+                realEstateRental.connect(tenant).withdraw(ETH)
+            ).to.be.revertedWith("Nothing to withdraw");
+        });
+    });
 });
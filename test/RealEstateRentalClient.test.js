@@ -0,0 +1,601 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    RealEstateRentalClient,
+    FeeScheduleClient,
+    deployRealEstateRental,
+    ABI,
+    hashApplicationMessage,
+    hashDeductionItems,
+    findFreeRanges,
+    addMonths,
+    monthsBetween,
+    amendmentTerms,
+    buildPropertyMetadata,
+    validatePropertyMetadata,
+    hashPropertyMetadata,
+    MetadataStore
+} = require("../lib");
+
+describe("RealEstateRentalClient", function () {
+    let client, landlordClient, tenantClient;
+    let owner, landlord, tenant;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+
+    beforeEach(async function () {
+        [owner, landlord, tenant] = await ethers.getSigners();
+
+        const contract = await deployRealEstateRental(ethers);
+
+        client = new RealEstateRentalClient(await contract.getAddress(), owner);
+        landlordClient = client.connect(landlord);
+        tenantClient = client.connect(tenant);
+    });
+
+    async function listMonthly() {
+        const { propertyId } = await landlordClient.listProperty({
+            propertyAddress: "123 Main Street, Paris",
+            description: "Beautiful 2BR apartment",
+            rentBaseAmount: RENT_AMOUNT,
+            securityDeposit: SECURITY_DEPOSIT,
+            unit: "MONTHLY"
+        });
+        return propertyId;
+    }
+
+    it("Should ship an ABI artifact matching the compiled contract", async function () {
+        const artifact = await artifacts.readArtifact("RealEstateRental");
+        const signatures = (abi) => new ethers.Interface(abi).format().sort();
+        expect(signatures(ABI)).to.deep.equal(signatures(artifact.abi));
+    });
+
+    it("Should list a property and decode it into a plain object", async function () {
+        const result = await landlordClient.listProperty({
+            propertyAddress: "1 Rue de Rivoli",
+            description: "Studio",
+            rentBaseAmount: RENT_AMOUNT,
+            unit: "DAILY"
+        });
+
+        expect(result.propertyId).to.equal(1n);
+        expect(result.events[0].name).to.equal("PropertyListed");
+        expect(result.events[0].args.unit).to.equal("DAILY");
+
+        const property = await client.getProperty(result.propertyId);
+        expect(property).to.deep.equal({
+            id: 1n,
+            owner: landlord.address,
+            propertyAddress: "1 Rue de Rivoli",
+            description: "Studio",
+            rentBaseAmount: RENT_AMOUNT,
+            unit: "DAILY",
+            paymentToken: ethers.ZeroAddress,
+            securityDeposit: 0n,
+            isAvailable: true,
+            isActive: true,
+            metadataHash: ethers.ZeroHash
+        });
+    });
+
+    it("Should send rent plus deposit when reserving", async function () {
+        const propertyId = await listMonthly();
+
+        const quote = await client.quoteReservation(propertyId);
+        expect(quote.total).to.equal(RENT_AMOUNT + SECURITY_DEPOSIT);
+
+        const { agreementId, events } = await tenantClient.reserveProperty(propertyId, { months: 6 });
+        expect(events.map((e) => e.name)).to.deep.equal(["AgreementCreated"]);
+
+        const agreement = await client.getRentalAgreement(agreementId);
+        expect(agreement.status).to.equal("PENDING_RESERVATION");
+        expect(agreement.unit).to.equal("MONTHLY");
+        expect(agreement.totalPaid).to.equal(RENT_AMOUNT + SECURITY_DEPOSIT);
+        expect(await client.getTenantAgreements(tenant.address)).to.deep.equal([agreementId]);
+        expect(await client.getAvailableProperties()).to.deep.equal([]);
+    });
+
+    it("Should run the full lifecycle through the client", async function () {
+        const propertyId = await listMonthly();
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 2 });
+
+        const activation = await tenantClient.activateAgreement(agreementId);
+        // The fee schedule is credited its fee like any other account, then the landlord
+        expect(activation.events.map((e) => e.name)).to.deep.equal([
+            "PayoutCredited", "PayoutCredited", "RentPaid", "AgreementActivated"
+        ]);
+        expect(activation.events[0].args.account).to.equal(await client.getFeeSchedule());
+
+        await time.increase(26 * 24 * 60 * 60);
+        await tenantClient.payRent(agreementId);
+
+        let agreement = await client.getRentalAgreement(agreementId);
+        expect(agreement.status).to.equal("ACTIVE");
+        expect(agreement.totalPaid).to.equal(RENT_AMOUNT * 2n + SECURITY_DEPOSIT);
+
+        await time.increase(40 * 24 * 60 * 60);
+        const completion = await landlordClient.completeAgreement(agreementId);
+        const returned = completion.events.find((e) => e.name === "SecurityDepositReturned");
+        expect(returned.args.amount).to.equal(SECURITY_DEPOSIT);
+
+        agreement = await client.getRentalAgreement(agreementId);
+        expect(agreement.status).to.equal("COMPLETED");
+
+        const fee = (RENT_AMOUNT * 2n * 2n) / 100n;
+        const { accumulatedPlatformFees } = await client.getPlatformInfo();
+        expect(accumulatedPlatformFees).to.equal(fee);
+
+        expect(await client.getWithdrawableBalance(landlord.address)).to.equal(RENT_AMOUNT * 2n - fee);
+        expect(await client.getWithdrawableBalance(tenant.address)).to.equal(SECURITY_DEPOSIT);
+
+        const { amount } = await tenantClient.withdraw();
+        expect(amount).to.equal(SECURITY_DEPOSIT);
+        expect(await client.getWithdrawableBalance(tenant.address)).to.equal(0n);
+    });
+
+    it("Should go from application to acceptance to reservation", async function () {
+        const propertyId = await listMonthly();
+        await landlordClient.setApplicationRequired(propertyId, true);
+        expect(await client.isApplicationRequired(propertyId)).to.equal(true);
+
+        const { applicationId } = await tenantClient.applyForProperty({ propertyId, months: 6, message: "Hello" });
+        const [pending] = await client.getPendingApplicationsForProperty(propertyId);
+        expect(pending).to.include({
+            applicationId,
+            applicant: tenant.address,
+            durationInMonths: 6n,
+            messageHash: hashApplicationMessage("Hello"),
+            status: "PENDING",
+            reserveDeadline: 0n
+        });
+
+        await landlordClient.acceptApplication(applicationId);
+        const [accepted] = await client.getPendingApplicationsForTenant(tenant.address);
+        expect(accepted.status).to.equal("ACCEPTED");
+
+        const tx = await client.buildReserveFromApplication(applicationId);
+        expect(tx.value).to.equal(RENT_AMOUNT + SECURITY_DEPOSIT);
+
+        const { agreementId } = await tenantClient.reserveFromApplication(applicationId);
+        expect((await client.getRentalAgreement(agreementId)).status).to.equal("PENDING_RESERVATION");
+        expect((await client.getApplication(applicationId)).status).to.equal("FUNDED");
+        expect((await client.getCounters()).applicationCounter).to.equal(1n);
+    });
+
+    it("Should refund a reservation the landlord rejects", async function () {
+        const propertyId = await listMonthly();
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 6 });
+
+        const rejection = await landlordClient.rejectReservation(agreementId);
+        expect(rejection.events.map((e) => e.name)).to.deep.equal(["PayoutCredited", "ReservationRejected"]);
+
+        const agreement = await client.getRentalAgreement(agreementId);
+        expect(agreement.status).to.equal("CANCELLED");
+        expect(agreement.handoverDeadline).to.equal(agreement.startDate + (await client.getPlatformInfo()).handoverWindow);
+        expect(await client.getAvailableProperties()).to.deep.equal([propertyId]);
+
+        const { amount } = await tenantClient.withdraw();
+        expect(amount).to.equal(RENT_AMOUNT + SECURITY_DEPOSIT);
+    });
+
+    it("Should create and resolve a dispute", async function () {
+        const propertyId = await listMonthly();
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 6 });
+        await tenantClient.activateAgreement(agreementId);
+
+        const { disputeId } = await tenantClient.createDispute(agreementId, "Heating broken");
+        let dispute = await client.getDispute(disputeId);
+        expect(dispute.status).to.equal("OPEN");
+        expect((await client.getRentalAgreement(agreementId)).status).to.equal("DISPUTED");
+
+        const resolution = await client.resolveDispute(disputeId, 0n);
+        expect(resolution.events.find((e) => e.name === "DisputeResolved").args.tenantAmount).to.equal(SECURITY_DEPOSIT);
+
+        dispute = await client.getDispute(disputeId);
+        expect(dispute.status).to.equal("RESOLVED");
+    });
+
+    it("Should claim itemized deductions and settle them", async function () {
+        const propertyId = await listMonthly();
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 1 });
+        await tenantClient.activateAgreement(agreementId);
+        await time.increase(31 * 24 * 60 * 60);
+
+        const items = [
+            { description: "Broken window", amount: ethers.parseEther("0.3") },
+            { description: "Cleaning", amount: ethers.parseEther("0.2") }
+        ];
+        await landlordClient.claimDeductions(agreementId, { items });
+
+        const claim = await client.getDeductionClaim(agreementId);
+        expect(claim).to.include({ amount: ethers.parseEther("0.5"), itemsHash: hashDeductionItems(items), status: "CLAIMED" });
+
+        const { disputeId } = await tenantClient.challengeDeductions(agreementId, "Window was already broken");
+        expect((await client.getDeductionClaim(agreementId)).status).to.equal("CHALLENGED");
+
+        await client.resolveDispute(disputeId, ethers.parseEther("0.2"));
+        expect(await client.getWithdrawableBalance(tenant.address)).to.equal(SECURITY_DEPOSIT - ethers.parseEther("0.2"));
+    });
+
+    it("Should pay late fees and terminate for arrears", async function () {
+        const propertyId = await listMonthly();
+        const lateFeeFlat = ethers.parseEther("0.1");
+        await landlordClient.setLateFeePolicy(propertyId, { gracePeriod: 2 * 24 * 60 * 60, lateFeeFlat, maxMissedPeriods: 1 });
+        expect(await client.getLateFeePolicy(propertyId)).to.deep.equal({
+            gracePeriod: 172800n,
+            lateFeeFlat,
+            lateFeePercentage: 0n,
+            maxMissedPeriods: 1n
+        });
+
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 6 });
+        await tenantClient.activateAgreement(agreementId);
+        const { startDate } = await client.getRentalAgreement(agreementId);
+
+        await time.increaseTo(addMonths(startDate, 1) + 3n * 24n * 60n * 60n);
+        expect(await client.quoteRent(agreementId)).to.equal(RENT_AMOUNT + lateFeeFlat);
+        const { events } = await tenantClient.payRent(agreementId);
+        expect(events.map((e) => e.name)).to.include("LateFeePaid");
+
+        await time.increaseTo(addMonths(startDate, 3) + 3n * 24n * 60n * 60n);
+        const status = await client.getPaymentStatus(agreementId);
+        expect(status.missedPeriods).to.equal(2n);
+        expect(status.arrearsTerminable).to.equal(true);
+
+        const { arrears, fromDeposit } = await landlordClient.terminateForArrears(agreementId);
+        expect(arrears).to.equal((RENT_AMOUNT + lateFeeFlat) * 2n);
+        expect(fromDeposit).to.equal(SECURITY_DEPOSIT);
+        expect((await client.getRentalAgreement(agreementId)).status).to.equal("TERMINATED");
+    });
+
+    it("Should prepay several months with a discount", async function () {
+        const propertyId = await listMonthly();
+        await landlordClient.setPrepaymentDiscount(propertyId, { minPeriods: 3, percentage: 5 });
+        expect(await client.getPrepaymentDiscount(propertyId)).to.deep.equal({ minPeriods: 3n, percentage: 5n });
+
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 6 });
+        await tenantClient.activateAgreement(agreementId);
+        const { startDate } = await client.getRentalAgreement(agreementId);
+
+        const quote = await client.getRentQuote(agreementId, 3);
+        expect(quote.discount).to.equal((RENT_AMOUNT * 3n * 5n) / 100n);
+        expect(quote.amount).to.equal(RENT_AMOUNT * 3n - quote.discount);
+        expect(await client.quoteRent(agreementId, 3)).to.equal(quote.amount);
+
+        const { events } = await tenantClient.payRent(agreementId, 3);
+        expect(events.map((e) => e.name)).to.include("PrepaymentDiscountApplied");
+        expect((await client.getRentalAgreement(agreementId)).paidThroughDate).to.equal(addMonths(startDate, 4));
+    });
+
+    it("Should find free whole-day ranges between bookings", function () {
+        const DAY = 86400n;
+        const intervals = [
+            { agreementId: 2n, startDate: 10n * DAY, endDate: 12n * DAY },
+            { agreementId: 1n, startDate: 2n * DAY + 3600n, endDate: 5n * DAY } // Booked at 1am
+        ];
+        expect(findFreeRanges(intervals, { from: 0n, to: 14n * DAY })).to.deep.equal([
+            { startDate: 0n, endDate: 2n * DAY, days: 2n },
+            { startDate: 5n * DAY, endDate: 10n * DAY, days: 5n },
+            { startDate: 12n * DAY, endDate: 14n * DAY, days: 2n }
+        ]);
+        expect(findFreeRanges(intervals, { from: 0n, to: 14n * DAY, minDays: 3 })).to.have.length(1);
+        expect(findFreeRanges([], { from: "1970-01-02", to: "1970-01-04" })).to.deep.equal([
+            { startDate: DAY, endDate: 3n * DAY, days: 2n }
+        ]);
+    });
+
+    it("Should book dates and report the calendar", async function () {
+        const DAY = 86400n;
+        const { propertyId } = await landlordClient.listProperty({
+            propertyAddress: "5 Quai de Seine, Paris",
+            description: "Studio by the canal",
+            rentBaseAmount: ethers.parseEther("0.1"),
+            securityDeposit: SECURITY_DEPOSIT,
+            unit: "DAILY"
+        });
+        const today = (BigInt(await time.latest()) / DAY) * DAY;
+        const day = (n) => new Date(Number(today + BigInt(n) * DAY) * 1000).toISOString().slice(0, 10);
+
+        const { agreementId } = await tenantClient.reserveDates(propertyId, { startDate: day(3), endDate: day(6) });
+        expect(await client.getBookedIntervals(propertyId)).to.deep.equal([
+            { agreementId, startDate: today + 3n * DAY, endDate: today + 6n * DAY }
+        ]);
+        expect(await client.isAvailableFor(propertyId, { startDate: day(1), endDate: day(3) })).to.equal(true);
+        expect(await client.isAvailableFor(propertyId, { startDate: day(5), endDate: day(7) })).to.equal(false);
+
+        const free = await client.findFreeRanges(propertyId, { to: today + 10n * DAY });
+        expect(free.map((r) => [r.startDate - today, r.days])).to.deep.equal([[0n, 3n], [6n * DAY, 4n]]);
+    });
+
+    it("Should add calendar months, clamping at month end", function () {
+        const utc = (year, month, day) => BigInt(Date.UTC(year, month - 1, day, 9, 30)) / 1000n;
+        expect(addMonths(utc(2028, 1, 31), 1)).to.equal(utc(2028, 2, 29));
+        expect(addMonths(utc(2027, 1, 31), 1)).to.equal(utc(2027, 2, 28));
+        expect(addMonths(utc(2027, 1, 31), 2)).to.equal(utc(2027, 3, 31));
+        expect(addMonths(utc(2027, 11, 30), 3)).to.equal(utc(2028, 2, 29));
+        expect(addMonths(utc(2027, 5, 15), 12)).to.equal(utc(2028, 5, 15));
+        expect(monthsBetween(utc(2027, 1, 31), utc(2027, 2, 28))).to.equal(1n);
+        expect(monthsBetween(utc(2027, 1, 31), utc(2027, 2, 28) - 1n)).to.equal(0n);
+        expect(monthsBetween(utc(2027, 1, 15), utc(2028, 1, 15))).to.equal(12n);
+    });
+
+    it("Should show the payment schedule of an agreement", async function () {
+        const propertyId = await listMonthly();
+        await landlordClient.setLateFeePolicy(propertyId, { gracePeriod: 24 * 60 * 60, lateFeeFlat: ethers.parseEther("0.1") });
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 4 });
+        await tenantClient.activateAgreement(agreementId);
+        const { startDate } = await client.getRentalAgreement(agreementId);
+
+        // Second month past its grace period, third month just due
+        await time.increaseTo(addMonths(startDate, 2));
+        const schedule = await client.getPaymentSchedule(agreementId);
+        expect(schedule.map((p) => p.status)).to.deep.equal(["PAID", "LATE", "DUE", "UPCOMING"]);
+        expect(schedule.map((p) => p.dueDate)).to.deep.equal([0, 1, 2, 3].map((n) => addMonths(startDate, n)));
+        expect(schedule[1].amount).to.equal(RENT_AMOUNT + ethers.parseEther("0.1"));
+        expect(schedule[3].endDate).to.equal((await client.getRentalAgreement(agreementId)).endDate);
+    });
+
+    it("Should renew a lease with a rent escalation and a deposit top-up", async function () {
+        const propertyId = await listMonthly();
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 6 });
+        await tenantClient.activateAgreement(agreementId);
+        const { endDate } = await client.getRentalAgreement(agreementId);
+        expect(await client.getAmendment(agreementId)).to.equal(null);
+
+        const { terms } = await landlordClient.proposeAmendment(agreementId, {
+            months: 12,
+            escalationPercentage: 2.5,
+            securityDeposit: SECURITY_DEPOSIT + RENT_AMOUNT
+        });
+        expect(terms).to.deep.equal({
+            endDate: addMonths(endDate, 12),
+            rentAmount: ethers.parseEther("1.025"),
+            securityDeposit: SECURITY_DEPOSIT + RENT_AMOUNT
+        });
+        expect((await client.getAmendment(agreementId)).proposedBy).to.equal(landlord.address);
+        expect(await client.quoteAmendmentTopUp(agreementId, tenant.address))
+            .to.deep.equal({ token: ethers.ZeroAddress, amount: RENT_AMOUNT });
+
+        const { events } = await tenantClient.acceptAmendment(agreementId);
+        const amended = events.find((e) => e.name === "AgreementAmended");
+        expect(amended.args.rentAmount).to.equal(terms.rentAmount);
+        const agreement = await client.getRentalAgreement(agreementId);
+        expect(agreement.endDate).to.equal(terms.endDate);
+        expect(agreement.securityDeposit).to.equal(SECURITY_DEPOSIT + RENT_AMOUNT);
+        expect(await client.quoteRent(agreementId)).to.equal(terms.rentAmount);
+    });
+
+    it("Should work out amendment terms from the current agreement", function () {
+        const agreement = { endDate: 1_800_000_000n, rentAmount: 1000n, securityDeposit: 2000n };
+        expect(amendmentTerms(agreement, {})).to.deep.equal(agreement);
+        expect(amendmentTerms(agreement, { days: 10, escalationPercentage: 3 })).to.deep.equal({
+            endDate: agreement.endDate + 10n * 86400n,
+            rentAmount: 1030n,
+            securityDeposit: 2000n
+        });
+        expect(amendmentTerms(agreement, { months: 1, rentAmount: 900n, escalationPercentage: 3 }).rentAmount).to.equal(900n);
+    });
+
+    it("Should keep unspecified fields when updating a property", async function () {
+        const propertyId = await listMonthly();
+
+        await landlordClient.updateProperty(propertyId, { rentBaseAmount: RENT_AMOUNT * 2n });
+
+        const property = await client.getProperty(propertyId);
+        expect(property.rentBaseAmount).to.equal(RENT_AMOUNT * 2n);
+        expect(property.description).to.equal("Beautiful 2BR apartment");
+        expect(property.unit).to.equal("MONTHLY");
+    });
+
+    it("Should transfer a property and its open agreements to a new holder", async function () {
+        const [, , , buyer] = await ethers.getSigners();
+        const propertyId = await listMonthly();
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 3 });
+
+        const result = await landlordClient.transferProperty(propertyId, buyer.address);
+        expect(result.events.map((e) => e.name)).to.include("PropertyTransferred");
+        expect(result.events.find((e) => e.name === "PropertyTransferred").args).to.deep.equal({
+            propertyId, from: landlord.address, to: buyer.address
+        });
+
+        expect((await client.getProperty(propertyId)).owner).to.equal(buyer.address);
+        expect((await client.getRentalAgreement(agreementId)).landlord).to.equal(buyer.address);
+        expect(await client.getLandlordProperties(buyer.address)).to.deep.equal([propertyId]);
+        const token = await client.getPropertyTokenContract();
+        expect(await token.getAddress()).to.equal(await client.getPropertyToken());
+        expect(await token.ownerOf(propertyId)).to.equal(buyer.address);
+    });
+
+    it("Should split rent and deposit between co-tenants", async function () {
+        const [, , , coTenant] = await ethers.getSigners();
+        const coTenantClient = client.connect(coTenant);
+        const propertyId = await listMonthly();
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 3 });
+        await tenantClient.setCoTenants(agreementId, [{ account: coTenant.address, rentShare: 3333, depositShare: 5000 }]);
+
+        const join = (RENT_AMOUNT * 3333n) / 10000n + SECURITY_DEPOSIT / 2n;
+        expect(await client.quoteJoin(agreementId, coTenant.address)).to.deep.equal({ token: ethers.ZeroAddress, amount: join });
+        await coTenantClient.joinAgreement(agreementId);
+        await coTenantClient.activateAgreement(agreementId);
+
+        const tenancy = await client.getTenancy(agreementId);
+        expect(tenancy.coTenants.map((m) => [m.account, m.rentShare, m.joined])).to.deep.equal([
+            [tenant.address, 6667n, true],
+            [coTenant.address, 3333n, true]
+        ]);
+        const share = (RENT_AMOUNT * 2n * 3333n) / 10000n;
+        expect(await client.quoteRentShare(agreementId, coTenant.address, 2)).to.equal(share);
+        expect(await client.quoteRentShare(agreementId, tenant.address, 2)).to.equal(RENT_AMOUNT * 2n - share);
+        await expect(client.buildPayRent(agreementId, 2)).to.be.rejectedWith("Sender required");
+
+        const { events } = await coTenantClient.payRent(agreementId, 2);
+        expect(events.map((e) => e.name)).to.deep.equal(["RentSharePaid"]);
+        expect((await client.getTenancy(agreementId)).round).to.deep.equal({ units: 2n, shares: 1n });
+        const last = await tenantClient.payRent(agreementId, 2);
+        expect(last.events.find((e) => e.name === "RentPaid").args.amount).to.equal(RENT_AMOUNT * 2n);
+
+        await time.increaseTo((await client.getRentalAgreement(agreementId)).endDate);
+        await landlordClient.claimDeductions(agreementId, { amount: ethers.parseEther("0.5") });
+        await landlordClient.allocateDeductions(agreementId, [0n, ethers.parseEther("0.5")]);
+        await tenantClient.acceptDeductions(agreementId);
+        expect(await client.getWithdrawableBalance(coTenant.address)).to.equal(SECURITY_DEPOSIT / 2n - ethers.parseEther("0.5"));
+    });
+
+    describe("Property metadata", function () {
+        const FIELDS = {
+            title: "Bright studio near the Louvre",
+            address: { street: "1 Rue de Rivoli", city: "Paris", postalCode: "75001", country: "FR" },
+            surfaceArea: 28.5,
+            rooms: 1,
+            amenities: ["elevator", "wifi"],
+            photos: [{ uri: "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi", caption: "Living room" }]
+        };
+        let dir, store;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "rental-metadata-"));
+            store = new MetadataStore(dir);
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("Should validate documents and hash them independently of key order", function () {
+            const metadata = buildPropertyMetadata(FIELDS);
+            expect(metadata.schemaVersion).to.equal(1);
+            const reordered = { address: { country: "FR", ...FIELDS.address }, ...FIELDS, schemaVersion: 1 };
+            expect(hashPropertyMetadata(reordered)).to.equal(hashPropertyMetadata(metadata));
+            expect(hashPropertyMetadata({ ...metadata, rooms: 2 })).to.not.equal(hashPropertyMetadata(metadata));
+
+            expect(validatePropertyMetadata({
+                schemaVersion: 1,
+                title: "",
+                address: { street: "1 Rue de Rivoli", country: "France" },
+                rooms: 1.5,
+                amenities: ["sauna"],
+                pool: true
+            })).to.deep.equal([
+                "/title must not be empty",
+                "/address/city is required",
+                "/address/country must match ^[A-Z]{2}$",
+                "/rooms must be an integer",
+                "/amenities/0 must be one of air_conditioning, balcony, dishwasher, elevator, furnished, garden, heating, parking, pets_allowed, washing_machine, wifi",
+                "/pool is not allowed"
+            ]);
+            expect(() => buildPropertyMetadata({ address: FIELDS.address })).to.throw("/title is required");
+        });
+
+        it("Should list with a metadata hash and verify the fetched document", async function () {
+            const metadataHash = store.put(buildPropertyMetadata(FIELDS));
+            const { propertyId, metadata } = await landlordClient.listProperty({
+                rentBaseAmount: RENT_AMOUNT,
+                unit: "MONTHLY",
+                metadataHash
+            });
+            expect(metadata.events.map((e) => e.name)).to.deep.equal(["PropertyMetadataUpdated"]);
+            expect((await client.getProperty(propertyId)).metadataHash).to.equal(metadataHash);
+
+            const found = await client.getPropertyMetadata(propertyId, store);
+            expect(found.metadataHash).to.equal(metadataHash);
+            expect(found.metadata.address.city).to.equal("Paris");
+
+            // A copy edited after publication no longer matches the on-chain hash
+            const file = path.join(dir, `${metadataHash}.json`);
+            fs.writeFileSync(file, fs.readFileSync(file, "utf8").replace("Paris", "Lyon"));
+            await expect(client.getPropertyMetadata(propertyId, store)).to.be.rejectedWith("Metadata hash mismatch");
+            expect(() => store.get(metadataHash)).to.throw("Metadata hash mismatch");
+
+            fs.unlinkSync(file);
+            await expect(client.getPropertyMetadata(propertyId, store)).to.be.rejectedWith("not found");
+            await landlordClient.setPropertyMetadata(propertyId, ethers.ZeroHash);
+            expect(await client.getPropertyMetadata(propertyId, store)).to.equal(null);
+        });
+    });
+
+    it("Should reject unknown rent units", async function () {
+        await expect(
+            landlordClient.listProperty({
+                propertyAddress: "x",
+                description: "y",
+                rentBaseAmount: RENT_AMOUNT,
+                unit: "WEEKLY"
+            })
+        ).to.be.rejectedWith("Unknown enum name: WEEKLY");
+    });
+
+    describe("ERC-20 payments", function () {
+        let stablecoin, token;
+        const USD_RENT = 1_000_000_000n;
+        const USD_DEPOSIT = 2_000_000_000n;
+
+        beforeEach(async function () {
+            const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+            stablecoin = await MockStablecoin.deploy();
+            token = await stablecoin.getAddress();
+            await stablecoin.mint(tenant.address, USD_RENT * 10n);
+
+            await client.setPaymentTokenAllowed(token, true);
+            expect(await client.isPaymentTokenAllowed(token)).to.equal(true);
+        });
+
+        it("Should approve then reserve and pay in the property's token", async function () {
+            const { propertyId } = await landlordClient.listProperty({
+                propertyAddress: "1 Rue de Rivoli",
+                description: "Studio",
+                rentBaseAmount: USD_RENT,
+                securityDeposit: USD_DEPOSIT,
+                paymentToken: token
+            });
+            expect((await client.getProperty(propertyId)).paymentToken).to.equal(token);
+            expect(await client.tokenDecimals(token)).to.equal(6);
+
+            const quote = await client.quoteReservation(propertyId);
+            expect(quote).to.deep.equal({ token, firstRent: USD_RENT, securityDeposit: USD_DEPOSIT, total: USD_RENT + USD_DEPOSIT });
+
+            const reservation = await tenantClient.reserveProperty(propertyId, { months: 2 });
+            expect(reservation.approval).to.be.a("string");
+            expect(await stablecoin.balanceOf(client.address)).to.equal(USD_RENT + USD_DEPOSIT);
+
+            await tenantClient.activateAgreement(reservation.agreementId);
+            await time.increase(26 * 24 * 60 * 60);
+            await tenantClient.payRent(reservation.agreementId);
+
+            const fee = (USD_RENT * 2n * 2n) / 100n;
+            expect(await client.getWithdrawableBalance(landlord.address, token)).to.equal(USD_RENT * 2n - fee);
+            await landlordClient.withdraw(token);
+            expect(await stablecoin.balanceOf(landlord.address)).to.equal(USD_RENT * 2n - fee);
+            expect((await client.getPlatformInfo(token)).accumulatedPlatformFees).to.equal(fee);
+
+            const fees = await FeeScheduleClient.fromRental(client);
+            await fees.distribute(token);
+            await fees.withdraw(token);
+            expect(await stablecoin.balanceOf(owner.address)).to.equal(fee);
+        });
+
+        it("Should build the approval alongside unsigned token payments", async function () {
+            const { propertyId } = await landlordClient.listProperty({
+                propertyAddress: "1 Rue de Rivoli",
+                description: "Studio",
+                rentBaseAmount: USD_RENT,
+                paymentToken: token
+            });
+
+            const tx = await client.buildReserveProperty(propertyId, { months: 1 }, { from: tenant.address });
+            expect(tx.value).to.equal(0n);
+            expect(tx.approval.to).to.equal(token);
+
+            await tenant.sendTransaction(tx.approval);
+            const again = await client.buildReserveProperty(propertyId, { months: 1 }, { from: tenant.address });
+            expect(again.approval).to.equal(undefined);
+
+            await tenant.sendTransaction(again);
+            expect((await client.getRentalAgreement(1)).status).to.equal("PENDING_RESERVATION");
+        });
+    });
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    RealEstateRentalClient,
+    RentalForwarderClient,
+    deployRealEstateRental,
+    signForwardRequest,
+    verifyForwardRequest,
+    recoverListingOfferSigner
+} = require("../lib");
+const { createRelayerApp } = require("../lib/api/relayer");
+
+describe("RentalForwarder", function () {
+    let realEstateRental, forwarder, rental, relayer;
+    let owner, landlord, tenant, other;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+    const MONTHLY = 0;
+    const ETH = ethers.ZeroAddress;
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, landlord, tenant, other] = await ethers.getSigners();
+
+        realEstateRental = await deployRealEstateRental(ethers);
+        const RentalForwarder = await ethers.getContractFactory("RentalForwarder");
+        forwarder = await RentalForwarder.deploy(await realEstateRental.getAddress());
+        await realEstateRental.setTrustedForwarder(await forwarder.getAddress());
+
+        rental = new RealEstateRentalClient(await realEstateRental.getAddress(), ethers.provider);
+        relayer = await RentalForwarderClient.fromRental(rental, owner);
+
+        await realEstateRental.connect(landlord).listProperty(
+            "123 Main Street, Paris", "Beautiful 2BR apartment", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH
+        );
+    });
+
+    // The signer signs, the relayer (owner) submits and pays
+    async function relayed(signer, method, args, options) {
+        const { request, signature } = await relayer.connect(signer).signRequest(method, args, options);
+        return relayer.relay(request, signature);
+    }
+
+    async function reserveAndActivate() {
+        await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+        return relayed(tenant, "activateAgreement", [1]);
+    }
+
+    describe("Relayed calls", function () {
+        it("Should act for the signer while the relayer pays gas and value", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            const before = await ethers.provider.getBalance(tenant.address);
+
+            const activation = await relayed(tenant, "activateAgreement", [1]);
+            expect(activation.events.map((e) => e.name)).to.include.members(["AgreementActivated", "RequestExecuted"]);
+
+            await relayed(tenant, "payRent", [1, 1], { value: RENT_AMOUNT });
+            await relayed(tenant, "createDispute", [1, "Broken heating"]);
+
+            expect(await ethers.provider.getBalance(tenant.address)).to.equal(before);
+            expect((await rental.getRentalAgreement(1)).status).to.equal("DISPUTED");
+            expect((await rental.getDispute(1)).initiator).to.equal(tenant.address);
+            expect(await relayer.getNonce(tenant.address)).to.equal(3n);
+        });
+
+        it("Should reject replayed, expired and forged requests", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            const { request, signature } = await relayer.connect(tenant).signRequest("activateAgreement", [1]);
+
+            // Someone else's key, or terms changed after signing
+            const forged = await signForwardRequest(other, await relayer.getDomain(), request);
+            await expect(forwarder.execute(request, forged)).to.be.revertedWith("Invalid signature");
+            const tampered = { ...request, gas: request.gas + 1n };
+            expect(await relayer.verify(tampered, signature)).to.equal(false);
+            await expect(forwarder.execute(tampered, signature)).to.be.revertedWith("Invalid signature");
+            await expect(forwarder.execute(request, signature, { value: 1n })).to.be.revertedWith("Value mismatch");
+
+            expect(await relayer.verify(request, signature)).to.equal(true);
+            await relayer.relay(request, signature);
+            expect(await relayer.verify(request, signature)).to.equal(false);
+            await expect(forwarder.execute(request, signature)).to.be.revertedWith("Invalid nonce");
+
+            const late = await relayer.connect(tenant).signRequest("payRent", [1, 1], {
+                value: RENT_AMOUNT,
+                deadline: (await time.latest()) + 60
+            });
+            await time.increase(61);
+            await expect(
+                forwarder.execute(late.request, late.signature, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Request expired");
+        });
+
+        it("Should pass on the rental's revert and keep the nonce", async function () {
+            await reserveAndActivate();
+            const { request, signature } = await relayer.connect(other).signRequest("completeAgreement", [1], { gas: 300000n });
+
+            await expect(forwarder.execute(request, signature)).to.be.revertedWith("Not authorized");
+            expect(await relayer.getNonce(other.address)).to.equal(0n);
+        });
+
+        it("Should pull token payments from the signer", async function () {
+            const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+            const stablecoin = await MockStablecoin.deploy();
+            const token = await stablecoin.getAddress();
+            await realEstateRental.setPaymentTokenAllowed(token, true);
+            await stablecoin.mint(tenant.address, 3_000_000_000n);
+            await stablecoin.connect(tenant).approve(await realEstateRental.getAddress(), ethers.MaxUint256);
+            await realEstateRental.connect(landlord).listProperty("b", "c", 1_000_000_000n, 0, MONTHLY, token);
+
+            await relayed(tenant, "reserveProperty", [2, 3, 0]);
+            await relayed(tenant, "activateAgreement", [1]);
+            await relayed(tenant, "payRent", [1, 1]);
+
+            expect(await stablecoin.balanceOf(tenant.address)).to.equal(1_000_000_000n);
+            expect((await rental.getRentalAgreement(1)).tenant).to.equal(tenant.address);
+        });
+
+        it("Should only trust the forwarder set by the owner", async function () {
+            await expect(
+                realEstateRental.connect(landlord).setTrustedForwarder(landlord.address)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            const { request, signature } = await relayer.connect(tenant).signRequest("activateAgreement", [1]);
+            await expect(realEstateRental.setTrustedForwarder(ETH))
+                .to.emit(realEstateRental, "TrustedForwarderUpdated")
+                .withArgs(ETH);
+
+            // No longer trusted: the call comes from the forwarder itself
+            await expect(forwarder.execute(request, signature)).to.be.revertedWith("Only tenant can activate agreement");
+            // An appended address from anyone else is ignored
+            const data = realEstateRental.interface.encodeFunctionData("activateAgreement", [1]);
+            await expect(
+                other.sendTransaction({ to: await realEstateRental.getAddress(), data: ethers.concat([data, tenant.address]) })
+            ).to.be.revertedWith("Only tenant can activate agreement");
+        });
+    });
+
+    describe("Listing Offers", function () {
+        const OFFER_RENT = ethers.parseEther("0.8");
+        const OFFER_DEPOSIT = ethers.parseEther("1.0");
+
+        it("Should apply the landlord's signed terms when the tenant reserves", async function () {
+            const { offer, signature } = await relayer.connect(landlord).signOffer({
+                propertyId: 1, rentBaseAmount: OFFER_RENT, securityDeposit: OFFER_DEPOSIT, months: 12
+            });
+            expect(recoverListingOfferSigner(await relayer.getDomain(), offer, signature)).to.equal(landlord.address);
+            expect(await relayer.verifyOffer(offer, signature)).to.equal(true);
+
+            const before = await ethers.provider.getBalance(landlord.address);
+            const result = await relayer.connect(tenant).acceptOffer(offer, signature);
+            expect(result.agreementId).to.equal(1n);
+            expect(await ethers.provider.getBalance(landlord.address)).to.equal(before);
+
+            const agreement = await rental.getRentalAgreement(1);
+            expect(agreement.tenant).to.equal(tenant.address);
+            expect(agreement.rentAmount).to.equal(OFFER_RENT);
+            expect(agreement.securityDeposit).to.equal(OFFER_DEPOSIT);
+            // The offer only applies to this reservation
+            const property = await rental.getProperty(1);
+            expect(property.rentBaseAmount).to.equal(RENT_AMOUNT);
+            expect(property.securityDeposit).to.equal(SECURITY_DEPOSIT);
+            expect(property.description).to.equal("Beautiful 2BR apartment");
+            expect(property.isAvailable).to.equal(false);
+            expect(await relayer.isOfferUsed(landlord.address, offer.nonce)).to.equal(true);
+
+            await realEstateRental.connect(tenant).cancelReservation(1);
+            await expect(
+                forwarder.connect(tenant).acceptOffer(offer, signature, { value: OFFER_RENT + OFFER_DEPOSIT })
+            ).to.be.revertedWith("Offer already used");
+        });
+
+        it("Should enforce the tenant, the deadline, cancellation and the owner's signature", async function () {
+            const value = RENT_AMOUNT + SECURITY_DEPOSIT;
+            const terms = { propertyId: 1, months: 6, deadline: (await time.latest()) + DAY };
+
+            const reserved = await relayer.connect(landlord).signOffer({ ...terms, tenant: other.address });
+            await expect(
+                forwarder.connect(tenant).acceptOffer(reserved.offer, reserved.signature, { value })
+            ).to.be.revertedWith("Offer reserved for another tenant");
+
+            const byTenant = await relayer.connect(tenant).signOffer(terms);
+            expect(await relayer.verifyOffer(byTenant.offer, byTenant.signature)).to.equal(false);
+            await expect(
+                forwarder.connect(other).acceptOffer(byTenant.offer, byTenant.signature, { value })
+            ).to.be.revertedWith("Invalid signature");
+
+            const cancelled = await relayer.connect(landlord).signOffer(terms);
+            await expect(forwarder.connect(landlord).cancelOffer(cancelled.offer.nonce))
+                .to.emit(forwarder, "OfferCancelled")
+                .withArgs(landlord.address, cancelled.offer.nonce);
+            await expect(
+                forwarder.connect(tenant).acceptOffer(cancelled.offer, cancelled.signature, { value })
+            ).to.be.revertedWith("Offer already used");
+
+            const expiring = await relayer.connect(landlord).signOffer(terms);
+            await time.increase(DAY + 1);
+            await expect(
+                forwarder.connect(tenant).acceptOffer(expiring.offer, expiring.signature, { value })
+            ).to.be.revertedWith("Offer expired");
+        });
+
+        it("Should leave the listing as it was once the offer is accepted", async function () {
+            const DAILY = 1;
+            await realEstateRental.connect(landlord).listProperty(
+                "5 Quai de Seine, Paris", "Studio by the canal", RENT_AMOUNT, SECURITY_DEPOSIT, DAILY, ETH
+            );
+            await realEstateRental.connect(landlord).updateProperty(
+                2, "5 Quai de Seine, Paris", "Studio by the canal", RENT_AMOUNT, SECURITY_DEPOSIT, false, DAILY
+            );
+            const listing = await realEstateRental.getProperty(2);
+
+            const { offer, signature } = await relayer.connect(landlord).signOffer({
+                propertyId: 2, rentBaseAmount: OFFER_RENT, securityDeposit: OFFER_DEPOSIT, days: 3, tenant: tenant.address
+            });
+            await forwarder.connect(tenant).acceptOffer(offer, signature, { value: OFFER_RENT + OFFER_DEPOSIT });
+            expect((await realEstateRental.getRentalAgreement(1)).rentAmount).to.equal(OFFER_RENT);
+            expect(await realEstateRental.getProperty(2)).to.deep.equal(listing);
+            await expect(
+                realEstateRental.connect(other).reserveProperty(2, 0, 3, { value: RENT_AMOUNT + SECURITY_DEPOSIT })
+            ).to.be.revertedWith("Property not available");
+        });
+    });
+
+    describe("Relayer API", function () {
+        let server, baseUrl;
+
+        beforeEach(async function () {
+            server = createRelayerApp({ forwarder: relayer }).listen(0);
+            await new Promise((resolve) => server.once("listening", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async function () {
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        async function post(path, body) {
+            const res = await fetch(baseUrl + path, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(body, (key, v) => (typeof v === "bigint" ? v.toString() : v))
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        it("Should check and submit signed requests", async function () {
+            await realEstateRental.connect(tenant).reserveProperty(1, 6, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+            const domain = await (await fetch(`${baseUrl}/domain`)).json();
+            expect(domain.domain.verifyingContract).to.equal(await forwarder.getAddress());
+
+            const signed = await relayer.connect(tenant).signRequest("activateAgreement", [1]);
+            expect(verifyForwardRequest(await relayer.getDomain(), signed.request, signed.signature)).to.equal(true);
+
+            const forged = { ...signed, request: { ...signed.request, from: other.address } };
+            expect((await post("/relay", forged)).status).to.equal(400);
+
+            const { status, body } = await post("/relay", signed);
+            expect(status, JSON.stringify(body)).to.equal(200);
+            expect(body.events.map((e) => e.name)).to.include("AgreementActivated");
+            expect((await (await fetch(`${baseUrl}/nonces/${tenant.address}`)).json()).nonce).to.equal("1");
+
+            const replay = await post("/relay", signed);
+            expect(replay.status).to.equal(422);
+            expect(replay.body.error).to.equal("Request expired or nonce already used");
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { RealEstateRentalClient, RentalRolesClient, ROLES_ABI, ROLES, deployRealEstateRental } = require("../lib");
+
+describe("RentalRoles", function () {
+    let realEstateRental, roles, feeSchedule;
+    let owner, landlord, tenant, feeManager, treasurer, arbiter, pauser;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+    const MONTHLY = 0;
+    const ETH = ethers.ZeroAddress;
+    const FEE_MANAGER_ROLE = ethers.id("FEE_MANAGER_ROLE");
+    const TREASURER_ROLE = ethers.id("TREASURER_ROLE");
+    const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+    const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+
+    beforeEach(async function () {
+        [owner, landlord, tenant, feeManager, treasurer, arbiter, pauser] = await ethers.getSigners();
+
+        realEstateRental = await deployRealEstateRental(ethers);
+        roles = await ethers.getContractAt("RentalRoles", await realEstateRental.rentalRoles());
+        feeSchedule = await ethers.getContractAt("FeeSchedule", await realEstateRental.feeSchedule());
+    });
+
+    async function listProperty() {
+        return realEstateRental.connect(landlord).listProperty(
+            "123 Main Street, Paris", "Beautiful 2BR apartment", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH
+        );
+    }
+
+    async function reserve(months = 3) {
+        return realEstateRental.connect(tenant).reserveProperty(1, months, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+    }
+
+    describe("Roles", function () {
+        it("Should give the deployer every role until it hands them out", async function () {
+            for (const role of [ethers.ZeroHash, FEE_MANAGER_ROLE, TREASURER_ROLE, ARBITER_ROLE, PAUSER_ROLE]) {
+                expect(await roles.getRoleMembers(role)).to.deep.equal([owner.address]);
+            }
+            expect(await roles.FEE_MANAGER_ROLE()).to.equal(FEE_MANAGER_ROLE);
+            expect(await roles.PAUSER_ROLE()).to.equal(PAUSER_ROLE);
+
+            await expect(roles.connect(landlord).grantRole(PAUSER_ROLE, landlord.address))
+                .to.be.revertedWith(`AccessControl: account ${landlord.address.toLowerCase()} is missing role ${ethers.ZeroHash}`);
+            const RentalRoles = await ethers.getContractFactory("RentalRoles");
+            await expect(RentalRoles.deploy(ETH)).to.be.revertedWith("Invalid admin");
+        });
+
+        it("Should only let the fee manager schedule fee rates", async function () {
+            await roles.grantRole(FEE_MANAGER_ROLE, feeManager.address);
+            await roles.revokeRole(FEE_MANAGER_ROLE, owner.address);
+
+            await expect(feeSchedule.connect(owner).scheduleRates(0, 0, 500, 0, 0)).to.be.revertedWith("Missing role");
+            await expect(feeSchedule.connect(feeManager).scheduleRates(0, 0, 500, 0, 0))
+                .to.emit(feeSchedule, "FeeRatesScheduled");
+            expect(await roles.getRoleMembers(FEE_MANAGER_ROLE)).to.deep.equal([feeManager.address]);
+        });
+
+        it("Should only let the treasurer choose who receives platform fees", async function () {
+            await listProperty();
+            await reserve();
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            const fee = RENT_AMOUNT * 2n / 100n;
+
+            await expect(feeSchedule.connect(treasurer).setTreasury([treasurer.address], [10000]))
+                .to.be.revertedWith("Missing role");
+            await roles.grantRole(TREASURER_ROLE, treasurer.address);
+            await feeSchedule.connect(treasurer).setTreasury([treasurer.address], [10000]);
+            await feeSchedule.connect(landlord).distribute(ETH);
+            await expect(feeSchedule.connect(treasurer).withdraw(ETH)).to.changeEtherBalances(
+                [treasurer, owner, feeSchedule], [fee, 0, -fee]
+            );
+        });
+
+        it("Should only let the arbiter resolve disputes without a panel", async function () {
+            await listProperty();
+            await reserve();
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            await realEstateRental.connect(tenant).createDispute(1, "Broken heating");
+            await roles.grantRole(ARBITER_ROLE, arbiter.address);
+            await roles.revokeRole(ARBITER_ROLE, owner.address);
+
+            await expect(realEstateRental.connect(owner).resolveDispute(1, 0)).to.be.revertedWith("Missing role");
+            await expect(realEstateRental.connect(arbiter).resolveDispute(1, SECURITY_DEPOSIT))
+                .to.emit(realEstateRental, "DisputeResolved");
+        });
+
+        it("Should give every role back to the owner without a roles contract", async function () {
+            await expect(realEstateRental.connect(landlord).setRentalRoles(ETH))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(realEstateRental.setRentalRoles(ETH)).to.emit(realEstateRental, "RentalRolesUpdated").withArgs(ETH);
+
+            await expect(feeSchedule.connect(feeManager).scheduleRates(0, 0, 500, 0, 0))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+            await feeSchedule.connect(owner).scheduleRates(0, 0, 500, 0, 0);
+            await expect(feeSchedule.connect(treasurer).setTreasury([treasurer.address], [10000]))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("Emergency pause", function () {
+        beforeEach(async function () {
+            await roles.grantRole(PAUSER_ROLE, pauser.address);
+        });
+
+        it("Should only let the pauser pause and unpause", async function () {
+            await expect(roles.connect(landlord).pause())
+                .to.be.revertedWith(`AccessControl: account ${landlord.address.toLowerCase()} is missing role ${PAUSER_ROLE}`);
+            await expect(roles.connect(pauser).pause()).to.emit(roles, "Paused").withArgs(pauser.address);
+            expect(await roles.paused()).to.be.true;
+            await expect(roles.connect(pauser).pause()).to.be.revertedWith("Pausable: paused");
+            await expect(roles.connect(pauser).unpause()).to.emit(roles, "Unpaused").withArgs(pauser.address);
+            expect(await roles.paused()).to.be.false;
+        });
+
+        it("Should block new listings, reservations and payments", async function () {
+            await listProperty();
+            await realEstateRental.connect(landlord).listProperty("b", "c", RENT_AMOUNT, 0, 1, ETH); // Daily
+            await reserve();
+            await realEstateRental.connect(tenant).activateAgreement(1);
+            await roles.connect(pauser).pause();
+
+            await expect(listProperty()).to.be.revertedWith("Pausable: paused");
+            await expect(
+                realEstateRental.connect(tenant).reserveProperty(2, 0, 2, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Pausable: paused");
+            const day = 24 * 60 * 60;
+            const start = (Math.floor((await time.latest()) / day) + 2) * day;
+            await expect(
+                realEstateRental.connect(tenant).reserveDates(2, start, start + 2 * day, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Pausable: paused");
+            await expect(
+                realEstateRental.connect(tenant).payRent(1, 1, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Pausable: paused");
+            const agreement = await realEstateRental.getRentalAgreement(1);
+            await expect(
+                realEstateRental.connect(tenant).proposeAmendment(1, agreement.endDate, RENT_AMOUNT, SECURITY_DEPOSIT)
+            ).to.be.revertedWith("Pausable: paused");
+
+            const LeaseSublets = await ethers.getContractFactory("LeaseSublets");
+            const sublets = await LeaseSublets.deploy(await realEstateRental.getAddress());
+            await sublets.connect(tenant).offerSublet(1, pauser.address, RENT_AMOUNT, 1);
+            await sublets.connect(pauser).acceptSublet(1);
+            await expect(
+                sublets.connect(pauser).paySubletRent(1, 1, { value: RENT_AMOUNT })
+            ).to.be.revertedWith("Pausable: paused");
+
+            await roles.connect(pauser).unpause();
+            await realEstateRental.connect(tenant).payRent(1, 1, { value: RENT_AMOUNT });
+            await sublets.connect(pauser).paySubletRent(1, 1, { value: RENT_AMOUNT });
+        });
+
+        it("Should keep refunds, settlements and withdrawals working", async function () {
+            await listProperty();
+            await reserve(1);
+            await roles.connect(pauser).pause();
+
+            await expect(realEstateRental.connect(tenant).cancelReservation(1))
+                .to.emit(realEstateRental, "ReservationCancelled");
+            await expect(realEstateRental.connect(tenant).withdraw(ETH)).to.changeEtherBalance(
+                tenant, RENT_AMOUNT + SECURITY_DEPOSIT
+            );
+
+            await roles.connect(pauser).unpause();
+            await reserve(1);
+            await realEstateRental.connect(tenant).activateAgreement(2);
+            await roles.connect(pauser).pause();
+            await time.increase(32 * 24 * 60 * 60);
+            await expect(realEstateRental.connect(landlord).completeAgreement(2))
+                .to.emit(realEstateRental, "SecurityDepositReturned");
+            await realEstateRental.connect(tenant).withdraw(ETH);
+            await realEstateRental.connect(landlord).withdraw(ETH);
+            await feeSchedule.distribute(ETH);
+            await feeSchedule.connect(owner).withdraw(ETH);
+        });
+    });
+
+    describe("JavaScript client", function () {
+        it("Should ship an ABI artifact matching the compiled contract", async function () {
+            const artifact = await artifacts.readArtifact("RentalRoles");
+            const signatures = (abi) => new ethers.Interface(abi).format().sort();
+            expect(signatures(ROLES_ABI)).to.deep.equal(signatures(artifact.abi));
+        });
+
+        it("Should grant and revoke roles by name and pause the contract", async function () {
+            const rental = new RealEstateRentalClient(await realEstateRental.getAddress(), owner);
+            const admin = await RentalRolesClient.fromRental(rental);
+            expect(admin.address).to.equal(await roles.getAddress());
+            expect(ROLES.TREASURER).to.equal(TREASURER_ROLE);
+
+            const { events } = await admin.grantRole("treasurer", treasurer.address);
+            expect(events.map((e) => e.name)).to.deep.equal(["RoleGranted"]);
+            await admin.grantRole("PAUSER_ROLE", pauser.address);
+            await admin.revokeRole(TREASURER_ROLE, owner.address);
+            expect(await admin.getRolesOf(treasurer.address)).to.deep.equal(["TREASURER"]);
+            expect(await admin.getRolesOf(owner.address)).to.deep.equal(["DEFAULT_ADMIN", "FEE_MANAGER", "ARBITER", "PAUSER"]);
+            expect((await admin.getAllRoleMembers()).PAUSER).to.deep.equal([owner.address, pauser.address]);
+            await expect(admin.grantRole("janitor", owner.address)).to.be.rejectedWith('Unknown role "janitor"');
+
+            const pauserRoles = admin.connect(pauser);
+            await pauserRoles.pause();
+            expect(await admin.isPaused()).to.be.true;
+            await expect(rental.connect(landlord).listProperty({ rentBaseAmount: RENT_AMOUNT }))
+                .to.be.rejectedWith("Pausable: paused");
+            await pauserRoles.unpause();
+            await pauserRoles.renounceRole("pauser");
+            expect(await admin.hasRole("pauser", pauser.address)).to.be.false;
+
+            await rental.setRentalRoles(ETH);
+            await expect(RentalRolesClient.fromRental(rental)).to.be.rejectedWith("has no rental roles");
+        });
+    });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { RealEstateRentalClient, RentalSearchClient, deployRealEstateRental } = require("../lib");
+
+describe("RentalSearch", function () {
+    const LISTINGS = 250;
+    const RESERVED = 30;
+    const MONTHLY = 0;
+    const DAILY = 1;
+    const ETH = ethers.ZeroAddress;
+
+    // Listing i: landlord i % 3, DAILY when i is even, rent of (i % 10 + 1) tenths of ETH,
+    // deposit of i % 3 ETH; every 7th is marked unavailable and every 25th delisted
+    const unitOf = (i) => (i % 2 === 0 ? DAILY : MONTHLY);
+    const rentOf = (i) => ethers.parseEther("0.1") * BigInt(i % 10 + 1);
+    const depositOf = (i) => ethers.parseEther("1") * BigInt(i % 3);
+
+    async function seedFixture() {
+        const [owner, landlord1, landlord2, landlord3, tenant1, tenant2] = await ethers.getSigners();
+        const landlords = [landlord1, landlord2, landlord3];
+        const tenants = [tenant1, tenant2];
+
+        const realEstateRental = await deployRealEstateRental(ethers);
+        const RentalSearch = await ethers.getContractFactory("RentalSearch");
+        const contract = await RentalSearch.deploy(await realEstateRental.getAddress());
+        const search = new RentalSearchClient(await contract.getAddress(), ethers.provider);
+        const rental = new RealEstateRentalClient(await realEstateRental.getAddress(), owner);
+
+        for (let i = 1; i <= LISTINGS; i++) {
+            await realEstateRental.connect(landlords[i % 3]).listProperty("", "", rentOf(i), depositOf(i), unitOf(i), ETH);
+        }
+        // Agreements on the first monthly listings: tenant j % 2, every third one activated, every fifth cancelled
+        const reserved = [];
+        for (let i = 1; reserved.length < RESERVED; i += 2) {
+            const j = reserved.length;
+            await realEstateRental.connect(tenants[j % 2]).reserveProperty(i, 1, 0, { value: rentOf(i) + depositOf(i) });
+            if (j % 3 === 0) await realEstateRental.connect(tenants[j % 2]).activateAgreement(j + 1);
+            else if (j % 5 === 0) await realEstateRental.connect(tenants[j % 2]).cancelReservation(j + 1);
+            reserved.push(i);
+        }
+        for (let i = 7; i <= LISTINGS; i += 7) {
+            if (!reserved.includes(i)) await rental.connect(landlords[i % 3]).updateProperty(i, { isAvailable: false });
+        }
+        for (let i = 25; i <= LISTINGS; i += 25) {
+            if (!reserved.includes(i)) await realEstateRental.connect(landlords[i % 3]).delistProperty(i);
+        }
+        return { realEstateRental, contract, search, rental, landlords, tenants, reserved };
+    }
+
+    async function collect(iterator) {
+        const items = [];
+        for await (const item of iterator) items.push(item);
+        return items;
+    }
+
+    // Expected ids, from the contract's own per-id views
+    async function expectedProperties(rental, predicate) {
+        const ids = [];
+        for (let i = 1; i <= LISTINGS; i++) {
+            if (predicate(await rental.getProperty(i))) ids.push(BigInt(i));
+        }
+        return ids;
+    }
+
+    it("Should page through hundreds of listings with a cursor", async function () {
+        const { search } = await loadFixture(seedFixture);
+
+        const first = await search.searchProperties({}, { limit: 100n });
+        expect(first.items.map((p) => p.id)).to.deep.equal(Array.from({ length: 100 }, (_, i) => BigInt(i + 1)));
+        expect(first.nextCursor).to.equal(100n);
+
+        const last = await search.searchProperties({}, { cursor: 200n, limit: 100n });
+        expect(last.items).to.have.length(50);
+        expect(last.nextCursor).to.equal(0n);
+
+        const all = await collect(search.properties({}, { pageSize: 40n }));
+        expect(all.map((p) => p.id)).to.deep.equal(Array.from({ length: LISTINGS }, (_, i) => BigInt(i + 1)));
+        expect(all[1]).to.include({ unit: "DAILY", rentBaseAmount: rentOf(2), securityDeposit: depositOf(2) });
+    });
+
+    it("Should bound each call to MAX_SCAN ids, even with few matches", async function () {
+        const { search, contract } = await loadFixture(seedFixture);
+        expect(await contract.MAX_SCAN()).to.equal(200n);
+
+        // Rent of 1 ETH, DAILY: i % 10 === 9 and even never happens
+        const none = await search.searchProperties({ unit: "DAILY", minRent: ethers.parseEther("1") });
+        expect(none.items).to.deep.equal([]);
+        expect(none.nextCursor).to.equal(200n);
+        expect((await search.searchProperties({}, { cursor: 250n })).nextCursor).to.equal(0n);
+        expect((await search.searchProperties({}, { cursor: 999n })).items).to.deep.equal([]);
+        await expect(search.searchProperties({}, { limit: 0n })).to.be.revertedWith("Limit must be greater than 0");
+    });
+
+    it("Should filter properties by unit, rent, deposit, owner and status", async function () {
+        const { search, rental, landlords } = await loadFixture(seedFixture);
+        const ids = async (filter) => (await collect(search.properties(filter))).map((p) => p.id);
+
+        const filter = {
+            unit: "MONTHLY",
+            minRent: ethers.parseEther("0.3"),
+            maxRent: ethers.parseEther("0.6"),
+            minDeposit: ethers.parseEther("1"),
+            owner: landlords[1].address,
+            status: "AVAILABLE"
+        };
+        const expected = await expectedProperties(rental, (p) =>
+            p.unit === "MONTHLY" && p.rentBaseAmount >= filter.minRent && p.rentBaseAmount <= filter.maxRent
+            && p.securityDeposit >= filter.minDeposit && p.owner === landlords[1].address && p.isActive && p.isAvailable
+        );
+        expect(expected).to.not.be.empty;
+        expect(await ids(filter)).to.deep.equal(expected);
+
+        expect(await ids({ status: "DELISTED" })).to.deep.equal(await expectedProperties(rental, (p) => !p.isActive));
+        expect(await ids({ status: "UNAVAILABLE", maxDeposit: 0n })).to.deep.equal(
+            await expectedProperties(rental, (p) => p.isActive && !p.isAvailable && p.securityDeposit === 0n)
+        );
+        expect(await ids({ owner: landlords[2].address })).to.have.length(83);
+        await expect(search.searchProperties({ unit: "WEEKLY" })).to.be.rejectedWith("Unknown enum name: WEEKLY");
+    });
+
+    it("Should filter agreements by status, tenant, landlord and property", async function () {
+        const { search, tenants, landlords, reserved } = await loadFixture(seedFixture);
+        const agreements = (filter) => collect(search.agreements(filter, { pageSize: 7n }));
+
+        expect(await agreements({})).to.have.length(RESERVED);
+        const active = await agreements({ status: "ACTIVE", tenant: tenants[0].address });
+        expect(active.map((a) => a.agreementId)).to.deep.equal([1n, 7n, 13n, 19n, 25n]);
+
+        const open = await agreements({ status: ["PENDING_RESERVATION", "CANCELLED"], unit: "MONTHLY" });
+        expect(open).to.have.length(RESERVED - 10);
+        expect(open.every((a) => a.status !== "ACTIVE")).to.equal(true);
+
+        const ofLandlord = await agreements({ landlord: landlords[1].address, minDeposit: 1n });
+        expect(ofLandlord).to.not.be.empty;
+        expect(ofLandlord.every((a) => a.landlord === landlords[1].address && a.securityDeposit > 0n)).to.equal(true);
+        expect((await agreements({ propertyId: BigInt(reserved[4]) })).map((a) => a.agreementId)).to.deep.equal([5n]);
+    });
+
+    it("Should iterate over the block the search started at", async function () {
+        const { search, realEstateRental, landlords } = await loadFixture(seedFixture);
+
+        const iterator = search.properties({ status: "AVAILABLE" }, { pageSize: 100n });
+        await iterator.next();
+        // Past the first page: one listing added, one delisted
+        await realEstateRental.connect(landlords[0]).listProperty("", "", rentOf(1), 0, MONTHLY, ETH);
+        await realEstateRental.connect(landlords[248 % 3]).delistProperty(248);
+
+        const rest = await collect(iterator);
+        expect(rest.map((p) => p.id)).to.include(248n);
+        expect(rest.map((p) => p.id)).to.not.include(BigInt(LISTINGS + 1));
+        expect((await collect(search.properties({ status: "AVAILABLE" }))).map((p) => p.id)).to.include(BigInt(LISTINGS + 1));
+    });
+});
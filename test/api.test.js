@@ -0,0 +1,268 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    RealEstateRentalClient,
+    RentalSearchClient,
+    deployRealEstateRental,
+    EventStore,
+    RentalIndexer,
+    MetadataStore
+} = require("../lib");
+const { createApp } = require("../lib/api/app");
+
+describe("REST API", function () {
+    let server, baseUrl, store, indexer, metadataDir;
+    let landlord, tenant;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+
+    beforeEach(async function () {
+        [, landlord, tenant] = await ethers.getSigners();
+
+        const contract = await deployRealEstateRental(ethers);
+        const address = await contract.getAddress();
+
+        const client = new RealEstateRentalClient(address, ethers.provider);
+        store = new EventStore();
+        indexer = new RentalIndexer({ provider: ethers.provider, address, store });
+
+        metadataDir = fs.mkdtempSync(path.join(os.tmpdir(), "rental-api-metadata-"));
+
+        const RentalSearch = await ethers.getContractFactory("RentalSearch");
+        const search = new RentalSearchClient(await (await RentalSearch.deploy(address)).getAddress(), ethers.provider);
+
+        server = createApp({ client, store, metadata: new MetadataStore(metadataDir), search }).listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve));
+        store.close();
+        fs.rmSync(metadataDir, { recursive: true, force: true });
+    });
+
+    async function get(path) {
+        const res = await fetch(baseUrl + path);
+        return { status: res.status, body: await res.json() };
+    }
+
+    async function post(path, body) {
+        const res = await fetch(baseUrl + path, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    // Build through the API, sign and send like a wallet would
+    async function sendBuilt(signer, action, body) {
+        const { status, body: tx } = await post(`/transactions/${action}`, { ...body, from: signer.address });
+        expect(status, JSON.stringify(tx)).to.equal(200);
+        const sent = await signer.sendTransaction({ to: tx.to, data: tx.data, value: BigInt(tx.value) });
+        await sent.wait();
+        return tx;
+    }
+
+    it("Should serve properties from the contract views", async function () {
+        await sendBuilt(landlord, "listProperty", {
+            propertyAddress: "1 Rue de Rivoli",
+            description: "Studio",
+            rentBaseAmount: RENT_AMOUNT.toString(),
+            securityDeposit: SECURITY_DEPOSIT.toString(),
+            unit: "DAILY"
+        });
+
+        const { body: property } = await get("/properties/1");
+        expect(property).to.include({ id: "1", owner: landlord.address, unit: "DAILY", rentBaseAmount: RENT_AMOUNT.toString() });
+
+        expect((await get("/properties?available=true")).body).to.have.length(1);
+        expect((await get(`/landlords/${landlord.address}/properties`)).body[0].id).to.equal("1");
+        expect((await get(`/properties?owner=${tenant.address}`)).body).to.deep.equal([]);
+    });
+
+    it("Should build reservation and rent transactions with the exact value", async function () {
+        await sendBuilt(landlord, "listProperty", {
+            propertyAddress: "1 Rue de Rivoli",
+            description: "Studio",
+            rentBaseAmount: RENT_AMOUNT.toString(),
+            securityDeposit: SECURITY_DEPOSIT.toString()
+        });
+
+        const reserve = await sendBuilt(tenant, "reserveProperty", { propertyId: "1", months: 2 });
+        expect(reserve.value).to.equal((RENT_AMOUNT + SECURITY_DEPOSIT).toString());
+        expect(reserve.chainId).to.equal("31337");
+
+        await sendBuilt(tenant, "activateAgreement", { agreementId: "1" });
+        await time.increase(26 * 24 * 60 * 60);
+        const { body: quote } = await get("/agreements/1/rent-quote?units=1");
+        expect(quote).to.include({ rent: RENT_AMOUNT.toString(), discount: "0", amount: RENT_AMOUNT.toString() });
+        const { body: fees } = await get("/agreements/1/fee-quote");
+        expect(fees).to.include({ rentFee: (RENT_AMOUNT / 50n).toString(), landlordNet: (RENT_AMOUNT * 49n / 50n).toString() });
+        const pay = await sendBuilt(tenant, "payRent", { agreementId: "1" });
+        expect(pay.value).to.equal(RENT_AMOUNT.toString());
+
+        await indexer.sync();
+
+        const { body: agreement } = await get("/agreements/1");
+        expect(agreement.status).to.equal("ACTIVE");
+        expect((await get(`/tenants/${tenant.address}/agreements`)).body).to.have.length(1);
+
+        const { body: paymentStatus } = await get("/agreements/1/payment-status");
+        // Both months paid: nothing falls due anymore
+        expect(paymentStatus).to.include({ nextDueDate: "0", amountDue: "0", missedPeriods: "0", arrearsTerminable: false });
+        expect((await get("/agreements/1/rent-quote")).status).to.equal(422);
+        expect((await get("/agreements/1/tenancy")).body).to.deep.equal({ coTenants: [], round: { units: "0", shares: "0" } });
+        const { body: schedule } = await get("/agreements/1/schedule");
+        expect(schedule.map((p) => p.status)).to.deep.equal(["PAID", "PAID"]);
+
+        const { body: payments } = await get("/agreements/1/payments");
+        expect(payments.map((p) => p.amount)).to.deep.equal([RENT_AMOUNT.toString(), RENT_AMOUNT.toString()]);
+
+        const { body: history } = await get("/properties/1/agreements");
+        expect(history[0]).to.include({ agreementId: "1", status: "ACTIVE", tenant: tenant.address });
+
+        const credited = (RENT_AMOUNT * 2n * 98n) / 100n;
+        const { body: balance } = await get(`/accounts/${landlord.address}/balance`);
+        expect(balance).to.deep.equal({ account: landlord.address, token: ethers.ZeroAddress, withdrawable: credited.toString() });
+
+        await sendBuilt(landlord, "withdraw", {});
+        expect((await get(`/accounts/${landlord.address}/balance`)).body.withdrawable).to.equal("0");
+    });
+
+    it("Should list open disputes from the index", async function () {
+        await sendBuilt(landlord, "listProperty", { propertyAddress: "a", description: "b", rentBaseAmount: "1000" });
+        await sendBuilt(tenant, "reserveProperty", { propertyId: "1", months: 1 });
+        await sendBuilt(tenant, "activateAgreement", { agreementId: "1" });
+        await sendBuilt(tenant, "createDispute", { agreementId: "1", reason: "No heating" });
+        await indexer.sync();
+
+        const { body } = await get("/disputes?status=open");
+        expect(body).to.deep.equal([{ disputeId: "1", agreementId: "1", initiator: tenant.address }]);
+        expect((await get("/disputes/1")).body.reason).to.equal("No heating");
+    });
+
+    it("Should build dated bookings and serve the calendar", async function () {
+        await sendBuilt(landlord, "listProperty", {
+            propertyAddress: "5 Quai de Seine",
+            description: "Studio",
+            rentBaseAmount: RENT_AMOUNT.toString(),
+            unit: "DAILY"
+        });
+        const DAY = 86400;
+        const today = Math.floor((await time.latest()) / DAY) * DAY;
+        const booking = await sendBuilt(tenant, "reserveDates", {
+            propertyId: "1",
+            startDate: String(today + 2 * DAY),
+            endDate: String(today + 4 * DAY)
+        });
+        expect(booking.value).to.equal(RENT_AMOUNT.toString());
+
+        const { body: bookings } = await get("/properties/1/bookings");
+        expect(bookings).to.deep.equal([{ agreementId: "1", startDate: String(today + 2 * DAY), endDate: String(today + 4 * DAY) }]);
+        const { body: free } = await get(`/properties/1/free-ranges?to=${today + 7 * DAY}`);
+        expect(free.map((r) => r.days)).to.deep.equal(["2", "3"]);
+        expect((await get("/properties/1/free-ranges?to=tomorrow")).status).to.equal(400);
+    });
+
+    it("Should build lease amendments with the deposit top-up", async function () {
+        await sendBuilt(landlord, "listProperty", {
+            propertyAddress: "1 Rue de Rivoli",
+            description: "Studio",
+            rentBaseAmount: RENT_AMOUNT.toString(),
+            securityDeposit: SECURITY_DEPOSIT.toString()
+        });
+        await sendBuilt(tenant, "reserveProperty", { propertyId: "1", months: 3 });
+        await sendBuilt(tenant, "activateAgreement", { agreementId: "1" });
+        expect((await get("/agreements/1/amendment")).body).to.equal(null);
+
+        const proposal = await sendBuilt(tenant, "proposeAmendment", {
+            agreementId: "1",
+            months: 6,
+            escalationPercentage: "2",
+            securityDeposit: (SECURITY_DEPOSIT + RENT_AMOUNT).toString()
+        });
+        expect(proposal.value).to.equal(RENT_AMOUNT.toString());
+        const { body: amendment } = await get("/agreements/1/amendment");
+        expect(amendment).to.include({ proposedBy: tenant.address, rentAmount: ethers.parseEther("1.02").toString() });
+
+        const acceptance = await sendBuilt(landlord, "acceptAmendment", { agreementId: "1" });
+        expect(acceptance.value).to.equal("0");
+        expect((await get("/agreements/1")).body.rentAmount).to.equal(ethers.parseEther("1.02").toString());
+        expect((await post("/transactions/acceptAmendment", { agreementId: "1" })).status).to.equal(400);
+    });
+
+    it("Should search properties and agreements page by page", async function () {
+        for (const rent of ["1000", "2000", "3000"]) {
+            await sendBuilt(landlord, "listProperty", { rentBaseAmount: rent, unit: "DAILY" });
+        }
+        await sendBuilt(landlord, "listProperty", { rentBaseAmount: "2500" });
+        await sendBuilt(tenant, "reserveProperty", { propertyId: "2", days: 2 });
+
+        const first = await get("/search/properties?unit=DAILY&minRent=1500&limit=1");
+        expect(first.body.items.map((p) => p.id)).to.deep.equal(["2"]);
+        expect(first.body.nextCursor).to.equal("2");
+        const next = await get(`/search/properties?unit=DAILY&minRent=1500&cursor=${first.body.nextCursor}`);
+        expect(next.body).to.deep.include({ nextCursor: "0" });
+        expect(next.body.items.map((p) => p.id)).to.deep.equal(["3"]);
+        expect((await get(`/search/properties?status=AVAILABLE&owner=${landlord.address}`)).body.items).to.have.length(4);
+        expect((await get("/search/properties?status=DELISTED")).body.items).to.deep.equal([]);
+
+        const { body } = await get(`/search/agreements?tenant=${tenant.address}&status=PENDING_RESERVATION,ACTIVE`);
+        expect(body.items.map((a) => a.agreementId)).to.deep.equal(["1"]);
+        expect((await get("/search/agreements?status=ACTIVE")).body.items).to.deep.equal([]);
+
+        expect((await get("/search/properties?unit=WEEKLY")).status).to.equal(400);
+        expect((await get("/search/properties?limit=0")).status).to.equal(400);
+        expect((await get("/search/agreements?tenant=0x123")).status).to.equal(400);
+    });
+
+    it("Should store metadata and serve it verified against the listing", async function () {
+        const document = {
+            schemaVersion: 1,
+            title: "Studio",
+            address: { street: "1 Rue de Rivoli", city: "Paris", country: "FR" }
+        };
+        expect((await post("/metadata", { ...document, address: { city: "Paris" } })).status).to.equal(400);
+        const { status, body } = await post("/metadata", document);
+        expect(status, JSON.stringify(body)).to.equal(200);
+        const { metadataHash } = body;
+        expect((await get(`/metadata/${metadataHash}`)).body).to.deep.equal(document);
+
+        await sendBuilt(landlord, "listProperty", { rentBaseAmount: RENT_AMOUNT.toString() });
+        expect((await get("/properties/1/metadata")).body).to.equal(null);
+        await sendBuilt(landlord, "setPropertyMetadata", { propertyId: "1", metadataHash });
+        expect((await get("/properties/1/metadata")).body).to.deep.equal({ metadataHash, metadata: document });
+
+        fs.writeFileSync(path.join(metadataDir, `${metadataHash}.json`), JSON.stringify({ ...document, title: "Loft" }));
+        expect((await get("/properties/1/metadata")).status).to.equal(502);
+        expect((await get(`/metadata/${ethers.id("missing")}`)).status).to.equal(404);
+    });
+
+    it("Should return the revert reason when the sender cannot act", async function () {
+        await sendBuilt(landlord, "listProperty", { propertyAddress: "a", description: "b", rentBaseAmount: "1000" });
+
+        const { status, body } = await post("/transactions/reserveProperty", {
+            propertyId: "1",
+            months: 1,
+            from: landlord.address
+        });
+        expect(status).to.equal(422);
+        expect(body.error).to.contain("Owner cannot rent own property");
+    });
+
+    it("Should reject invalid input and unknown resources", async function () {
+        expect((await get("/properties/abc")).status).to.equal(400);
+        expect((await get("/properties/7")).status).to.equal(404);
+        expect((await get("/tenants/0x123/agreements")).status).to.equal(400);
+        expect((await post("/transactions/selfDestruct", {})).status).to.equal(404);
+        expect((await post("/transactions/listProperty", { rentBaseAmount: "-1" })).status).to.equal(400);
+        expect((await post("/transactions/listProperty", { rentBaseAmount: "1", unit: "WEEKLY" })).status).to.equal(400);
+    });
+});
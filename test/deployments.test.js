@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    RealEstateRentalClient,
+    ABI,
+    computeAbiHash,
+    getDeployment,
+    setDeployment,
+    recordDeployment,
+    resolveDeployment,
+    deployRealEstateRental
+} = require("../lib");
+
+describe("Deployment registry", function () {
+    const { ethers } = hre;
+    let file, contract;
+
+    beforeEach(async function () {
+        file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "registry-")), "deployments.json");
+
+        contract = await deployRealEstateRental(ethers);
+        await contract.waitForDeployment();
+    });
+
+    it("Should record address, deployer, tx, block, compiler, ABI hash and code hash", async function () {
+        const [deployer] = await ethers.getSigners();
+        await recordDeployment(hre, "RealEstateRental", contract, { file });
+
+        const record = getDeployment(31337, "hardhat", "RealEstateRental", file);
+        expect(record.address).to.equal(await contract.getAddress());
+        expect(record.deployer).to.equal(deployer.address);
+        expect(record.transactionHash).to.equal(contract.deploymentTransaction().hash);
+        expect(record.blockNumber).to.be.a("number");
+        expect(record.compiler.version).to.match(/^0\.8\.20/);
+        expect(record.compiler.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+        expect(record.compiler.viaIR).to.equal(true);
+        expect(record.abiHash).to.equal(computeAbiHash(ABI));
+        expect(record.codeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(record.address)));
+    });
+
+    it("Should keep networks sharing a chainId apart", async function () {
+        setDeployment(31337, "localhost", "RealEstateRental", { address: "0x01" }, file);
+        await recordDeployment(hre, "RealEstateRental", contract, { file });
+
+        const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+        expect(Object.keys(registry["31337"])).to.have.members(["localhost", "hardhat"]);
+        expect(registry["31337"].localhost.RealEstateRental.address).to.equal("0x01");
+    });
+
+    it("Should attach a client through the registry", async function () {
+        await recordDeployment(hre, "RealEstateRental", contract, { file });
+
+        const client = await RealEstateRentalClient.fromRegistry(ethers.provider, "hardhat", { file });
+        expect(client.address).to.equal(await contract.getAddress());
+        expect((await client.getCounters()).propertyCounter).to.equal(0n);
+    });
+
+    it("Should refuse to attach when the ABI differs", async function () {
+        const record = await recordDeployment(hre, "RealEstateRental", contract, { file });
+        setDeployment(31337, "hardhat", "RealEstateRental", { ...record, abiHash: ethers.ZeroHash }, file);
+
+        await expect(
+            RealEstateRentalClient.fromRegistry(ethers.provider, "hardhat", { file })
+        ).to.be.rejectedWith("ABI mismatch for RealEstateRental");
+    });
+
+    it("Should refuse to attach when other code is deployed at the address", async function () {
+        const record = await recordDeployment(hre, "RealEstateRental", contract, { file });
+        // Same ABI hash, but the address holds the PropertyToken
+        setDeployment(31337, "hardhat", "RealEstateRental", { ...record, address: await contract.propertyToken() }, file);
+
+        await expect(
+            RealEstateRentalClient.fromRegistry(ethers.provider, "hardhat", { file })
+        ).to.be.rejectedWith("Code mismatch for RealEstateRental");
+    });
+
+    it("Should refuse to attach when no code is deployed", async function () {
+        const record = await recordDeployment(hre, "RealEstateRental", contract, { file });
+        setDeployment(31337, "hardhat", "RealEstateRental", { ...record, address: ethers.Wallet.createRandom().address }, file);
+
+        await expect(
+            resolveDeployment(ethers.provider, "hardhat", "RealEstateRental", ABI, { file })
+        ).to.be.rejectedWith("No contract code at");
+    });
+
+    it("Should fail for an unknown network", async function () {
+        await expect(
+            resolveDeployment(ethers.provider, "sepolia", "RealEstateRental", ABI, { file })
+        ).to.be.rejectedWith('No RealEstateRental deployment recorded for network "sepolia"');
+    });
+});
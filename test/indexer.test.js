@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { RealEstateRentalClient, deployRealEstateRental, EventStore, RentalIndexer } = require("../lib");
+
+describe("RentalIndexer", function () {
+    let client, landlordClient, tenantClient, store, indexer;
+    let landlord, tenant;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+
+    beforeEach(async function () {
+        [, landlord, tenant] = await ethers.getSigners();
+
+        const contract = await deployRealEstateRental(ethers);
+        const address = await contract.getAddress();
+        const startBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+
+        client = new RealEstateRentalClient(address, ethers.provider);
+        landlordClient = client.connect(landlord);
+        tenantClient = client.connect(tenant);
+
+        store = new EventStore();
+        indexer = new RentalIndexer({ provider: ethers.provider, address, store, startBlock, batchSize: 3 });
+    });
+
+    afterEach(function () {
+        store.close();
+    });
+
+    async function listAndReserve() {
+        const { propertyId } = await landlordClient.listProperty({
+            propertyAddress: "123 Main Street",
+            description: "2BR",
+            rentBaseAmount: RENT_AMOUNT,
+            securityDeposit: SECURITY_DEPOSIT
+        });
+        const { agreementId } = await tenantClient.reserveProperty(propertyId, { months: 2 });
+        return { propertyId, agreementId };
+    }
+
+    it("Should backfill events and answer agreement queries", async function () {
+        const { agreementId } = await listAndReserve();
+        await tenantClient.activateAgreement(agreementId);
+        await time.increase(26 * 24 * 60 * 60);
+        await tenantClient.payRent(agreementId);
+
+        // OwnershipTransferred from the constructor, PropertyTokenSet, RentalRolesUpdated, FeeScheduleUpdated,
+        // the five lifecycle events and two rent payouts, each with its fee
+        const result = await indexer.sync();
+        expect(result.events).to.equal(13);
+        expect(store.getCheckpoint()).to.equal(await ethers.provider.getBlockNumber());
+
+        const [agreement] = store.getAgreementsForTenant(tenant.address);
+        expect(agreement.agreementId).to.equal(agreementId);
+        expect(agreement.landlord).to.equal(landlord.address);
+        expect(agreement.status).to.equal("ACTIVE");
+        expect(agreement.rentPaid).to.equal(RENT_AMOUNT * 2n);
+        expect(store.getAgreementsForLandlord(landlord.address)).to.have.length(1);
+
+        const payments = store.getPaymentsForAgreement(agreementId);
+        expect(payments.map((p) => p.args.amount)).to.deep.equal([RENT_AMOUNT, RENT_AMOUNT]);
+
+        expect(store.getPropertiesListedBy(landlord.address)[0].args.unit).to.equal("MONTHLY");
+    });
+
+    it("Should resume from the checkpoint", async function () {
+        const { agreementId } = await listAndReserve();
+        await indexer.sync();
+
+        await tenantClient.activateAgreement(agreementId);
+        const result = await indexer.sync();
+        expect(result.events).to.equal(4);
+        expect(store.getEvents({ agreementId }).map((e) => e.name)).to.deep.equal([
+            "AgreementCreated", "PayoutCredited", "PayoutCredited", "RentPaid", "AgreementActivated"
+        ]);
+
+        expect((await indexer.sync()).events).to.equal(0);
+    });
+
+    it("Should track open disputes", async function () {
+        const first = await listAndReserve();
+        await tenantClient.activateAgreement(first.agreementId);
+        const second = await listAndReserve();
+        await tenantClient.activateAgreement(second.agreementId);
+
+        await tenantClient.createDispute(first.agreementId, "Leak");
+        const { disputeId } = await landlordClient.createDispute(second.agreementId, "Damage");
+        await client.connect((await ethers.getSigners())[0]).resolveDispute(disputeId, SECURITY_DEPOSIT);
+
+        await indexer.sync();
+
+        const open = store.getOpenDisputes();
+        expect(open.map((d) => d.args.agreementId)).to.deep.equal([first.agreementId]);
+        expect(store.getAgreement(second.agreementId).status).to.equal("COMPLETED");
+        expect(store.getEvents({ name: "DisputeResolved", agreementId: second.agreementId })).to.have.length(1);
+    });
+
+    it("Should follow property transfers on open agreements only", async function () {
+        const [, , , buyer] = await ethers.getSigners();
+        const { propertyId, agreementId: cancelled } = await listAndReserve();
+        await tenantClient.cancelReservation(cancelled);
+        const { agreementId: open } = await tenantClient.reserveProperty(propertyId, { months: 2 });
+        await landlordClient.transferProperty(propertyId, buyer.address);
+
+        await indexer.sync();
+
+        expect(store.getAgreement(cancelled).landlord).to.equal(landlord.address);
+        expect(store.getAgreement(open).landlord).to.equal(buyer.address);
+        expect(store.getEvents({ name: "PropertyTransferred", propertyId })).to.have.length(1);
+    });
+
+    it("Should follow lease assignments", async function () {
+        const [, , , newTenant] = await ethers.getSigners();
+        const { agreementId } = await listAndReserve();
+        await tenantClient.activateAgreement(agreementId);
+        await tenantClient.proposeAssignment(agreementId, newTenant.address);
+        await landlordClient.approveAssignment(agreementId);
+
+        await indexer.sync();
+
+        expect(store.getAgreement(agreementId).tenant).to.equal(newTenant.address);
+        expect(store.getAgreementsForTenant(newTenant.address).map((a) => a.agreementId)).to.deep.equal([agreementId]);
+        expect(store.getAgreementsForTenant(tenant.address)).to.deep.equal([]);
+    });
+
+    it("Should list the co-tenants who joined an agreement", async function () {
+        const [, , , coTenant] = await ethers.getSigners();
+        const { agreementId } = await listAndReserve();
+        await tenantClient.setCoTenants(agreementId, [{ account: coTenant.address, rentShare: 5000, depositShare: 5000 }]);
+        await indexer.sync();
+        expect(store.getAgreement(agreementId).coTenants).to.deep.equal([]);
+        expect(store.getAgreementsForTenant(coTenant.address)).to.deep.equal([]);
+
+        await tenantClient.connect(coTenant).joinAgreement(agreementId);
+        await indexer.sync();
+        expect(store.getAgreement(agreementId).coTenants).to.deep.equal([coTenant.address]);
+        expect(store.getAgreementsForTenant(coTenant.address).map((a) => a.agreementId)).to.deep.equal([agreementId]);
+        expect(store.getAgreementsForTenant(tenant.address)).to.have.length(1);
+    });
+
+    it("Should roll back events of blocks that were reorged out", async function () {
+        const { agreementId } = await listAndReserve();
+        await indexer.sync();
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await tenantClient.activateAgreement(agreementId);
+        await indexer.sync();
+        expect(store.getAgreement(agreementId).status).to.equal("ACTIVE");
+
+        // Replace the activation block with a different one at the same height
+        await network.provider.send("evm_revert", [snapshot]);
+        await tenantClient.createDispute(agreementId, "Keys never handed over").catch(() => {});
+        await network.provider.send("evm_mine");
+        await network.provider.send("evm_mine");
+
+        const result = await indexer.sync();
+        expect(result.rolledBackTo).to.be.a("number");
+        expect(store.getAgreement(agreementId).status).to.equal("PENDING_RESERVATION");
+        expect(store.getEvents({ name: "AgreementActivated" })).to.have.length(0);
+    });
+
+    it("Should refuse a database built for another contract", async function () {
+        await indexer.sync();
+        const other = new RentalIndexer({ provider: ethers.provider, address: tenant.address, store });
+        await expect(other.sync()).to.be.rejectedWith("Database indexes");
+    });
+});
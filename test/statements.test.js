@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildStatement, formatStatement, statementToCsv, STATEMENT_AMOUNTS, deployRealEstateRental } = require("../lib");
+
+describe("Statements", function () {
+    let realEstateRental, feeSchedule, address;
+    let owner, landlord, tenant, alice;
+
+    const RENT_AMOUNT = ethers.parseEther("1.0");
+    const SECURITY_DEPOSIT = ethers.parseEther("2.0");
+    const MONTHLY = 0;
+    const ETH = ethers.ZeroAddress;
+    const DAY = 24 * 60 * 60;
+    const fee = (amount, bps) => (amount * bps) / 10000n;
+
+    beforeEach(async function () {
+        [owner, landlord, tenant, alice] = await ethers.getSigners();
+
+        realEstateRental = await deployRealEstateRental(ethers);
+        address = await realEstateRental.getAddress();
+        feeSchedule = await ethers.getContractAt("FeeSchedule", await realEstateRental.feeSchedule());
+        // 2% on rent, 5% on the deposit kept by the landlord
+        await feeSchedule.scheduleRates(0, 0, 200, 0, 500);
+        await time.increase(7 * DAY);
+        await realEstateRental.connect(landlord).listProperty("1 Rue de Rivoli", "Studio", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+        await realEstateRental.connect(landlord).listProperty("2 Rue de Rivoli", "Loft", RENT_AMOUNT, SECURITY_DEPOSIT, MONTHLY, ETH);
+    });
+
+    async function rentFor(signer, propertyId, months) {
+        await realEstateRental.connect(signer).reserveProperty(propertyId, months, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+        const agreementId = await realEstateRental.agreementCounter();
+        await realEstateRental.connect(signer).activateAgreement(agreementId);
+        return agreementId;
+    }
+
+    function statementOf(account, options = {}) {
+        return buildStatement({ provider: ethers.provider, address, account: account.address, ...options });
+    }
+
+    it("Should report rent, fees and deposits for the landlord and the tenant", async function () {
+        await rentFor(tenant, 1, 3);
+        await realEstateRental.connect(tenant).payRent(1, 1, { value: RENT_AMOUNT });
+        const cutoff = await ethers.provider.getBlockNumber();
+        await realEstateRental.connect(tenant).payRent(1, 1, { value: RENT_AMOUNT });
+        await time.increase(92 * DAY);
+        const kept = ethers.parseEther("0.5");
+        await realEstateRental.connect(landlord).claimDeductions(1, kept, ethers.ZeroHash);
+        await realEstateRental.connect(tenant).acceptDeductions(1);
+        // A reservation holds its first rent and deposit until activation
+        await realEstateRental.connect(alice).reserveProperty(2, 1, 0, { value: RENT_AMOUNT + SECURITY_DEPOSIT });
+
+        const statement = await statementOf(landlord);
+        expect(statement.account).to.equal(landlord.address);
+        expect(statement.agreements.map((a) => [a.agreementId, a.role, a.status])).to.deep.equal([
+            [1n, "landlord", "COMPLETED"],
+            [2n, "landlord", "PENDING_RESERVATION"]
+        ]);
+        const [lease, reservation] = statement.agreements;
+        const platformFee = fee(RENT_AMOUNT * 3n, 200n) + fee(kept, 500n);
+        expect(lease.grossRent).to.equal(RENT_AMOUNT * 3n);
+        expect(lease.platformFee).to.equal(platformFee);
+        expect(lease.netReceived).to.equal(RENT_AMOUNT * 3n + kept - platformFee);
+        expect(lease.depositsKept).to.equal(kept);
+        expect(lease.depositsReturned).to.equal(SECURITY_DEPOSIT - kept);
+        expect(lease.depositsHeld).to.equal(0n);
+        expect(lease.totalPaid).to.equal(RENT_AMOUNT * 3n + SECURITY_DEPOSIT);
+        expect(lease.reconciled).to.equal(true);
+        expect(lease.entries.filter((e) => e.field === "grossRent")).to.have.length(3);
+        expect(reservation.grossRent).to.equal(0n);
+        expect(reservation.depositsHeld).to.equal(SECURITY_DEPOSIT);
+        expect(reservation.reconciled).to.equal(true);
+
+        expect(statement.totals).to.have.length(1);
+        expect(statement.totals[0]).to.include({ token: ETH, agreements: 2, reconciled: true });
+        expect(statement.totals[0].totalPaid).to.equal(lease.totalPaid + reservation.totalPaid);
+
+        const receipts = await statementOf(tenant);
+        expect(receipts.agreements).to.have.length(1);
+        expect(receipts.agreements[0]).to.include({ role: "tenant", reconciled: true });
+        expect(receipts.agreements[0].rentPaid).to.equal(RENT_AMOUNT * 3n);
+        expect(receipts.agreements[0].netReceived).to.equal(SECURITY_DEPOSIT - kept);
+        expect(receipts.agreements[0].depositsReturned).to.equal(SECURITY_DEPOSIT - kept);
+
+        // A later range only counts its own payments but still reconciles to date
+        const later = await statementOf(landlord, { fromBlock: cutoff + 1 });
+        expect(later.agreements[0].grossRent).to.equal(RENT_AMOUNT);
+        expect(later.agreements[0].rentToDate).to.equal(RENT_AMOUNT * 3n);
+        expect(later.agreements[0].reconciled).to.equal(true);
+        const earlier = await statementOf(landlord, { toBlock: cutoff });
+        expect(earlier.agreements).to.have.length(1);
+        expect(earlier.agreements[0]).to.include({ status: "ACTIVE", reconciled: true });
+        expect(earlier.agreements[0].depositsHeld).to.equal(SECURITY_DEPOSIT);
+
+        await expect(statementOf(landlord, { fromBlock: cutoff + 1, toBlock: cutoff })).to.be.rejectedWith(
+            "is empty"
+        );
+    });
+
+    it("Should count deposits kept after disputes and tenant terminations", async function () {
+        await rentFor(tenant, 1, 3);
+        await realEstateRental.connect(tenant).createDispute(1, "Heating broken");
+        const awarded = ethers.parseEther("1.2");
+        await realEstateRental.connect(owner).resolveDispute(1, awarded);
+        await rentFor(alice, 2, 3);
+        await realEstateRental.connect(alice).terminateAgreement(2);
+
+        const statement = await statementOf(landlord);
+        const [disputed, terminated] = statement.agreements;
+        expect(disputed.depositsKept).to.equal(awarded);
+        expect(disputed.depositsReturned).to.equal(SECURITY_DEPOSIT - awarded);
+        expect(terminated.depositsKept).to.equal(SECURITY_DEPOSIT);
+        expect(terminated.depositsReturned).to.equal(0n);
+        for (const agreement of statement.agreements) {
+            expect(agreement.netReceived).to.equal(
+                agreement.grossRent + agreement.lateFees + agreement.depositsKept - agreement.platformFee
+            );
+        }
+        expect(statement.totals[0].reconciled).to.equal(true);
+
+        const receipts = await statementOf(alice);
+        expect(receipts.agreements.map((a) => a.agreementId)).to.deep.equal([2n]);
+        expect(receipts.agreements[0].rentPaid).to.equal(RENT_AMOUNT);
+        expect(receipts.agreements[0].netReceived).to.equal(0n);
+    });
+
+    it("Should only give the new holder of a property what follows its transfer", async function () {
+        const [, , , , buyer, stranger] = await ethers.getSigners();
+        await rentFor(tenant, 1, 1);
+        await time.increase(31 * DAY);
+        await realEstateRental.connect(landlord).completeAgreement(1);
+        await rentFor(alice, 1, 3);
+        const token = await ethers.getContractAt("PropertyToken", await realEstateRental.propertyToken());
+        await token.connect(landlord).transferFrom(landlord.address, buyer.address, 1);
+        await realEstateRental.connect(alice).payRent(2, 1, { value: RENT_AMOUNT });
+
+        const statement = await statementOf(buyer);
+        expect(statement.agreements.map((a) => [a.agreementId, a.role, a.status])).to.deep.equal([[2n, "landlord", "ACTIVE"]]);
+        const [lease] = statement.agreements;
+        expect(lease.grossRent).to.equal(RENT_AMOUNT);
+        expect(lease.platformFee).to.equal(fee(RENT_AMOUNT, 200n));
+        expect(lease.netReceived).to.equal(RENT_AMOUNT - fee(RENT_AMOUNT, 200n));
+        expect(lease.depositsHeld).to.equal(SECURITY_DEPOSIT);
+        expect(lease.reconciled).to.equal(true);
+
+        // The previous holder keeps the first rent of the open agreement, not its deposit
+        const previous = await statementOf(landlord);
+        expect(previous.agreements.map((a) => [a.agreementId, a.role])).to.deep.equal([[1n, "landlord"], [2n, "landlord"]]);
+        expect(previous.agreements[1].grossRent).to.equal(RENT_AMOUNT);
+        expect(previous.agreements[1].netReceived).to.equal(RENT_AMOUNT - fee(RENT_AMOUNT, 200n));
+        expect(previous.agreements[1].depositsHeld).to.equal(0n);
+
+        expect((await statementOf(stranger)).agreements).to.deep.equal([]);
+    });
+
+    it("Should format amounts in wei and ETH for JSON and CSV", async function () {
+        await rentFor(tenant, 1, 3);
+        const statement = await statementOf(landlord);
+
+        const json = formatStatement(statement);
+        expect(json.agreements[0].agreementId).to.equal("1");
+        expect(json.agreements[0].grossRent).to.deep.equal({ wei: RENT_AMOUNT.toString(), eth: "1.0" });
+        expect(json.agreements[0].entries.find((e) => e.field === "platformFee").amount.eth).to.equal("0.02");
+        expect(json.totals[0].depositsHeld).to.deep.equal({ wei: SECURITY_DEPOSIT.toString(), eth: "2.0" });
+        expect(() => JSON.stringify(json)).to.not.throw();
+
+        const [header, row, total, end] = statementToCsv(statement).split("\n");
+        expect(header.split(",")).to.have.length(6 + STATEMENT_AMOUNTS.length * 2 + 1);
+        expect(header).to.contain("grossRentWei,grossRentEth");
+        expect(row).to.match(/^agreement,1,1,landlord,ACTIVE,0x0{40},1000000000000000000,1\.0,/);
+        expect(row.endsWith(",true")).to.equal(true);
+        expect(total).to.match(/^total,,,,,0x0{40},/);
+        expect(end).to.equal("");
+    });
+});
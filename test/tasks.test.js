@@ -0,0 +1,403 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { RealEstateRentalClient, FeeScheduleClient, deployRealEstateRental, addMonths } = require("../lib");
+
+describe("rental:* tasks", function () {
+    const { ethers } = hre;
+    let address, client, output, log;
+
+    beforeEach(async function () {
+        const contract = await deployRealEstateRental(ethers);
+        address = await contract.getAddress();
+        client = new RealEstateRentalClient(address, ethers.provider);
+
+        output = [];
+        log = console.log;
+        console.log = (...args) => output.push(args.join(" "));
+    });
+
+    afterEach(function () {
+        console.log = log;
+    });
+
+    it("Should drive a rental through its lifecycle", async function () {
+        const [, landlord, tenant] = await ethers.getSigners();
+
+        await hre.run("rental:list", {
+            address,
+            signer: "1",
+            propertyAddress: "1 Rue de Rivoli",
+            description: "Studio",
+            rent: "1",
+            deposit: "2"
+        });
+        expect(output.join("\n")).to.contain(`PropertyListed propertyId=1 owner=${landlord.address}`);
+
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, months: 1 });
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+
+        let agreement = await client.getRentalAgreement(1);
+        expect(agreement.tenant).to.equal(tenant.address);
+        expect(agreement.status).to.equal("ACTIVE");
+
+        await time.increase(31 * 24 * 60 * 60);
+        await hre.run("rental:complete", { address, signer: "1", agreement: 1 });
+        expect(output.join("\n")).to.contain("SecurityDepositReturned agreementId=1");
+
+        await hre.run("rental:withdraw", { address, signer: "2" });
+        expect(output.join("\n")).to.contain(`Withdrawal account=${tenant.address}`);
+        expect(await client.getWithdrawableBalance(tenant.address)).to.equal(0n);
+
+        output.length = 0;
+        await hre.run("rental:withdraw", { address, signer: "2" });
+        expect(output).to.deep.equal(["Nothing to withdraw"]);
+
+        await hre.run("rental:fees:distribute", { address, signer: "0" });
+        expect((await client.getPlatformInfo()).accumulatedPlatformFees).to.equal(0n);
+        await hre.run("rental:fees:withdraw", { address, signer: "0" });
+
+        output.length = 0;
+        await hre.run("rental:show", { address, signer: "0", agreement: 1 });
+        expect(output.join("\n")).to.contain('"status": "COMPLETED"');
+    });
+
+    it("Should reserve through an accepted application", async function () {
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "1" });
+        await hre.run("rental:screening", { address, signer: "1", property: 1 });
+        await hre.run("rental:apply", { address, signer: "2", property: 1, months: 3, message: "Hello" });
+        expect(output).to.contain("Application ID: 1");
+
+        await hre.run("rental:application", { address, signer: "1", application: 1, action: "accept" });
+        await hre.run("rental:reserve", { address, signer: "2", application: 1 });
+        expect(output).to.contain("Agreement ID: 1");
+
+        await expect(
+            hre.run("rental:application", { address, signer: "1", application: 1, action: "approve" })
+        ).to.be.rejectedWith("--action must be accept, decline or withdraw");
+        await expect(
+            hre.run("rental:reserve", { address, signer: "2", property: 1, application: 1 })
+        ).to.be.rejectedWith("Pass either --property or --application");
+    });
+
+    it("Should claim deductions from an itemized file and settle them", async function () {
+        const [, landlord, tenant] = await ethers.getSigners();
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "1", deposit: "2" });
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, months: 1 });
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+        await time.increase(31 * 24 * 60 * 60);
+
+        const items = path.join(os.tmpdir(), `deductions-${process.pid}.json`);
+        fs.writeFileSync(items, JSON.stringify([{ description: "Cleaning", amount: "0.25" }]));
+        try {
+            await hre.run("rental:deductions:claim", { address, signer: "1", agreement: 1, items });
+        } finally {
+            fs.unlinkSync(items);
+        }
+        expect(output.join("\n")).to.contain("DeductionsClaimed agreementId=1 amount=250000000000000000");
+
+        await hre.run("rental:deductions", { address, signer: "2", agreement: 1, action: "accept" });
+        expect(await client.getWithdrawableBalance(tenant.address)).to.equal(ethers.parseEther("1.75"));
+        expect((await client.getDeductionClaim(1)).status).to.equal("SETTLED");
+        expect(await client.getWithdrawableBalance(landlord.address)).to.equal(ethers.parseEther("0.98") + ethers.parseEther("0.25"));
+    });
+
+    it("Should arbitrate a dispute through the panel", async function () {
+        const [owner, , tenant, arbiter1, arbiter2] = await ethers.getSigners();
+        const ArbitrationPanel = await ethers.getContractFactory("ArbitrationPanel");
+        const panel = await ArbitrationPanel.deploy(address);
+        await client.connect(owner).setArbitrationPanel(await panel.getAddress());
+
+        await hre.run("rental:arbiters", { address, signer: "0", add: arbiter1.address });
+        await hre.run("rental:arbiters", { address, signer: "0", add: arbiter2.address });
+        await hre.run("rental:panel:set", { address, signer: "0", size: 1 });
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "1", deposit: "2" });
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, months: 1 });
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+        await hre.run("rental:dispute", { address, signer: "2", agreement: 1, reason: "No hot water" });
+        await hre.run("rental:evidence", { address, signer: "2", dispute: 1, hash: ethers.id("photos") });
+
+        output.length = 0;
+        await hre.run("rental:assigned", { address, signer: "3" });
+        expect(output.join("\n")).to.contain('"phase": "EVIDENCE"');
+        await expect(
+            hre.run("rental:resolve", { address, signer: "0", dispute: 1, favor: "tenant" })
+        ).to.be.rejectedWith("Voting still open");
+
+        await time.increase(3 * 24 * 60 * 60 + 1);
+        await hre.run("rental:vote", { address, signer: "3", dispute: 1, landlordAmount: "0.5" });
+        expect(output).to.contain("Majority reached, deposit split executed");
+        expect(await client.getWithdrawableBalance(tenant.address)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should prepay a stay with a discount", async function () {
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "0.1", unit: "DAILY" });
+        await hre.run("rental:discount:set", { address, signer: "1", property: 1, percentage: 10, minPeriods: 5 });
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, days: 10 });
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+
+        output.length = 0;
+        await hre.run("rental:pay", { address, signer: "2", agreement: 1, units: 9 });
+        expect(output).to.contain(`Prepayment discount: ${ethers.parseEther("0.09")}`);
+        expect((await client.getPaymentStatus(1)).nextDueDate).to.equal(0n);
+    });
+
+    it("Should renew an agreement with a rent escalation", async function () {
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "1", deposit: "2" });
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, months: 6 });
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+        const { endDate } = await client.getRentalAgreement(1);
+
+        await hre.run("rental:amend", { address, signer: "1", agreement: 1, months: 12, escalation: "3" });
+        expect(output.join("\n")).to.contain("AmendmentProposed agreementId=1");
+        output.length = 0;
+        await hre.run("rental:show", { address, signer: "0", agreement: 1 });
+        expect(output.join("\n")).to.contain("Pending amendment");
+
+        await hre.run("rental:amendment", { address, signer: "2", agreement: 1, action: "accept" });
+        const agreement = await client.getRentalAgreement(1);
+        expect(agreement.rentAmount).to.equal(ethers.parseEther("1.03"));
+        expect(agreement.endDate).to.equal(addMonths(endDate, 12));
+    });
+
+    it("Should sublet an agreement and assign it to a new tenant", async function () {
+        const [, , tenant, subtenant, newTenant] = await ethers.getSigners();
+        const LeaseSublets = await ethers.getContractFactory("LeaseSublets");
+        const sublets = await (await LeaseSublets.deploy(address)).getAddress();
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "1", deposit: "2" });
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, months: 6 });
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+
+        await hre.run("rental:sublet", { address, sublets, signer: "2", agreement: 1, subtenant: subtenant.address, rent: "1.2", periods: 2 });
+        expect(output.join("\n")).to.contain("Sublet ID: 1");
+        await hre.run("rental:sublet:action", { address, sublets, signer: "3", sublet: 1, action: "accept" });
+        await hre.run("rental:sublet:action", { address, sublets, signer: "3", sublet: 1, action: "pay", periods: 2 });
+        output.length = 0;
+        await hre.run("rental:sublets", { address, sublets, signer: "0", agreement: 1 });
+        expect(output.join("\n")).to.contain('"paidPeriods": "2"');
+        await hre.run("rental:sublet:withdraw", { address, sublets, signer: "2" });
+        expect(output.join("\n")).to.contain(`Withdrawal account=${tenant.address}`);
+
+        await hre.run("rental:assign", { address, signer: "2", agreement: 1, to: newTenant.address });
+        await hre.run("rental:assignment", { address, signer: "1", agreement: 1, action: "approve" });
+        expect(output.join("\n")).to.contain(`LeaseAssigned agreementId=1 previousTenant=${tenant.address} tenant=${newTenant.address}`);
+        expect((await client.getRentalAgreement(1)).tenant).to.equal(newTenant.address);
+    });
+
+    it("Should share an agreement between co-tenants", async function () {
+        const [, , tenant, coTenant] = await ethers.getSigners();
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "1", deposit: "2" });
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, months: 1 });
+        await hre.run("rental:cotenants", {
+            address, signer: "2", agreement: 1, coTenants: coTenant.address, rentShares: "4000", depositShares: "5000"
+        });
+        await hre.run("rental:join", { address, signer: "3", agreement: 1 });
+        expect(output.join("\n")).to.contain(`CoTenantJoined agreementId=1 coTenant=${coTenant.address} amount=1400000000000000000`);
+        await hre.run("rental:activate", { address, signer: "3", agreement: 1 });
+        output.length = 0;
+        await hre.run("rental:tenancy", { address, signer: "0", agreement: 1 });
+        expect(output.join("\n")).to.contain('"rentShare": "6000"');
+
+        await time.increaseTo((await client.getRentalAgreement(1)).endDate);
+        const items = path.join(os.tmpdir(), `deductions-${process.pid}.json`);
+        fs.writeFileSync(items, JSON.stringify([{ description: "Cleaning", amount: "0.5" }]));
+        try {
+            await hre.run("rental:deductions:claim", { address, signer: "1", agreement: 1, items });
+        } finally {
+            fs.unlinkSync(items);
+        }
+        await hre.run("rental:deductions:allocate", { address, signer: "1", agreement: 1, amounts: "0.5,0" });
+        await hre.run("rental:deductions", { address, signer: "2", agreement: 1, action: "accept" });
+        expect(await client.getWithdrawableBalance(coTenant.address)).to.equal(ethers.parseEther("1"));
+        expect(await client.getWithdrawableBalance(tenant.address)).to.equal(ethers.parseEther("1.9"));
+    });
+
+    it("Should book dates and show the calendar", async function () {
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "0.1", unit: "DAILY" });
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const day = (n) => new Date((timestamp - (timestamp % 86400) + n * 86400) * 1000).toISOString().slice(0, 10);
+
+        await hre.run("rental:book", { address, signer: "2", property: 1, from: day(2), to: day(4) });
+        expect(output).to.contain("Agreement ID: 1");
+
+        output.length = 0;
+        await hre.run("rental:calendar", { address, signer: "0", property: 1, days: 7 });
+        const printed = output.join("\n");
+        expect(printed).to.contain(`"from": "${day(2)}"`);
+        expect(printed).to.contain(`"from": "${day(4)}"`);
+        expect(printed).to.contain('"days": "3"');
+    });
+
+    it("Should reserve on a signed offer and sign calls for the relayer", async function () {
+        const [owner, , tenant] = await ethers.getSigners();
+        const RentalForwarder = await ethers.getContractFactory("RentalForwarder");
+        const forwarder = await RentalForwarder.deploy(address);
+        await client.connect(owner).setTrustedForwarder(await forwarder.getAddress());
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rental-offer-"));
+        const offerFile = path.join(dir, "offer.json");
+        const requestFile = path.join(dir, "request.json");
+
+        await hre.run("rental:list", { address, signer: "1", propertyAddress: "1 Rue de Rivoli", description: "Studio", rent: "1", deposit: "2" });
+        await hre.run("rental:offer", { address, signer: "1", property: 1, rent: "0.9", months: 6, tenant: tenant.address, out: offerFile });
+        await hre.run("rental:offer:accept", { address, signer: "2", file: offerFile });
+        expect(output).to.contain("Agreement ID: 1");
+        expect((await client.getRentalAgreement(1)).rentAmount).to.equal(ethers.parseEther("0.9"));
+
+        await hre.run("rental:sign", { address, signer: "2", method: "activateAgreement", args: "[1]", out: requestFile });
+        const { request, signature } = JSON.parse(fs.readFileSync(requestFile, "utf8"));
+        expect(request.from).to.equal(tenant.address);
+        await (await forwarder.execute(request, signature)).wait();
+        expect((await client.getRentalAgreement(1)).status).to.equal("ACTIVE");
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it("Should store listing metadata and show it once verified", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rental-metadata-"));
+        const file = path.join(dir, "studio.json");
+        const store = path.join(dir, "store");
+        fs.writeFileSync(file, JSON.stringify({
+            schemaVersion: 1,
+            title: "Studio",
+            address: { street: "1 Rue de Rivoli", city: "Paris", country: "FR" }
+        }));
+        try {
+            await hre.run("rental:list", { address, signer: "1", rent: "1", metadata: file, dir: store });
+            expect(output.join("\n")).to.contain("PropertyMetadataUpdated propertyId=1");
+
+            output.length = 0;
+            await hre.run("rental:metadata", { address, signer: "0", property: 1, dir: store });
+            expect(output[0]).to.equal(`Metadata ${(await client.getProperty(1)).metadataHash}:`);
+            expect(output.join("\n")).to.contain('"city": "Paris"');
+
+            fs.writeFileSync(file, JSON.stringify({ schemaVersion: 1, title: "Studio" }));
+            await expect(
+                hre.run("rental:metadata", { address, signer: "1", property: 1, file, dir: store })
+            ).to.be.rejectedWith("/address is required");
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+
+    it("Should hand out roles and pause the contract", async function () {
+        const [admin, landlord, treasurer] = await ethers.getSigners();
+
+        await hre.run("rental:roles:grant", { address, signer: "0", role: "pauser", account: landlord.address });
+        await hre.run("rental:roles:grant", { address, signer: "0", role: "TREASURER_ROLE", account: treasurer.address });
+        await hre.run("rental:roles:revoke", { address, signer: "0", role: "treasurer", account: admin.address });
+        expect(output.join("\n")).to.contain(`RoleGranted role=${ethers.id("PAUSER_ROLE")} account=${landlord.address}`);
+        expect(output.join("\n")).to.contain(`RoleRevoked role=${ethers.id("TREASURER_ROLE")} account=${admin.address}`);
+
+        output.length = 0;
+        await hre.run("rental:roles", { address, signer: "0" });
+        const shown = output.join("\n");
+        expect(shown).to.contain(`"TREASURER": [\n    "${treasurer.address}"\n  ]`);
+        expect(shown).to.contain(`"PAUSER": [\n    "${admin.address}",\n    "${landlord.address}"\n  ]`);
+        expect(shown).to.contain("Paused: false");
+
+        await hre.run("rental:pause", { address, signer: "1" });
+        output.length = 0;
+        await hre.run("rental:roles", { address, signer: "0", account: landlord.address });
+        expect(output.join("\n")).to.contain('Roles of');
+        expect(output.join("\n")).to.contain('"PAUSER"');
+        expect(output.join("\n")).to.contain("Paused: true");
+        await expect(
+            hre.run("rental:list", { address, signer: "1", rent: "1" })
+        ).to.be.rejectedWith("Pausable: paused");
+
+        await hre.run("rental:unpause", { address, signer: "1" });
+        await hre.run("rental:list", { address, signer: "1", rent: "1" });
+        await expect(
+            hre.run("rental:roles:grant", { address, signer: "0", role: "janitor", account: landlord.address })
+        ).to.be.rejectedWith('Unknown role "janitor"');
+    });
+
+    it("Should schedule fee rates, quote them and split the fees", async function () {
+        const [admin, landlord, , recipient] = await ethers.getSigners();
+        await hre.run("rental:list", { address, signer: "1", rent: "1", deposit: "2", unit: "DAILY" });
+
+        await hre.run("rental:fees:schedule", { address, signer: "0", unit: "DAILY", rentBps: 500, depositBps: 100 });
+        expect(output.join("\n")).to.contain("FeeRatesScheduled scope=1 key=1 rentBps=500 lateFeeBps=0 depositBps=100 set=true");
+        await expect(
+            hre.run("rental:fees:schedule", { address, signer: "0", unit: "DAILY", property: 1, rentBps: 1 })
+        ).to.be.rejectedWith("Pass either --property or --unit");
+        await time.increase(7 * 24 * 60 * 60);
+
+        output.length = 0;
+        await hre.run("rental:fees", { address, signer: "0", property: 1 });
+        expect(output.join("\n")).to.contain('"rentBps": "500"');
+        expect(output.join("\n")).to.contain(`"account": "${admin.address}"`);
+
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, days: 2 });
+        output.length = 0;
+        await hre.run("rental:fees:quote", { address, signer: "0", agreement: 1, on: "activation" });
+        expect(output.join("\n")).to.contain(`"rentFee": "${ethers.parseEther("1") * 500n / 10000n}"`);
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+
+        await hre.run("rental:fees:treasury", {
+            address, signer: "0", recipients: `${admin.address},${recipient.address}`, shares: "5000,5000"
+        });
+        await hre.run("rental:fees:distribute", { address, signer: "2" });
+        const fees = await FeeScheduleClient.fromRental(client);
+        expect(await fees.getWithdrawableBalance(recipient.address)).to.equal(ethers.parseEther("1") * 250n / 10000n);
+        expect(await client.getWithdrawableBalance(landlord.address)).to.equal(ethers.parseEther("0.95"));
+    });
+
+    it("Should export statements as JSON and CSV", async function () {
+        const [, landlord, tenant] = await ethers.getSigners();
+        await hre.run("rental:list", { address, signer: "1", rent: "1", deposit: "2" });
+        await hre.run("rental:reserve", { address, signer: "2", property: 1, months: 2 });
+        await hre.run("rental:activate", { address, signer: "2", agreement: 1 });
+
+        output.length = 0;
+        await hre.run("rental:statement", { address, account: tenant.address });
+        const statement = JSON.parse(output.join("\n"));
+        expect(statement.agreements[0]).to.include({ agreementId: "1", role: "tenant", reconciled: true });
+        expect(statement.agreements[0].rentPaid).to.deep.equal({ wei: ethers.parseEther("1").toString(), eth: "1.0" });
+        expect(statement.totals[0].depositsHeld.eth).to.equal("2.0");
+
+        const file = path.join(os.tmpdir(), `statement-${process.pid}.csv`);
+        output.length = 0;
+        try {
+            await hre.run("rental:statement", { address, account: landlord.address, format: "csv", out: file });
+            expect(output).to.deep.equal([
+                `Statement of ${landlord.address} for blocks 0-${await ethers.provider.getBlockNumber()}: 1 agreements written to ${file}`
+            ]);
+            const [, row] = fs.readFileSync(file, "utf8").split("\n");
+            expect(row).to.match(/^agreement,1,1,landlord,ACTIVE,/);
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+
+        await expect(
+            hre.run("rental:statement", { address, account: landlord.address, format: "pdf" })
+        ).to.be.rejectedWith("--format must be json or csv");
+    });
+
+    it("Should accept a private key as signer", async function () {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        const [funder] = await ethers.getSigners();
+        await funder.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+
+        await hre.run("rental:list", {
+            address,
+            signer: wallet.privateKey,
+            propertyAddress: "2 Rue de Rivoli",
+            description: "Loft",
+            rent: "0.01",
+            unit: "DAILY"
+        });
+
+        const property = await client.getProperty(1);
+        expect(property.owner).to.equal(wallet.address);
+        expect(property.unit).to.equal("DAILY");
+    });
+
+    it("Should reject an unknown signer index", async function () {
+        await expect(
+            hre.run("rental:delist", { address, signer: "99", property: 1 })
+        ).to.be.rejectedWith("--signer must be an account index");
+    });
+});